@@ -0,0 +1,28 @@
+/**
+ * Worker Document Types
+ * expires is whether documents of the type carry an expiry date; a project may require any
+ * type, and a required document counts only while verified and unexpired
+ */
+
+const DOCUMENT_TYPES = {
+  id_copy: { expires: false },
+  safety_induction: { expires: true },
+  trade_certificate: { expires: true },
+  medical_certificate: { expires: true },
+  other: { expires: false }
+};
+
+// Accepted file types with the extension they are stored under
+const DOCUMENT_MIME_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png'
+};
+
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DOCUMENT_MIME_TYPES,
+  MAX_DOCUMENT_BYTES
+};
@@ -0,0 +1,18 @@
+/**
+ * Leave Types
+ * paid is the default pay treatment of a request; the requester or approver may choose
+ * otherwise, except that unpaid leave is never paid
+ * accrualDaysWorked is how many days worked earn one day of leave; paid leave of a type
+ * with accrual is limited to the balance, while null keeps no balance
+ */
+
+const LEAVE_TYPES = {
+  annual: { paid: true, accrualDaysWorked: 20 },
+  sick: { paid: true, accrualDaysWorked: 30 },
+  compassionate: { paid: true, accrualDaysWorked: null },
+  unpaid: { paid: false, accrualDaysWorked: null }
+};
+
+module.exports = {
+  LEAVE_TYPES
+};
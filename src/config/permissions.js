@@ -0,0 +1,101 @@
+/**
+ * Project Roles and Permissions
+ * Roles are granted per project; every project action checks a named permission
+ * The project owner (projects.user_id) implicitly holds the owner role
+ */
+
+const PERMISSIONS = {
+  PROJECT_VIEW: 'project:view',
+  PROJECT_UPDATE: 'project:update',
+  PROJECT_DELETE: 'project:delete',
+  PROJECT_MANAGE_MEMBERS: 'project:manage_members',
+  ATTENDANCE_VIEW: 'attendance:view',
+  ATTENDANCE_MARK: 'attendance:mark',
+  ATTENDANCE_DELETE: 'attendance:delete',
+  ATTENDANCE_REVIEW: 'attendance:review',
+  LEAVE_APPROVE: 'leave:approve',
+  SHIFT_MANAGE: 'shift:manage',
+  PAYMENTS_VIEW: 'payments:view',
+  PAYMENTS_REQUEST: 'payments:request',
+  PAYMENTS_APPROVE: 'payments:approve',
+  PAYMENTS_PROCESS: 'payments:process',
+  MATERIALS_VIEW: 'materials:view',
+  MATERIALS_REQUEST: 'materials:request',
+  MATERIALS_APPROVE: 'materials:approve',
+  MATERIALS_RECEIVE: 'materials:receive'
+};
+
+const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  project_manager: [
+    PERMISSIONS.PROJECT_VIEW,
+    PERMISSIONS.PROJECT_UPDATE,
+    PERMISSIONS.ATTENDANCE_VIEW,
+    PERMISSIONS.ATTENDANCE_MARK,
+    PERMISSIONS.ATTENDANCE_DELETE,
+    PERMISSIONS.ATTENDANCE_REVIEW,
+    PERMISSIONS.LEAVE_APPROVE,
+    PERMISSIONS.SHIFT_MANAGE,
+    PERMISSIONS.PAYMENTS_VIEW,
+    PERMISSIONS.PAYMENTS_REQUEST,
+    PERMISSIONS.PAYMENTS_APPROVE,
+    PERMISSIONS.MATERIALS_VIEW,
+    PERMISSIONS.MATERIALS_REQUEST,
+    PERMISSIONS.MATERIALS_APPROVE,
+    PERMISSIONS.MATERIALS_RECEIVE
+  ],
+  supervisor: [
+    PERMISSIONS.PROJECT_VIEW,
+    PERMISSIONS.ATTENDANCE_VIEW,
+    PERMISSIONS.ATTENDANCE_MARK,
+    PERMISSIONS.MATERIALS_VIEW,
+    PERMISSIONS.MATERIALS_REQUEST,
+    PERMISSIONS.MATERIALS_RECEIVE
+  ],
+  accountant: [
+    PERMISSIONS.PROJECT_VIEW,
+    PERMISSIONS.ATTENDANCE_VIEW,
+    PERMISSIONS.PAYMENTS_VIEW,
+    PERMISSIONS.PAYMENTS_REQUEST,
+    PERMISSIONS.PAYMENTS_APPROVE,
+    PERMISSIONS.PAYMENTS_PROCESS,
+    PERMISSIONS.MATERIALS_VIEW
+  ],
+  viewer: [
+    PERMISSIONS.PROJECT_VIEW,
+    PERMISSIONS.ATTENDANCE_VIEW,
+    PERMISSIONS.PAYMENTS_VIEW,
+    PERMISSIONS.MATERIALS_VIEW
+  ]
+};
+
+// Roles that include a permission, the implicit owner role among them
+const rolesWithPermission = (permission) => Object.keys(ROLE_PERMISSIONS)
+  .filter(role => ROLE_PERMISSIONS[role].includes(permission));
+
+// Roles that can be granted to project members (ownership is not transferable here)
+const PROJECT_ROLES = Object.keys(ROLE_PERMISSIONS).filter(role => role !== 'owner');
+
+// Roles a payment approval chain step can require (roles that may approve payments)
+const APPROVER_ROLES = Object.keys(ROLE_PERMISSIONS)
+  .filter(role => ROLE_PERMISSIONS[role].includes(PERMISSIONS.PAYMENTS_APPROVE));
+
+/**
+ * Check whether a project role includes a permission
+ * @param {string} role - Project role
+ * @param {string} permission - Permission name, e.g. 'attendance:mark'
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role];
+  return Boolean(permissions && permissions.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  PROJECT_ROLES,
+  APPROVER_ROLES,
+  hasPermission,
+  rolesWithPermission
+};
@@ -0,0 +1,32 @@
+const { purgeDeletedRecords } = require('../services/retention');
+
+/**
+ * Admin Controller
+ * Handles platform maintenance requests reserved for administrators
+ */
+class AdminController {
+  /**
+   * Purge Deleted Records
+   * Permanently removes records soft-deleted before the retention window
+   */
+  static async purgeDeletedRecords(req, res, next) {
+    try {
+      const { olderThanDays } = req.body;
+
+      const result = await purgeDeletedRecords({
+        olderThanDays,
+        adminUserId: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Deleted records purged successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AdminController;
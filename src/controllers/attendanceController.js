@@ -1,7 +1,25 @@
 const Attendance = require('../models/Attendance');
+const ProjectMember = require('../models/ProjectMember');
+const { hasPermission } = require('../config/permissions');
 const logger = require('../utils/logger');
 
 const attendanceModel = new Attendance();
+const projectMemberModel = new ProjectMember();
+
+// Response shape for located check-in/check-out records
+const formatLocatedAttendance = (attendance) => ({
+  id: attendance.id,
+  workerId: attendance.worker_id,
+  projectId: attendance.project_id,
+  date: attendance.date,
+  status: attendance.status,
+  checkInAt: attendance.check_in_at,
+  checkInDistance: attendance.check_in_distance,
+  checkOutAt: attendance.check_out_at,
+  checkOutDistance: attendance.check_out_distance,
+  reviewStatus: attendance.review_status,
+  reviewReason: attendance.review_reason
+});
 
 /**
  * Attendance Controller
@@ -34,8 +52,11 @@ class AttendanceController {
             status: attendance.status,
             rating: attendance.rating,
             comments: attendance.comments,
+            reviewStatus: attendance.review_status,
+            reviewReason: attendance.review_reason,
             createdAt: attendance.created_at
-          }
+          },
+          roster: attendance.roster
         }
       });
     } catch (error) {
@@ -75,6 +96,8 @@ class AttendanceController {
             status: attendance.status,
             rating: attendance.rating,
             comments: attendance.comments,
+            reviewStatus: attendance.review_status,
+            reviewReason: attendance.review_reason,
             createdAt: attendance.created_at,
             updatedAt: attendance.updated_at
           }
@@ -102,6 +125,9 @@ class AttendanceController {
       const { 
         page, 
         limit, 
+        filter,
+        sort,
+        cursor,
         workerId, 
         projectId, 
         status, 
@@ -110,9 +136,12 @@ class AttendanceController {
         endDate 
       } = req.query;
       
-      const filters = { userId };
+      const filters = await projectMemberModel.scopeListFilters(
+        userId,
+        projectId ? parseInt(projectId) : null,
+        'attendance:view'
+      );
       if (workerId) filters.workerId = parseInt(workerId);
-      if (projectId) filters.projectId = parseInt(projectId);
       if (status) filters.status = status;
       if (date) filters.date = date;
       if (startDate) filters.startDate = startDate;
@@ -120,7 +149,7 @@ class AttendanceController {
 
       const result = await attendanceModel.getAttendanceRecords(
         filters, 
-        { page: parseInt(page), limit: parseInt(limit) }
+        { page, limit, filter, sort, cursor }
       );
 
       res.json({
@@ -129,6 +158,12 @@ class AttendanceController {
         data: result
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
       next(error);
     }
   }
@@ -143,7 +178,11 @@ class AttendanceController {
       const { attendanceId } = req.params;
 
       const attendance = await attendanceModel.findById(parseInt(attendanceId));
-      if (!attendance || attendance.user_id !== userId) {
+      const { role } = attendance
+        ? await projectMemberModel.getProjectAccess(attendance.project_id, userId)
+        : {};
+
+      if (!attendance || !hasPermission(role, 'attendance:view')) {
         return res.status(404).json({
           success: false,
           message: 'Attendance record not found'
@@ -165,6 +204,20 @@ class AttendanceController {
             status: attendance.status,
             rating: attendance.rating,
             comments: attendance.comments,
+            checkInLocation: attendance.check_in_at ? {
+              latitude: attendance.check_in_latitude,
+              longitude: attendance.check_in_longitude,
+              accuracy: attendance.check_in_accuracy,
+              distance: attendance.check_in_distance
+            } : null,
+            checkOutLocation: attendance.check_out_at ? {
+              latitude: attendance.check_out_latitude,
+              longitude: attendance.check_out_longitude,
+              accuracy: attendance.check_out_accuracy,
+              distance: attendance.check_out_distance
+            } : null,
+            reviewStatus: attendance.review_status,
+            reviewReason: attendance.review_reason,
             createdAt: attendance.created_at,
             updatedAt: attendance.updated_at
           }
@@ -266,6 +319,261 @@ class AttendanceController {
     }
   }
 
+  /**
+   * Restore Attendance
+   * Brings back a deleted attendance record
+   */
+  static async restoreAttendance(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { attendanceId } = req.params;
+
+      const attendance = await attendanceModel.restoreAttendance(
+        parseInt(attendanceId),
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: 'Attendance record restored successfully',
+        data: {
+          attendance: {
+            id: attendance.id,
+            workerId: attendance.worker_id,
+            projectId: attendance.project_id,
+            date: attendance.date,
+            status: attendance.status,
+            rating: attendance.rating
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('already exists')) {
+        return res.status(error.message.includes('already exists') ? 409 : 404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Check In
+   * Records a located check-in for today and flags it when outside the project geofence
+   */
+  static async checkIn(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId, projectId, latitude, longitude, accuracy } = req.body;
+
+      const attendance = await attendanceModel.checkIn({
+        userId,
+        workerId,
+        projectId,
+        latitude,
+        longitude,
+        accuracy
+      });
+
+      res.status(201).json({
+        success: true,
+        message: attendance.review_status === 'Flagged'
+          ? 'Check-in recorded and flagged for review'
+          : 'Check-in recorded successfully',
+        data: {
+          attendance: formatLocatedAttendance(attendance)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('already checked in')) {
+        return res.status(error.message.includes('already checked in') ? 409 : 404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Record Tap
+   * Toggles check-in/check-out for the worker holding a card, as sent by a gate reader
+   */
+  static async recordTap(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { cardId, deviceId, projectId } = req.body;
+
+      const { attendance, tapAction, worker } = await attendanceModel.recordTap({
+        userId,
+        cardId,
+        deviceId,
+        projectId
+      });
+
+      res.status(tapAction === 'check_in' ? 201 : 200).json({
+        success: true,
+        message: tapAction === 'check_in' ? 'Checked in successfully' : 'Checked out successfully',
+        data: {
+          action: tapAction,
+          worker: {
+            id: worker.id,
+            fullname: worker.fullname
+          },
+          attendance: {
+            id: attendance.id,
+            projectId: attendance.project_id,
+            date: attendance.date,
+            status: attendance.status,
+            checkIn: attendance.check_in,
+            checkOut: attendance.check_out
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('no active project')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('Duplicate tap') || 
+          error.message.includes('already checked out')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('projectId is required')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Sync Attendance
+   * Applies a batch of offline records and reports an outcome per record
+   */
+  static async syncAttendance(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { records, conflictStrategy, deviceId } = req.body;
+
+      const { results, summary } = await attendanceModel.syncRecords(userId, records, {
+        conflictStrategy,
+        deviceId
+      });
+
+      res.json({
+        success: true,
+        message: 'Attendance batch synced',
+        data: {
+          summary,
+          results
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check Out
+   * Records a located check-out on an attendance record that has a check-in
+   */
+  static async checkOut(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { attendanceId } = req.params;
+      const { latitude, longitude, accuracy } = req.body;
+
+      const attendance = await attendanceModel.checkOut(
+        parseInt(attendanceId),
+        { latitude, longitude, accuracy },
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: attendance.review_status === 'Flagged'
+          ? 'Check-out recorded; attendance is flagged for review'
+          : 'Check-out recorded successfully',
+        data: {
+          attendance: formatLocatedAttendance(attendance)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('has not checked in') || 
+          error.message.includes('already checked out')) {
+        return res.status(error.message.includes('already checked out') ? 409 : 400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Review Attendance
+   * Accepts or rejects a flagged attendance record
+   */
+  static async reviewAttendance(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { attendanceId } = req.params;
+      const { decision, comment } = req.body;
+
+      const attendance = await attendanceModel.reviewAttendance(
+        parseInt(attendanceId),
+        decision,
+        comment,
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: `Attendance ${decision.toLowerCase()} successfully`,
+        data: {
+          attendance: {
+            ...formatLocatedAttendance(attendance),
+            reviewComment: attendance.review_comment,
+            reviewedBy: attendance.reviewed_by,
+            reviewedAt: attendance.reviewed_at
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('Only flagged')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Get Attendance Statistics
    * Returns attendance statistics with filters
@@ -280,8 +588,11 @@ class AttendanceController {
         endDate 
       } = req.query;
       
-      const filters = { userId };
-      if (projectId) filters.projectId = parseInt(projectId);
+      const filters = await projectMemberModel.scopeListFilters(
+        userId,
+        projectId ? parseInt(projectId) : null,
+        'attendance:view'
+      );
       if (workerId) filters.workerId = parseInt(workerId);
       if (startDate) filters.startDate = startDate;
       if (endDate) filters.endDate = endDate;
@@ -296,6 +607,12 @@ class AttendanceController {
         }
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
       next(error);
     }
   }
@@ -312,7 +629,7 @@ class AttendanceController {
 
       // Verify worker belongs to user
       const workerResult = await attendanceModel.db.query(
-        'SELECT * FROM workers WHERE id = $1 AND user_id = $2',
+        'SELECT * FROM workers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
         [parseInt(workerId), userId]
       );
 
@@ -323,7 +640,7 @@ class AttendanceController {
         });
       }
 
-      const filters = { userId, workerId: parseInt(workerId) };
+      const filters = { workerId: parseInt(workerId) };
       if (projectId) filters.projectId = parseInt(projectId);
       if (startDate) filters.startDate = startDate;
       if (endDate) filters.endDate = endDate;
@@ -0,0 +1,65 @@
+const AuditLog = require('../models/AuditLog');
+
+const auditLogModel = new AuditLog();
+
+/**
+ * Audit Controller
+ * Handles HTTP requests for reading and verifying the audit trail
+ */
+class AuditController {
+  /**
+   * Get Audit Trail
+   * Returns audit entries for one record (owners) or any filter (admins)
+   */
+  static async getAuditTrail(req, res, next) {
+    try {
+      const { entity, entityId, page, limit, filter, sort, cursor } = req.query;
+
+      const result = await auditLogModel.getAuditTrail(
+        { entity, entityId: entityId ? parseInt(entityId) : null },
+        req.user,
+        { page, limit, filter, sort, cursor }
+      );
+
+      res.json({
+        success: true,
+        message: 'Audit trail retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('are required')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Verify Audit Chain
+   * Recomputes the hash chain to detect edited or removed entries (admin only)
+   */
+  static async verifyAuditChain(req, res, next) {
+    try {
+      const result = await auditLogModel.verifyChain();
+
+      res.json({
+        success: true,
+        message: result.valid ? 'Audit chain is intact' : 'Audit chain is broken',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AuditController;
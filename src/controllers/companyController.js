@@ -1,5 +1,7 @@
 const Company = require('../models/Company');
+const CompanyHoliday = require('../models/CompanyHoliday');
 const companyModel = new Company();
+const companyHolidayModel = new CompanyHoliday();
 const logger = require('../utils/logger');
 
 /**
@@ -128,6 +130,7 @@ class CompanyController {
             taxId: updatedCompany.tax_id,
             address: updatedCompany.address,
             industry: updatedCompany.industry,
+            restDays: updatedCompany.rest_days,
             updatedAt: updatedCompany.updated_at
           }
         }
@@ -172,13 +175,213 @@ class CompanyController {
     }
   }
 
+  /**
+   * Get Approval Chain
+   * Returns the company's payment approval steps in order
+   */
+  static async getApprovalChain(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { companyId } = req.params;
+
+      const steps = await companyModel.getApprovalChain(parseInt(companyId), userId);
+
+      res.json({
+        success: true,
+        message: 'Approval chain retrieved successfully',
+        data: {
+          steps: steps.map(step => ({
+            step: step.step_order,
+            approverRole: step.approver_role,
+            minAmount: step.min_amount
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('Company not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Set Approval Chain
+   * Replaces the company's payment approval steps; a step applies to payment
+   * requests whose total is at least its minimum amount
+   */
+  static async setApprovalChain(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { companyId } = req.params;
+      const { steps } = req.body;
+
+      const chain = await companyModel.setApprovalChain(parseInt(companyId), steps, userId);
+
+      res.json({
+        success: true,
+        message: 'Approval chain updated successfully',
+        data: {
+          steps: chain.map(step => ({
+            step: step.step_order,
+            approverRole: step.approver_role,
+            minAmount: step.min_amount
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('Company not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Calendar
+   * Returns the company's rest days and holidays
+   */
+  static async getCalendar(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { companyId } = req.params;
+
+      const calendar = await companyHolidayModel.getCalendar(parseInt(companyId), userId);
+
+      res.json({
+        success: true,
+        message: 'Calendar retrieved successfully',
+        data: {
+          restDays: calendar.restDays,
+          holidays: calendar.holidays.map(holiday => ({
+            id: holiday.id,
+            uuid: holiday.uuid,
+            name: holiday.name,
+            date: holiday.date,
+            recurring: holiday.recurring,
+            imported: holiday.ical_uid !== null
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('Company not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Create Holiday
+   * Adds a one-off holiday, or one that recurs every year on the same date
+   */
+  static async createHoliday(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { companyId } = req.params;
+
+      const holiday = await companyHolidayModel.createHoliday(parseInt(companyId), req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Holiday created successfully',
+        data: {
+          holiday: {
+            id: holiday.id,
+            uuid: holiday.uuid,
+            name: holiday.name,
+            date: holiday.date,
+            recurring: holiday.recurring
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('Company not found') ||
+          error.message.includes('already exists')) {
+        return res.status(error.message.includes('already exists') ? 409 : 404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Holiday
+   * Removes a holiday from the company calendar
+   */
+  static async deleteHoliday(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { companyId, holidayId } = req.params;
+
+      await companyHolidayModel.deleteHoliday(parseInt(companyId), parseInt(holidayId), userId);
+
+      res.json({
+        success: true,
+        message: 'Holiday deleted successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Import Holidays
+   * Adds the events of an iCal file to the company calendar
+   */
+  static async importHolidays(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { companyId } = req.params;
+
+      const result = await companyHolidayModel.importICal(parseInt(companyId), req.body.ics, userId);
+
+      res.json({
+        success: true,
+        message: 'Holidays imported successfully',
+        data: result
+      });
+    } catch (error) {
+      if (error.message.includes('Company not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('Invalid iCal')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Get Companies (Admin only)
    * Returns paginated list of companies with filters
    */
   static async getCompanies(req, res, next) {
     try {
-      const { page, limit, industry } = req.query;
+      const { page, limit, filter, sort, cursor, industry } = req.query;
       
       const filters = {};
       if (industry) filters.industry = industry;
@@ -190,7 +393,7 @@ class CompanyController {
 
       const result = await companyModel.getCompanies(
         filters, 
-        { page: parseInt(page), limit: parseInt(limit) }
+        { page, limit, filter, sort, cursor }
       );
 
       res.json({
@@ -205,7 +408,7 @@ class CompanyController {
 
   /**
    * Delete Company
-   * Deactivates company by deactivating associated user account
+   * Deletes the company and deactivates the associated user account
    */
   static async deleteCompany(req, res, next) {
     try {
@@ -230,6 +433,39 @@ class CompanyController {
     }
   }
 
+  /**
+   * Restore Company
+   * Brings back a deleted company and reactivates its owner (admin only)
+   */
+  static async restoreCompany(req, res, next) {
+    try {
+      const { companyId } = req.params;
+
+      const company = await companyModel.restoreCompany(parseInt(companyId), req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Company restored successfully',
+        data: {
+          company: {
+            id: company.id,
+            uuid: company.uuid,
+            companyName: company.company_name,
+            userId: company.user_id
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Get Company by ID (Public endpoint with limited info)
    * Returns basic company information for public viewing
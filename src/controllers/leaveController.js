@@ -0,0 +1,278 @@
+const LeaveRequest = require('../models/LeaveRequest');
+const ProjectMember = require('../models/ProjectMember');
+
+const leaveRequestModel = new LeaveRequest();
+const projectMemberModel = new ProjectMember();
+
+// Response shape for leave requests
+const formatLeaveRequest = (request) => ({
+  id: request.id,
+  uuid: request.uuid,
+  workerId: request.worker_id,
+  workerName: request.worker_name,
+  projectId: request.project_id,
+  projectName: request.project_name,
+  leaveType: request.leave_type,
+  startDate: request.start_date,
+  endDate: request.end_date,
+  days: request.days,
+  paid: request.paid,
+  reason: request.reason,
+  status: request.status,
+  requestedBy: request.requested_by_type,
+  decidedBy: request.decided_by,
+  decidedAt: request.decided_at,
+  decisionComment: request.decision_comment,
+  createdAt: request.created_at
+});
+
+// Errors shared by both ways of requesting leave
+const requestErrorStatus = (message) => {
+  if (message.includes('not found') || message.includes('access denied')) {
+    return 404;
+  }
+  if (message.includes('already has leave')) {
+    return 409;
+  }
+  if (message.includes('working day') || message.includes('date range') || message.includes('cannot be longer')) {
+    return 400;
+  }
+  return null;
+};
+
+/**
+ * Leave Controller
+ * Handles HTTP requests for leave requests, approvals and balances
+ */
+class LeaveController {
+  /**
+   * Request Leave
+   * Files a leave request for a worker on a project
+   */
+  static async requestLeave(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const request = await leaveRequestModel.requestLeave({ ...req.body, userId });
+
+      res.status(201).json({
+        success: true,
+        message: 'Leave requested successfully',
+        data: {
+          leaveRequest: formatLeaveRequest(request)
+        }
+      });
+    } catch (error) {
+      const status = requestErrorStatus(error.message);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Leave Requests
+   * Lists leave requests on a project, or on every project the user owns
+   */
+  static async getLeaveRequests(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { page, limit, filter, sort, cursor, projectId, workerId, status } = req.query;
+
+      const filters = await projectMemberModel.scopeListFilters(
+        userId,
+        projectId ? parseInt(projectId) : null,
+        'attendance:view'
+      );
+      if (workerId) filters.workerId = parseInt(workerId);
+      if (status) filters.status = status;
+
+      const result = await leaveRequestModel.getLeaveRequests(
+        filters,
+        { page, limit, filter, sort, cursor }
+      );
+
+      res.json({
+        success: true,
+        message: 'Leave requests retrieved successfully',
+        data: {
+          leaveRequests: result.leaveRequests.map(formatLeaveRequest),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Worker Leave Balance
+   * Returns accrued, used, pending and available leave days per leave type
+   */
+  static async getWorkerBalance(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+
+      const balances = await leaveRequestModel.getBalancesForUser(parseInt(workerId), userId);
+
+      res.json({
+        success: true,
+        message: 'Leave balance retrieved successfully',
+        data: {
+          balances
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Approve Leave
+   * Approves a pending request and marks the worker On Leave for its working days
+   */
+  static async approveLeave(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { leaveRequestId } = req.params;
+
+      const request = await leaveRequestModel.approveLeave(parseInt(leaveRequestId), req.body, userId);
+
+      res.json({
+        success: true,
+        message: 'Leave approved successfully',
+        data: {
+          leaveRequest: formatLeaveRequest(request)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already') ||
+          error.message.includes('Insufficient')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('working day')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Reject Leave
+   * Rejects a pending request with a reason
+   */
+  static async rejectLeave(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { leaveRequestId } = req.params;
+
+      const request = await leaveRequestModel.rejectLeave(parseInt(leaveRequestId), req.body.reason, userId);
+
+      res.json({
+        success: true,
+        message: 'Leave rejected successfully',
+        data: {
+          leaveRequest: formatLeaveRequest(request)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Request Own Leave
+   * Files a leave request as the authenticated worker
+   */
+  static async requestOwnLeave(req, res, next) {
+    try {
+      const workerId = req.user.id;
+      const request = await leaveRequestModel.requestOwnLeave(workerId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Leave requested successfully',
+        data: {
+          leaveRequest: formatLeaveRequest(request)
+        }
+      });
+    } catch (error) {
+      const status = requestErrorStatus(error.message);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Own Leave
+   * Returns the authenticated worker's leave requests and balances
+   */
+  static async getOwnLeave(req, res, next) {
+    try {
+      const workerId = req.user.id;
+
+      const [requests, balances] = await Promise.all([
+        leaveRequestModel.getWorkerLeaveRequests(workerId),
+        leaveRequestModel.getBalances(workerId)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Leave retrieved successfully',
+        data: {
+          leaveRequests: requests.map(formatLeaveRequest),
+          balances
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = LeaveController;
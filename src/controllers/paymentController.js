@@ -1,7 +1,30 @@
 const Payment = require('../models/Payment');
+const ProjectMember = require('../models/ProjectMember');
+const Payout = require('../models/Payout');
+const { getProvider } = require('../services/payouts');
 const logger = require('../utils/logger');
+const { lineHours } = require('../utils/hours');
 
 const paymentModel = new Payment();
+const projectMemberModel = new ProjectMember();
+const payoutModel = new Payout();
+
+// Response shape shared by every payout endpoint
+const formatPayout = (payout) => ({
+  id: payout.id,
+  paymentRequestId: payout.payment_request_id,
+  workerId: payout.worker_id,
+  workerName: payout.worker_name,
+  amount: payout.amount,
+  method: payout.method,
+  destination: payout.destination,
+  provider: payout.provider,
+  providerReference: payout.provider_reference,
+  status: payout.status,
+  failureReason: payout.failure_reason,
+  sentAt: payout.sent_at,
+  confirmedAt: payout.confirmed_at
+});
 
 /**
  * Payment Controller
@@ -30,6 +53,8 @@ class PaymentController {
             projectId: paymentRequest.project_id,
             requestDate: paymentRequest.request_date,
             totalAmount: paymentRequest.total_amount,
+            periodStart: paymentRequest.period_start,
+            periodEnd: paymentRequest.period_end,
             status: paymentRequest.status,
             notes: paymentRequest.notes,
             createdAt: paymentRequest.created_at
@@ -39,8 +64,47 @@ class PaymentController {
     } catch (error) {
       if (error.message.includes('not found') || 
           error.message.includes('access denied') ||
-          error.message.includes('already exists')) {
-        return res.status(error.message.includes('already exists') ? 409 : 404).json({
+          error.message.includes('already exists') ||
+          error.message.includes('already covered')) {
+        return res.status(error.message.includes('not found') || error.message.includes('access denied') ? 404 : 409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Generate Payment Request
+   * Builds a draft payment request from attendance for review; nothing is saved
+   * until the draft is submitted through createPaymentRequest
+   */
+  static async generatePaymentRequest(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const draftData = { ...req.body, userId };
+
+      const draft = await paymentModel.generatePaymentRequestDraft(draftData);
+
+      res.json({
+        success: true,
+        message: 'Payment request draft generated successfully',
+        data: {
+          draft
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') ||
+          error.message.includes('access denied') ||
+          error.message.includes('No attendance found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already covered')) {
+        return res.status(409).json({
           success: false,
           message: error.message
         });
@@ -59,21 +123,27 @@ class PaymentController {
       const { 
         page, 
         limit, 
+        filter,
+        sort,
+        cursor,
         projectId, 
         status, 
         startDate, 
         endDate 
       } = req.query;
       
-      const filters = { userId };
-      if (projectId) filters.projectId = parseInt(projectId);
+      const filters = await projectMemberModel.scopeListFilters(
+        userId,
+        projectId ? parseInt(projectId) : null,
+        'payments:view'
+      );
       if (status) filters.status = status;
       if (startDate) filters.startDate = startDate;
       if (endDate) filters.endDate = endDate;
 
       const result = await paymentModel.getPaymentRequests(
         filters, 
-        { page: parseInt(page), limit: parseInt(limit) }
+        { page, limit, filter, sort, cursor }
       );
 
       res.json({
@@ -82,6 +152,12 @@ class PaymentController {
         data: result
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
       next(error);
     }
   }
@@ -126,6 +202,8 @@ class PaymentController {
             position: worker.position,
             daysWorked: worker.days_worked,
             allowancePerDay: worker.allowance_per_day,
+            hourlyRate: worker.hourly_rate,
+            hours: lineHours(worker),
             totalAmount: worker.total_amount
           }))
         }
@@ -144,21 +222,26 @@ class PaymentController {
 
   /**
    * Approve Payment Request
-   * Approves a pending payment request
+   * Records an approval on the current step of the chain; the request becomes
+   * Approved only once every step required for its amount has been approved
    */
   static async approvePaymentRequest(req, res, next) {
     try {
       const userId = req.user.id;
-      const { requestId } = req.body;
+      const { requestId, comment } = req.body;
 
-      const updatedRequest = await paymentModel.approvePaymentRequest(
+      const result = await paymentModel.approvePaymentRequest(
         requestId, 
-        userId
+        userId,
+        comment
       );
+      const updatedRequest = result.paymentRequest;
 
       res.json({
         success: true,
-        message: 'Payment request approved successfully',
+        message: updatedRequest.status === 'Approved'
+          ? 'Payment request approved successfully'
+          : 'Approval recorded. Further approval required',
         data: {
           paymentRequest: {
             id: updatedRequest.id,
@@ -167,6 +250,13 @@ class PaymentController {
             approvedBy: updatedRequest.approved_by,
             approvedAt: updatedRequest.approved_at,
             totalAmount: updatedRequest.total_amount
+          },
+          approval: {
+            step: result.approval.step_order,
+            approverRole: result.approval.approver_role,
+            comment: result.approval.comment,
+            completedSteps: result.completedSteps,
+            requiredSteps: result.requiredSteps
           }
         }
       });
@@ -184,18 +274,19 @@ class PaymentController {
 
   /**
    * Reject Payment Request
-   * Rejects a pending payment request with reason
+   * Rejects a pending payment request with reason at the current approval step
    */
   static async rejectPaymentRequest(req, res, next) {
     try {
       const userId = req.user.id;
       const { requestId, reason } = req.body;
 
-      const updatedRequest = await paymentModel.rejectPaymentRequest(
+      const result = await paymentModel.rejectPaymentRequest(
         requestId, 
         userId,
         reason
       );
+      const updatedRequest = result.paymentRequest;
 
       res.json({
         success: true,
@@ -224,14 +315,64 @@ class PaymentController {
     }
   }
 
+  /**
+   * Get Payment Approval History
+   * Returns the approval steps required for a payment request and every decision recorded
+   */
+  static async getApprovalHistory(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { paymentRequestId } = req.params;
+
+      const result = await paymentModel.getApprovalHistory(parseInt(paymentRequestId), userId);
+
+      res.json({
+        success: true,
+        message: 'Approval history retrieved successfully',
+        data: {
+          paymentRequest: {
+            id: result.paymentRequest.id,
+            requestId: result.paymentRequest.request_id,
+            status: result.paymentRequest.status,
+            totalAmount: result.paymentRequest.total_amount
+          },
+          steps: result.steps.map(step => ({
+            step: step.step_order,
+            approverRole: step.approver_role,
+            minAmount: step.min_amount
+          })),
+          approvals: result.approvals.map(approval => ({
+            id: approval.id,
+            step: approval.step_order,
+            approverId: approval.approver_id,
+            approverName: approval.approver_name,
+            approverRole: approval.approver_role,
+            decision: approval.decision,
+            comment: approval.comment,
+            createdAt: approval.created_at
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Process Payments
-   * Processes multiple approved payment requests
+   * Processes approved payment requests, reporting a result for each ID
+   * (processed, skipped or failed with reason) instead of failing the whole batch
    */
   static async processPayments(req, res, next) {
     try {
       const userId = req.user.id;
-      const { paymentIds } = req.body;
+      const { paymentIds, payoutMethod } = req.body;
 
       if (!Array.isArray(paymentIds) || paymentIds.length === 0) {
         return res.status(400).json({
@@ -240,27 +381,180 @@ class PaymentController {
         });
       }
 
-      const result = await paymentModel.processPayments(paymentIds, userId);
+      const result = await paymentModel.processPayments(paymentIds, userId, payoutMethod);
 
       res.json({
         success: true,
-        message: 'Payments processed successfully',
+        message: result.counts.failed === 0
+          ? 'Payments processed successfully'
+          : 'Payments processed with errors',
         data: {
-          processedCount: result.count,
+          processedCount: result.counts.processed,
+          skippedCount: result.counts.skipped,
+          failedCount: result.counts.failed,
           totalAmount: result.totalAmount,
+          results: result.results,
           processedPayments: result.processedPayments.map(payment => ({
             id: payment.id,
             requestId: payment.request_id,
             status: payment.status,
             totalAmount: payment.total_amount
-          }))
+          })),
+          payouts: result.payouts.map(formatPayout)
         }
       });
     } catch (error) {
-      if (error.message.includes('not found') || 
-          error.message.includes('Access denied') ||
-          error.message.includes('not approved')) {
-        return res.status(error.message.includes('not found') ? 404 : 400).json({
+      next(error);
+    }
+  }
+
+  /**
+   * Get Payouts
+   * Returns the disbursements of a processed payment request
+   */
+  static async getPayouts(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { paymentRequestId } = req.params;
+
+      const payouts = await payoutModel.getPayoutsForPaymentRequest(parseInt(paymentRequestId), userId);
+
+      res.json({
+        success: true,
+        message: 'Payouts retrieved successfully',
+        data: {
+          payouts: payouts.map(formatPayout)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm Cash Payout
+   * Marks a manual (cash) payout as handed to the worker
+   */
+  static async confirmPayout(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { payoutId } = req.params;
+
+      const payout = await payoutModel.confirmManualPayout(parseInt(payoutId), userId);
+
+      res.json({
+        success: true,
+        message: 'Payout confirmed successfully',
+        data: {
+          payout: formatPayout(payout)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('Only cash payouts') ||
+          error.message.includes('Payout is already')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Retry Payout
+   * Queues a failed payout again, with an optional new method or destination, and sends it
+   */
+  static async retryPayout(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { payoutId } = req.params;
+
+      const payout = await payoutModel.retryPayout(parseInt(payoutId), req.body, userId);
+
+      res.json({
+        success: true,
+        message: payout.status === 'Failed' ? 'Payout failed again' : 'Payout sent successfully',
+        data: {
+          payout: formatPayout(payout)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('Payout is already')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Payout Provider Webhook
+   * Receives payout status callbacks; the provider verifies the signature
+   */
+  static async handlePayoutWebhook(req, res, next) {
+    try {
+      const provider = getProvider(req.params.provider);
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payout provider not found'
+        });
+      }
+
+      let event;
+      try {
+        event = provider.parseWebhook(req);
+      } catch (error) {
+        logger.security('payout_webhook_rejected', {
+          provider: provider.name,
+          reason: error.message,
+          ip: req.ip
+        });
+        return res.status(error.message === 'Invalid webhook signature' ? 401 : 400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const payout = await payoutModel.applyProviderStatus(provider.name, event);
+
+      res.json({
+        success: true,
+        message: 'Payout status updated',
+        data: {
+          payout: formatPayout(payout)
+        }
+      });
+    } catch (error) {
+      if (error.message === 'Payout not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('Payout is already')) {
+        return res.status(409).json({
           success: false,
           message: error.message
         });
@@ -307,6 +601,50 @@ class PaymentController {
     }
   }
 
+  /**
+   * Restore Payment Request
+   * Brings back a deleted payment request
+   */
+  static async restorePaymentRequest(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { paymentRequestId } = req.params;
+
+      const paymentRequest = await paymentModel.restorePaymentRequest(
+        parseInt(paymentRequestId),
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: 'Payment request restored successfully',
+        data: {
+          paymentRequest: {
+            id: paymentRequest.id,
+            requestId: paymentRequest.request_id,
+            projectId: paymentRequest.project_id,
+            status: paymentRequest.status,
+            totalAmount: paymentRequest.total_amount
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already covered')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Get Payment Statistics
    * Returns payment statistics with filters
@@ -320,8 +658,11 @@ class PaymentController {
         endDate 
       } = req.query;
       
-      const filters = { userId };
-      if (projectId) filters.projectId = parseInt(projectId);
+      const filters = await projectMemberModel.scopeListFilters(
+        userId,
+        projectId ? parseInt(projectId) : null,
+        'payments:view'
+      );
       if (startDate) filters.startDate = startDate;
       if (endDate) filters.endDate = endDate;
 
@@ -335,6 +676,12 @@ class PaymentController {
         }
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
       next(error);
     }
   }
@@ -346,14 +693,18 @@ class PaymentController {
   static async getApprovedPaymentRequests(req, res, next) {
     try {
       const userId = req.user.id;
-      const { page, limit, projectId } = req.query;
+      const { page, limit, filter, sort, cursor, projectId } = req.query;
       
-      const filters = { userId, status: 'Approved' };
-      if (projectId) filters.projectId = parseInt(projectId);
+      const filters = await projectMemberModel.scopeListFilters(
+        userId,
+        projectId ? parseInt(projectId) : null,
+        'payments:view'
+      );
+      filters.status = 'Approved';
 
       const result = await paymentModel.getPaymentRequests(
         filters, 
-        { page: parseInt(page), limit: parseInt(limit) }
+        { page, limit, filter, sort, cursor }
       );
 
       res.json({
@@ -362,6 +713,12 @@ class PaymentController {
         data: result
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
       next(error);
     }
   }
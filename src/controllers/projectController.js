@@ -1,11 +1,15 @@
 const Project = require('../models/Project');
 const Position = require('../models/Position');
 const MaterialRequest = require('../models/MaterialRequest');
+const MaterialQuote = require('../models/MaterialQuote');
+const ProjectMember = require('../models/ProjectMember');
 const logger = require('../utils/logger');
 
 const projectModel = new Project();
+const projectMemberModel = new ProjectMember();
 const positionModel = new Position();
 const materialRequestModel = new MaterialRequest();
+const materialQuoteModel = new MaterialQuote();
 
 /**
  * Project Controller
@@ -60,7 +64,7 @@ class ProjectController {
   static async getUserProjects(req, res, next) {
     try {
       const userId = req.user.id;
-      const { page, limit, category, status } = req.query;
+      const { page, limit, filter, sort, cursor, category, status } = req.query;
       
       const filters = { userId };
       if (category) filters.category = category;
@@ -68,7 +72,7 @@ class ProjectController {
 
       const result = await projectModel.getProjects(
         filters, 
-        { page: parseInt(page), limit: parseInt(limit) }
+        { page, limit, filter, sort, cursor }
       );
 
       res.json({
@@ -90,8 +94,8 @@ class ProjectController {
       const userId = req.user.id;
       const { projectId } = req.params;
 
-      const project = await projectModel.findById(parseInt(projectId));
-      if (!project || project.user_id !== userId) {
+      const { project, role } = await projectMemberModel.getProjectAccess(parseInt(projectId), userId);
+      if (!project || !role) {
         return res.status(404).json({
           success: false,
           message: 'Project not found'
@@ -113,6 +117,12 @@ class ProjectController {
             endDate: project.end_date,
             budget: project.budget,
             status: project.status,
+            geofence: project.geofence,
+            timezone: project.timezone,
+            shiftStart: project.shift_start,
+            lateGraceMinutes: project.late_grace_minutes,
+            requiredDocumentTypes: project.required_document_types,
+            role,
             createdAt: project.created_at,
             updatedAt: project.updated_at
           }
@@ -161,6 +171,10 @@ class ProjectController {
             endDate: updatedProject.end_date,
             budget: updatedProject.budget,
             status: updatedProject.status,
+            timezone: updatedProject.timezone,
+            shiftStart: updatedProject.shift_start,
+            lateGraceMinutes: updatedProject.late_grace_minutes,
+            requiredDocumentTypes: updatedProject.required_document_types,
             updatedAt: updatedProject.updated_at
           }
         }
@@ -205,6 +219,117 @@ class ProjectController {
     }
   }
 
+  /**
+   * Set Project Geofence
+   * Sets or clears the area that check-ins must fall inside
+   */
+  static async setProjectGeofence(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+
+      const project = await projectModel.setGeofence(
+        parseInt(projectId),
+        req.body.geofence,
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: project.geofence ? 'Project geofence set successfully' : 'Project geofence cleared successfully',
+        data: {
+          project: {
+            id: project.id,
+            name: project.name,
+            geofence: project.geofence
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Project
+   * Deletes a project together with its attendance, payment and material requests
+   */
+  static async deleteProject(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+
+      const deleted = await projectModel.deleteProject(parseInt(projectId), userId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Project deleted successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('processed payments')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Restore Project
+   * Brings back a deleted project and the records deleted with it
+   */
+  static async restoreProject(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+
+      const project = await projectModel.restoreProject(parseInt(projectId), userId);
+
+      res.json({
+        success: true,
+        message: 'Project restored successfully',
+        data: {
+          project: {
+            id: project.id,
+            uuid: project.uuid,
+            name: project.name,
+            status: project.status,
+            updatedAt: project.updated_at
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Assign Supervisor to Project
    * Assigns a supervisor (worker) to a project
@@ -228,6 +353,7 @@ class ProjectController {
             id: assignment.id,
             projectId: assignment.project_id,
             supervisorId: assignment.supervisor_id,
+            accountUserId: assignment.account_user_id,
             assignedAt: assignment.assigned_at
           }
         }
@@ -245,6 +371,117 @@ class ProjectController {
     }
   }
 
+  /**
+   * Get Project Members
+   * Returns the users granted a role on the project
+   */
+  static async getProjectMembers(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+
+      const result = await projectMemberModel.getMembers(parseInt(projectId), userId);
+
+      res.json({
+        success: true,
+        message: 'Project members retrieved successfully',
+        data: {
+          ownerId: result.ownerId,
+          members: result.members.map(member => ({
+            userId: member.user_id,
+            name: member.name,
+            email: member.email,
+            role: member.role,
+            grantedBy: member.granted_by,
+            createdAt: member.created_at,
+            updatedAt: member.updated_at
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Grant Project Role
+   * Grants a user a role on the project, or changes their existing role
+   */
+  static async grantProjectRole(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+
+      const member = await projectMemberModel.grantRole(parseInt(projectId), req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Project role granted successfully',
+        data: {
+          member: {
+            userId: member.user_id,
+            name: member.name,
+            email: member.email,
+            role: member.role,
+            grantedBy: member.granted_by,
+            createdAt: member.created_at,
+            updatedAt: member.updated_at
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already has full access') ||
+          error.message.includes('Invalid project role')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke Project Role
+   * Removes a member from the project
+   */
+  static async revokeProjectRole(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId, memberUserId } = req.params;
+
+      await projectMemberModel.revokeRole(parseInt(projectId), parseInt(memberUserId), userId);
+
+      res.json({
+        success: true,
+        message: 'Project role revoked successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Create Position
    * Creates a new position for authenticated user
@@ -266,6 +503,10 @@ class ProjectController {
             name: position.name,
             description: position.description,
             defaultDailyRate: position.default_daily_rate,
+            hoursPerDay: position.hours_per_day,
+            overtimeMultiplier: position.overtime_multiplier,
+            nightMultiplier: position.night_multiplier,
+            weekendMultiplier: position.weekend_multiplier,
             createdAt: position.created_at
           }
         }
@@ -289,13 +530,13 @@ class ProjectController {
   static async getUserPositions(req, res, next) {
     try {
       const userId = req.user.id;
-      const { page, limit } = req.query;
+      const { page, limit, filter, sort, cursor } = req.query;
       
       const filters = { userId };
 
       const result = await positionModel.getPositions(
         filters, 
-        { page: parseInt(page), limit: parseInt(limit) }
+        { page, limit, filter, sort, cursor }
       );
 
       res.json({
@@ -308,6 +549,122 @@ class ProjectController {
     }
   }
 
+  /**
+   * Update Position
+   * Changes a position's name, daily rate or hours pay settings
+   */
+  static async updatePosition(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { positionId } = req.params;
+
+      const position = await positionModel.updatePosition(parseInt(positionId), req.body, userId);
+
+      res.json({
+        success: true,
+        message: 'Position updated successfully',
+        data: {
+          position: {
+            id: position.id,
+            uuid: position.uuid,
+            name: position.name,
+            description: position.description,
+            defaultDailyRate: position.default_daily_rate,
+            hoursPerDay: position.hours_per_day,
+            overtimeMultiplier: position.overtime_multiplier,
+            nightMultiplier: position.night_multiplier,
+            weekendMultiplier: position.weekend_multiplier,
+            updatedAt: position.updated_at
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') ||
+          error.message.includes('Access denied')) {
+        return res.status(error.message.includes('not found') ? 404 : 403).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Position
+   * Deletes a position that is not used by any project
+   */
+  static async deletePosition(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { positionId } = req.params;
+
+      const deleted = await positionModel.deletePosition(parseInt(positionId), userId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Position not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Position deleted successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found') ||
+          error.message.includes('Cannot delete')) {
+        return res.status(error.message.includes('Cannot delete') ? 409 : 404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Restore Position
+   * Brings back a deleted position
+   */
+  static async restorePosition(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { positionId } = req.params;
+
+      const position = await positionModel.restorePosition(parseInt(positionId), userId);
+
+      res.json({
+        success: true,
+        message: 'Position restored successfully',
+        data: {
+          position: {
+            id: position.id,
+            uuid: position.uuid,
+            name: position.name,
+            description: position.description,
+            defaultDailyRate: position.default_daily_rate
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Request Material
    * Creates a new material request for a project
@@ -398,16 +755,19 @@ class ProjectController {
   static async getMaterialRequests(req, res, next) {
     try {
       const userId = req.user.id;
-      const { page, limit, projectId, status, urgency } = req.query;
+      const { page, limit, filter, sort, cursor, projectId, status, urgency } = req.query;
       
-      const filters = { userId };
-      if (projectId) filters.projectId = parseInt(projectId);
+      const filters = await projectMemberModel.scopeListFilters(
+        userId,
+        projectId ? parseInt(projectId) : null,
+        'materials:view'
+      );
       if (status) filters.status = status;
       if (urgency) filters.urgency = urgency;
 
       const result = await materialRequestModel.getMaterialRequests(
         filters, 
-        { page: parseInt(page), limit: parseInt(limit) }
+        { page, limit, filter, sort, cursor }
       );
 
       res.json({
@@ -416,9 +776,237 @@ class ProjectController {
         data: result
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Material Quotes
+   * Returns seller quotes for one of the user's material requests
+   */
+  static async getMaterialQuotes(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { materialRequestId } = req.params;
+
+      const result = await materialQuoteModel.getQuotesForRequest(
+        parseInt(materialRequestId),
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: 'Material quotes retrieved successfully',
+        data: {
+          materialRequest: {
+            id: result.materialRequest.id,
+            requestId: result.materialRequest.request_id,
+            materialName: result.materialRequest.material_name,
+            status: result.materialRequest.status,
+            deliveryStatus: result.materialRequest.delivery_status,
+            acceptedQuoteId: result.materialRequest.accepted_quote_id
+          },
+          quotes: result.quotes.map(quote => ({
+            id: quote.id,
+            sellerId: quote.seller_id,
+            sellerName: quote.seller_name,
+            sellerEmail: quote.seller_email,
+            sellerPhone: quote.seller_phone,
+            price: quote.price,
+            deliveryDate: quote.delivery_date,
+            notes: quote.notes,
+            status: quote.status,
+            createdAt: quote.created_at
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Accept Material Quote
+   * Awards a material request to the quoting seller at the quoted price
+   */
+  static async acceptMaterialQuote(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { quoteId } = req.body;
+
+      const result = await materialQuoteModel.acceptQuote(parseInt(quoteId), userId);
+
+      res.json({
+        success: true,
+        message: 'Quote accepted successfully',
+        data: {
+          materialRequest: {
+            id: result.materialRequest.id,
+            requestId: result.materialRequest.request_id,
+            sellerId: result.materialRequest.seller_id,
+            acceptedQuoteId: result.materialRequest.accepted_quote_id,
+            agreedPrice: result.materialRequest.agreed_price,
+            deliveryStatus: result.materialRequest.delivery_status
+          },
+          quote: {
+            id: result.quote.id,
+            status: result.quote.status,
+            price: result.quote.price,
+            deliveryDate: result.quote.delivery_date
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already been accepted') ||
+          error.message.includes('no longer open')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm Material Delivery
+   * Marks an ordered material request as delivered
+   */
+  static async confirmMaterialDelivery(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { materialRequestId } = req.params;
+
+      const updatedRequest = await materialRequestModel.updateDeliveryStatus(
+        parseInt(materialRequestId),
+        'Delivered',
+        { type: 'user', id: userId }
+      );
+
+      res.json({
+        success: true,
+        message: 'Material delivery confirmed',
+        data: {
+          materialRequest: {
+            id: updatedRequest.id,
+            requestId: updatedRequest.request_id,
+            deliveryStatus: updatedRequest.delivery_status,
+            updatedAt: updatedRequest.updated_at
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || 
+          error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('can be marked as delivered')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Material Request
+   * Deletes a pending material request
+   */
+  static async deleteMaterialRequest(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { materialRequestId } = req.params;
+
+      const deleted = await materialRequestModel.deleteMaterialRequest(
+        parseInt(materialRequestId),
+        userId
+      );
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Material request not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Material request deleted successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found') ||
+          error.message.includes('Only pending')) {
+        return res.status(error.message.includes('Only pending') ? 400 : 404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Restore Material Request
+   * Brings back a deleted material request
+   */
+  static async restoreMaterialRequest(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { materialRequestId } = req.params;
+
+      const materialRequest = await materialRequestModel.restoreMaterialRequest(
+        parseInt(materialRequestId),
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: 'Material request restored successfully',
+        data: {
+          materialRequest: {
+            id: materialRequest.id,
+            requestId: materialRequest.request_id,
+            projectId: materialRequest.project_id,
+            materialName: materialRequest.material_name,
+            status: materialRequest.status
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
       next(error);
     }
   }
 }
 
-module.exports = ProjectController;
\ No newline at end of file
+module.exports = ProjectController;
@@ -0,0 +1,357 @@
+const Seller = require('../models/Seller');
+const RefreshToken = require('../models/RefreshToken');
+const MaterialRequest = require('../models/MaterialRequest');
+const MaterialQuote = require('../models/MaterialQuote');
+const logger = require('../utils/logger');
+
+const refreshTokenModel = new RefreshToken();
+const materialRequestModel = new MaterialRequest();
+const materialQuoteModel = new MaterialQuote();
+
+/**
+ * Seller Controller
+ * Handles HTTP requests for seller authentication and self-service
+ */
+class SellerController {
+  /**
+   * Seller Login
+   * Authenticates seller credentials and returns seller-scoped tokens
+   */
+  static async login(req, res, next) {
+    try {
+      const { email, password } = req.body;
+
+      const { seller, token } = await Seller.authenticateSeller(email, password);
+      const { token: refreshToken } = await refreshTokenModel.issueToken('seller', seller);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          seller: {
+            id: seller.id,
+            uuid: seller.uuid,
+            name: seller.name,
+            email: seller.email,
+            phone: seller.phone,
+            role: 'seller'
+          },
+          token,
+          refreshToken
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('Invalid email or password') ||
+          error.message.includes('Account is deactivated')) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Seller Profile
+   * Returns authenticated seller's profile information
+   */
+  static async getProfile(req, res, next) {
+    try {
+      const sellerId = req.user.id;
+
+      const seller = await Seller.findById(sellerId);
+      if (!seller) {
+        return res.status(404).json({
+          success: false,
+          message: 'Seller not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Profile retrieved successfully',
+        data: {
+          seller: {
+            id: seller.id,
+            uuid: seller.uuid,
+            name: seller.name,
+            email: seller.email,
+            phone: seller.phone,
+            role: seller.role,
+            isActive: seller.is_active,
+            createdAt: seller.created_at,
+            updatedAt: seller.updated_at
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update Seller Profile
+   * Updates authenticated seller's profile information
+   */
+  static async updateProfile(req, res, next) {
+    try {
+      const sellerId = req.user.id;
+      const { name, email, phone } = req.body;
+
+      const updateData = {};
+      if (name !== undefined) updateData.name = name;
+      if (email !== undefined) updateData.email = email;
+      if (phone !== undefined) updateData.phone = phone;
+
+      if (email) {
+        const existingSeller = await Seller.findByEmail(email);
+        if (existingSeller && existingSeller.id !== sellerId) {
+          return res.status(409).json({
+            success: false,
+            message: 'Seller with this email already exists'
+          });
+        }
+      }
+
+      const updatedSeller = await Seller.updateProfile(sellerId, updateData);
+      if (!updatedSeller) {
+        return res.status(404).json({
+          success: false,
+          message: 'Seller not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Profile updated successfully',
+        data: {
+          seller: {
+            id: updatedSeller.id,
+            uuid: updatedSeller.uuid,
+            name: updatedSeller.name,
+            email: updatedSeller.email,
+            phone: updatedSeller.phone,
+            role: updatedSeller.role,
+            updatedAt: updatedSeller.updated_at
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change Seller Password
+   * Verifies the current password and sets a new one
+   */
+  static async changePassword(req, res, next) {
+    try {
+      const sellerId = req.user.id;
+      const { currentPassword, newPassword } = req.body;
+
+      await Seller.changePassword(sellerId, currentPassword, newPassword);
+
+      // Force other sessions to log in again with the new password
+      await refreshTokenModel.revokeSubject('seller', sellerId);
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully'
+      });
+    } catch (error) {
+      if (error.message === 'Seller not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message === 'Current password is incorrect') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate Seller (Admin only)
+   * Deactivates a seller account and revokes its refresh tokens
+   */
+  static async deactivateSeller(req, res, next) {
+    try {
+      const { sellerId } = req.params;
+
+      const deactivated = await Seller.deactivateSeller(parseInt(sellerId));
+      if (!deactivated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Seller not found'
+        });
+      }
+
+      await refreshTokenModel.revokeSubject('seller', parseInt(sellerId));
+
+      logger.security('seller_deactivated_by_admin', {
+        sellerId: parseInt(sellerId),
+        adminId: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Seller deactivated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Open Material Requests
+   * Returns published material requests sellers can quote on
+   */
+  static async getOpenMaterialRequests(req, res, next) {
+    try {
+      const { page, limit, filter, sort, cursor, urgency } = req.query;
+
+      const filters = {};
+      if (urgency) filters.urgency = urgency;
+
+      const result = await materialRequestModel.getOpenRequestsForSellers(
+        filters,
+        { page, limit, filter, sort, cursor }
+      );
+
+      res.json({
+        success: true,
+        message: 'Open material requests retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Submit Quote
+   * Submits or revises the seller's quote for a material request
+   */
+  static async submitQuote(req, res, next) {
+    try {
+      const sellerId = req.user.id;
+      const { materialRequestId } = req.params;
+
+      const quote = await materialQuoteModel.submitQuote({
+        ...req.body,
+        sellerId,
+        materialRequestId: parseInt(materialRequestId)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Quote submitted successfully',
+        data: {
+          quote: {
+            id: quote.id,
+            uuid: quote.uuid,
+            materialRequestId: quote.material_request_id,
+            price: quote.price,
+            deliveryDate: quote.delivery_date,
+            notes: quote.notes,
+            status: quote.status,
+            createdAt: quote.created_at,
+            updatedAt: quote.updated_at
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('no longer open') ||
+          error.message.includes('can no longer be revised')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Seller Quotes
+   * Returns the authenticated seller's quotes
+   */
+  static async getQuotes(req, res, next) {
+    try {
+      const sellerId = req.user.id;
+      const { page, limit, filter, sort, cursor } = req.query;
+
+      const result = await materialQuoteModel.getSellerQuotes(
+        sellerId,
+        { page, limit, filter, sort, cursor }
+      );
+
+      res.json({
+        success: true,
+        message: 'Quotes retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark Order Dispatched
+   * Marks a material request awarded to the seller as dispatched
+   */
+  static async markOrderDispatched(req, res, next) {
+    try {
+      const sellerId = req.user.id;
+      const { materialRequestId } = req.params;
+
+      const updatedRequest = await materialRequestModel.updateDeliveryStatus(
+        parseInt(materialRequestId),
+        'Dispatched',
+        { type: 'seller', id: sellerId }
+      );
+
+      res.json({
+        success: true,
+        message: 'Order marked as dispatched',
+        data: {
+          materialRequest: {
+            id: updatedRequest.id,
+            requestId: updatedRequest.request_id,
+            deliveryStatus: updatedRequest.delivery_status,
+            updatedAt: updatedRequest.updated_at
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('can only mark')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = SellerController;
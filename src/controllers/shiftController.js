@@ -0,0 +1,301 @@
+const Shift = require('../models/Shift');
+
+const shiftModel = new Shift();
+
+// Response shape for shift templates
+const formatShift = (shift) => ({
+  id: shift.id,
+  uuid: shift.uuid,
+  projectId: shift.project_id,
+  name: shift.name,
+  startTime: shift.start_time,
+  endTime: shift.end_time,
+  breakMinutes: shift.break_minutes,
+  daysOfWeek: shift.days_of_week,
+  createdAt: shift.created_at,
+  updatedAt: shift.updated_at
+});
+
+/**
+ * Shift Controller
+ * Handles HTTP requests for shift templates, rosters and roster reports
+ */
+class ShiftController {
+  /**
+   * Get Project Shifts
+   * Lists the shift templates defined on a project
+   */
+  static async getProjectShifts(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+
+      const shifts = await shiftModel.getProjectShifts(parseInt(projectId), userId);
+
+      res.json({
+        success: true,
+        message: 'Shifts retrieved successfully',
+        data: {
+          shifts: shifts.map(formatShift)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Create Shift
+   * Defines a shift template (times, break, days of week) on a project
+   */
+  static async createShift(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+
+      const shift = await shiftModel.createShift(parseInt(projectId), req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Shift created successfully',
+        data: {
+          shift: formatShift(shift)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') ||
+          error.message.includes('already exists')) {
+        return res.status(error.message.includes('already exists') ? 409 : 404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Update Shift
+   * Changes a shift template; refused when it would double-book a rostered worker
+   */
+  static async updateShift(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId, shiftId } = req.params;
+
+      const shift = await shiftModel.updateShift(
+        parseInt(projectId),
+        parseInt(shiftId),
+        req.body,
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: 'Shift updated successfully',
+        data: {
+          shift: formatShift(shift)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already exists') ||
+          error.message.includes('already rostered')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Shift
+   * Removes a shift template and its roster
+   */
+  static async deleteShift(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId, shiftId } = req.params;
+
+      await shiftModel.deleteShift(parseInt(projectId), parseInt(shiftId), userId);
+
+      res.json({
+        success: true,
+        message: 'Shift deleted successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Assign Shift Workers
+   * Rosters workers onto a shift for a date range
+   */
+  static async assignWorkers(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId, shiftId } = req.params;
+
+      const assignments = await shiftModel.assignWorkers(
+        parseInt(projectId),
+        parseInt(shiftId),
+        req.body,
+        userId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Workers rostered successfully',
+        data: {
+          assignments: assignments.map(assignment => ({
+            id: assignment.id,
+            shiftId: assignment.shift_id,
+            workerId: assignment.worker_id,
+            startDate: assignment.start_date,
+            endDate: assignment.end_date
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already rostered')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('date range')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Remove Shift Assignment
+   * Takes a worker off a shift
+   */
+  static async removeAssignment(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId, assignmentId } = req.params;
+
+      await shiftModel.removeAssignment(parseInt(projectId), parseInt(assignmentId), userId);
+
+      res.json({
+        success: true,
+        message: 'Shift assignment removed successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Roster
+   * Lists scheduled shift days on a project between two dates
+   */
+  static async getRoster(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+      const { from, to } = req.query;
+
+      const roster = await shiftModel.getRoster(parseInt(projectId), { from, to }, userId);
+
+      res.json({
+        success: true,
+        message: 'Roster retrieved successfully',
+        data: {
+          roster
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('date range') ||
+          error.message.includes('Date range')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Roster Report
+   * Compares attendance with the roster: lateness, no-shows and unscheduled work
+   */
+  static async getRosterReport(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { projectId } = req.params;
+      const { from, to } = req.query;
+
+      const report = await shiftModel.getRosterReport(parseInt(projectId), { from, to }, userId);
+
+      res.json({
+        success: true,
+        message: 'Roster report generated successfully',
+        data: report
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('date range') ||
+          error.message.includes('Date range')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = ShiftController;
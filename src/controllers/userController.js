@@ -2,6 +2,8 @@ const User = require('../models/User');
 const userModel = new User();
 const Worker = require('../models/Worker');
 const Seller = require('../models/Seller');
+const RefreshToken = require('../models/RefreshToken');
+const refreshTokenModel = new RefreshToken();
 const AuthUtils = require('../utils/auth');
 const logger = require('../utils/logger');
 
@@ -67,6 +69,7 @@ class UserController {
 
       // Authenticate user using model
       const { user, token } = await userModel.authenticateUser(email, password);
+      const { token: refreshToken } = await refreshTokenModel.issueToken('user', user);
 
       res.json({
         success: true,
@@ -81,7 +84,8 @@ class UserController {
             category: user.category,
             role: user.role
           },
-          token
+          token,
+          refreshToken
         }
       });
     } catch (error) {
@@ -96,6 +100,62 @@ class UserController {
     }
   }
 
+  /**
+   * Refresh Token
+   * Rotates a refresh token and returns a new access token
+   */
+  static async refreshToken(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = await refreshTokenModel.rotateToken(refreshToken);
+
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: result.token,
+          refreshToken: result.refreshToken
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('Invalid or expired refresh token') ||
+          error.message.includes('already been used') ||
+          error.message.includes('Account is deactivated')) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Logout
+   * Revokes the refresh token and every token rotated from the same login
+   */
+  static async logout(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      await refreshTokenModel.revokeToken(refreshToken);
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('Invalid or expired refresh token')) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Create Worker
    * Creates a new worker record associated with a user
@@ -134,6 +194,33 @@ class UserController {
     }
   }
 
+  /**
+   * Set Worker PIN
+   * Sets the PIN one of the user's workers logs in with
+   */
+  static async setWorkerPin(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+      const { pin } = req.body;
+
+      await Worker.setPin(parseInt(workerId), pin, userId);
+
+      res.json({
+        success: true,
+        message: 'Worker PIN set successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Create Worker with Card
    * Creates a worker with card ID and assigns to project
@@ -175,7 +262,8 @@ class UserController {
           message: error.message
         });
       }
-      if (error.message === 'Worker with this card ID already exists') {
+      if (error.message === 'Worker with this card ID already exists' ||
+          error.message.startsWith('Project requires documents')) {
         return res.status(409).json({
           success: false,
           message: error.message
@@ -284,14 +372,14 @@ class UserController {
    */
   static async getUsers(req, res, next) {
     try {
-      const { page, limit, category, role, is_active } = req.query;
+      const { page, limit, filter, sort, cursor, category, role, is_active } = req.query;
       
       const filters = {};
       if (category) filters.category = category;
       if (role) filters.role = role;
       if (is_active !== undefined) filters.is_active = is_active === 'true';
 
-      const result = await userModel.getUsers(filters, { page: parseInt(page), limit: parseInt(limit) });
+      const result = await userModel.getUsers(filters, { page, limit, filter, sort, cursor });
 
       res.json({
         success: true,
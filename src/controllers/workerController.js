@@ -0,0 +1,686 @@
+const Worker = require('../models/Worker');
+const Attendance = require('../models/Attendance');
+const Payment = require('../models/Payment');
+const WorkerMerge = require('../models/WorkerMerge');
+const workerImport = require('../services/workerImport');
+const { lineHours } = require('../utils/hours');
+
+const attendanceModel = new Attendance();
+const paymentModel = new Payment();
+const workerMergeModel = new WorkerMerge();
+
+// Response shape for a recorded merge
+const formatMerge = (merge) => ({
+  id: merge.id,
+  survivorId: merge.survivor_id,
+  mergedWorkerId: merge.merged_worker_id,
+  mergedWorker: merge.merged_worker,
+  movedRecords: merge.moved_records,
+  filledFields: merge.filled_fields,
+  mergedBy: merge.merged_by,
+  mergedByName: merge.merged_by_name,
+  createdAt: merge.created_at
+});
+
+// Response shape for workers managed by their employer
+const formatWorker = (worker) => ({
+  id: worker.id,
+  uuid: worker.uuid,
+  cardId: worker.card_id,
+  fullname: worker.fullname,
+  phone: worker.phone,
+  email: worker.email,
+  position: worker.position,
+  positionId: worker.position_id,
+  positionName: worker.position_name,
+  bankAccount: worker.bank_account,
+  idPassport: worker.id_passport,
+  nationalId: worker.national_id,
+  address: worker.address,
+  salary: worker.salary,
+  isActive: worker.is_active,
+  hasPin: worker.has_pin,
+  createdAt: worker.created_at,
+  updatedAt: worker.updated_at
+});
+
+/**
+ * Worker Controller
+ * Handles HTTP requests for worker self-service (login, attendance, payslips)
+ * and for employers managing their workers and project assignments
+ */
+class WorkerController {
+  /**
+   * Worker Login
+   * Authenticates a worker by phone or card ID plus PIN and returns a worker-scoped token
+   */
+  static async login(req, res, next) {
+    try {
+      const { worker, token } = await Worker.authenticateWorker(req.body);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          worker: {
+            id: worker.id,
+            uuid: worker.uuid,
+            fullname: worker.fullname,
+            phone: worker.phone,
+            cardId: worker.card_id,
+            role: 'worker'
+          },
+          token
+        }
+      });
+    } catch (error) {
+      if (error.message === 'Invalid credentials') {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('Too many failed PIN attempts')) {
+        return res.status(429).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Worker Profile
+   * Returns the authenticated worker's profile and project assignments
+   */
+  static async getProfile(req, res, next) {
+    try {
+      const workerId = req.user.id;
+
+      const worker = await Worker.findById(workerId);
+      if (!worker || !worker.is_active) {
+        return res.status(404).json({
+          success: false,
+          message: 'Worker not found'
+        });
+      }
+
+      const projects = await Worker.getWorkerProjects(workerId);
+
+      res.json({
+        success: true,
+        message: 'Profile retrieved successfully',
+        data: {
+          worker: {
+            id: worker.id,
+            uuid: worker.uuid,
+            fullname: worker.fullname,
+            phone: worker.phone,
+            email: worker.email,
+            cardId: worker.card_id,
+            position: worker.position
+          },
+          projects: projects.map(project => ({
+            id: project.id,
+            name: project.name,
+            status: project.status,
+            assignedAt: project.assigned_at,
+            isActive: project.is_active
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Own Attendance
+   * Returns the worker's attendance records with ratings and comments
+   */
+  static async getAttendance(req, res, next) {
+    try {
+      const workerId = req.user.id;
+      const { projectId } = req.query;
+
+      const records = projectId
+        ? await attendanceModel.findByWorkerAndProject(workerId, parseInt(projectId))
+        : await attendanceModel.findWhere({ worker_id: workerId }, { orderBy: 'date DESC' });
+
+      res.json({
+        success: true,
+        message: 'Attendance records retrieved successfully',
+        data: {
+          attendanceRecords: records.map(record => ({
+            id: record.id,
+            projectId: record.project_id,
+            date: record.date,
+            checkIn: record.check_in,
+            checkOut: record.check_out,
+            status: record.status,
+            rating: record.rating,
+            comments: record.comments
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Own Payments
+   * Returns every payment request line for the worker (payslip view)
+   */
+  static async getPayments(req, res, next) {
+    try {
+      const workerId = req.user.id;
+      const { page, limit, filter, sort, cursor } = req.query;
+
+      const result = await paymentModel.getWorkerPaymentLines(
+        workerId,
+        { page, limit, filter, sort, cursor }
+      );
+
+      res.json({
+        success: true,
+        message: 'Payments retrieved successfully',
+        data: {
+          payments: result.paymentLines.map(line => ({
+            id: line.id,
+            requestId: line.request_id,
+            projectId: line.project_id,
+            projectName: line.project_name,
+            requestDate: line.request_date,
+            daysWorked: line.days_worked,
+            allowancePerDay: line.allowance_per_day,
+            hourlyRate: line.hourly_rate,
+            hours: lineHours(line),
+            totalAmount: line.total_amount,
+            status: line.status,
+            approvedAt: line.approved_at,
+            updatedAt: line.updated_at
+          })),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change Worker PIN
+   * Verifies the current PIN and sets a new one
+   */
+  static async changePin(req, res, next) {
+    try {
+      const workerId = req.user.id;
+      const { currentPin, newPin } = req.body;
+
+      await Worker.changePin(workerId, currentPin, newPin);
+
+      res.json({
+        success: true,
+        message: 'PIN changed successfully'
+      });
+    } catch (error) {
+      if (error.message === 'Worker not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message === 'Current PIN is incorrect') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Workers
+   * Lists the user's workers, searchable by name, phone or card ID
+   */
+  static async getWorkers(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { page, limit, filter, sort, cursor, search, projectId, isActive } = req.query;
+
+      const result = await Worker.getWorkersByUser(
+        userId,
+        { search, projectId: projectId ? parseInt(projectId) : null, isActive },
+        { page, limit, filter, sort, cursor }
+      );
+
+      res.json({
+        success: true,
+        message: 'Workers retrieved successfully',
+        data: {
+          workers: result.workers.map(formatWorker),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('cannot exceed')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Import Workers
+   * Validates a CSV or XLSX file of workers and creates them all, or reports every row error
+   */
+  static async importWorkers(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const report = await workerImport.importWorkers(req.body, userId);
+
+      if (report.dryRun || report.errors.length > 0) {
+        const status = report.dryRun ? 200 : 400;
+        return res.status(status).json({
+          success: report.dryRun,
+          message: report.errors.length > 0
+            ? `${new Set(report.errors.map(error => error.row)).size} of ${report.rowCount} rows have errors; no workers were imported`
+            : `All ${report.rowCount} rows are valid`,
+          data: {
+            dryRun: report.dryRun,
+            rowCount: report.rowCount,
+            valid: report.errors.length === 0,
+            errors: report.errors
+          }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${report.workers.length} workers imported successfully`,
+        data: {
+          imported: report.workers.length,
+          projectId: req.body.projectId || null,
+          workers: report.workers.map(formatWorker)
+        }
+      });
+    } catch (error) {
+      if (error.message.startsWith('Import file') || error.message.startsWith('Invalid')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already exists') || error.message.includes('requires documents')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Worker by ID
+   * Returns one of the user's workers with their current projects
+   */
+  static async getWorkerById(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+
+      const worker = await Worker.getWorkerForUser(parseInt(workerId), userId);
+
+      res.json({
+        success: true,
+        message: 'Worker retrieved successfully',
+        data: {
+          worker: formatWorker(worker),
+          projects: worker.projects.map(project => ({
+            id: project.id,
+            name: project.name,
+            status: project.status,
+            assignedAt: project.assigned_at
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Update Worker
+   * Updates the details of one of the user's workers
+   */
+  static async updateWorker(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+
+      const worker = await Worker.updateWorker(parseInt(workerId), req.body, userId);
+      if (!worker) {
+        return res.status(404).json({
+          success: false,
+          message: 'Worker not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Worker updated successfully',
+        data: {
+          worker: formatWorker(worker)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate Worker
+   * Stops the worker logging in or being assigned; records and assignments stay
+   */
+  static async deactivateWorker(req, res, next) {
+    return WorkerController._setActive(req, res, next, false);
+  }
+
+  /**
+   * Activate Worker
+   * Reactivates a deactivated worker
+   */
+  static async activateWorker(req, res, next) {
+    return WorkerController._setActive(req, res, next, true);
+  }
+
+  /**
+   * Assign Worker to Project
+   * Starts a new assignment of the worker on one of the user's projects
+   */
+  static async assignToProject(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+      const { projectId } = req.body;
+
+      const assignment = await Worker.assignToProject(parseInt(workerId), projectId, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Worker assigned to project successfully',
+        data: {
+          assignment: {
+            id: assignment.id,
+            workerId: assignment.worker_id,
+            projectId: assignment.project_id,
+            assignedAt: assignment.assigned_at,
+            isActive: assignment.is_active
+          }
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already assigned') || error.message.includes('inactive') ||
+          error.message.includes('lacks required documents')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Remove Worker from Project
+   * Ends the worker's current assignment on a project
+   */
+  static async removeFromProject(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId, projectId } = req.params;
+
+      const removed = await Worker.removeFromProject(parseInt(workerId), parseInt(projectId), userId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Worker is not assigned to this project'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Worker removed from project successfully'
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Assignment History
+   * Lists every project assignment of a worker, current and ended
+   */
+  static async getAssignmentHistory(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+
+      const assignments = await Worker.getAssignmentHistory(parseInt(workerId), userId);
+
+      res.json({
+        success: true,
+        message: 'Assignment history retrieved successfully',
+        data: {
+          assignments: assignments.map(assignment => ({
+            id: assignment.id,
+            projectId: assignment.project_id,
+            projectName: assignment.project_name,
+            projectStatus: assignment.project_status,
+            projectDeleted: assignment.project_deleted,
+            assignedAt: assignment.assigned_at,
+            removedAt: assignment.removed_at,
+            isActive: assignment.is_active
+          }))
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Find Duplicate Workers
+   * Scores the user's workers for likely duplicates by national ID, phone and name
+   */
+  static async findDuplicates(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { minScore } = req.query;
+
+      const result = await workerMergeModel.findDuplicates(
+        userId,
+        minScore !== undefined ? { minScore: parseFloat(minScore) } : {}
+      );
+
+      res.json({
+        success: true,
+        message: 'Duplicate workers retrieved successfully',
+        data: {
+          scanned: result.scanned,
+          truncated: result.truncated,
+          duplicates: result.pairs.map(pair => ({
+            score: pair.score,
+            reasons: pair.reasons,
+            nameSimilarity: pair.nameSimilarity,
+            workers: pair.workers.map(worker => ({
+              id: worker.id,
+              cardId: worker.card_id,
+              fullname: worker.fullname,
+              phone: worker.phone,
+              nationalId: worker.national_id,
+              isActive: worker.is_active,
+              createdAt: worker.created_at
+            }))
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Merge Workers
+   * Moves a duplicate's attendance, assignments and payment lines to this worker and retires the duplicate
+   */
+  static async mergeWorkers(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+      const { duplicateId } = req.body;
+
+      const merge = await workerMergeModel.mergeWorkers(parseInt(workerId), duplicateId, userId);
+
+      res.json({
+        success: true,
+        message: 'Workers merged successfully',
+        data: {
+          merge: formatMerge(merge)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('into itself')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already have attendance')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Merge History
+   * Lists the duplicates merged into a worker, with what each merge moved
+   */
+  static async getMerges(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+
+      const merges = await workerMergeModel.getMerges(parseInt(workerId), userId);
+
+      res.json({
+        success: true,
+        message: 'Merge history retrieved successfully',
+        data: {
+          merges: merges.map(formatMerge)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  // Shared by deactivate and activate
+  static async _setActive(req, res, next, isActive) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+
+      const worker = await Worker.setActive(parseInt(workerId), isActive, userId);
+
+      res.json({
+        success: true,
+        message: isActive ? 'Worker activated successfully' : 'Worker deactivated successfully',
+        data: {
+          worker: formatWorker(worker)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.message.includes('already')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = WorkerController;
@@ -0,0 +1,231 @@
+const WorkerDocument = require('../models/WorkerDocument');
+
+const workerDocumentModel = new WorkerDocument();
+
+const DEFAULT_EXPIRING_DAYS = 30;
+
+// Response shape for worker documents
+const formatDocument = (document) => ({
+  id: document.id,
+  uuid: document.uuid,
+  workerId: document.worker_id,
+  workerName: document.worker_name,
+  workerCardId: document.worker_card_id,
+  documentType: document.document_type,
+  title: document.title,
+  documentNumber: document.document_number,
+  issuedAt: document.issued_at,
+  expiresAt: document.expires_at,
+  daysLeft: document.days_left,
+  fileName: document.file_name,
+  mimeType: document.mime_type,
+  sizeBytes: document.size_bytes,
+  checksum: document.checksum,
+  status: document.status,
+  rejectionReason: document.rejection_reason,
+  verifiedBy: document.verified_by,
+  verifiedAt: document.verified_at,
+  uploadedBy: document.uploaded_by,
+  createdAt: document.created_at
+});
+
+// Errors shared by every document endpoint
+const documentErrorStatus = (message) => {
+  if (message.includes('not found') || message.includes('access denied')) {
+    return 404;
+  }
+  if (message.startsWith('Invalid document')) {
+    return 400;
+  }
+  return null;
+};
+
+/**
+ * Worker Document Controller
+ * Handles HTTP requests for worker documents and certifications, their verification and expiry
+ */
+class WorkerDocumentController {
+  /**
+   * Upload Document
+   * Stores a document of one of the user's workers, pending verification
+   */
+  static async uploadDocument(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+
+      const document = await workerDocumentModel.uploadDocument(parseInt(workerId), req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Document uploaded successfully',
+        data: {
+          document: formatDocument(document)
+        }
+      });
+    } catch (error) {
+      const status = documentErrorStatus(error.message);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Documents
+   * Lists every document of a worker, newest first
+   */
+  static async getDocuments(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId } = req.params;
+
+      const documents = await workerDocumentModel.getDocuments(parseInt(workerId), userId);
+
+      res.json({
+        success: true,
+        message: 'Documents retrieved successfully',
+        data: {
+          documents: documents.map(formatDocument)
+        }
+      });
+    } catch (error) {
+      const status = documentErrorStatus(error.message);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Download Document
+   * Sends the stored file of a document
+   */
+  static async downloadDocument(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId, documentId } = req.params;
+
+      const { document, content } = await workerDocumentModel.getDocumentFile(
+        parseInt(workerId),
+        parseInt(documentId),
+        userId
+      );
+
+      res.set({
+        'Content-Type': document.mime_type,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(document.file_name)}`
+      });
+      res.send(content);
+    } catch (error) {
+      const status = documentErrorStatus(error.message);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Verify Document
+   * Marks a document Verified or Rejected with a reason
+   */
+  static async verifyDocument(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId, documentId } = req.params;
+
+      const document = await workerDocumentModel.verifyDocument(
+        parseInt(workerId),
+        parseInt(documentId),
+        req.body,
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: document.status === 'Verified' ? 'Document verified successfully' : 'Document rejected successfully',
+        data: {
+          document: formatDocument(document)
+        }
+      });
+    } catch (error) {
+      const status = documentErrorStatus(error.message);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Delete Document
+   * Deletes a document and its stored file
+   */
+  static async deleteDocument(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { workerId, documentId } = req.params;
+
+      await workerDocumentModel.deleteDocument(parseInt(workerId), parseInt(documentId), userId);
+
+      res.json({
+        success: true,
+        message: 'Document deleted successfully'
+      });
+    } catch (error) {
+      const status = documentErrorStatus(error.message);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get Expiring Documents
+   * Lists the user's workers' documents expiring within a number of days (default 30)
+   */
+  static async getExpiringDocuments(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { days, projectId, documentType, includeExpired } = req.query;
+
+      const documents = await workerDocumentModel.getExpiringDocuments(userId, {
+        days: days !== undefined ? parseInt(days) : DEFAULT_EXPIRING_DAYS,
+        projectId: projectId ? parseInt(projectId) : null,
+        documentType: documentType || null,
+        includeExpired: String(includeExpired).toLowerCase() === 'true'
+      });
+
+      res.json({
+        success: true,
+        message: 'Expiring documents retrieved successfully',
+        data: {
+          documents: documents.map(formatDocument)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = WorkerDocumentController;
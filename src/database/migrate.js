@@ -1,25 +1,77 @@
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
 const db = require('../config/database');
+const Migrator = require('./migrator');
 const logger = require('../utils/logger');
 
-async function runMigrations() {
-  try {
-    logger.info('Starting database migrations...');
+/**
+ * Migration CLI
+ * Usage:
+ *   node src/database/migrate.js up            Apply pending migrations (default)
+ *   node src/database/migrate.js down [N]      Roll back the last N migrations (default 1)
+ *   node src/database/migrate.js status        List applied and pending migrations
+ *   node src/database/migrate.js baseline N    Mark migrations up to N as applied without running them
+ */
 
-    // Read and execute schema
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
+const parseCount = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw new Error(`Expected a positive number, got "${value}"`);
+  }
 
-    await db.query(schema);
+  return parseInt(value, 10);
+};
 
-    logger.info('Database migrations completed successfully');
-    process.exit(0);
+async function runMigrations() {
+  const [command = 'up', argument] = process.argv.slice(2);
+  const migrator = new Migrator(db);
+  let exitCode = 0;
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.up();
+        logger.info(applied.length > 0
+          ? `Applied ${applied.length} migration(s): ${applied.join(', ')}`
+          : 'Database is up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrator.down(parseCount(argument, 1));
+        logger.info(reverted.length > 0
+          ? `Reverted ${reverted.length} migration(s): ${reverted.join(', ')}`
+          : 'No applied migrations to revert');
+        break;
+      }
+      case 'status': {
+        const rows = await migrator.status();
+        rows.forEach(row => {
+          const checksum = row.checksumMatches === false ? ' (checksum mismatch)' : '';
+          logger.info(`${String(row.version).padStart(3, '0')}_${row.name}: ${row.state}${checksum}`);
+        });
+        break;
+      }
+      case 'baseline': {
+        if (argument === undefined) {
+          throw new Error('baseline requires the last version to mark as applied');
+        }
+        const baselined = await migrator.baseline(parseCount(argument));
+        logger.info(`Baselined ${baselined.length} migration(s)`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown migration command "${command}". Use up, down [N], status or baseline N.`);
+    }
   } catch (error) {
-    logger.error('Migration failed', { error: error.message });
-    process.exit(1);
+    logger.error('Migration failed', { command, error: error.message });
+    exitCode = 1;
+  } finally {
+    await db.close();
   }
+
+  process.exit(exitCode);
 }
 
-runMigrations();
\ No newline at end of file
+runMigrations();
@@ -0,0 +1,28 @@
+-- Migration 001 rollback: drop the initial schema
+
+DROP TABLE IF EXISTS
+    sellers,
+    material_requests,
+    payment_request_workers,
+    payment_requests,
+    attendance,
+    project_supervisors,
+    project_workers,
+    workers,
+    project_positions,
+    projects,
+    positions,
+    companies,
+    users
+CASCADE;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+DROP TYPE IF EXISTS
+    urgency_level,
+    payment_status,
+    attendance_status,
+    project_status,
+    project_category,
+    worker_position,
+    user_category;
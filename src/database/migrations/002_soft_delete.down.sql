@@ -0,0 +1,23 @@
+-- Migration 002 rollback: soft-deleted rows become visible again
+
+-- Deleted attendance that a live record replaced would break the restored unique constraint
+DELETE FROM attendance deleted
+WHERE deleted.deleted_at IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM attendance live
+    WHERE live.deleted_at IS NULL
+      AND live.worker_id = deleted.worker_id
+      AND live.project_id = deleted.project_id
+      AND live.date = deleted.date
+  );
+
+DROP INDEX IF EXISTS idx_attendance_worker_project_date_live;
+ALTER TABLE attendance ADD CONSTRAINT attendance_worker_id_project_id_date_key UNIQUE (worker_id, project_id, date);
+
+ALTER TABLE companies DROP COLUMN deleted_at;
+ALTER TABLE positions DROP COLUMN deleted_at;
+ALTER TABLE projects DROP COLUMN deleted_at;
+ALTER TABLE workers DROP COLUMN deleted_at;
+ALTER TABLE attendance DROP COLUMN deleted_at;
+ALTER TABLE payment_requests DROP COLUMN deleted_at;
+ALTER TABLE material_requests DROP COLUMN deleted_at;
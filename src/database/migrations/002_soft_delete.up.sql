@@ -0,0 +1,24 @@
+-- Migration 002: soft delete for domain entities
+-- Deleted rows keep their history; they are hidden by default and purged after the retention window
+
+ALTER TABLE companies ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE positions ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE projects ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE workers ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE attendance ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payment_requests ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE material_requests ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- A deleted attendance record must not block re-marking the same day
+ALTER TABLE attendance DROP CONSTRAINT attendance_worker_id_project_id_date_key;
+CREATE UNIQUE INDEX idx_attendance_worker_project_date_live
+    ON attendance(worker_id, project_id, date) WHERE deleted_at IS NULL;
+
+-- Purge scans rows deleted before the retention cutoff
+CREATE INDEX idx_companies_deleted_at ON companies(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_positions_deleted_at ON positions(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_projects_deleted_at ON projects(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_workers_deleted_at ON workers(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_attendance_deleted_at ON attendance(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_payment_requests_deleted_at ON payment_requests(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_material_requests_deleted_at ON material_requests(deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Migration 003 rollback: the audit history is dropped with the table
+
+DROP TRIGGER IF EXISTS audit_log_append ON audit_log;
+DROP TRIGGER IF EXISTS audit_log_reject_change ON audit_log;
+DROP FUNCTION IF EXISTS audit_log_append();
+DROP FUNCTION IF EXISTS audit_log_reject_change();
+DROP FUNCTION IF EXISTS audit_log_hash(audit_log);
+DROP FUNCTION IF EXISTS audit_log_strip(JSONB);
+DROP TABLE IF EXISTS audit_log;
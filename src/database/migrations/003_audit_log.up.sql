@@ -0,0 +1,95 @@
+-- Migration 003: tamper-evident audit log
+-- Each entry stores the hash of the entry before it; editing or removing an entry breaks the chain
+
+CREATE TABLE audit_log (
+    id BIGINT PRIMARY KEY,
+    actor_type VARCHAR(20) NOT NULL,
+    actor_id INTEGER,
+    action VARCHAR(50) NOT NULL,
+    entity VARCHAR(50) NOT NULL,
+    entity_id INTEGER,
+    before_data JSONB,
+    after_data JSONB,
+    ip VARCHAR(64),
+    request_id VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    prev_hash VARCHAR(64),
+    hash VARCHAR(64) NOT NULL
+);
+
+CREATE INDEX idx_audit_log_entity ON audit_log(entity, entity_id);
+CREATE INDEX idx_audit_log_actor ON audit_log(actor_type, actor_id);
+CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+
+-- Hash of an entry's content and its link to the previous entry
+CREATE FUNCTION audit_log_hash(entry audit_log)
+RETURNS VARCHAR(64) AS $$
+    SELECT encode(sha256(convert_to(concat_ws('|',
+        entry.id,
+        COALESCE(entry.prev_hash, ''),
+        extract(epoch FROM entry.created_at),
+        entry.actor_type,
+        COALESCE(entry.actor_id::text, ''),
+        entry.action,
+        entry.entity,
+        COALESCE(entry.entity_id::text, ''),
+        COALESCE(entry.before_data::text, ''),
+        COALESCE(entry.after_data::text, ''),
+        COALESCE(entry.ip, ''),
+        COALESCE(entry.request_id, '')
+    ), 'UTF8')), 'hex');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Fields that never go into the log, and updated_at, which changes on every update
+CREATE FUNCTION audit_log_strip(data JSONB)
+RETURNS JSONB AS $$
+    SELECT data - ARRAY['password_hash', 'pin_hash', 'updated_at'];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Number and chain each entry under a lock so concurrent writers append one at a time
+CREATE FUNCTION audit_log_append()
+RETURNS TRIGGER AS $$
+DECLARE
+    previous_id BIGINT;
+    previous_hash VARCHAR(64);
+    changed_keys TEXT[];
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('audit_log_chain'));
+
+    -- Updates keep only the fields that changed
+    IF NEW.before_data IS NOT NULL AND NEW.after_data IS NOT NULL THEN
+        changed_keys := ARRAY(
+            SELECT after_field.key FROM jsonb_each(NEW.after_data) after_field
+            WHERE after_field.value IS DISTINCT FROM NEW.before_data -> after_field.key
+        );
+        NEW.before_data := (SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+                            FROM jsonb_each(NEW.before_data) WHERE key = ANY(changed_keys));
+        NEW.after_data := (SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+                           FROM jsonb_each(NEW.after_data) WHERE key = ANY(changed_keys));
+    END IF;
+
+    NEW.before_data := audit_log_strip(NEW.before_data);
+    NEW.after_data := audit_log_strip(NEW.after_data);
+
+    SELECT id, hash INTO previous_id, previous_hash FROM audit_log ORDER BY id DESC LIMIT 1;
+
+    NEW.id := COALESCE(previous_id, 0) + 1;
+    NEW.prev_hash := previous_hash;
+    NEW.created_at := CURRENT_TIMESTAMP;
+    NEW.hash := audit_log_hash(NEW);
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION audit_log_reject_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append BEFORE INSERT ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append();
+CREATE TRIGGER audit_log_reject_change BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_reject_change();
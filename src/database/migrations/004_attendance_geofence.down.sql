@@ -0,0 +1,22 @@
+-- Migration 004 rollback: check-in locations and review decisions are dropped
+
+DROP INDEX IF EXISTS idx_attendance_flagged;
+
+ALTER TABLE attendance
+    DROP COLUMN check_in_at,
+    DROP COLUMN check_in_latitude,
+    DROP COLUMN check_in_longitude,
+    DROP COLUMN check_in_accuracy,
+    DROP COLUMN check_in_distance,
+    DROP COLUMN check_out_at,
+    DROP COLUMN check_out_latitude,
+    DROP COLUMN check_out_longitude,
+    DROP COLUMN check_out_accuracy,
+    DROP COLUMN check_out_distance,
+    DROP COLUMN review_status,
+    DROP COLUMN review_reason,
+    DROP COLUMN review_comment,
+    DROP COLUMN reviewed_by,
+    DROP COLUMN reviewed_at;
+
+ALTER TABLE projects DROP COLUMN geofence;
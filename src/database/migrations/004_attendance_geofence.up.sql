@@ -0,0 +1,25 @@
+-- Migration 004: located check-in/check-out and project geofences
+-- A geofence is { "type": "circle", "latitude", "longitude", "radiusMeters" }
+-- or { "type": "polygon", "points": [{ "latitude", "longitude" }, ...] }
+
+ALTER TABLE projects ADD COLUMN geofence JSONB;
+
+ALTER TABLE attendance
+    ADD COLUMN check_in_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN check_in_latitude DECIMAL(9,6),
+    ADD COLUMN check_in_longitude DECIMAL(9,6),
+    ADD COLUMN check_in_accuracy DECIMAL(8,2),
+    ADD COLUMN check_in_distance DECIMAL(10,2),
+    ADD COLUMN check_out_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN check_out_latitude DECIMAL(9,6),
+    ADD COLUMN check_out_longitude DECIMAL(9,6),
+    ADD COLUMN check_out_accuracy DECIMAL(8,2),
+    ADD COLUMN check_out_distance DECIMAL(10,2),
+    -- Flagged records wait for a reviewer; payment drafts leave them out until accepted
+    ADD COLUMN review_status VARCHAR(20) CHECK (review_status IN ('Flagged', 'Accepted', 'Rejected')),
+    ADD COLUMN review_reason TEXT,
+    ADD COLUMN review_comment TEXT,
+    ADD COLUMN reviewed_by INTEGER REFERENCES users(id),
+    ADD COLUMN reviewed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_attendance_flagged ON attendance(project_id) WHERE review_status = 'Flagged';
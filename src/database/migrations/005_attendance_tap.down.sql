@@ -0,0 +1,10 @@
+-- Migration 005 rollback: tap device IDs and shift settings are dropped
+
+ALTER TABLE attendance
+    DROP COLUMN check_in_device,
+    DROP COLUMN check_out_device;
+
+ALTER TABLE projects
+    DROP COLUMN timezone,
+    DROP COLUMN shift_start,
+    DROP COLUMN late_grace_minutes;
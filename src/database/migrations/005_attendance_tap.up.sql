@@ -0,0 +1,11 @@
+-- Migration 005: card tap attendance and per-project shift start
+-- Tap times are compared with shift_start in the project's own time zone
+
+ALTER TABLE projects
+    ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    ADD COLUMN shift_start TIME,
+    ADD COLUMN late_grace_minutes INTEGER NOT NULL DEFAULT 0 CHECK (late_grace_minutes >= 0);
+
+ALTER TABLE attendance
+    ADD COLUMN check_in_device VARCHAR(100),
+    ADD COLUMN check_out_device VARCHAR(100);
@@ -0,0 +1,6 @@
+-- Migration 006 rollback: sync identifiers and unresolved device versions are dropped
+
+ALTER TABLE attendance
+    DROP COLUMN client_uuid,
+    DROP COLUMN recorded_at,
+    DROP COLUMN sync_conflict;
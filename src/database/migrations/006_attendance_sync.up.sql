@@ -0,0 +1,8 @@
+-- Migration 006: offline attendance sync from field devices
+-- client_uuid makes a replayed batch a no-op; recorded_at is the device time of the last write
+
+ALTER TABLE attendance
+    ADD COLUMN client_uuid UUID UNIQUE,
+    ADD COLUMN recorded_at TIMESTAMP WITH TIME ZONE,
+    -- Device version of a conflicting record, kept for the reviewer
+    ADD COLUMN sync_conflict JSONB;
@@ -0,0 +1,4 @@
+-- Migration 007 rollback: shift templates and rosters are dropped
+
+DROP TABLE IF EXISTS shift_assignments;
+DROP TABLE IF EXISTS shifts;
@@ -0,0 +1,14 @@
+-- Migration 008 rollback: hours breakdowns and position multipliers are dropped
+
+ALTER TABLE payment_request_workers
+    DROP COLUMN hourly_rate,
+    DROP COLUMN regular_hours,
+    DROP COLUMN overtime_hours,
+    DROP COLUMN night_hours,
+    DROP COLUMN weekend_hours;
+
+ALTER TABLE positions
+    DROP COLUMN hours_per_day,
+    DROP COLUMN overtime_multiplier,
+    DROP COLUMN night_multiplier,
+    DROP COLUMN weekend_multiplier;
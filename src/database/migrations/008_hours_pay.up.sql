@@ -0,0 +1,16 @@
+-- Migration 008: hours-based pay with per-position multipliers
+-- Hourly rate = daily rate / hours_per_day; hours past hours_per_day are overtime
+
+ALTER TABLE positions
+    ADD COLUMN hours_per_day DECIMAL(4,2) NOT NULL DEFAULT 8 CHECK (hours_per_day > 0 AND hours_per_day <= 24),
+    ADD COLUMN overtime_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.5 CHECK (overtime_multiplier > 0),
+    ADD COLUMN night_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.25 CHECK (night_multiplier > 0),
+    ADD COLUMN weekend_multiplier DECIMAL(4,2) NOT NULL DEFAULT 2 CHECK (weekend_multiplier > 0);
+
+-- Hours breakdown per payment line; NULL hours mean a day-based line
+ALTER TABLE payment_request_workers
+    ADD COLUMN hourly_rate DECIMAL(10,2),
+    ADD COLUMN regular_hours DECIMAL(7,2),
+    ADD COLUMN overtime_hours DECIMAL(7,2),
+    ADD COLUMN night_hours DECIMAL(7,2),
+    ADD COLUMN weekend_hours DECIMAL(7,2);
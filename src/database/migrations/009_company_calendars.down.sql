@@ -0,0 +1,7 @@
+-- Migration 009 rollback: holidays and rest days are dropped; every day counts as a working day again
+
+DROP FUNCTION IF EXISTS is_working_day(INTEGER, DATE);
+DROP FUNCTION IF EXISTS project_holiday(INTEGER, DATE);
+DROP TABLE IF EXISTS company_holidays;
+
+ALTER TABLE companies DROP COLUMN rest_days;
@@ -0,0 +1,47 @@
+-- Migration 009: working-day calendars per company
+-- A project follows the calendar of its owner's company; without a company, Saturday and Sunday are rest days
+-- A recurring holiday repeats every year on the same month and day, from the year of its date
+
+ALTER TABLE companies
+    ADD COLUMN rest_days SMALLINT[] NOT NULL DEFAULT '{6,7}' CHECK (rest_days <@ ARRAY[1, 2, 3, 4, 5, 6, 7]::SMALLINT[]);
+
+CREATE TABLE company_holidays (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    date DATE NOT NULL,
+    recurring BOOLEAN NOT NULL DEFAULT false,
+    ical_uid VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(company_id, date)
+);
+
+CREATE INDEX idx_company_holidays_recurring ON company_holidays(company_id) WHERE recurring;
+
+-- Name of the holiday on a date in the project owner's company calendar, or NULL
+CREATE FUNCTION project_holiday(p_project_id INTEGER, p_date DATE)
+RETURNS VARCHAR AS $$
+    SELECT h.name
+    FROM projects p
+    JOIN companies c ON c.user_id = p.user_id AND c.deleted_at IS NULL
+    JOIN company_holidays h ON h.company_id = c.id
+    WHERE p.id = p_project_id
+      AND (h.date = p_date OR (h.recurring AND h.date <= p_date
+           AND EXTRACT(MONTH FROM h.date) = EXTRACT(MONTH FROM p_date)
+           AND EXTRACT(DAY FROM h.date) = EXTRACT(DAY FROM p_date)))
+    ORDER BY h.recurring ASC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Whether a date is neither a rest day nor a holiday for the project
+CREATE FUNCTION is_working_day(p_project_id INTEGER, p_date DATE)
+RETURNS BOOLEAN AS $$
+    SELECT EXTRACT(ISODOW FROM p_date)::SMALLINT <> ALL(COALESCE(
+               (SELECT c.rest_days FROM projects p
+                JOIN companies c ON c.user_id = p.user_id AND c.deleted_at IS NULL
+                WHERE p.id = p_project_id),
+               '{6,7}'::SMALLINT[]))
+       AND project_holiday(p_project_id, p_date) IS NULL;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,10 @@
+-- Migration 010 rollback: leave requests are dropped and leave days become absences
+-- PostgreSQL cannot drop an enum value, so 'On Leave' stays in attendance_status unused
+
+UPDATE attendance SET status = 'Absent' WHERE status = 'On Leave';
+
+ALTER TABLE attendance DROP COLUMN leave_request_id;
+
+DROP TABLE IF EXISTS leave_requests;
+DROP TYPE IF EXISTS leave_status;
+DROP TYPE IF EXISTS leave_type;
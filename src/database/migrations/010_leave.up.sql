@@ -0,0 +1,35 @@
+-- Migration 010: leave requests and the On Leave attendance status
+-- Approving a request fills attendance with 'On Leave' on each working day it covers;
+-- balances are derived from days worked and approved paid leave, so none are stored
+
+ALTER TYPE attendance_status ADD VALUE 'On Leave';
+
+CREATE TYPE leave_type AS ENUM ('annual', 'sick', 'unpaid', 'compassionate');
+CREATE TYPE leave_status AS ENUM ('Pending', 'Approved', 'Rejected');
+
+CREATE TABLE leave_requests (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    worker_id INTEGER NOT NULL REFERENCES workers(id) ON DELETE CASCADE,
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    leave_type leave_type NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL CHECK (end_date >= start_date),
+    days DECIMAL(6,2) NOT NULL CHECK (days > 0),
+    paid BOOLEAN NOT NULL,
+    reason TEXT,
+    status leave_status NOT NULL DEFAULT 'Pending',
+    requested_by_type VARCHAR(20) NOT NULL,
+    requested_by INTEGER NOT NULL,
+    decided_by INTEGER REFERENCES users(id),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decision_comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE attendance
+    ADD COLUMN leave_request_id INTEGER REFERENCES leave_requests(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_leave_requests_worker_dates ON leave_requests(worker_id, start_date, end_date);
+CREATE INDEX idx_leave_requests_project_status ON leave_requests(project_id, status);
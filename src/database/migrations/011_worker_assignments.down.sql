@@ -0,0 +1,15 @@
+-- Migration 011 rollback: only the latest assignment per worker and project is kept
+
+DELETE FROM project_workers older
+WHERE EXISTS (
+  SELECT 1 FROM project_workers newer
+  WHERE newer.project_id = older.project_id
+    AND newer.worker_id = older.worker_id
+    AND (newer.assigned_at, newer.id) > (older.assigned_at, older.id)
+);
+
+DROP INDEX IF EXISTS idx_project_workers_worker;
+DROP INDEX IF EXISTS idx_project_workers_active;
+ALTER TABLE project_workers ADD CONSTRAINT project_workers_project_id_worker_id_key UNIQUE (project_id, worker_id);
+
+ALTER TABLE project_workers DROP COLUMN removed_at;
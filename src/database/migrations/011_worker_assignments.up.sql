@@ -0,0 +1,10 @@
+-- Migration 011: project assignments keep their history
+-- Removing a worker ends the assignment (removed_at); assigning again starts a new row,
+-- so only one assignment per worker and project may be active at a time
+-- Removals made before this migration keep a NULL removed_at
+
+ALTER TABLE project_workers ADD COLUMN removed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE project_workers DROP CONSTRAINT project_workers_project_id_worker_id_key;
+CREATE UNIQUE INDEX idx_project_workers_active ON project_workers(project_id, worker_id) WHERE is_active;
+CREATE INDEX idx_project_workers_worker ON project_workers(worker_id, assigned_at);
@@ -0,0 +1,11 @@
+-- Migration 012 rollback: refused while any worker lacks the legacy columns, rather than inventing values
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM workers WHERE position IS NULL OR id_passport IS NULL) THEN
+    RAISE EXCEPTION 'Workers without position or id_passport exist; fill them in before rolling back migration 012';
+  END IF;
+END $$;
+
+ALTER TABLE workers ALTER COLUMN id_passport SET NOT NULL;
+ALTER TABLE workers ALTER COLUMN position SET NOT NULL;
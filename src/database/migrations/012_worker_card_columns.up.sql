@@ -0,0 +1,5 @@
+-- Migration 012: workers created with a card carry position_id and national_id instead of the
+-- legacy position and id_passport columns, so those two may be empty
+
+ALTER TABLE workers ALTER COLUMN position DROP NOT NULL;
+ALTER TABLE workers ALTER COLUMN id_passport DROP NOT NULL;
@@ -0,0 +1,3 @@
+-- Migration 013 rollback: merge history is dropped; merged records stay with their survivors
+
+DROP TABLE IF EXISTS worker_merges;
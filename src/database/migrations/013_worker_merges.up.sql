@@ -0,0 +1,18 @@
+-- Migration 013: history of duplicate workers merged into another record
+-- merged_worker keeps the merged record as it was, since the row itself is later purged;
+-- moved_records counts the rows repointed per table and filled_fields lists the survivor's
+-- empty fields that took the merged record's values
+
+CREATE TABLE worker_merges (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    survivor_id INTEGER NOT NULL REFERENCES workers(id) ON DELETE CASCADE,
+    merged_worker_id INTEGER REFERENCES workers(id) ON DELETE SET NULL,
+    merged_worker JSONB NOT NULL,
+    moved_records JSONB NOT NULL,
+    filled_fields TEXT[] NOT NULL DEFAULT '{}',
+    merged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_worker_merges_survivor ON worker_merges(survivor_id);
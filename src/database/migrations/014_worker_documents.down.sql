@@ -0,0 +1,7 @@
+-- Migration 014 rollback: stored files are left in place for the storage driver's owner to remove
+
+ALTER TABLE projects DROP COLUMN required_document_types;
+
+DROP TABLE IF EXISTS worker_documents;
+DROP TYPE IF EXISTS document_status;
+DROP TYPE IF EXISTS worker_document_type;
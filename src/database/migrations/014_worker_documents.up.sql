@@ -0,0 +1,41 @@
+-- Migration 014: worker documents and certifications with expiry tracking
+-- File contents live in a storage driver (see src/services/storage); rows keep the driver,
+-- the key and a SHA-256 checksum. A project's required_document_types are checked when a
+-- worker is assigned to it
+
+CREATE TYPE worker_document_type AS ENUM (
+    'id_copy', 'safety_induction', 'trade_certificate', 'medical_certificate', 'other'
+);
+CREATE TYPE document_status AS ENUM ('Pending', 'Verified', 'Rejected');
+
+CREATE TABLE worker_documents (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    worker_id INTEGER NOT NULL REFERENCES workers(id) ON DELETE CASCADE,
+    document_type worker_document_type NOT NULL,
+    title VARCHAR(255),
+    document_number VARCHAR(100),
+    issued_at DATE,
+    expires_at DATE CHECK (expires_at >= issued_at),
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    storage_driver VARCHAR(50) NOT NULL,
+    storage_key VARCHAR(500) NOT NULL,
+    status document_status NOT NULL DEFAULT 'Pending',
+    rejection_reason TEXT,
+    verified_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Plain text so node-postgres returns a JavaScript array
+ALTER TABLE projects
+    ADD COLUMN required_document_types TEXT[] NOT NULL DEFAULT '{}'
+    CHECK (required_document_types <@ ARRAY['id_copy', 'safety_induction', 'trade_certificate', 'medical_certificate', 'other']);
+
+CREATE INDEX idx_worker_documents_worker_type ON worker_documents(worker_id, document_type);
+CREATE INDEX idx_worker_documents_expires_at ON worker_documents(expires_at) WHERE status <> 'Rejected';
@@ -0,0 +1,46 @@
+-- Migration 015 rollback: drop the tables and columns added after the original schema.sql
+-- Fractional payment days are rounded back to whole days
+
+DROP TABLE IF EXISTS
+    refresh_tokens,
+    idempotency_keys,
+    payouts,
+    payment_approvals,
+    approval_chain_steps,
+    project_members
+CASCADE;
+
+ALTER TABLE material_requests
+    DROP CONSTRAINT IF EXISTS fk_material_requests_accepted_quote,
+    DROP CONSTRAINT IF EXISTS fk_material_requests_seller;
+
+DROP TABLE IF EXISTS material_quotes;
+
+ALTER TABLE material_requests
+    DROP COLUMN published_at,
+    DROP COLUMN seller_id,
+    DROP COLUMN accepted_quote_id,
+    DROP COLUMN agreed_price,
+    DROP COLUMN delivery_status;
+
+ALTER TABLE payment_request_workers ALTER COLUMN days_worked TYPE INTEGER USING ROUND(days_worked);
+
+ALTER TABLE payment_requests
+    DROP COLUMN period_start,
+    DROP COLUMN period_end;
+
+DROP INDEX IF EXISTS idx_workers_phone;
+DROP INDEX IF EXISTS idx_payment_request_workers_worker_id;
+
+ALTER TABLE workers
+    DROP COLUMN pin_hash,
+    DROP COLUMN pin_failed_attempts,
+    DROP COLUMN pin_locked_until;
+
+DROP TYPE IF EXISTS
+    payout_status,
+    payout_method,
+    approval_decision,
+    project_role,
+    quote_status,
+    delivery_status;
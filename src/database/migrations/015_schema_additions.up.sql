@@ -0,0 +1,196 @@
+-- Migration 015: tables and columns added to the schema after the original schema.sql
+-- Migration 001 is schema.sql exactly, so `baseline 1` is true of a database built from it;
+-- nothing in migrations 002 to 014 depends on what is created here. Every statement is
+-- idempotent, as a database may come from a later schema.sql that already had some of this
+
+-- Material delivery status enum
+DO $$ BEGIN
+    CREATE TYPE delivery_status AS ENUM ('Awaiting Quotes', 'Ordered', 'Dispatched', 'Delivered');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Material quote status enum
+DO $$ BEGIN
+    CREATE TYPE quote_status AS ENUM ('Submitted', 'Accepted', 'Rejected');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Project member role enum (the project owner is implicit)
+DO $$ BEGIN
+    CREATE TYPE project_role AS ENUM ('project_manager', 'supervisor', 'accountant', 'viewer');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Payment approval decision enum
+DO $$ BEGIN
+    CREATE TYPE approval_decision AS ENUM ('Approved', 'Rejected');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Payout method enum
+DO $$ BEGIN
+    CREATE TYPE payout_method AS ENUM ('mobile_money', 'bank_transfer', 'cash');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Payout status enum
+DO $$ BEGIN
+    CREATE TYPE payout_status AS ENUM ('Queued', 'Sent', 'Confirmed', 'Failed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Worker PIN login
+ALTER TABLE workers
+    ADD COLUMN IF NOT EXISTS pin_hash VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS pin_failed_attempts INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS pin_locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Project members table (per-project role grants)
+CREATE TABLE IF NOT EXISTS project_members (
+    id SERIAL PRIMARY KEY,
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role project_role NOT NULL,
+    granted_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(project_id, user_id)
+);
+
+-- Payment periods, and fractional days from half days
+ALTER TABLE payment_requests
+    ADD COLUMN IF NOT EXISTS period_start DATE,
+    ADD COLUMN IF NOT EXISTS period_end DATE;
+
+ALTER TABLE payment_request_workers ALTER COLUMN days_worked TYPE DECIMAL(6,2);
+
+-- Payment approval chain steps (per company, applied by amount threshold)
+CREATE TABLE IF NOT EXISTS approval_chain_steps (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    step_order INTEGER NOT NULL,
+    approver_role VARCHAR(50) NOT NULL,
+    min_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(company_id, step_order)
+);
+
+-- Payment approval history (one row per approver decision)
+CREATE TABLE IF NOT EXISTS payment_approvals (
+    id SERIAL PRIMARY KEY,
+    payment_request_id INTEGER REFERENCES payment_requests(id) ON DELETE CASCADE,
+    step_order INTEGER NOT NULL,
+    approver_role VARCHAR(50) NOT NULL,
+    approver_id INTEGER REFERENCES users(id),
+    decision approval_decision NOT NULL,
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payouts table (one disbursement per payment request worker line)
+CREATE TABLE IF NOT EXISTS payouts (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    payment_request_id INTEGER REFERENCES payment_requests(id) ON DELETE CASCADE,
+    payment_request_worker_id INTEGER UNIQUE REFERENCES payment_request_workers(id) ON DELETE CASCADE,
+    worker_id INTEGER REFERENCES workers(id),
+    amount DECIMAL(10,2) NOT NULL,
+    method payout_method NOT NULL,
+    destination VARCHAR(100),
+    provider VARCHAR(50),
+    provider_reference VARCHAR(255),
+    status payout_status DEFAULT 'Queued',
+    failure_reason TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, provider_reference)
+);
+
+-- Idempotency keys (replay protection for retried state-changing requests)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    scope VARCHAR(100) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(user_id, scope, idempotency_key)
+);
+
+-- Material procurement: publishing, the accepted seller and delivery
+ALTER TABLE material_requests
+    ADD COLUMN IF NOT EXISTS published_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS seller_id INTEGER,
+    ADD COLUMN IF NOT EXISTS accepted_quote_id INTEGER,
+    ADD COLUMN IF NOT EXISTS agreed_price DECIMAL(12,2),
+    ADD COLUMN IF NOT EXISTS delivery_status delivery_status;
+
+-- Material quotes table (sellers pricing published material requests)
+CREATE TABLE IF NOT EXISTS material_quotes (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    material_request_id INTEGER REFERENCES material_requests(id) ON DELETE CASCADE,
+    seller_id INTEGER REFERENCES sellers(id) ON DELETE CASCADE,
+    price DECIMAL(12,2) NOT NULL CHECK (price > 0),
+    delivery_date DATE NOT NULL,
+    notes TEXT,
+    status quote_status DEFAULT 'Submitted',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(material_request_id, seller_id)
+);
+
+DO $$ BEGIN
+    ALTER TABLE material_requests
+        ADD CONSTRAINT fk_material_requests_seller FOREIGN KEY (seller_id) REFERENCES sellers(id),
+        ADD CONSTRAINT fk_material_requests_accepted_quote FOREIGN KEY (accepted_quote_id) REFERENCES material_quotes(id);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Refresh tokens table (users and sellers)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE,
+    subject_type VARCHAR(20) NOT NULL CHECK (subject_type IN ('user', 'seller')),
+    subject_id INTEGER NOT NULL,
+    family_id UUID NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    replaced_by INTEGER REFERENCES refresh_tokens(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_workers_phone ON workers(phone);
+CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON project_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_payment_request_workers_worker_id ON payment_request_workers(worker_id);
+CREATE INDEX IF NOT EXISTS idx_payment_approvals_payment_request_id ON payment_approvals(payment_request_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_payment_request_id ON payouts(payment_request_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status);
+CREATE INDEX IF NOT EXISTS idx_material_requests_published_at ON material_requests(published_at);
+CREATE INDEX IF NOT EXISTS idx_material_quotes_seller_id ON material_quotes(seller_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_subject ON refresh_tokens(subject_type, subject_id);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Triggers for updated_at timestamps
+CREATE OR REPLACE TRIGGER update_project_members_updated_at BEFORE UPDATE ON project_members FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE OR REPLACE TRIGGER update_approval_chain_steps_updated_at BEFORE UPDATE ON approval_chain_steps FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE OR REPLACE TRIGGER update_payouts_updated_at BEFORE UPDATE ON payouts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE OR REPLACE TRIGGER update_material_quotes_updated_at BEFORE UPDATE ON material_quotes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE OR REPLACE TRIGGER update_refresh_tokens_updated_at BEFORE UPDATE ON refresh_tokens FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Database Migration Runner
+ * Applies numbered SQL files from the migrations directory and records them in schema_migrations
+ *
+ * File names: <version>_<name>.up.sql and <version>_<name>.down.sql, e.g. 002_add_payouts.up.sql
+ * Applied migrations are checksummed; editing an applied file stops the runner until it is reverted
+ * A session advisory lock serializes runners, so replicas starting together migrate once
+ * A database created from the old schema.sql, which has the tables but no recorded
+ * migrations, is baselined at the initial migration on its first `up`
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant shared by every runner of this application
+const MIGRATION_LOCK_KEY = 827364519;
+
+// The initial migration is the old schema.sql unchanged
+const LEGACY_SCHEMA_VERSION = 1;
+
+class Migrator {
+  /**
+   * @param {Object} db - Database wrapper exposing getClient()
+   * @param {string} migrationsDir - Directory containing migration files
+   */
+  constructor(db, migrationsDir = MIGRATIONS_DIR) {
+    this.db = db;
+    this.migrationsDir = migrationsDir;
+  }
+
+  // Read migration files, ordered by version
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.migrationsDir)) {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const [, versionText, name, direction] = match;
+      const version = parseInt(versionText, 10);
+      const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+      if (migration.name !== name) {
+        throw new Error(`Migration version ${version} is used by more than one name`);
+      }
+
+      migration[direction] = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .map(migration => {
+        if (migration.up === null) {
+          throw new Error(`Migration ${this._label(migration)} has no up file`);
+        }
+        return { ...migration, checksum: this.checksum(migration.up) };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+  }
+
+  // Apply every pending migration in version order
+  async up() {
+    return this._withLock(async (client) => {
+      const { migrations, applied } = await this._verify(client);
+
+      if (applied.size === 0 && await this._hasLegacySchema(client)) {
+        const baselined = await this._baseline(client, migrations, applied, LEGACY_SCHEMA_VERSION);
+        baselined.forEach(migration => applied.set(migration.version, migration));
+        logger.info('Existing schema.sql database adopted', {
+          baselined: baselined.map(migration => this._label(migration))
+        });
+      }
+
+      const pending = migrations.filter(migration => !applied.has(migration.version));
+
+      for (const migration of pending) {
+        await this._runInTransaction(client, migration.up, async () => {
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+        });
+
+        logger.info('Migration applied', { migration: this._label(migration) });
+      }
+
+      return pending.map(migration => this._label(migration));
+    });
+  }
+
+  // Roll back the most recent applied migrations
+  async down(steps = 1) {
+    return this._withLock(async (client) => {
+      const { migrations, applied } = await this._verify(client);
+      const toRevert = migrations
+        .filter(migration => applied.has(migration.version))
+        .reverse()
+        .slice(0, steps);
+
+      for (const migration of toRevert) {
+        if (migration.down === null) {
+          throw new Error(`Migration ${this._label(migration)} has no down file`);
+        }
+
+        await this._runInTransaction(client, migration.down, async () => {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+
+        logger.info('Migration reverted', { migration: this._label(migration) });
+      }
+
+      return toRevert.map(migration => this._label(migration));
+    });
+  }
+
+  // Record migrations up to a version as applied without running them
+  // (for databases created before the runner existed)
+  async baseline(version) {
+    return this._withLock(async (client) => {
+      const { migrations, applied } = await this._verify(client);
+      const baselined = await this._baseline(client, migrations, applied, version);
+      return baselined.map(migration => this._label(migration));
+    });
+  }
+
+  // List every migration with whether it is applied and whether its file still matches
+  async status() {
+    return this._withLock(async (client) => {
+      const migrations = this.loadMigrations();
+      const applied = await this._getApplied(client);
+
+      const rows = migrations.map(migration => {
+        const record = applied.get(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          state: record ? 'applied' : 'pending',
+          appliedAt: record ? record.applied_at : null,
+          checksumMatches: record ? record.checksum === migration.checksum : null
+        };
+      });
+
+      for (const [version, record] of applied) {
+        if (!migrations.some(migration => migration.version === version)) {
+          rows.push({
+            version,
+            name: record.name,
+            state: 'missing',
+            appliedAt: record.applied_at,
+            checksumMatches: null
+          });
+        }
+      }
+
+      return rows.sort((a, b) => a.version - b.version);
+    });
+  }
+
+  // Hold the advisory lock on a dedicated connection for the whole run
+  async _withLock(callback) {
+    const client = await this.db.getClient();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      try {
+        await client.query(
+          `CREATE TABLE IF NOT EXISTS schema_migrations (
+             version INTEGER PRIMARY KEY,
+             name VARCHAR(255) NOT NULL,
+             checksum VARCHAR(64) NOT NULL,
+             applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+           )`
+        );
+        return await callback(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async _baseline(client, migrations, applied, version) {
+    const baselined = migrations.filter(migration =>
+      migration.version <= version && !applied.has(migration.version)
+    );
+
+    for (const migration of baselined) {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+
+      logger.info('Migration baselined', { migration: this._label(migration) });
+    }
+
+    return baselined;
+  }
+
+  // Tables from schema.sql without any recorded migration
+  async _hasLegacySchema(client) {
+    const result = await client.query("SELECT to_regclass('public.users') IS NOT NULL AS has_users");
+    return Boolean(result.rows[0] && result.rows[0].has_users);
+  }
+
+  async _getApplied(client) {
+    const result = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC'
+    );
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  // Refuse to run when applied files were edited or removed
+  async _verify(client) {
+    const migrations = this.loadMigrations();
+    const applied = await this._getApplied(client);
+
+    for (const [version, record] of applied) {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version}_${record.name} is missing from ${this.migrationsDir}`);
+      }
+      if (migration.checksum !== record.checksum) {
+        throw new Error(`Checksum mismatch for applied migration ${this._label(migration)}`);
+      }
+    }
+
+    return { migrations, applied };
+  }
+
+  async _runInTransaction(client, sql, record) {
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await record();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  _label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,198 @@
+require('dotenv').config();
+const db = require('../config/database');
+const AuthUtils = require('../utils/auth');
+const logger = require('../utils/logger');
+const { DEFAULT_START_DATE, generateDemoTenant } = require('./seeds/demoTenant');
+
+/**
+ * Demo Tenant Seeder
+ * Usage:
+ *   node src/database/seed.js [--size=small|medium|large] [--seed=N] [--start=YYYY-MM-DD]
+ *
+ * Inserts one complete demo tenant in a single transaction. The same seed always
+ * produces the same tenant; use a different seed to add another tenant alongside it.
+ */
+
+// Rows per multi-row INSERT; keeps parameter counts well under PostgreSQL's limit
+const INSERT_BATCH_SIZE = 500;
+
+const parseArgs = (argv) => {
+  const options = { size: 'small', seed: 1, startDate: DEFAULT_START_DATE };
+
+  for (const arg of argv) {
+    const match = arg.match(/^--(size|seed|start)=(.+)$/);
+    if (!match) {
+      throw new Error(`Unknown argument "${arg}". Use --size, --seed or --start.`);
+    }
+
+    const [, name, value] = match;
+    if (name === 'size') {
+      options.size = value;
+    } else if (name === 'seed') {
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`Expected a non-negative integer seed, got "${value}"`);
+      }
+      options.seed = parseInt(value, 10);
+    } else {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error(`Expected --start as YYYY-MM-DD, got "${value}"`);
+      }
+      options.startDate = value;
+    }
+  }
+
+  return options;
+};
+
+// Insert rows in batches and return the generated ids in row order
+const insertMany = async (client, table, columns, rows) => {
+  const ids = [];
+
+  for (let offset = 0; offset < rows.length; offset += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(offset, offset + INSERT_BATCH_SIZE);
+    const values = [];
+    const placeholders = batch.map((row, rowIndex) => {
+      values.push(...row);
+      const params = row.map((_, columnIndex) => `$${rowIndex * columns.length + columnIndex + 1}`);
+      return `(${params.join(', ')})`;
+    });
+
+    const result = await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders.join(', ')} RETURNING id`,
+      values
+    );
+    ids.push(...result.rows.map(row => row.id));
+  }
+
+  return ids;
+};
+
+async function insertTenant(client, tenant, passwordHash) {
+  const { user, company } = tenant;
+
+  const userResult = await client.query(
+    `INSERT INTO users (name, email, phone, password_hash, category, email_verified)
+     VALUES ($1, $2, $3, $4, $5, true) RETURNING id`,
+    [user.name, user.email, user.phone, passwordHash, user.category]
+  );
+  const userId = userResult.rows[0].id;
+
+  await client.query(
+    `INSERT INTO companies (user_id, company_name, registration_number, tax_id, address, industry)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [userId, company.companyName, company.registrationNumber, company.taxId, company.address, company.industry]
+  );
+
+  const positionIds = await insertMany(client, 'positions',
+    ['user_id', 'name', 'description', 'default_daily_rate'],
+    tenant.positions.map(position => [userId, position.name, position.description, position.defaultDailyRate])
+  );
+
+  const projectIds = await insertMany(client, 'projects',
+    ['user_id', 'name', 'description', 'client', 'category', 'start_date', 'end_date', 'budget', 'status'],
+    tenant.projects.map(project => [
+      userId, project.name, project.description, project.client, project.category,
+      project.startDate, project.endDate, project.budget, project.status
+    ])
+  );
+
+  await insertMany(client, 'project_positions',
+    ['project_id', 'position_id', 'daily_rate'],
+    tenant.projects.flatMap((project, projectIndex) => project.positionRates.map(rate => [
+      projectIds[projectIndex], positionIds[rate.positionIndex], rate.dailyRate
+    ]))
+  );
+
+  const workerIds = await insertMany(client, 'workers',
+    ['user_id', 'card_id', 'fullname', 'phone', 'email', 'position', 'position_id', 'bank_account', 'id_passport', 'national_id', 'address'],
+    tenant.workers.map(worker => [
+      userId, worker.cardId, worker.fullname, worker.phone, worker.email, worker.position,
+      positionIds[worker.positionIndex], worker.bankAccount, worker.idPassport, worker.nationalId, worker.address
+    ])
+  );
+
+  await insertMany(client, 'project_workers',
+    ['project_id', 'worker_id'],
+    tenant.assignments.map(assignment => [projectIds[assignment.projectIndex], workerIds[assignment.workerIndex]])
+  );
+
+  await insertMany(client, 'attendance',
+    ['user_id', 'worker_id', 'project_id', 'date', 'check_in', 'check_out', 'status', 'rating', 'comments'],
+    tenant.attendance.map(record => [
+      userId, workerIds[record.workerIndex], projectIds[record.projectIndex], record.date,
+      record.checkIn, record.checkOut, record.status, record.rating, record.comments
+    ])
+  );
+
+  // Decided requests are stamped at the end of their request date
+  const decidedBy = status => (status === 'Pending' ? null : userId);
+  const decidedAt = (status, date) => (status === 'Pending' ? null : `${date}T17:00:00Z`);
+
+  const paymentRequestIds = await insertMany(client, 'payment_requests',
+    ['request_id', 'user_id', 'project_id', 'request_date', 'total_amount', 'period_start', 'period_end', 'status', 'notes', 'approved_by', 'approved_at', 'rejection_reason'],
+    tenant.paymentRequests.map(request => [
+      request.requestId, userId, projectIds[request.projectIndex], request.requestDate, request.totalAmount,
+      request.periodStart, request.periodEnd, request.status, request.notes,
+      decidedBy(request.status), decidedAt(request.status, request.requestDate), request.rejectionReason
+    ])
+  );
+
+  await insertMany(client, 'payment_request_workers',
+    ['payment_request_id', 'worker_id', 'days_worked', 'allowance_per_day', 'total_amount'],
+    tenant.paymentRequests.flatMap((request, requestIndex) => request.workers.map(line => [
+      paymentRequestIds[requestIndex], workerIds[line.workerIndex], line.daysWorked, line.allowancePerDay, line.totalAmount
+    ]))
+  );
+
+  const { endDate } = tenant.period;
+  await insertMany(client, 'material_requests',
+    ['request_id', 'user_id', 'project_id', 'material_name', 'quantity', 'unit', 'estimated_cost', 'urgency', 'description', 'status', 'approved_by', 'approved_at', 'rejection_reason', 'published_at', 'delivery_status'],
+    tenant.materialRequests.map(request => [
+      request.requestId, userId, projectIds[request.projectIndex], request.materialName, request.quantity,
+      request.unit, request.estimatedCost, request.urgency, request.description, request.status,
+      decidedBy(request.status), decidedAt(request.status, endDate), request.rejectionReason,
+      request.published ? `${endDate}T17:00:00Z` : null, request.published ? 'Awaiting Quotes' : null
+    ])
+  );
+
+  return userId;
+}
+
+async function runSeed() {
+  let exitCode = 0;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const tenant = generateDemoTenant(options);
+
+    const existing = await db.query('SELECT id FROM users WHERE email = $1', [tenant.user.email]);
+    if (existing.rows.length > 0) {
+      throw new Error(`Demo tenant for seed ${options.seed} already exists (${tenant.user.email})`);
+    }
+
+    const passwordHash = await AuthUtils.hashPassword(tenant.user.password);
+    const userId = await db.transaction(client => insertTenant(client, tenant, passwordHash));
+
+    logger.info('Demo tenant seeded', {
+      userId,
+      size: options.size,
+      seed: options.seed,
+      email: tenant.user.email,
+      password: tenant.user.password,
+      projects: tenant.projects.length,
+      workers: tenant.workers.length,
+      attendance: tenant.attendance.length,
+      paymentRequests: tenant.paymentRequests.length,
+      materialRequests: tenant.materialRequests.length
+    });
+  } catch (error) {
+    logger.error('Seeding failed', { error: error.message });
+    exitCode = 1;
+  } finally {
+    await db.close();
+  }
+
+  process.exit(exitCode);
+}
+
+runSeed();
@@ -0,0 +1,340 @@
+/**
+ * Demo Tenant Generator
+ * Builds the rows for a complete demo tenant as plain data, without touching the database
+ *
+ * Output is a pure function of the seed, size and start date, so the same arguments
+ * always produce the same tenant. Rows reference each other by array index
+ * (projectIndex, workerIndex, positionIndex); seed.js resolves them to ids on insert.
+ */
+
+const SEED_SIZES = {
+  small: { projects: 3, workers: 12, weeks: 2, materialRequestsPerProject: 4 },
+  medium: { projects: 6, workers: 60, weeks: 6, materialRequestsPerProject: 8 },
+  large: { projects: 12, workers: 300, weeks: 12, materialRequestsPerProject: 20 }
+};
+
+// Fixed so a seed reproduces the same dates on every run; 2024-01-01 is a Monday
+const DEFAULT_START_DATE = '2024-01-01';
+
+const DEMO_PASSWORD = 'DemoTenant123!';
+
+const PROJECT_CATEGORIES = ['Construction', 'Farming', 'Education'];
+const REQUEST_STATUSES = ['Pending', 'Approved', 'Rejected', 'Processed'];
+const URGENCY_LEVELS = ['Low', 'Medium', 'High'];
+
+// Positions match the worker_position enum so every worker has both
+const POSITIONS = [
+  { name: 'Engineer', description: 'Site engineer', minRate: 45000, maxRate: 60000 },
+  { name: 'Supervisor', description: 'Crew supervisor', minRate: 25000, maxRate: 35000 },
+  { name: 'Masonry', description: 'Mason and general labour', minRate: 8000, maxRate: 15000 }
+];
+
+// Relative weights; most of a crew is masonry
+const POSITION_WEIGHTS = [1, 2, 7];
+
+const PROJECT_TEMPLATES = {
+  Construction: ['Office Block', 'Bridge Repair', 'Warehouse', 'Road Upgrade'],
+  Farming: ['Irrigation Scheme', 'Greenhouse Build', 'Coffee Estate', 'Grain Storage'],
+  Education: ['School Extension', 'Library Build', 'Dormitory Block', 'Laboratory Fit-out']
+};
+
+const CLIENTS = ['City Council', 'Ministry of Infrastructure', 'Green Valley Cooperative', 'Hope Foundation', 'District Education Office'];
+const LOCATIONS = ['Kigali', 'Musanze', 'Huye', 'Rubavu', 'Nyagatare', 'Rwamagana'];
+
+const FIRST_NAMES = ['Jean', 'Marie', 'Eric', 'Aline', 'Patrick', 'Claudine', 'Emmanuel', 'Grace', 'Olivier', 'Diane', 'Samuel', 'Esther', 'David', 'Chantal', 'Innocent', 'Josiane'];
+const LAST_NAMES = ['Habimana', 'Uwase', 'Niyonzima', 'Mukamana', 'Nshimiyimana', 'Ingabire', 'Mugisha', 'Uwimana', 'Hakizimana', 'Umutoni', 'Bizimana', 'Iradukunda'];
+
+const MATERIALS = [
+  { name: 'Cement', unit: 'bags', unitCost: 12000, minQuantity: 50, maxQuantity: 400 },
+  { name: 'Sand', unit: 'tonnes', unitCost: 18000, minQuantity: 5, maxQuantity: 60 },
+  { name: 'Steel Rebar', unit: 'pieces', unitCost: 9500, minQuantity: 40, maxQuantity: 300 },
+  { name: 'Timber', unit: 'pieces', unitCost: 6000, minQuantity: 20, maxQuantity: 200 },
+  { name: 'Irrigation Pipe', unit: 'metres', unitCost: 2500, minQuantity: 100, maxQuantity: 1200 },
+  { name: 'Roofing Sheets', unit: 'sheets', unitCost: 11000, minQuantity: 30, maxQuantity: 250 }
+];
+
+const ATTENDANCE_COMMENTS = {
+  Present: [null, null, 'Good output', 'Finished assigned section'],
+  Late: ['Transport delay', 'Arrived after briefing', null],
+  'Half Day': ['Left early with permission', 'Medical appointment'],
+  Absent: ['No show', 'Sick leave', null]
+};
+
+// mulberry32: small, fast PRNG with good distribution for non-cryptographic use
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[Math.floor(next() * items.length)];
+  const weighted = (weights) => {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let roll = next() * total;
+    for (let i = 0; i < weights.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) {
+        return i;
+      }
+    }
+    return weights.length - 1;
+  };
+
+  return { next, int, pick, weighted };
+};
+
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+/**
+ * Generate a demo tenant
+ * @param {Object} options
+ * @param {number} options.seed - Non-negative integer; the same seed yields the same tenant
+ * @param {string} options.size - One of SEED_SIZES
+ * @param {string} options.startDate - Monday (YYYY-MM-DD) the attendance weeks start on
+ * @returns {Object} Tenant rows keyed by table
+ */
+const generateDemoTenant = ({ seed = 1, size = 'small', startDate = DEFAULT_START_DATE } = {}) => {
+  if (!Number.isInteger(seed) || seed < 0) {
+    throw new Error(`Seed must be a non-negative integer, got "${seed}"`);
+  }
+
+  const counts = SEED_SIZES[size];
+  if (!counts) {
+    throw new Error(`Unknown seed size "${size}". Use ${Object.keys(SEED_SIZES).join(', ')}.`);
+  }
+
+  if (new Date(`${startDate}T00:00:00Z`).getUTCDay() !== 1) {
+    throw new Error(`Start date must be a Monday, got "${startDate}"`);
+  }
+
+  const random = createRandom(seed);
+
+  // The seed is part of every unique value so several demo tenants can share a database
+  const tag = `D${seed}`;
+  const endDate = addDays(startDate, counts.weeks * 7 - 1);
+  const personName = () => `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`;
+  const phone = () => `+2507${random.int(20, 99)}${pad(random.int(0, 999999), 6)}`;
+
+  const companyName = `${random.pick(LOCATIONS)} Builders ${tag}`;
+  const user = {
+    name: personName(),
+    email: `demo+${seed}@transpipe.test`,
+    phone: phone(),
+    password: DEMO_PASSWORD,
+    category: 'Company'
+  };
+
+  const company = {
+    companyName,
+    registrationNumber: `RC-${tag}-${pad(random.int(0, 99999), 5)}`,
+    taxId: `TIN${pad(random.int(0, 999999999), 9)}`,
+    address: `${random.int(1, 250)} KG ${random.int(1, 700)} St, ${random.pick(LOCATIONS)}`,
+    industry: 'Construction'
+  };
+
+  const positions = POSITIONS.map(position => ({
+    name: position.name,
+    description: position.description,
+    defaultDailyRate: roundTo(random.int(position.minRate, position.maxRate), 500)
+  }));
+
+  // Categories rotate so every project_category is present
+  const projects = [];
+  for (let i = 0; i < counts.projects; i++) {
+    const category = PROJECT_CATEGORIES[i % PROJECT_CATEGORIES.length];
+    const projectStart = addDays(startDate, -7 * random.int(1, 8));
+
+    projects.push({
+      name: `${random.pick(LOCATIONS)} ${random.pick(PROJECT_TEMPLATES[category])} ${pad(i + 1, 2)}`,
+      description: `Demo ${category.toLowerCase()} project`,
+      client: random.pick(CLIENTS),
+      category,
+      startDate: projectStart,
+      endDate: addDays(endDate, 7 * random.int(4, 26)),
+      budget: roundTo(random.int(20000000, 500000000), 100000),
+      status: 'Active',
+      // Some projects override the default rate for a position
+      positionRates: positions
+        .map((position, positionIndex) => ({
+          positionIndex,
+          dailyRate: random.next() < 0.4
+            ? roundTo(position.defaultDailyRate * (1 + random.int(5, 20) / 100), 500)
+            : null
+        }))
+    });
+  }
+
+  const workers = [];
+  const assignments = [];
+  for (let i = 0; i < counts.workers; i++) {
+    const positionIndex = random.weighted(POSITION_WEIGHTS);
+    const fullname = personName();
+
+    workers.push({
+      fullname,
+      cardId: `${tag}-${pad(i + 1, 5)}`,
+      phone: phone(),
+      email: random.next() < 0.3
+        ? `${fullname.toLowerCase().replace(/\s+/g, '.')}.${tag.toLowerCase()}${i + 1}@example.com`
+        : null,
+      position: positions[positionIndex].name,
+      positionIndex,
+      bankAccount: random.next() < 0.6 ? pad(random.int(0, 9999999999), 10) : null,
+      idPassport: `1${random.int(1970, 2004)}${pad(random.int(0, 99999999999), 11)}`,
+      nationalId: null,
+      address: random.pick(LOCATIONS)
+    });
+
+    // Spread workers evenly across projects
+    assignments.push({ projectIndex: i % counts.projects, workerIndex: i });
+  }
+
+  // Weekday attendance; each worker has a reliability that shapes status and rating
+  const attendance = [];
+  const reliability = workers.map(() => 0.75 + random.next() * 0.23);
+  for (let day = 0; day < counts.weeks * 7; day++) {
+    if (day % 7 >= 5) {
+      continue;
+    }
+
+    const date = addDays(startDate, day);
+    for (const { projectIndex, workerIndex } of assignments) {
+      const roll = random.next();
+      const reliable = reliability[workerIndex];
+      let status;
+      if (roll < reliable) {
+        status = 'Present';
+      } else if (roll < reliable + (1 - reliable) * 0.4) {
+        status = 'Late';
+      } else if (roll < reliable + (1 - reliable) * 0.6) {
+        status = 'Half Day';
+      } else {
+        status = 'Absent';
+      }
+
+      const checkIn = status === 'Absent'
+        ? null
+        : `${pad(status === 'Late' ? random.int(8, 9) : 7, 2)}:${pad(random.int(0, 59), 2)}:00`;
+      const checkOut = status === 'Absent'
+        ? null
+        : `${pad(status === 'Half Day' ? 12 : random.int(16, 17), 2)}:${pad(random.int(0, 59), 2)}:00`;
+
+      attendance.push({
+        projectIndex,
+        workerIndex,
+        date,
+        checkIn,
+        checkOut,
+        status,
+        rating: status === 'Absent' ? null : Math.max(1, Math.min(5, Math.round(reliable * 5 + random.next() - 0.5))),
+        comments: random.pick(ATTENDANCE_COMMENTS[status])
+      });
+    }
+  }
+
+  // One payment request per project per week, paid from that week's attendance
+  const dayValues = { Present: 1, Late: 1, 'Half Day': 0.5, Absent: 0 };
+  const rateFor = (projectIndex, positionIndex) =>
+    projects[projectIndex].positionRates[positionIndex].dailyRate || positions[positionIndex].defaultDailyRate;
+
+  const paymentRequests = [];
+  for (let week = 0; week < counts.weeks; week++) {
+    const periodStart = addDays(startDate, week * 7);
+    const periodEnd = addDays(periodStart, 6);
+
+    for (let projectIndex = 0; projectIndex < counts.projects; projectIndex++) {
+      const daysByWorker = new Map();
+      for (const record of attendance) {
+        if (record.projectIndex === projectIndex && record.date >= periodStart && record.date <= periodEnd) {
+          daysByWorker.set(record.workerIndex, (daysByWorker.get(record.workerIndex) || 0) + dayValues[record.status]);
+        }
+      }
+
+      const lines = [...daysByWorker.entries()]
+        .filter(([, daysWorked]) => daysWorked > 0)
+        .map(([workerIndex, daysWorked]) => {
+          const allowancePerDay = rateFor(projectIndex, workers[workerIndex].positionIndex);
+          return { workerIndex, daysWorked, allowancePerDay, totalAmount: daysWorked * allowancePerDay };
+        });
+
+      if (lines.length === 0) {
+        continue;
+      }
+
+      // Rotating the status guarantees every status appears at every size
+      const status = REQUEST_STATUSES[paymentRequests.length % REQUEST_STATUSES.length];
+
+      paymentRequests.push({
+        requestId: `PAY-${tag}-${pad(paymentRequests.length + 1, 5)}`,
+        projectIndex,
+        requestDate: addDays(periodEnd, 1),
+        periodStart,
+        periodEnd,
+        status,
+        notes: `Week ${week + 1} wages`,
+        rejectionReason: status === 'Rejected' ? 'Attendance totals need review' : null,
+        totalAmount: lines.reduce((sum, line) => sum + line.totalAmount, 0),
+        workers: lines
+      });
+    }
+  }
+
+  const materialRequests = [];
+  for (let projectIndex = 0; projectIndex < counts.projects; projectIndex++) {
+    for (let i = 0; i < counts.materialRequestsPerProject; i++) {
+      const material = random.pick(MATERIALS);
+      const quantity = random.int(material.minQuantity, material.maxQuantity);
+      const status = REQUEST_STATUSES[materialRequests.length % REQUEST_STATUSES.length];
+
+      materialRequests.push({
+        requestId: `MAT-${tag}-${pad(materialRequests.length + 1, 5)}`,
+        projectIndex,
+        materialName: material.name,
+        quantity,
+        unit: material.unit,
+        estimatedCost: quantity * material.unitCost,
+        urgency: random.pick(URGENCY_LEVELS),
+        description: `${material.name} for ${projects[projectIndex].name}`,
+        status,
+        rejectionReason: status === 'Rejected' ? 'Over budget for this phase' : null,
+        // Approved and processed requests are published for quotes
+        published: status === 'Approved' || status === 'Processed'
+      });
+    }
+  }
+
+  return {
+    seed,
+    size,
+    period: { startDate, endDate },
+    user,
+    company,
+    positions,
+    projects,
+    workers,
+    assignments,
+    attendance,
+    paymentRequests,
+    materialRequests
+  };
+};
+
+module.exports = {
+  SEED_SIZES,
+  DEFAULT_START_DATE,
+  generateDemoTenant
+};
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const db = require('../config/database');
 const logger = require('../utils/logger');
 
 /**
@@ -6,47 +7,131 @@ const logger = require('../utils/logger');
  * Handles JWT token verification and role-based authorization
  */
 
+// Roles that identify non-user principals; their tokens only open their own routes
+const PRINCIPAL_SCOPES = ['seller', 'worker'];
+
+// Lookup of whether a principal may still use its access tokens; deactivating an account
+// revokes its refresh tokens, and this stops the access tokens it already holds
+const PRINCIPAL_ACTIVE_QUERIES = {
+  seller: 'SELECT is_active FROM sellers WHERE id = $1',
+  worker: 'SELECT is_active FROM workers WHERE id = $1 AND deleted_at IS NULL'
+};
+
 /**
- * Middleware to authenticate JWT tokens from Authorization header
- * Expects format: "Bearer <token>"
- * Attaches user info to req.user on successful verification
+ * Resolve which principal a verified token payload belongs to
+ * @param {Object} payload - Decoded JWT payload
+ * @returns {string} 'user' or one of PRINCIPAL_SCOPES
  */
-const authenticateToken = (req, res, next) => {
-  // Extract Authorization header
-  const authHeader = req.headers['authorization'];
-  // Get token from "Bearer <token>" format
-  const token = authHeader && authHeader.split(' ')[1];
+const getTokenScope = (payload) => (
+  PRINCIPAL_SCOPES.includes(payload.role) ? payload.role : 'user'
+);
 
-  // Check if token exists
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: 'Access token required'
-    });
-  }
+/**
+ * Middleware factory to authenticate JWT tokens from Authorization header
+ * Expects format: "Bearer <token>"
+ * Only accepts access tokens issued for the given principal scope
+ * Attaches token payload to req.user on successful verification
+ * @param {string} scope - Principal scope the route serves ('user', 'seller', 'worker')
+ * @returns {Function} Express middleware function
+ */
+const authenticateScope = (scope) => {
+  return (req, res, next) => {
+    // Extract Authorization header
+    const authHeader = req.headers['authorization'];
+    // Get token from "Bearer <token>" format
+    const token = authHeader && authHeader.split(' ')[1];
 
-  // Verify JWT token
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      // Log security event for monitoring
-      logger.warn('Invalid token attempt', { 
-        token: token.substring(0, 20) + '...', 
-        error: err.message,
-        ip: req.ip,
-        userAgent: req.get('User-Agent')
-      });
-      return res.status(403).json({
+    // Check if token exists
+    if (!token) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid or expired token'
+        message: 'Access token required'
       });
     }
 
-    // Attach user data to request object
-    req.user = user;
-    next();
-  });
+    // Verify JWT token
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+      if (err) {
+        // Log security event for monitoring
+        logger.warn('Invalid token attempt', { 
+          token: token.substring(0, 20) + '...', 
+          error: err.message,
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+
+      // Refresh tokens share the signing secret but must never grant API access
+      if (user.type === 'refresh') {
+        logger.warn('Refresh token used as access token', {
+          userId: user.id,
+          ip: req.ip
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+
+      // IDs are per-table, so a token from another principal must not pass
+      if (getTokenScope(user) !== scope) {
+        logger.warn('Token scope mismatch', {
+          principalId: user.id,
+          tokenScope: getTokenScope(user),
+          requiredScope: scope,
+          endpoint: req.path
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+
+      if (PRINCIPAL_ACTIVE_QUERIES[scope]) {
+        try {
+          const result = await db.query(PRINCIPAL_ACTIVE_QUERIES[scope], [user.id]);
+          if (!result.rows[0] || !result.rows[0].is_active) {
+            logger.warn('Deactivated principal token used', {
+              principalId: user.id,
+              scope,
+              ip: req.ip
+            });
+            return res.status(401).json({
+              success: false,
+              message: 'Account is deactivated. Please contact administrator.'
+            });
+          }
+        } catch (error) {
+          return next(error);
+        }
+      }
+
+      // Attach user data to request object
+      req.user = user;
+      next();
+    });
+  };
 };
 
+/**
+ * Middleware to authenticate user access tokens
+ */
+const authenticateToken = authenticateScope('user');
+
+/**
+ * Middleware to authenticate seller access tokens
+ */
+const authenticateSeller = authenticateScope('seller');
+
+/**
+ * Middleware to authenticate worker access tokens
+ */
+const authenticateWorker = authenticateScope('worker');
+
 /**
  * Middleware factory for role-based authorization
  * Restricts access based on user roles
@@ -101,7 +186,7 @@ const optionalAuth = (req, res, next) => {
 
   // If token exists, try to verify it
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (!err) {
+    if (!err && user.type !== 'refresh' && getTokenScope(user) === 'user') {
       req.user = user;
     }
     // Continue regardless of token validity
@@ -111,6 +196,8 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateSeller,
+  authenticateWorker,
   authorizeRoles,
   optionalAuth
 };
\ No newline at end of file
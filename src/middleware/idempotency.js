@@ -0,0 +1,86 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const idempotencyKeyModel = new IdempotencyKey();
+
+/**
+ * Idempotency Middleware for TransPipe Backend
+ * Makes retried requests safe: the first response sent under an Idempotency-Key
+ * header is stored and replayed for later requests with the same key
+ */
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Middleware factory for idempotent endpoints
+ * Requests without an Idempotency-Key header run normally
+ * Must run after authentication; keys are scoped per user and endpoint
+ * @param {string} scope - Endpoint name keys are scoped to, e.g. 'payments:process'
+ * @returns {Function} Express middleware function
+ */
+const idempotent = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    try {
+      const requestHash = idempotencyKeyModel.hashRequest(req.body);
+      const { claimed, record } = await idempotencyKeyModel.claim(req.user.id, scope, key, requestHash);
+
+      if (!claimed) {
+        if (record.request_hash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used for a different request'
+          });
+        }
+
+        if (record.response_status === null) {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        logger.info('Idempotent request replayed', { scope, userId: req.user.id });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response_status).json(record.response_body);
+      }
+
+      // Store the response before sending it; server errors release the key for a retry
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const settle = res.statusCode >= 500
+          ? idempotencyKeyModel.release(record.id)
+          : idempotencyKeyModel.complete(record.id, res.statusCode, body);
+
+        settle
+          .catch(error => logger.error('Failed to store idempotent response', {
+            scope,
+            recordId: record.id,
+            error: error.message
+          }))
+          .finally(() => sendJson(body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  idempotent
+};
@@ -1,5 +1,10 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { PROJECT_ROLES, APPROVER_ROLES } = require('../config/permissions');
+const { LEAVE_TYPES } = require('../config/leave');
+const { DOCUMENT_TYPES, DOCUMENT_MIME_TYPES, MAX_DOCUMENT_BYTES } = require('../config/documents');
+const { PAYOUT_METHODS } = require('../services/payouts');
+const { isValidTimeZone } = require('../utils/timezone');
 
 /**
  * Input Validation Middleware for TransPipe Backend
@@ -90,6 +95,21 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+// GPS coordinates shared by geofences and check-ins
+const latitude = Joi.number().min(-90).max(90);
+const longitude = Joi.number().min(-180).max(180);
+
+// Calendar dates kept as plain YYYY-MM-DD strings (rosters compare them as text)
+const calendarDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value)
+      ? value
+      : helpers.error('any.invalid');
+  });
+const clockTime = Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/);
+
 // Validation schemas for different endpoints
 const schemas = {
   // User registration validation schema
@@ -137,6 +157,123 @@ const schemas = {
       .required()
   }),
 
+  // Seller creation validation schema
+  createSeller: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(255)
+      .required(),
+    email: Joi.string()
+      .email({ tlds: { allow: false } })
+      .lowercase()
+      .required(),
+    phone: Joi.string()
+      .pattern(/^\+?[\d\s-()]+$/)
+      .min(10)
+      .max(20)
+      .required()
+      .messages({
+        'string.pattern.base': 'Phone must contain only digits, spaces, hyphens, parentheses, and optional plus sign'
+      }),
+    password: Joi.string()
+      .min(8)
+      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+      })
+  }),
+
+  // Seller login validation schema
+  sellerLogin: Joi.object({
+    email: Joi.string()
+      .email({ tlds: { allow: false } })
+      .lowercase()
+      .required(),
+    password: Joi.string()
+      .min(1)
+      .required()
+  }),
+
+  // Seller profile update validation schema
+  updateSellerProfile: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(255)
+      .optional(),
+    email: Joi.string()
+      .email({ tlds: { allow: false } })
+      .lowercase()
+      .optional(),
+    phone: Joi.string()
+      .pattern(/^\+?[\d\s-()]+$/)
+      .min(10)
+      .max(20)
+      .optional()
+  }).min(1),
+
+  // Password change validation schema
+  changePassword: Joi.object({
+    currentPassword: Joi.string()
+      .min(1)
+      .required(),
+    newPassword: Joi.string()
+      .min(8)
+      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .invalid(Joi.ref('currentPassword'))
+      .required()
+      .messages({
+        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
+        'any.invalid': 'New password must be different from the current password'
+      })
+  }),
+
+  // Worker login validation schema (phone or card ID plus PIN)
+  workerLogin: Joi.object({
+    phone: Joi.string()
+      .pattern(/^\+?[\d\s-()]+$/)
+      .min(10)
+      .max(20),
+    cardId: Joi.string()
+      .min(1)
+      .max(50)
+      .alphanum(),
+    pin: Joi.string()
+      .min(1)
+      .required()
+  }).xor('phone', 'cardId'),
+
+  // Worker PIN assignment validation schema (employer action)
+  setWorkerPin: Joi.object({
+    pin: Joi.string()
+      .pattern(/^\d{4,6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'PIN must be 4 to 6 digits'
+      })
+  }),
+
+  // Worker PIN change validation schema
+  changeWorkerPin: Joi.object({
+    currentPin: Joi.string()
+      .min(1)
+      .required(),
+    newPin: Joi.string()
+      .pattern(/^\d{4,6}$/)
+      .invalid(Joi.ref('currentPin'))
+      .required()
+      .messages({
+        'string.pattern.base': 'PIN must be 4 to 6 digits',
+        'any.invalid': 'New PIN must be different from the current PIN'
+      })
+  }),
+
+  // Refresh token exchange / logout validation schema
+  refreshToken: Joi.object({
+    refreshToken: Joi.string()
+      .required()
+  }),
+
   // Worker creation validation schema
   createWorker: Joi.object({
     userId: Joi.number()
@@ -211,6 +348,192 @@ const schemas = {
       .optional()
   }),
 
+  // Worker import validation schema (CSV text, or XLSX encoded as base64)
+  workerImport: Joi.object({
+    format: Joi.string()
+      .valid('csv', 'xlsx')
+      .required(),
+    content: Joi.string()
+      .max(8 * 1024 * 1024)
+      .when('format', { is: 'xlsx', then: Joi.string().base64() })
+      .required(),
+    projectId: Joi.number()
+      .integer()
+      .positive()
+      .optional(),
+    dryRun: Joi.boolean()
+      .optional()
+  }),
+
+  // Worker update validation schema
+  updateWorker: Joi.object({
+    fullname: Joi.string()
+      .min(2)
+      .max(255)
+      .pattern(/^[a-zA-Z\s]+$/)
+      .optional(),
+    phone: Joi.string()
+      .pattern(/^\+?[\d\s-()]+$/)
+      .min(10)
+      .max(20)
+      .optional(),
+    email: Joi.string()
+      .email({ tlds: { allow: false } })
+      .lowercase()
+      .allow(null)
+      .optional(),
+    cardId: Joi.string()
+      .min(1)
+      .max(50)
+      .alphanum()
+      .optional(),
+    position: Joi.string()
+      .valid('Engineer', 'Supervisor', 'Masonry')
+      .optional(),
+    positionId: Joi.number()
+      .integer()
+      .positive()
+      .optional(),
+    bankAccount: Joi.string()
+      .max(100)
+      .allow(null)
+      .optional(),
+    idPassport: Joi.string()
+      .min(5)
+      .max(100)
+      .optional(),
+    nationalId: Joi.string()
+      .min(5)
+      .max(100)
+      .allow(null)
+      .optional(),
+    address: Joi.string()
+      .max(500)
+      .allow(null)
+      .optional(),
+    salary: Joi.number()
+      .positive()
+      .precision(2)
+      .allow(null)
+      .optional()
+  }).min(1),
+
+  // Worker project assignment validation schema
+  assignWorkerProject: Joi.object({
+    projectId: Joi.number()
+      .integer()
+      .positive()
+      .required()
+  }),
+
+  // Worker merge validation schema
+  mergeWorkers: Joi.object({
+    duplicateId: Joi.number()
+      .integer()
+      .positive()
+      .required()
+  }),
+
+  // Duplicate worker detection query validation schema
+  duplicateWorkersQuery: Joi.object({
+    minScore: Joi.number()
+      .min(0)
+      .max(1)
+      .optional()
+  }),
+
+  // Worker document upload validation schema; content is the base64-encoded file
+  uploadWorkerDocument: Joi.object({
+    documentType: Joi.string()
+      .valid(...Object.keys(DOCUMENT_TYPES))
+      .required(),
+    title: Joi.string()
+      .max(255)
+      .optional(),
+    documentNumber: Joi.string()
+      .max(100)
+      .optional(),
+    issuedAt: calendarDate.optional(),
+    // Types that lapse cannot be stored without their expiry
+    expiresAt: calendarDate.when('documentType', {
+      is: Joi.valid(...Object.keys(DOCUMENT_TYPES).filter(type => DOCUMENT_TYPES[type].expires)),
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    }),
+    fileName: Joi.string()
+      .max(255)
+      .required(),
+    mimeType: Joi.string()
+      .valid(...Object.keys(DOCUMENT_MIME_TYPES))
+      .required(),
+    content: Joi.string()
+      .base64()
+      .max(Math.ceil(MAX_DOCUMENT_BYTES / 3) * 4)
+      .required()
+  }),
+
+  // Worker document verification validation schema
+  verifyWorkerDocument: Joi.object({
+    status: Joi.string()
+      .valid('Verified', 'Rejected')
+      .required(),
+    reason: Joi.string()
+      .max(1000)
+      .when('status', { is: 'Rejected', then: Joi.required(), otherwise: Joi.optional() })
+  }),
+
+  // Expiring worker documents query validation schema
+  expiringDocumentsQuery: Joi.object({
+    days: Joi.number()
+      .integer()
+      .min(0)
+      .max(365)
+      .optional(),
+    projectId: Joi.number()
+      .integer()
+      .positive()
+      .optional(),
+    documentType: Joi.string()
+      .valid(...Object.keys(DOCUMENT_TYPES))
+      .optional(),
+    includeExpired: Joi.boolean()
+      .optional()
+  }),
+
+  // Company holiday validation schema
+  companyHoliday: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(255)
+      .required(),
+    date: calendarDate.required(),
+    recurring: Joi.boolean()
+      .optional()
+  }),
+
+  // Company holiday iCal import validation schema
+  holidayImport: Joi.object({
+    ics: Joi.string()
+      .max(2 * 1024 * 1024)
+      .required()
+  }),
+
+  // Company payment approval chain validation schema
+  approvalChain: Joi.object({
+    steps: Joi.array()
+      .items(Joi.object({
+        approverRole: Joi.string()
+          .valid(...APPROVER_ROLES)
+          .required(),
+        minAmount: Joi.number()
+          .min(0)
+          .precision(2)
+          .optional()
+      }))
+      .max(10)
+      .required()
+  }),
+
   // Project creation validation schema
   createProject: Joi.object({
     userId: Joi.number()
@@ -427,6 +750,11 @@ const schemas = {
     industry: Joi.string()
       .min(2)
       .max(100)
+      .optional(),
+    // ISO weekdays off (1 = Monday ... 7 = Sunday); an empty list makes every day a working day
+    restDays: Joi.array()
+      .items(Joi.number().integer().min(1).max(7))
+      .max(7)
       .optional()
   }).min(1), // At least one field must be provided for update
 
@@ -490,9 +818,113 @@ const schemas = {
       .optional(),
     status: Joi.string()
       .valid('Active', 'Completed', 'On Hold', 'Cancelled')
+      .optional(),
+    timezone: Joi.string()
+      .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+      .optional(),
+    shiftStart: Joi.string()
+      .pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .allow(null)
+      .optional(),
+    lateGraceMinutes: Joi.number()
+      .integer()
+      .min(0)
+      .max(240)
+      .optional(),
+    requiredDocumentTypes: Joi.array()
+      .items(Joi.string().valid(...Object.keys(DOCUMENT_TYPES)))
+      .unique()
+      .optional()
+  }).min(1),
+
+  // Project geofence validation schema; null clears the geofence
+  projectGeofence: Joi.object({
+    geofence: Joi.alternatives()
+      .conditional('.type', {
+        is: 'circle',
+        then: Joi.object({
+          type: Joi.string().valid('circle').required(),
+          latitude: latitude.required(),
+          longitude: longitude.required(),
+          radiusMeters: Joi.number()
+            .positive()
+            .max(50000)
+            .required()
+        }),
+        otherwise: Joi.object({
+          type: Joi.string().valid('polygon').required(),
+          points: Joi.array()
+            .items(Joi.object({
+              latitude: latitude.required(),
+              longitude: longitude.required()
+            }))
+            .min(3)
+            .max(100)
+            .required()
+        })
+      })
+      .allow(null)
+      .required()
+  }),
+
+  // Shift template creation validation schema
+  createShift: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .required(),
+    startTime: clockTime.required(),
+    endTime: clockTime.required(),
+    breakMinutes: Joi.number()
+      .integer()
+      .min(0)
+      .max(480)
+      .optional(),
+    daysOfWeek: Joi.array()
+      .items(Joi.number().integer().min(1).max(7))
+      .min(1)
+      .max(7)
+      .required()
+  }),
+
+  // Shift template update validation schema
+  updateShift: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .optional(),
+    startTime: clockTime.optional(),
+    endTime: clockTime.optional(),
+    breakMinutes: Joi.number()
+      .integer()
+      .min(0)
+      .max(480)
+      .optional(),
+    daysOfWeek: Joi.array()
+      .items(Joi.number().integer().min(1).max(7))
+      .min(1)
+      .max(7)
       .optional()
   }).min(1),
 
+  // Shift roster assignment validation schema
+  assignShiftWorkers: Joi.object({
+    workerIds: Joi.array()
+      .items(Joi.number().integer().positive())
+      .min(1)
+      .max(200)
+      .unique()
+      .required(),
+    startDate: calendarDate.required(),
+    endDate: calendarDate.required()
+  }),
+
+  // Roster and roster report query validation schema
+  rosterQuery: Joi.object({
+    from: calendarDate.required(),
+    to: calendarDate.required()
+  }),
+
   // Position creation validation schema
   createPosition: Joi.object({
     name: Joi.string()
@@ -505,9 +937,58 @@ const schemas = {
     defaultDailyRate: Joi.number()
       .positive()
       .precision(2)
-      .required()
+      .required(),
+    hoursPerDay: Joi.number()
+      .positive()
+      .max(24)
+      .precision(2)
+      .optional(),
+    overtimeMultiplier: Joi.number()
+      .positive()
+      .precision(2)
+      .optional(),
+    nightMultiplier: Joi.number()
+      .positive()
+      .precision(2)
+      .optional(),
+    weekendMultiplier: Joi.number()
+      .positive()
+      .precision(2)
+      .optional()
   }),
 
+  updatePosition: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(100)
+      .optional(),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    defaultDailyRate: Joi.number()
+      .positive()
+      .precision(2)
+      .optional(),
+    hoursPerDay: Joi.number()
+      .positive()
+      .max(24)
+      .precision(2)
+      .optional(),
+    overtimeMultiplier: Joi.number()
+      .positive()
+      .precision(2)
+      .optional(),
+    nightMultiplier: Joi.number()
+      .positive()
+      .precision(2)
+      .optional(),
+    weekendMultiplier: Joi.number()
+      .positive()
+      .precision(2)
+      .optional()
+  }).min(1),
+
   // Supervisor assignment validation schema
   assignSupervisor: Joi.object({
     projectId: Joi.number()
@@ -520,6 +1001,17 @@ const schemas = {
       .required()
   }),
 
+  // Project role grant validation schema
+  grantProjectRole: Joi.object({
+    email: Joi.string()
+      .email({ tlds: { allow: false } })
+      .lowercase()
+      .required(),
+    role: Joi.string()
+      .valid(...PROJECT_ROLES)
+      .required()
+  }),
+
   // Material request creation validation schema
   createMaterialRequest: Joi.object({
     requestId: Joi.string()
@@ -562,6 +1054,28 @@ const schemas = {
       .required()
   }),
 
+  // Seller quote submission validation schema
+  submitMaterialQuote: Joi.object({
+    price: Joi.number()
+      .positive()
+      .precision(2)
+      .required(),
+    deliveryDate: Joi.date()
+      .iso()
+      .required(),
+    notes: Joi.string()
+      .max(1000)
+      .optional()
+  }),
+
+  // Material quote acceptance validation schema
+  acceptMaterialQuote: Joi.object({
+    quoteId: Joi.number()
+      .integer()
+      .positive()
+      .required()
+  }),
+
   // Attendance creation validation schema
   createAttendance: Joi.object({
     workerId: Joi.number()
@@ -639,6 +1153,168 @@ const schemas = {
       .optional()
   }).min(1),
 
+  // Located check-in validation schema
+  attendanceCheckIn: Joi.object({
+    workerId: Joi.number()
+      .integer()
+      .positive()
+      .required(),
+    projectId: Joi.number()
+      .integer()
+      .positive()
+      .required(),
+    latitude: latitude.required(),
+    longitude: longitude.required(),
+    accuracy: Joi.number()
+      .positive()
+      .required()
+  }),
+
+  // Card tap validation schema; projectId picks between several active projects
+  attendanceTap: Joi.object({
+    cardId: Joi.string()
+      .min(1)
+      .max(50)
+      .alphanum()
+      .required(),
+    deviceId: Joi.string()
+      .min(1)
+      .max(100)
+      .required(),
+    projectId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
+  }),
+
+  // Offline attendance batch validation schema
+  attendanceSync: Joi.object({
+    deviceId: Joi.string()
+      .min(1)
+      .max(100)
+      .optional(),
+    conflictStrategy: Joi.string()
+      .valid('last_write_wins', 'flag')
+      .optional(),
+    records: Joi.array()
+      .items(Joi.object({
+        clientId: Joi.string()
+          .guid()
+          .required(),
+        workerId: Joi.number()
+          .integer()
+          .positive()
+          .required(),
+        projectId: Joi.number()
+          .integer()
+          .positive()
+          .required(),
+        date: Joi.date()
+          .iso()
+          .required(),
+        checkIn: Joi.string()
+          .pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+          .optional(),
+        checkOut: Joi.string()
+          .pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+          .optional(),
+        status: Joi.string()
+          .valid('Present', 'Absent', 'Late', 'Half Day')
+          .required(),
+        rating: Joi.number()
+          .integer()
+          .min(1)
+          .max(5)
+          .optional(),
+        comments: Joi.string()
+          .max(1000)
+          .optional(),
+        recordedAt: Joi.date()
+          .iso()
+          .required()
+      }))
+      .min(1)
+      .max(500)
+      .unique('clientId')
+      .required()
+  }),
+
+  // Located check-out validation schema
+  attendanceCheckOut: Joi.object({
+    latitude: latitude.required(),
+    longitude: longitude.required(),
+    accuracy: Joi.number()
+      .positive()
+      .required()
+  }),
+
+  // Flagged attendance review validation schema
+  reviewAttendance: Joi.object({
+    decision: Joi.string()
+      .valid('Accepted', 'Rejected')
+      .required(),
+    comment: Joi.string()
+      .max(500)
+      .optional()
+  }),
+
+  // Leave request validation schema (staff requesting for a worker)
+  leaveRequest: Joi.object({
+    workerId: Joi.number()
+      .integer()
+      .positive()
+      .required(),
+    projectId: Joi.number()
+      .integer()
+      .positive()
+      .required(),
+    leaveType: Joi.string()
+      .valid(...Object.keys(LEAVE_TYPES))
+      .required(),
+    startDate: calendarDate.required(),
+    endDate: calendarDate.required(),
+    paid: Joi.boolean()
+      .optional(),
+    reason: Joi.string()
+      .max(1000)
+      .optional()
+  }),
+
+  // Leave request validation schema (worker requesting for themselves)
+  workerLeaveRequest: Joi.object({
+    projectId: Joi.number()
+      .integer()
+      .positive()
+      .required(),
+    leaveType: Joi.string()
+      .valid(...Object.keys(LEAVE_TYPES))
+      .required(),
+    startDate: calendarDate.required(),
+    endDate: calendarDate.required(),
+    paid: Joi.boolean()
+      .optional(),
+    reason: Joi.string()
+      .max(1000)
+      .optional()
+  }),
+
+  // Leave approval validation schema
+  approveLeave: Joi.object({
+    paid: Joi.boolean()
+      .optional(),
+    comment: Joi.string()
+      .max(500)
+      .optional()
+  }),
+
+  // Leave rejection validation schema
+  rejectLeave: Joi.object({
+    reason: Joi.string()
+      .min(1)
+      .max(500)
+      .required()
+  }),
+
   // Payment request creation validation schema
   createPaymentRequest: Joi.object({
     requestId: Joi.string()
@@ -652,6 +1328,14 @@ const schemas = {
     requestDate: Joi.date()
       .iso()
       .required(),
+    // Days paid for; a worker cannot be on two live requests whose periods overlap
+    periodStart: Joi.date()
+      .iso()
+      .required(),
+    periodEnd: Joi.date()
+      .iso()
+      .min(Joi.ref('periodStart'))
+      .required(),
     workers: Joi.array()
       .items(
         Joi.object({
@@ -660,13 +1344,32 @@ const schemas = {
             .positive()
             .required(),
           daysWorked: Joi.number()
-            .integer()
             .positive()
+            .precision(2)
             .required(),
           allowancePerDay: Joi.number()
             .positive()
             .precision(2)
             .required(),
+          // Hours breakdown from a draft; the line is then paid by the hour
+          hours: Joi.object({
+            regular: Joi.number()
+              .min(0)
+              .precision(2)
+              .optional(),
+            overtime: Joi.number()
+              .min(0)
+              .precision(2)
+              .optional(),
+            night: Joi.number()
+              .min(0)
+              .precision(2)
+              .optional(),
+            weekend: Joi.number()
+              .min(0)
+              .precision(2)
+              .optional()
+          }).optional(),
           totalAmount: Joi.number()
             .positive()
             .precision(2)
@@ -680,12 +1383,34 @@ const schemas = {
       .optional()
   }),
 
+  // Payment request generation (from attendance) validation schema
+  generatePaymentRequest: Joi.object({
+    projectId: Joi.number()
+      .integer()
+      .positive()
+      .required(),
+    startDate: Joi.date()
+      .iso()
+      .required(),
+    endDate: Joi.date()
+      .iso()
+      .min(Joi.ref('startDate'))
+      .required(),
+    lateDayValue: Joi.number()
+      .min(0)
+      .max(1)
+      .optional()
+  }),
+
   // Payment request approval validation schema
   approvePaymentRequest: Joi.object({
     requestId: Joi.string()
       .min(1)
       .max(100)
-      .required()
+      .required(),
+    comment: Joi.string()
+      .max(500)
+      .optional()
   }),
 
   // Payment request rejection validation schema
@@ -705,10 +1430,42 @@ const schemas = {
     paymentIds: Joi.array()
       .items(Joi.number().integer().positive())
       .min(1)
-      .required()
+      .required(),
+    payoutMethod: Joi.string()
+      .valid(...PAYOUT_METHODS)
+      .optional()
+  }),
+
+  // Payout retry validation schema; the destination defaults to the worker's current details
+  retryPayout: Joi.object({
+    method: Joi.string()
+      .valid(...PAYOUT_METHODS)
+      .optional(),
+    destination: Joi.string()
+      .trim()
+      .max(100)
+      .optional()
+  }),
+
+  // Soft-deleted record purge validation schema
+  purgeDeletedRecords: Joi.object({
+    olderThanDays: Joi.number()
+      .integer()
+      .positive()
+      .optional()
   })
 };
 
+// A worker import row follows the card-worker rules; its position may be named instead of
+// given by ID, and the project is chosen for the whole import
+schemas.workerImportRow = schemas.createWorkerWithCard
+  .fork(['positionId', 'projectId'], field => field.optional())
+  .keys({
+    position: Joi.string()
+      .max(100)
+  })
+  .xor('positionId', 'position');
+
 module.exports = {
   validate,
   sanitizeInput,
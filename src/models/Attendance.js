@@ -1,5 +1,84 @@
 const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
+const Shift = require('./Shift');
 const logger = require('../utils/logger');
+const { checkLocation } = require('../utils/geofence');
+const { localDateTime, minutesOfDay } = require('../utils/timezone');
+
+const DEFAULT_TAP_WINDOW_SECONDS = 60;
+
+// A second tap inside this window is treated as a reader bounce, not a check-out
+const getTapWindowSeconds = () => {
+  const configured = parseInt(process.env.ATTENDANCE_TAP_WINDOW_SECONDS, 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_TAP_WINDOW_SECONDS;
+};
+
+// An open check-in from the day before this recent is a night shift; older ones are a missed check-out
+const MAX_OVERNIGHT_SHIFT_HOURS = 16;
+
+// Device clocks may run ahead a little; further ahead would win every conflict
+const MAX_DEVICE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Fields a synced record may carry, with the device payload key for each column
+const SYNC_FIELDS = {
+  check_in: 'checkIn',
+  check_out: 'checkOut',
+  status: 'status',
+  rating: 'rating',
+  comments: 'comments'
+};
+
+// TIME columns come back as HH:MM:SS while devices send HH:MM
+const normalizeSyncValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return /^\d{1,2}:\d{2}$/.test(value) ? `${value.padStart(5, '0')}:00` : value;
+};
+
+// Why a server record must not be replaced by a newer device write, or null when it may be
+// Review decisions, approved leave and located check-ins come from the server, not the device
+const protectedSyncReason = (attendance) => {
+  if (attendance.leave_request_id) {
+    return 'Server record is linked to approved leave';
+  }
+  if (attendance.review_status) {
+    return attendance.review_status === 'Flagged' ? 'Server record is awaiting review' : 'Server record was reviewed';
+  }
+  if (attendance.check_in_at) {
+    return 'Server record has a located check-in';
+  }
+  return null;
+};
+
+// Taps after the shift start plus grace count as late; no shift start means never late
+const deriveTapStatus = (time, project) => {
+  if (!project.shift_start) {
+    return 'Present';
+  }
+  const lateAfter = minutesOfDay(project.shift_start) + (project.late_grace_minutes || 0);
+  return minutesOfDay(time) > lateAfter ? 'Late' : 'Present';
+};
+
+// Filters and sort fields accepted by GET /attendance
+const ATTENDANCE_LIST = {
+  filters: {
+    workerId: { column: 'a.worker_id', type: 'integer' },
+    status: { column: 'a.status', type: 'enum', values: ['Present', 'Absent', 'Late', 'Half Day', 'On Leave'] },
+    date: { column: 'a.date', type: 'date' },
+    rating: { column: 'a.rating', type: 'integer', nullable: true },
+    workerName: { column: 'w.fullname', operators: ['eq', 'ilike'] },
+    reviewStatus: { column: 'a.review_status', type: 'enum', values: ['Flagged', 'Accepted', 'Rejected'], nullable: true }
+  },
+  sorts: {
+    date: 'a.date',
+    createdAt: 'a.created_at',
+    workerName: 'w.fullname'
+  },
+  defaultSort: '-date,-createdAt',
+  idColumn: 'a.id',
+  deletedColumn: 'a.deleted_at'
+};
 
 /**
  * Attendance Model
@@ -8,7 +87,9 @@ const logger = require('../utils/logger');
  */
 class Attendance extends BaseModel {
   constructor() {
-    super('attendance');
+    super('attendance', { softDelete: true });
+    this.projectMembers = new ProjectMember();
+    this.shifts = new Shift();
   }
 
   // Find attendance by user ID
@@ -45,24 +126,19 @@ class Attendance extends BaseModel {
       throw new Error('User not found');
     }
 
-    // Validate worker exists and belongs to user
+    // Validate the user may mark attendance on the project
+    const { project, role } = await this.projectMembers.assertPermission(projectId, userId, 'attendance:mark');
+
+    // Validate worker exists and belongs to the project owner
     const workerResult = await this.db.query(
-      'SELECT * FROM workers WHERE id = $1 AND user_id = $2',
-      [workerId, userId]
+      'SELECT * FROM workers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [workerId, project.user_id]
     );
 
     if (workerResult.rows.length === 0) {
       throw new Error('Worker not found or access denied');
     }
 
-    // Validate project exists and belongs to user
-    const Project = require('./Project');
-    const projectModel = new Project();
-    const project = await projectModel.findById(projectId);
-    if (!project || project.user_id !== userId) {
-      throw new Error('Project not found or access denied');
-    }
-
     // Check if attendance already exists for this worker, project, and date
     const existingAttendance = await this.findByWorkerAndProject(workerId, projectId, date);
     if (existingAttendance) {
@@ -77,19 +153,24 @@ class Attendance extends BaseModel {
       date,
       check_in: checkIn,
       check_out: checkOut,
-      status
+      status,
+      ...this._manualMarkReview(project, role)
     });
 
+    // Compare with the roster: on time, late, no-show or unscheduled
+    const roster = await this.shifts.compareAttendance(attendance, project);
+
     logger.business('attendance_created', {
       attendanceId: attendance.id,
       userId,
       workerId,
       projectId,
       date,
-      status
+      status,
+      rosterOutcome: roster ? roster.outcome : null
     });
 
-    return attendance;
+    return { ...attendance, roster };
   }
 
   // Mark attendance with rating (supervisor function)
@@ -112,24 +193,19 @@ class Attendance extends BaseModel {
       throw new Error('User not found');
     }
 
-    // Validate worker exists and belongs to user
+    // Validate the user may mark attendance on the project
+    const { project, role } = await this.projectMembers.assertPermission(projectId, userId, 'attendance:mark');
+
+    // Validate worker exists and belongs to the project owner
     const workerResult = await this.db.query(
-      'SELECT * FROM workers WHERE id = $1 AND user_id = $2',
-      [workerId, userId]
+      'SELECT * FROM workers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [workerId, project.user_id]
     );
 
     if (workerResult.rows.length === 0) {
       throw new Error('Worker not found or access denied');
     }
 
-    // Validate project exists and belongs to user
-    const Project = require('./Project');
-    const projectModel = new Project();
-    const project = await projectModel.findById(projectId);
-    if (!project || project.user_id !== userId) {
-      throw new Error('Project not found or access denied');
-    }
-
     // Check if attendance already exists for this date
     const existingAttendance = await this.findByWorkerAndProject(workerId, projectId, date);
     
@@ -150,7 +226,8 @@ class Attendance extends BaseModel {
         date,
         status,
         rating,
-        comments
+        comments,
+        ...this._manualMarkReview(project, role)
       });
     }
 
@@ -169,15 +246,18 @@ class Attendance extends BaseModel {
 
   // Update attendance record
   async updateAttendance(attendanceId, updateData, userId) {
-    // Verify ownership
     const attendance = await this.findById(attendanceId);
     if (!attendance) {
       throw new Error('Attendance record not found');
     }
 
-    if (attendance.user_id !== userId) {
-      throw new Error('Access denied. You can only update your own attendance records.');
-    }
+    // Verify the user may mark attendance on the record's project
+    await this.projectMembers.assertPermission(
+      attendance.project_id,
+      userId,
+      'attendance:mark',
+      'Attendance record not found or access denied'
+    );
 
     // Map frontend field names to database field names
     const fieldMapping = {
@@ -212,114 +292,61 @@ class Attendance extends BaseModel {
   }
 
   // Get attendance records with pagination and filters
-  async getAttendanceRecords(filters = {}, pagination = {}) {
-    const { page = 1, limit = 10 } = pagination;
-    const offset = (page - 1) * limit;
-
-    // Build conditions from filters
-    const conditions = {};
-    if (filters.userId) conditions.user_id = filters.userId;
-    if (filters.workerId) conditions.worker_id = filters.workerId;
-    if (filters.projectId) conditions.project_id = filters.projectId;
-    if (filters.status) conditions.status = filters.status;
-    if (filters.date) conditions.date = filters.date;
-
-    // Get attendance records with worker and project information
-    let query = `
-      SELECT a.*, 
-             w.fullname as worker_name, 
-             p.name as project_name,
-             u.name as supervisor_name
-      FROM attendance a
-      JOIN workers w ON a.worker_id = w.id
-      JOIN projects p ON a.project_id = p.id
-      JOIN users u ON a.user_id = u.id
-      WHERE 1=1
-    `;
-
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getAttendanceRecords(filters = {}, options = {}) {
+    // Lists are scoped to one project or to every project the caller may view
+    const where = [];
     const params = [];
-    let paramCount = 0;
-
-    // Add filters to query
-    if (conditions.user_id) {
-      paramCount++;
-      query += ` AND a.user_id = $${paramCount}`;
-      params.push(conditions.user_id);
-    }
-
-    if (conditions.worker_id) {
-      paramCount++;
-      query += ` AND a.worker_id = $${paramCount}`;
-      params.push(conditions.worker_id);
+    if (filters.viewer) {
+      where.push(this._viewableProjectsCondition('a.project_id', filters.viewer, params));
     }
-
-    if (conditions.project_id) {
-      paramCount++;
-      query += ` AND a.project_id = $${paramCount}`;
-      params.push(conditions.project_id);
+    if (filters.projectId) {
+      params.push(filters.projectId);
+      where.push(`a.project_id = $${params.length}`);
     }
 
-    if (conditions.status) {
-      paramCount++;
-      query += ` AND a.status = $${paramCount}`;
-      params.push(conditions.status);
-    }
-
-    if (conditions.date) {
-      paramCount++;
-      query += ` AND a.date = $${paramCount}`;
-      params.push(conditions.date);
-    }
-
-    // Add date range filters if provided
-    if (filters.startDate) {
-      paramCount++;
-      query += ` AND a.date >= $${paramCount}`;
-      params.push(filters.startDate);
-    }
-
-    if (filters.endDate) {
-      paramCount++;
-      query += ` AND a.date <= $${paramCount}`;
-      params.push(filters.endDate);
-    }
-
-    // Add pagination
-    query += ` ORDER BY a.date DESC, a.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await this.db.query(query, params);
-
-    // Get total count
-    const totalCount = await this.count(conditions);
+    const { rows, pagination } = await this.findList(
+      {
+        // Includes worker and project information
+        select: `a.*,
+                 w.fullname as worker_name,
+                 p.name as project_name,
+                 u.name as supervisor_name`,
+        from: `attendance a
+               JOIN workers w ON a.worker_id = w.id
+               JOIN projects p ON a.project_id = p.id
+               JOIN users u ON a.user_id = u.id`,
+        where,
+        params,
+        filter: {
+          workerId: filters.workerId,
+          status: filters.status,
+          date: { eq: filters.date, gte: filters.startDate, lte: filters.endDate }
+        }
+      },
+      ATTENDANCE_LIST,
+      options
+    );
 
     return {
-      attendanceRecords: result.rows,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalCount / limit),
-        totalCount,
-        hasNext: page * limit < totalCount,
-        hasPrev: page > 1
-      }
+      attendanceRecords: rows,
+      pagination
     };
   }
 
   // Get attendance statistics
   async getAttendanceStats(filters = {}) {
     const conditions = {};
-    if (filters.userId) conditions.user_id = filters.userId;
     if (filters.projectId) conditions.project_id = filters.projectId;
     if (filters.workerId) conditions.worker_id = filters.workerId;
 
-    let whereClause = 'WHERE 1=1';
+    let whereClause = 'WHERE deleted_at IS NULL';
     const params = [];
     let paramCount = 0;
 
-    if (conditions.user_id) {
-      paramCount++;
-      whereClause += ` AND user_id = $${paramCount}`;
-      params.push(conditions.user_id);
+    if (filters.viewer) {
+      whereClause += ` AND ${this._viewableProjectsCondition('project_id', filters.viewer, params)}`;
+      paramCount = params.length;
     }
 
     if (conditions.project_id) {
@@ -348,26 +375,45 @@ class Attendance extends BaseModel {
     }
 
     // Get statistics in parallel
-    const [totalRecords, presentCount, absentCount, lateCount, avgRating] = await Promise.all([
+    const [totalRecords, presentCount, absentCount, lateCount, avgRating, nonWorkingDays] = await Promise.all([
       this.db.query(`SELECT COUNT(*) FROM attendance ${whereClause}`, params),
       this.db.query(`SELECT COUNT(*) FROM attendance ${whereClause} AND status = 'Present'`, params),
       this.db.query(`SELECT COUNT(*) FROM attendance ${whereClause} AND status = 'Absent'`, params),
       this.db.query(`SELECT COUNT(*) FROM attendance ${whereClause} AND status = 'Late'`, params),
-      this.db.query(`SELECT AVG(rating) FROM attendance ${whereClause} AND rating IS NOT NULL`, params)
+      this.db.query(`SELECT AVG(rating) FROM attendance ${whereClause} AND rating IS NOT NULL`, params),
+      // Rest days and holidays of the project's company calendar, and approved leave
+      this.db.query(
+        `SELECT COUNT(*) FILTER (WHERE NOT is_working_day(project_id, date)) AS count,
+                COUNT(*) FILTER (WHERE NOT is_working_day(project_id, date) AND status IN ('Present', 'Late')) AS attended,
+                COUNT(*) FILTER (WHERE status = 'On Leave') AS on_leave,
+                COUNT(*) FILTER (WHERE status = 'On Leave' AND is_working_day(project_id, date)) AS working_day_leave
+         FROM attendance ${whereClause}`,
+        params
+      )
     ]);
 
     const total = parseInt(totalRecords.rows[0].count);
     const present = parseInt(presentCount.rows[0].count);
     const absent = parseInt(absentCount.rows[0].count);
     const late = parseInt(lateCount.rows[0].count);
+    const offDays = parseInt(nonWorkingDays.rows[0].count);
+    const offDaysAttended = parseInt(nonWorkingDays.rows[0].attended);
+    const onLeave = parseInt(nonWorkingDays.rows[0].on_leave);
+
+    // Rest days, holidays and approved leave neither count against nor towards the rate
+    const workingDayRecords = total - offDays - parseInt(nonWorkingDays.rows[0].working_day_leave);
 
     return {
       totalRecords: total,
       presentCount: present,
       absentCount: absent,
       lateCount: late,
-      halfDayCount: total - present - absent - late, // Calculate half day
-      attendanceRate: total > 0 ? ((present + late) / total * 100).toFixed(2) : 0,
+      onLeaveCount: onLeave,
+      halfDayCount: total - present - absent - late - onLeave, // Calculate half day
+      nonWorkingDayCount: offDays,
+      attendanceRate: workingDayRecords > 0
+        ? ((present + late - offDaysAttended) / workingDayRecords * 100).toFixed(2)
+        : 0,
       averageRating: parseFloat(avgRating.rows[0].avg || 0).toFixed(2)
     };
   }
@@ -375,10 +421,17 @@ class Attendance extends BaseModel {
   // Delete attendance record
   async deleteAttendance(attendanceId, userId) {
     const attendance = await this.findById(attendanceId);
-    if (!attendance || attendance.user_id !== userId) {
+    if (!attendance) {
       throw new Error('Attendance record not found or access denied');
     }
 
+    await this.projectMembers.assertPermission(
+      attendance.project_id,
+      userId,
+      'attendance:delete',
+      'Attendance record not found or access denied'
+    );
+
     const deleted = await this.deleteById(attendanceId);
 
     if (deleted) {
@@ -387,6 +440,469 @@ class Attendance extends BaseModel {
 
     return deleted;
   }
+
+  // Restore a deleted attendance record
+  async restoreAttendance(attendanceId, userId) {
+    const attendance = await this.findById(attendanceId, { withDeleted: true });
+    if (!attendance || !attendance.deleted_at) {
+      throw new Error('Deleted attendance record not found or access denied');
+    }
+
+    await this.projectMembers.assertPermission(
+      attendance.project_id,
+      userId,
+      'attendance:delete',
+      'Deleted attendance record not found or access denied'
+    );
+
+    // The day may have been marked again after the delete
+    const replacement = await this.findOne({
+      worker_id: attendance.worker_id,
+      project_id: attendance.project_id,
+      date: attendance.date
+    });
+    if (replacement) {
+      throw new Error('Attendance record already exists for this worker on this date');
+    }
+
+    const restored = await this.restoreById(attendanceId);
+
+    logger.business('attendance_restored', { attendanceId, userId });
+
+    return restored;
+  }
+
+  // Record a located check-in for today, flagging it when it falls outside the project geofence
+  async checkIn(checkInData) {
+    const { userId, workerId, projectId, latitude, longitude, accuracy } = checkInData;
+
+    // Validate the user may mark attendance on the project
+    const { project } = await this.projectMembers.assertPermission(projectId, userId, 'attendance:mark');
+
+    // Validate worker exists and belongs to the project owner
+    const workerResult = await this.db.query(
+      'SELECT * FROM workers WHERE id = $1 AND user_id = $2 AND is_active = true AND deleted_at IS NULL',
+      [workerId, project.user_id]
+    );
+
+    if (workerResult.rows.length === 0) {
+      throw new Error('Worker not found or access denied');
+    }
+
+    const now = new Date();
+    const { date, time } = localDateTime(now, project.timezone);
+    const { distance, flagReason } = checkLocation(project.geofence, { latitude, longitude, accuracy });
+
+    const checkInFields = {
+      check_in: time,
+      check_in_at: now,
+      check_in_latitude: latitude,
+      check_in_longitude: longitude,
+      check_in_accuracy: accuracy,
+      check_in_distance: distance,
+      review_status: flagReason ? 'Flagged' : null,
+      review_reason: flagReason
+    };
+
+    // A day marked by hand without a check-in takes the check-in
+    const existingAttendance = await this.findByWorkerAndProject(workerId, projectId, date);
+    if (existingAttendance && existingAttendance.check_in_at) {
+      throw new Error('Worker has already checked in on this date');
+    }
+
+    const attendance = existingAttendance
+      ? await this.updateById(existingAttendance.id, checkInFields, { action: 'check_in' })
+      : await this.create({
+        user_id: userId,
+        worker_id: workerId,
+        project_id: projectId,
+        date,
+        status: 'Present',
+        ...checkInFields
+      });
+
+    logger.business(flagReason ? 'attendance_check_in_flagged' : 'attendance_checked_in', {
+      attendanceId: attendance.id,
+      userId,
+      workerId,
+      projectId,
+      distance,
+      accuracy,
+      reason: flagReason
+    });
+
+    return attendance;
+  }
+
+  // Record a located check-out; an out-of-fence check-out flags the record too
+  async checkOut(attendanceId, location, userId) {
+    const attendance = await this.findById(attendanceId);
+    if (!attendance) {
+      throw new Error('Attendance record not found or access denied');
+    }
+
+    const { project } = await this.projectMembers.assertPermission(
+      attendance.project_id,
+      userId,
+      'attendance:mark',
+      'Attendance record not found or access denied'
+    );
+
+    if (!attendance.check_in_at) {
+      throw new Error('Worker has not checked in on this date');
+    }
+
+    if (attendance.check_out_at) {
+      throw new Error('Worker has already checked out on this date');
+    }
+
+    const now = new Date();
+    const { latitude, longitude, accuracy } = location;
+    const { distance, flagReason } = checkLocation(project.geofence, location);
+
+    const checkOutFields = {
+      check_out: localDateTime(now, project.timezone).time,
+      check_out_at: now,
+      check_out_latitude: latitude,
+      check_out_longitude: longitude,
+      check_out_accuracy: accuracy,
+      check_out_distance: distance
+    };
+
+    // Keep an earlier decision; only a clean record becomes flagged here
+    if (flagReason && !attendance.review_status) {
+      checkOutFields.review_status = 'Flagged';
+      checkOutFields.review_reason = `Check-out: ${flagReason}`;
+    }
+
+    const updatedAttendance = await this.updateById(attendanceId, checkOutFields, { action: 'check_out' });
+
+    logger.business(flagReason ? 'attendance_check_out_flagged' : 'attendance_checked_out', {
+      attendanceId,
+      userId,
+      distance,
+      accuracy,
+      reason: flagReason
+    });
+
+    return updatedAttendance;
+  }
+
+  // Toggle check-in/check-out for the worker holding a card on their active project
+  async recordTap(tapData) {
+    const { userId, cardId, deviceId, projectId } = tapData;
+    const notFoundMessage = 'Card not found or access denied';
+
+    const workerResult = await this.db.query(
+      'SELECT * FROM workers WHERE card_id = $1 AND is_active = true AND deleted_at IS NULL',
+      [cardId]
+    );
+    const worker = workerResult.rows[0];
+    if (!worker) {
+      throw new Error(notFoundMessage);
+    }
+
+    // A worker on several active projects needs the reader to say which one
+    const params = [worker.id];
+    let projectCondition = '';
+    if (projectId) {
+      params.push(projectId);
+      projectCondition = ' AND p.id = $2';
+    }
+
+    const projectsResult = await this.db.query(
+      `SELECT p.id FROM projects p
+       JOIN project_workers pw ON pw.project_id = p.id
+       WHERE pw.worker_id = $1 AND pw.is_active = true AND p.status = 'Active' AND p.deleted_at IS NULL${projectCondition}`,
+      params
+    );
+
+    if (projectsResult.rows.length === 0) {
+      throw new Error(projectId ? notFoundMessage : 'Worker has no active project');
+    }
+    if (projectsResult.rows.length > 1) {
+      throw new Error('Worker is assigned to several active projects; projectId is required');
+    }
+
+    const { project } = await this.projectMembers.assertPermission(
+      projectsResult.rows[0].id,
+      userId,
+      'attendance:mark',
+      notFoundMessage
+    );
+
+    const now = new Date();
+    const { date, time } = localDateTime(now, project.timezone);
+    // A night shift's check-out tap falls on the next date and closes the day before
+    const existingAttendance = await this.findByWorkerAndProject(worker.id, project.id, date) ||
+      await this._findOvernightCheckIn(worker.id, project.id, date, now);
+
+    const lastTapAt = existingAttendance && (existingAttendance.check_out_at || existingAttendance.check_in_at);
+    const windowSeconds = getTapWindowSeconds();
+    if (lastTapAt && now - new Date(lastTapAt) < windowSeconds * 1000) {
+      throw new Error(`Duplicate tap ignored; taps within ${windowSeconds} seconds are not counted`);
+    }
+
+    if (existingAttendance && existingAttendance.check_out_at) {
+      throw new Error('Worker has already checked out on this date');
+    }
+
+    let attendance;
+    let tapAction;
+    if (existingAttendance && existingAttendance.check_in_at) {
+      tapAction = 'check_out';
+      attendance = await this.updateById(existingAttendance.id, {
+        check_out: time,
+        check_out_at: now,
+        check_out_device: deviceId
+      }, { action: tapAction });
+    } else {
+      // A day marked by hand without a check-in takes the tap as its check-in
+      tapAction = 'check_in';
+      const checkInFields = {
+        check_in: time,
+        check_in_at: now,
+        check_in_device: deviceId,
+        status: deriveTapStatus(time, project)
+      };
+      attendance = existingAttendance
+        ? await this.updateById(existingAttendance.id, checkInFields, { action: tapAction })
+        : await this.create({
+          user_id: userId,
+          worker_id: worker.id,
+          project_id: project.id,
+          date,
+          ...checkInFields
+        });
+    }
+
+    logger.business(tapAction === 'check_in' ? 'attendance_tap_check_in' : 'attendance_tap_check_out', {
+      attendanceId: attendance.id,
+      userId,
+      workerId: worker.id,
+      projectId: project.id,
+      deviceId,
+      status: attendance.status
+    });
+
+    return { attendance, tapAction, worker };
+  }
+
+  // The worker's check-in without a check-out on the day before date, if recent enough to be a night shift
+  async _findOvernightCheckIn(workerId, projectId, date, now) {
+    const result = await this.db.query(
+      `SELECT * FROM attendance
+       WHERE worker_id = $1 AND project_id = $2 AND date = $3::date - 1 AND deleted_at IS NULL
+         AND check_in_at IS NOT NULL AND check_out_at IS NULL AND check_in_at > $4`,
+      [workerId, projectId, date, new Date(now.getTime() - MAX_OVERNIGHT_SHIFT_HOURS * 60 * 60 * 1000)]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Apply a batch of records collected offline; each record gets its own outcome
+  // conflictStrategy: 'last_write_wins' keeps the newer device time, 'flag' sends differences to review
+  async syncRecords(userId, records, { conflictStrategy = 'last_write_wins', deviceId = null } = {}) {
+    // Permission checks are shared by every record on the same project
+    const projectAccess = new Map();
+    const results = [];
+
+    for (const record of records) {
+      if (!projectAccess.has(record.projectId)) {
+        projectAccess.set(
+          record.projectId,
+          this.projectMembers.assertPermission(record.projectId, userId, 'attendance:mark').catch(error => error)
+        );
+      }
+
+      try {
+        const access = await projectAccess.get(record.projectId);
+        if (access instanceof Error) {
+          throw access;
+        }
+        results.push(await this._syncRecord(record, access, userId, conflictStrategy));
+      } catch (error) {
+        results.push({ clientId: record.clientId, outcome: 'rejected', attendanceId: null, message: error.message });
+      }
+    }
+
+    const summary = {};
+    results.forEach(({ outcome }) => {
+      summary[outcome] = (summary[outcome] || 0) + 1;
+    });
+
+    logger.business('attendance_synced', { userId, deviceId, conflictStrategy, records: records.length, ...summary });
+
+    return { results, summary };
+  }
+
+  // Only the owner may mark a geofenced project's attendance without a location; other
+  // manual marks wait for review like check-ins outside the fence
+  _manualMarkReview(project, role) {
+    if (!project.geofence || role === 'owner') {
+      return {};
+    }
+    return {
+      review_status: 'Flagged',
+      review_reason: 'Marked manually without a location on a geofenced project'
+    };
+  }
+
+  // Apply one synced record; retried once when another writer claims the day first
+  async _syncRecord(record, access, userId, conflictStrategy, retried = false) {
+    const { project, role } = access;
+    const { clientId, workerId, projectId, date, recordedAt } = record;
+    const outcome = (name, attendanceId, message = null) => ({ clientId, outcome: name, attendanceId, message });
+
+    // A replayed record was applied before; deleted ones stay deleted. Only the record's own
+    // project is searched, so another tenant's clientId is neither matched nor revealed
+    const replayResult = await this.db.query(
+      'SELECT id, deleted_at FROM attendance WHERE client_uuid = $1 AND project_id = $2',
+      [clientId, projectId]
+    );
+    const replayed = replayResult.rows[0];
+    if (replayed) {
+      return replayed.deleted_at
+        ? outcome('skipped', replayed.id, 'Record was deleted on the server')
+        : outcome('unchanged', replayed.id);
+    }
+
+    const recordedTime = new Date(recordedAt);
+    if (recordedTime.getTime() - Date.now() > MAX_DEVICE_CLOCK_SKEW_MS) {
+      throw new Error('Device timestamp is in the future');
+    }
+
+    const workerResult = await this.db.query(
+      'SELECT id FROM workers WHERE id = $1 AND user_id = $2 AND is_active = true AND deleted_at IS NULL',
+      [workerId, project.user_id]
+    );
+    if (workerResult.rows.length === 0) {
+      throw new Error('Worker not found or access denied');
+    }
+
+    // Fields the device left out are neither compared nor cleared on the server
+    const fields = {};
+    Object.entries(SYNC_FIELDS).forEach(([column, key]) => {
+      if (record[key] !== undefined) {
+        fields[column] = normalizeSyncValue(record[key]);
+      }
+    });
+
+    const existingAttendance = await this.findByWorkerAndProject(workerId, projectId, date);
+
+    if (!existingAttendance) {
+      try {
+        const attendance = await this.create({
+          user_id: userId,
+          worker_id: workerId,
+          project_id: projectId,
+          date,
+          ...fields,
+          ...this._manualMarkReview(project, role),
+          client_uuid: clientId,
+          recorded_at: recordedTime
+        });
+        return outcome('created', attendance.id);
+      } catch (error) {
+        if (error.constraint === 'attendance_client_uuid_key') {
+          throw new Error('clientId is already used by another record');
+        }
+        // Unique violation: the day was marked between our read and insert
+        if (error.code === '23505' && !retried) {
+          return this._syncRecord(record, access, userId, conflictStrategy, true);
+        }
+        throw error;
+      }
+    }
+
+    const differs = Object.keys(fields).some(column =>
+      String(normalizeSyncValue(existingAttendance[column])) !== String(fields[column])
+    );
+    if (!differs) {
+      return outcome('unchanged', existingAttendance.id);
+    }
+
+    const protectedReason = protectedSyncReason(existingAttendance);
+
+    if (conflictStrategy === 'flag') {
+      // A protected record keeps its review state; the device version is only kept for a reviewer
+      if (protectedReason) {
+        await this.updateById(existingAttendance.id, { sync_conflict: record }, { action: 'sync_conflict' });
+        return outcome('conflict', existingAttendance.id, `${protectedReason}; device version stored`);
+      }
+
+      await this.updateById(existingAttendance.id, {
+        review_status: 'Flagged',
+        review_reason: `Sync conflict: device record ${clientId} differs from the server record`,
+        sync_conflict: record
+      }, { action: 'sync_conflict' });
+      return outcome('flagged', existingAttendance.id, 'Differs from the server record; flagged for review');
+    }
+
+    if (protectedReason) {
+      return outcome('skipped', existingAttendance.id, protectedReason);
+    }
+
+    const serverTime = new Date(existingAttendance.recorded_at || existingAttendance.updated_at);
+    if (recordedTime <= serverTime) {
+      return outcome('skipped', existingAttendance.id, 'Server record is newer');
+    }
+
+    await this.updateById(existingAttendance.id, {
+      ...fields,
+      client_uuid: clientId,
+      recorded_at: recordedTime
+    }, { action: 'sync' });
+    return outcome('updated', existingAttendance.id);
+  }
+
+  // Accept or reject a flagged record; rejected records count as absent
+  async reviewAttendance(attendanceId, decision, comment, userId) {
+    const attendance = await this.findById(attendanceId);
+    if (!attendance) {
+      throw new Error('Attendance record not found or access denied');
+    }
+
+    const { role } = await this.projectMembers.assertPermission(
+      attendance.project_id,
+      userId,
+      'attendance:review',
+      'Attendance record not found or access denied'
+    );
+
+    if (attendance.review_status !== 'Flagged') {
+      throw new Error('Only flagged attendance records can be reviewed');
+    }
+
+    // The person who checked the worker in cannot clear their own flag
+    if (attendance.user_id === userId && role !== 'owner') {
+      const error = new Error('Access denied. You cannot review a check-in you recorded.');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const reviewFields = {
+      review_status: decision,
+      review_comment: comment || null,
+      reviewed_by: userId,
+      reviewed_at: new Date()
+    };
+    if (decision === 'Rejected') {
+      reviewFields.status = 'Absent';
+    }
+
+    const reviewedAttendance = await this.updateById(attendanceId, reviewFields, {
+      action: decision === 'Accepted' ? 'approve' : 'reject'
+    });
+
+    logger.business('attendance_reviewed', {
+      attendanceId,
+      userId,
+      decision,
+      reason: attendance.review_reason
+    });
+
+    return reviewedAttendance;
+  }
 }
 
-module.exports = Attendance;
\ No newline at end of file
+module.exports = Attendance;
@@ -0,0 +1,153 @@
+const BaseModel = require('./BaseModel');
+
+// Filters and sort fields accepted by GET /audit
+const AUDIT_LIST = {
+  filters: {
+    action: { column: 'a.action' },
+    actorType: { column: 'a.actor_type', type: 'enum', values: ['user', 'worker', 'seller', 'anonymous', 'system'] },
+    actorId: { column: 'a.actor_id', type: 'integer', nullable: true },
+    requestId: { column: 'a.request_id', nullable: true },
+    createdAt: { column: 'a.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'a.created_at'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'a.id'
+};
+
+// Owner lookup for each entity an owner may read the trail of; deleted records stay readable
+const ENTITY_OWNERS = {
+  companies: 'SELECT user_id FROM companies WHERE id = $1',
+  company_holidays: `SELECT c.user_id FROM company_holidays h
+                     JOIN companies c ON h.company_id = c.id WHERE h.id = $1`,
+  approval_chain_steps: `SELECT c.user_id FROM approval_chain_steps s
+                         JOIN companies c ON s.company_id = c.id WHERE s.id = $1`,
+  positions: 'SELECT user_id FROM positions WHERE id = $1',
+  workers: 'SELECT user_id FROM workers WHERE id = $1',
+  projects: 'SELECT user_id FROM projects WHERE id = $1',
+  project_members: `SELECT p.user_id FROM project_members pm
+                    JOIN projects p ON pm.project_id = p.id WHERE pm.id = $1`,
+  project_workers: `SELECT p.user_id FROM project_workers pw
+                    JOIN projects p ON pw.project_id = p.id WHERE pw.id = $1`,
+  project_supervisors: `SELECT p.user_id FROM project_supervisors ps
+                        JOIN projects p ON ps.project_id = p.id WHERE ps.id = $1`,
+  project_positions: `SELECT p.user_id FROM project_positions pp
+                      JOIN projects p ON pp.project_id = p.id WHERE pp.id = $1`,
+  attendance: `SELECT p.user_id FROM attendance a
+               JOIN projects p ON a.project_id = p.id WHERE a.id = $1`,
+  payment_requests: `SELECT p.user_id FROM payment_requests pr
+                     JOIN projects p ON pr.project_id = p.id WHERE pr.id = $1`,
+  payment_request_workers: `SELECT p.user_id FROM payment_request_workers prw
+                            JOIN payment_requests pr ON prw.payment_request_id = pr.id
+                            JOIN projects p ON pr.project_id = p.id WHERE prw.id = $1`,
+  payment_approvals: `SELECT p.user_id FROM payment_approvals pa
+                      JOIN payment_requests pr ON pa.payment_request_id = pr.id
+                      JOIN projects p ON pr.project_id = p.id WHERE pa.id = $1`,
+  payouts: `SELECT p.user_id FROM payouts po
+            JOIN payment_requests pr ON po.payment_request_id = pr.id
+            JOIN projects p ON pr.project_id = p.id WHERE po.id = $1`,
+  material_requests: `SELECT p.user_id FROM material_requests mr
+                      JOIN projects p ON mr.project_id = p.id WHERE mr.id = $1`,
+  material_quotes: `SELECT p.user_id FROM material_quotes mq
+                    JOIN material_requests mr ON mq.material_request_id = mr.id
+                    JOIN projects p ON mr.project_id = p.id WHERE mq.id = $1`,
+  leave_requests: `SELECT p.user_id FROM leave_requests lr
+                   JOIN projects p ON lr.project_id = p.id WHERE lr.id = $1`,
+  shifts: `SELECT p.user_id FROM shifts s
+           JOIN projects p ON s.project_id = p.id WHERE s.id = $1`,
+  shift_assignments: `SELECT p.user_id FROM shift_assignments sa
+                      JOIN shifts s ON sa.shift_id = s.id
+                      JOIN projects p ON s.project_id = p.id WHERE sa.id = $1`,
+  worker_merges: `SELECT w.user_id FROM worker_merges m
+                  JOIN workers w ON m.survivor_id = w.id WHERE m.id = $1`,
+  worker_documents: `SELECT w.user_id FROM worker_documents d
+                     JOIN workers w ON d.worker_id = w.id WHERE d.id = $1`
+};
+
+/**
+ * AuditLog Model
+ * Reads the hash-chained audit trail written by BaseModel.auditedQuery
+ * Entries are appended by the database (see migration 003) and never changed
+ */
+class AuditLog extends BaseModel {
+  constructor() {
+    super('audit_log', { audit: false });
+  }
+
+  // Get audit entries; admins may read everything, owners one record of their own
+  async getAuditTrail(filters, requester, options = {}) {
+    const { entity, entityId } = filters;
+    const isAdmin = requester.role === 'admin';
+
+    if (!isAdmin) {
+      if (!ENTITY_OWNERS[entity] || !entityId) {
+        throw new Error(`entity and entityId are required; entity must be one of: ${Object.keys(ENTITY_OWNERS).join(', ')}`);
+      }
+
+      const ownerResult = await this.db.query(ENTITY_OWNERS[entity], [entityId]);
+      const owner = ownerResult.rows[0];
+      if (!owner || owner.user_id !== requester.id) {
+        throw new Error('Audited record not found or access denied');
+      }
+    }
+
+    const where = [];
+    const params = [];
+    if (entity) {
+      params.push(entity);
+      where.push(`a.entity = $${params.length}`);
+    }
+    if (entityId) {
+      params.push(entityId);
+      where.push(`a.entity_id = $${params.length}`);
+    }
+
+    const { rows, pagination } = await this.findList(
+      {
+        select: 'a.*',
+        from: 'audit_log a',
+        where,
+        params
+      },
+      AUDIT_LIST,
+      options
+    );
+
+    return {
+      entries: rows,
+      pagination
+    };
+  }
+
+  // Recompute every hash and link, reporting the first entry that does not match
+  async verifyChain() {
+    const result = await this.db.query(
+      `SELECT COUNT(*) AS checked,
+              MIN(id) FILTER (
+                WHERE hash <> expected_hash
+                   OR prev_hash IS DISTINCT FROM previous_hash
+                   OR id <> COALESCE(previous_id, 0) + 1
+              ) AS first_broken_id,
+              (SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1) AS latest_hash
+       FROM (
+         SELECT a.id, a.hash, a.prev_hash, audit_log_hash(a) AS expected_hash,
+                lag(a.hash) OVER (ORDER BY a.id) AS previous_hash,
+                lag(a.id) OVER (ORDER BY a.id) AS previous_id
+         FROM audit_log a
+       ) chain`
+    );
+
+    const { checked, first_broken_id: firstBrokenId, latest_hash: latestHash } = result.rows[0];
+
+    // Dropping the newest entries leaves a valid chain; compare latestHash with an earlier copy to catch that
+    return {
+      valid: firstBrokenId === null,
+      checkedEntries: parseInt(checked),
+      firstBrokenId: firstBrokenId === null ? null : parseInt(firstBrokenId),
+      latestHash
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -1,5 +1,110 @@
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const { getActor } = require('../utils/requestContext');
+
+// Operators allowed per filter type, unless a field lists its own;
+// nullable fields also accept ?filter[field][null]=true|false
+const DEFAULT_FILTER_OPERATORS = {
+  string: ['eq', 'in', 'ilike'],
+  enum: ['eq', 'in'],
+  integer: ['eq', 'in', 'gte', 'lte'],
+  number: ['eq', 'gte', 'lte'],
+  date: ['eq', 'gte', 'lte'],
+  boolean: ['eq']
+};
+
+const COMPARISON_OPERATORS = { eq: '=', gte: '>=', lte: '<=' };
+
+const DEFAULT_LIST_LIMIT = 10;
+const MAX_LIST_LIMIT = 100;
+const MAX_SORT_FIELDS = 3;
+const MAX_IN_VALUES = 100;
+
+// ORDER BY fragments passed by callers: column names with an optional direction
+const ORDER_BY_PATTERN = /^[a-z_][a-z0-9_.]*( (asc|desc))?(, [a-z_][a-z0-9_.]*( (asc|desc))?)*$/i;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parsePositiveInteger = (value, fallback, name) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw badRequest(`${name} must be a positive integer`);
+  }
+
+  return number;
+};
+
+const parseFilterValue = (field, definition, raw) => {
+  if (typeof raw !== 'string') {
+    throw badRequest(`Filter "${field}" must be a single value`);
+  }
+
+  switch (definition.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(raw)) {
+        throw badRequest(`Filter "${field}" must be an integer`);
+      }
+      return parseInt(raw, 10);
+    case 'number':
+      if (raw.trim() === '' || !Number.isFinite(Number(raw))) {
+        throw badRequest(`Filter "${field}" must be a number`);
+      }
+      return Number(raw);
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}/.test(raw) || Number.isNaN(Date.parse(raw))) {
+        throw badRequest(`Filter "${field}" must be a date (YYYY-MM-DD)`);
+      }
+      return raw;
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        throw badRequest(`Filter "${field}" must be true or false`);
+      }
+      return raw === 'true';
+    case 'enum':
+      if (!definition.values.includes(raw)) {
+        throw badRequest(`Filter "${field}" must be one of: ${definition.values.join(', ')}`);
+      }
+      return raw;
+    default:
+      if (raw.length > 255) {
+        throw badRequest(`Filter "${field}" cannot exceed 255 characters`);
+      }
+      return raw;
+  }
+};
+
+// Drop unset caller filters and stringify values so they parse like query strings
+const compactFilter = (filter) => {
+  const compacted = {};
+
+  for (const [field, value] of Object.entries(filter)) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    if (typeof value === 'object') {
+      const criteria = compactFilter(value);
+      if (Object.keys(criteria).length > 0) {
+        compacted[field] = criteria;
+      }
+    } else {
+      compacted[field] = String(value);
+    }
+  }
+
+  return compacted;
+};
+
+const encodeCursor = (sort, values) =>
+  Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
 
 /**
  * Base Model Class
@@ -7,20 +112,98 @@ const logger = require('../utils/logger');
  * Implements standard CRUD operations and query helpers
  */
 class BaseModel {
-  constructor(tableName) {
+  /**
+   * @param {string} tableName - Table the model reads and writes
+   * @param {Object} options
+   * @param {boolean} options.softDelete - Table has deleted_at; deletes mark rows and reads skip them
+   * @param {boolean} options.audit - Record creates, updates and deletes in audit_log
+   */
+  constructor(tableName, { softDelete = false, audit = true } = {}) {
     this.tableName = tableName;
+    this.softDelete = softDelete;
+    this.audit = audit;
     this.db = db;
   }
 
+  /**
+   * Run an INSERT, UPDATE or DELETE and record every affected row in audit_log
+   * The change and its audit entries are one statement, so they commit or fail together
+   * @param {string} action - Audit action (create, update, delete, restore, approve, ...)
+   * @param {string} sql - Data-changing statement with RETURNING * (RETURNING id is enough for DELETE)
+   * @param {Array} params - Statement parameters
+   * @param {Object} options - { client, entity } where entity is the table the statement changes
+   * @returns {Object} - Query result with the statement's returned rows
+   */
+  async auditedQuery(action, sql, params = [], { client = this.db, entity = this.tableName } = {}) {
+    if (!this.audit) {
+      return client.query(sql, params);
+    }
+
+    const { actorType, actorId, ip, requestId } = getActor();
+    const isInsert = /^\s*INSERT/i.test(sql);
+    const isDelete = /^\s*DELETE/i.test(sql);
+    const next = params.length;
+
+    // Other parts of the statement see the table as it was before the change
+    const before = isInsert
+      ? 'NULL'
+      : `(SELECT to_jsonb(original) FROM ${entity} original WHERE original.id = changed.id)`;
+    const after = isDelete ? 'NULL' : 'to_jsonb(changed)';
+
+    return client.query(
+      `WITH changed AS (${sql}),
+       audit AS (
+         INSERT INTO audit_log (actor_type, actor_id, action, entity, entity_id, before_data, after_data, ip, request_id)
+         SELECT $${next + 1}, $${next + 2}, $${next + 3}, $${next + 4}, changed.id, ${before}, ${after}, $${next + 5}, $${next + 6}
+         FROM changed
+       )
+       SELECT * FROM changed`,
+      [...params, actorType, actorId, action, entity, ip, requestId]
+    );
+  }
+
+  // Condition that hides soft-deleted rows ('' for tables without soft delete)
+  _liveCondition(withDeleted = false) {
+    return this.softDelete && !withDeleted ? ' AND deleted_at IS NULL' : '';
+  }
+
+  // WHERE clause for equality conditions, skipping soft-deleted rows
+  _buildWhere(conditions, params) {
+    const clauses = Object.keys(conditions).map(key => {
+      params.push(conditions[key]);
+      return `${key} = $${params.length}`;
+    });
+
+    if (this.softDelete) {
+      clauses.push('deleted_at IS NULL');
+    }
+
+    return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+  }
+
+  // Condition keeping a project column to projects the viewer owns or holds one of the roles on
+  // viewer: { userId, roles } as returned by ProjectMember.scopeListFilters
+  _viewableProjectsCondition(column, viewer, params) {
+    params.push(viewer.userId, viewer.roles);
+    const user = `$${params.length - 1}`;
+    return `${column} IN (
+      SELECT id FROM projects
+      WHERE deleted_at IS NULL AND (user_id = ${user} OR id IN (
+        SELECT project_id FROM project_members WHERE user_id = ${user} AND role::text = ANY($${params.length})
+      ))
+    )`;
+  }
+
   /**
    * Find a record by ID
    * @param {number} id - Record ID
+   * @param {Object} options - { withDeleted } to include soft-deleted records
    * @returns {Object|null} - Record or null if not found
    */
-  async findById(id) {
+  async findById(id, { withDeleted = false } = {}) {
     try {
       const result = await this.db.query(
-        `SELECT * FROM ${this.tableName} WHERE id = $1`,
+        `SELECT * FROM ${this.tableName} WHERE id = $1${this._liveCondition(withDeleted)}`,
         [id]
       );
       return result.rows[0] || null;
@@ -41,7 +224,7 @@ class BaseModel {
   async findByUuid(uuid) {
     try {
       const result = await this.db.query(
-        `SELECT * FROM ${this.tableName} WHERE uuid = $1`,
+        `SELECT * FROM ${this.tableName} WHERE uuid = $1${this._liveCondition()}`,
         [uuid]
       );
       return result.rows[0] || null;
@@ -61,22 +244,8 @@ class BaseModel {
    */
   async findOne(conditions = {}) {
     try {
-      let query = `SELECT * FROM ${this.tableName}`;
       const params = [];
-      let paramCount = 0;
-
-      // Build WHERE clause
-      if (Object.keys(conditions).length > 0) {
-        const whereClause = Object.keys(conditions).map(key => {
-          paramCount++;
-          params.push(conditions[key]);
-          return `${key} = $${paramCount}`;
-        }).join(' AND ');
-        
-        query += ` WHERE ${whereClause}`;
-      }
-
-      query += ' LIMIT 1';
+      const query = `SELECT * FROM ${this.tableName}${this._buildWhere(conditions, params)} LIMIT 1`;
 
       const result = await this.db.query(query, params);
       return result.rows[0] || null;
@@ -98,36 +267,23 @@ class BaseModel {
   async findWhere(conditions = {}, options = {}) {
     try {
       const { limit, offset, orderBy = 'created_at DESC' } = options;
-      
-      let query = `SELECT * FROM ${this.tableName}`;
+      this.assertOrderBy(orderBy);
+
       const params = [];
-      let paramCount = 0;
-
-      // Build WHERE clause
-      if (Object.keys(conditions).length > 0) {
-        const whereClause = Object.keys(conditions).map(key => {
-          paramCount++;
-          params.push(conditions[key]);
-          return `${key} = $${paramCount}`;
-        }).join(' AND ');
-        
-        query += ` WHERE ${whereClause}`;
-      }
+      let query = `SELECT * FROM ${this.tableName}${this._buildWhere(conditions, params)}`;
 
       // Add ORDER BY
       query += ` ORDER BY ${orderBy}`;
 
       // Add LIMIT and OFFSET
       if (limit) {
-        paramCount++;
-        query += ` LIMIT $${paramCount}`;
         params.push(limit);
+        query += ` LIMIT $${params.length}`;
       }
 
       if (offset) {
-        paramCount++;
-        query += ` OFFSET $${paramCount}`;
         params.push(offset);
+        query += ` OFFSET $${params.length}`;
       }
 
       const result = await this.db.query(query, params);
@@ -159,7 +315,7 @@ class BaseModel {
         RETURNING *
       `;
 
-      const result = await this.db.query(query, values);
+      const result = await this.auditedQuery('create', query, values);
       
       logger.db('create', {
         table: this.tableName,
@@ -180,9 +336,10 @@ class BaseModel {
    * Update a record by ID
    * @param {number} id - Record ID
    * @param {Object} data - Update data
+   * @param {Object} options - { action } to audit the update as e.g. 'approve'
    * @returns {Object|null} - Updated record or null if not found
    */
-  async updateById(id, data) {
+  async updateById(id, data, { action = 'update' } = {}) {
     try {
       const fields = Object.keys(data);
       const values = Object.values(data);
@@ -194,11 +351,11 @@ class BaseModel {
       const query = `
         UPDATE ${this.tableName} 
         SET ${setClause}, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = $1 
+        WHERE id = $1${this._liveCondition()}
         RETURNING *
       `;
 
-      const result = await this.db.query(query, [id, ...values]);
+      const result = await this.auditedQuery(action, query, [id, ...values]);
       
       if (result.rows.length > 0) {
         logger.db('update', {
@@ -221,20 +378,26 @@ class BaseModel {
 
   /**
    * Delete a record by ID
+   * Soft-delete tables only mark the record; purgeDeleted removes it later
    * @param {number} id - Record ID
+   * @param {Object} client - Optional transaction client
    * @returns {boolean} - True if deleted, false if not found
    */
-  async deleteById(id) {
+  async deleteById(id, client = this.db) {
     try {
-      const result = await this.db.query(
-        `DELETE FROM ${this.tableName} WHERE id = $1`,
-        [id]
+      const result = await this.auditedQuery(
+        'delete',
+        this.softDelete
+          ? `UPDATE ${this.tableName} SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL RETURNING *`
+          : `DELETE FROM ${this.tableName} WHERE id = $1 RETURNING id`,
+        [id],
+        { client }
       );
 
       const deleted = result.rowCount > 0;
       
       if (deleted) {
-        logger.db('delete', {
+        logger.db(this.softDelete ? 'soft_delete' : 'delete', {
           table: this.tableName,
           recordId: id
         });
@@ -250,6 +413,72 @@ class BaseModel {
     }
   }
 
+  /**
+   * Restore a soft-deleted record by ID
+   * @param {number} id - Record ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Object|null} - Restored record or null if it was not deleted
+   */
+  async restoreById(id, client = this.db) {
+    if (!this.softDelete) {
+      throw new Error(`${this.tableName} does not support restore`);
+    }
+
+    try {
+      const result = await this.auditedQuery(
+        'restore',
+        `UPDATE ${this.tableName}
+         SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND deleted_at IS NOT NULL
+         RETURNING *`,
+        [id],
+        { client }
+      );
+
+      if (result.rows.length > 0) {
+        logger.db('restore', {
+          table: this.tableName,
+          recordId: id
+        });
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error restoring ${this.tableName}`, { 
+        id, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently remove records soft-deleted before a cutoff
+   * @param {Date} cutoff - Records deleted before this moment are removed
+   * @param {Object} client - Transaction client
+   * @param {string} guard - Extra SQL condition that keeps rows still referenced elsewhere
+   * @returns {number} - Number of records removed
+   */
+  async purgeDeleted(cutoff, client = this.db, guard = null) {
+    const result = await this.auditedQuery(
+      'purge',
+      `DELETE FROM ${this.tableName}
+       WHERE deleted_at IS NOT NULL AND deleted_at < $1${guard ? ` AND ${guard}` : ''}
+       RETURNING id`,
+      [cutoff],
+      { client }
+    );
+
+    if (result.rowCount > 0) {
+      logger.db('purge', {
+        table: this.tableName,
+        count: result.rowCount
+      });
+    }
+
+    return result.rowCount;
+  }
+
   /**
    * Count records with conditions
    * @param {Object} conditions - Where conditions
@@ -257,19 +486,8 @@ class BaseModel {
    */
   async count(conditions = {}) {
     try {
-      let query = `SELECT COUNT(*) FROM ${this.tableName}`;
       const params = [];
-      let paramCount = 0;
-
-      if (Object.keys(conditions).length > 0) {
-        const whereClause = Object.keys(conditions).map(key => {
-          paramCount++;
-          params.push(conditions[key]);
-          return `${key} = $${paramCount}`;
-        }).join(' AND ');
-        
-        query += ` WHERE ${whereClause}`;
-      }
+      const query = `SELECT COUNT(*) FROM ${this.tableName}${this._buildWhere(conditions, params)}`;
 
       const result = await this.db.query(query, params);
       return parseInt(result.rows[0].count);
@@ -300,6 +518,247 @@ class BaseModel {
     }
   }
 
+  /**
+   * Reject ORDER BY fragments that are not plain column lists
+   * @param {string} orderBy - e.g. 'created_at DESC, id DESC'
+   */
+  assertOrderBy(orderBy) {
+    if (typeof orderBy !== 'string' || !ORDER_BY_PATTERN.test(orderBy)) {
+      throw badRequest(`Invalid order: ${orderBy}`);
+    }
+  }
+
+  /**
+   * Run a list query with whitelisted filters, sorting and pagination
+   * Pages by ?page= (offset) or by ?cursor= (keyset); every response carries
+   * nextCursor so clients can switch to keyset paging after the first page
+   *
+   * @param {Object} query - Base query
+   * @param {string} query.select - Select list, e.g. 'p.*, u.name as owner_name'
+   * @param {string} query.from - FROM clause with joins
+   * @param {Array<string>} query.where - Fixed conditions (scoping) using $1..$n
+   * @param {Array} query.params - Parameters for the fixed conditions
+   * @param {Object} query.filter - Filters set by the caller (e.g. legacy ?status=), checked against spec like request filters
+   * @param {Object} spec - List definition
+   * @param {Object} spec.filters - Filter name -> { column, type, values, operators, nullable }
+   * @param {Object} spec.sorts - Sort name -> column; columns must be NOT NULL for keyset paging
+   * @param {string} spec.defaultSort - e.g. '-createdAt'
+   * @param {string} spec.idColumn - Unique column used as the final tiebreaker
+   * @param {string} spec.deletedColumn - deleted_at column of soft-delete tables; deleted rows are skipped
+   * @param {Object} options - Request options: { filter, sort, cursor, page, limit }
+   * @returns {Object} - { rows, pagination }
+   */
+  async findList(query, spec, options = {}) {
+    const { select, from, where = [], params: baseParams = [], filter: callerFilter = {} } = query;
+    const { filter, sort, cursor } = options;
+
+    const limit = parsePositiveInteger(options.limit, DEFAULT_LIST_LIMIT, 'limit');
+    if (limit > MAX_LIST_LIMIT) {
+      throw badRequest(`limit cannot exceed ${MAX_LIST_LIMIT}`);
+    }
+    const page = cursor ? 1 : parsePositiveInteger(options.page, 1, 'page');
+
+    const params = [...baseParams];
+    const conditions = [
+      ...(spec.deletedColumn ? [`${spec.deletedColumn} IS NULL`] : []),
+      ...where,
+      ...this._buildFilterConditions(spec.filters, compactFilter(callerFilter), params),
+      ...this._buildFilterConditions(spec.filters, filter, params)
+    ];
+    const countParams = [...params];
+    const countWhere = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sortKeys = this._parseSort(spec.sorts, sort, spec.defaultSort);
+    const sortSignature = sortKeys.map(key => `${key.descending ? '-' : ''}${key.field}`).join(',');
+    const keys = [
+      ...sortKeys,
+      { column: spec.idColumn, descending: sortKeys[sortKeys.length - 1].descending }
+    ];
+
+    if (cursor) {
+      conditions.push(this._buildKeysetCondition(keys, this._decodeCursor(cursor, sortSignature, keys.length), params));
+    }
+
+    const orderBy = keys.map(key => `${key.column} ${key.descending ? 'DESC' : 'ASC'}`).join(', ');
+    const cursorColumns = keys.map((key, index) => `${key.column}::text AS _cursor_${index}`).join(', ');
+
+    // One extra row tells whether another page exists
+    params.push(limit + 1, (page - 1) * limit);
+    const rowsQuery = `
+      SELECT ${select}, ${cursorColumns}
+      FROM ${from}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.db.query(rowsQuery, params),
+      this.db.query(`SELECT COUNT(*) FROM ${from} ${countWhere}`, countParams)
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].count);
+    const hasNext = result.rows.length > limit;
+    const pageRows = result.rows.slice(0, limit);
+
+    const lastRow = pageRows[pageRows.length - 1];
+    const nextCursor = hasNext
+      ? encodeCursor(sortSignature, keys.map((_, index) => lastRow[`_cursor_${index}`]))
+      : null;
+
+    const rows = pageRows.map(row => {
+      const record = { ...row };
+      keys.forEach((_, index) => delete record[`_cursor_${index}`]);
+      return record;
+    });
+
+    const pagination = cursor
+      ? { limit, totalCount, hasNext, nextCursor }
+      : {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext,
+        hasPrev: page > 1,
+        nextCursor
+      };
+
+    return { rows, pagination };
+  }
+
+  // Translate ?filter[field][operator]=value into SQL conditions, appending to params
+  _buildFilterConditions(filterSpec = {}, filter, params) {
+    if (filter === undefined) {
+      return [];
+    }
+
+    if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+      throw badRequest('Filters must be given as filter[field]=value');
+    }
+
+    const conditions = [];
+    for (const [field, criteria] of Object.entries(filter)) {
+      const definition = filterSpec[field];
+      if (!definition) {
+        throw badRequest(`Cannot filter by "${field}". Allowed filters: ${Object.keys(filterSpec).join(', ')}`);
+      }
+
+      const allowed = [
+        ...(definition.operators || DEFAULT_FILTER_OPERATORS[definition.type || 'string']),
+        ...(definition.nullable ? ['null'] : [])
+      ];
+
+      // filter[field]=value is shorthand for filter[field][eq]=value
+      const entries = typeof criteria === 'object' && criteria !== null && !Array.isArray(criteria)
+        ? Object.entries(criteria)
+        : [['eq', criteria]];
+
+      for (const [operator, raw] of entries) {
+        if (!allowed.includes(operator)) {
+          throw badRequest(`Operator "${operator}" is not allowed for filter "${field}". Allowed operators: ${allowed.join(', ')}`);
+        }
+        conditions.push(this._buildFilterCondition(field, definition, operator, raw, params));
+      }
+    }
+
+    return conditions;
+  }
+
+  _buildFilterCondition(field, definition, operator, raw, params) {
+    const { column } = definition;
+
+    switch (operator) {
+      case 'null':
+        if (raw !== 'true' && raw !== 'false') {
+          throw badRequest(`Filter "${field}[null]" must be true or false`);
+        }
+        return `${column} IS ${raw === 'true' ? '' : 'NOT '}NULL`;
+      case 'in': {
+        const values = typeof raw === 'string' ? raw.split(',') : raw;
+        if (!Array.isArray(values) || values.length === 0 || values.length > MAX_IN_VALUES) {
+          throw badRequest(`Filter "${field}[in]" takes 1 to ${MAX_IN_VALUES} comma-separated values`);
+        }
+        params.push(values.map(value => parseFilterValue(field, definition, value)));
+        return `${column} = ANY($${params.length})`;
+      }
+      case 'ilike':
+        // Match anywhere in the value; LIKE wildcards in the input are literal
+        params.push(`%${parseFilterValue(field, definition, raw).replace(/[\\%_]/g, '\\$&')}%`);
+        return `${column} ILIKE $${params.length}`;
+      default:
+        params.push(parseFilterValue(field, definition, raw));
+        return `${column} ${COMPARISON_OPERATORS[operator]} $${params.length}`;
+    }
+  }
+
+  // Parse ?sort=-createdAt,name against the whitelisted sort fields
+  _parseSort(sortSpec, sort, defaultSort) {
+    const value = sort === undefined || sort === '' ? defaultSort : sort;
+    if (typeof value !== 'string') {
+      throw badRequest('sort must be a comma-separated list of fields');
+    }
+
+    const tokens = value.split(',').map(token => token.trim());
+    if (tokens.length > MAX_SORT_FIELDS) {
+      throw badRequest(`sort accepts at most ${MAX_SORT_FIELDS} fields`);
+    }
+
+    const seen = new Set();
+    return tokens.map(token => {
+      const descending = token.startsWith('-');
+      const field = descending ? token.slice(1) : token;
+
+      if (!sortSpec[field]) {
+        throw badRequest(`Cannot sort by "${field}". Allowed sort fields: ${Object.keys(sortSpec).join(', ')}`);
+      }
+      if (seen.has(field)) {
+        throw badRequest(`Sort field "${field}" is listed more than once`);
+      }
+      seen.add(field);
+
+      return { field, column: sortSpec[field], descending };
+    });
+  }
+
+  _decodeCursor(cursor, sortSignature, keyCount) {
+    let decoded = null;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || !Array.isArray(decoded.values) || decoded.values.length !== keyCount ||
+        !decoded.values.every(value => typeof value === 'string')) {
+      throw badRequest('Invalid cursor');
+    }
+
+    if (decoded.sort !== sortSignature) {
+      throw badRequest('Cursor was issued for a different sort order');
+    }
+
+    return decoded.values;
+  }
+
+  // Rows strictly after the cursor row in the sort order:
+  // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... with < for descending keys
+  _buildKeysetCondition(keys, values, params) {
+    const placeholders = values.map(value => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+
+    const clauses = keys.map((key, index) => {
+      const parts = keys.slice(0, index).map((previous, previousIndex) =>
+        `${previous.column} = ${placeholders[previousIndex]}`
+      );
+      parts.push(`${key.column} ${key.descending ? '<' : '>'} ${placeholders[index]}`);
+      return `(${parts.join(' AND ')})`;
+    });
+
+    return `(${clauses.join(' OR ')})`;
+  }
+
   /**
    * Execute transaction
    * @param {Function} callback - Transaction callback
@@ -1,6 +1,23 @@
 const BaseModel = require('./BaseModel');
 const logger = require('../utils/logger');
 
+// Filters and sort fields accepted by GET /companies
+const COMPANY_LIST = {
+  filters: {
+    industry: { column: 'c.industry', nullable: true },
+    companyName: { column: 'c.company_name' },
+    registrationNumber: { column: 'c.registration_number', nullable: true },
+    createdAt: { column: 'c.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'c.created_at',
+    companyName: 'c.company_name'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'c.id',
+  deletedColumn: 'c.deleted_at'
+};
+
 /**
  * Company Model - Clean & Professional
  * Handles company-related database operations
@@ -8,7 +25,7 @@ const logger = require('../utils/logger');
  */
 class Company extends BaseModel {
   constructor() {
-    super('companies');
+    super('companies', { softDelete: true });
   }
 
   // Find company by user ID
@@ -72,7 +89,8 @@ class Company extends BaseModel {
       registrationNumber: 'registration_number',
       taxId: 'tax_id',
       address: 'address',
-      industry: 'industry'
+      industry: 'industry',
+      restDays: 'rest_days'
     };
     
     const allowedFields = Object.values(fieldMapping);
@@ -81,7 +99,9 @@ class Company extends BaseModel {
     Object.keys(updateData).forEach(key => {
       const dbField = fieldMapping[key] || key;
       if (allowedFields.includes(dbField)) {
-        filteredData[dbField] = updateData[key];
+        filteredData[dbField] = key === 'restDays'
+          ? [...new Set(updateData[key])].sort()
+          : updateData[key];
       }
     });
 
@@ -101,57 +121,23 @@ class Company extends BaseModel {
   }
 
   // Get companies with pagination and filters
-  async getCompanies(filters = {}, pagination = {}) {
-    const { page = 1, limit = 10 } = pagination;
-    const offset = (page - 1) * limit;
-
-    // Build conditions from filters
-    const conditions = {};
-    if (filters.industry) conditions.industry = filters.industry;
-    if (filters.userId) conditions.user_id = filters.userId;
-
-    // Get companies with user information
-    let query = `
-      SELECT c.*, u.name as owner_name, u.email as owner_email
-      FROM companies c
-      JOIN users u ON c.user_id = u.id
-      WHERE 1=1
-    `;
-
-    const params = [];
-    let paramCount = 0;
-
-    // Add filters to query
-    if (conditions.industry) {
-      paramCount++;
-      query += ` AND c.industry = $${paramCount}`;
-      params.push(conditions.industry);
-    }
-
-    if (conditions.user_id) {
-      paramCount++;
-      query += ` AND c.user_id = $${paramCount}`;
-      params.push(conditions.user_id);
-    }
-
-    // Add pagination
-    query += ` ORDER BY c.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await this.db.query(query, params);
-
-    // Get total count
-    const totalCount = await this.count(conditions);
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getCompanies(filters = {}, options = {}) {
+    const { rows, pagination } = await this.findList(
+      {
+        select: 'c.*, u.name as owner_name, u.email as owner_email',
+        from: 'companies c JOIN users u ON c.user_id = u.id',
+        where: filters.userId ? ['c.user_id = $1'] : [],
+        params: filters.userId ? [filters.userId] : [],
+        filter: { industry: filters.industry }
+      },
+      COMPANY_LIST,
+      options
+    );
 
     return {
-      companies: result.rows,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalCount / limit),
-        totalCount,
-        hasNext: page * limit < totalCount,
-        hasPrev: page > 1
-      }
+      companies: rows,
+      pagination
     };
   }
 
@@ -166,15 +152,15 @@ class Company extends BaseModel {
     // Get statistics in parallel
     const [workerCount, projectCount, activeProjectCount] = await Promise.all([
       this.db.query(
-        'SELECT COUNT(*) FROM workers WHERE user_id = $1 AND is_active = true',
+        'SELECT COUNT(*) FROM workers WHERE user_id = $1 AND is_active = true AND deleted_at IS NULL',
         [userId]
       ),
       this.db.query(
-        'SELECT COUNT(*) FROM projects WHERE user_id = $1',
+        'SELECT COUNT(*) FROM projects WHERE user_id = $1 AND deleted_at IS NULL',
         [userId]
       ),
       this.db.query(
-        'SELECT COUNT(*) FROM projects WHERE user_id = $1 AND status = $2',
+        'SELECT COUNT(*) FROM projects WHERE user_id = $1 AND status = $2 AND deleted_at IS NULL',
         [userId, 'Active']
       )
     ]);
@@ -189,14 +175,15 @@ class Company extends BaseModel {
     };
   }
 
-  // Delete company (soft delete by deactivating user)
+  // Delete company (soft delete, and deactivate the associated user)
   async deleteCompany(companyId, userId) {
     const company = await this.findById(companyId);
     if (!company || company.user_id !== userId) {
       throw new Error('Company not found or access denied');
     }
 
-    // Instead of deleting, we deactivate the associated user
+    await this.deleteById(companyId);
+
     const User = require('./User');
     const userModel = new User();
     await userModel.deactivateUser(userId);
@@ -205,6 +192,82 @@ class Company extends BaseModel {
     return true;
   }
 
+  // Restore a deleted company and reactivate its owner (admin only)
+  async restoreCompany(companyId, adminUserId) {
+    const company = await this.findById(companyId, { withDeleted: true });
+    if (!company || !company.deleted_at) {
+      throw new Error('Deleted company not found');
+    }
+
+    const restored = await this.restoreById(companyId);
+
+    const User = require('./User');
+    const userModel = new User();
+    await userModel.updateById(company.user_id, { is_active: true });
+
+    logger.business('company_restored', {
+      companyId,
+      ownerUserId: company.user_id,
+      adminUserId
+    });
+
+    return restored;
+  }
+
+  // Get the company's payment approval chain
+  async getApprovalChain(companyId, userId) {
+    const company = await this.findById(companyId);
+    if (!company || company.user_id !== userId) {
+      throw new Error('Company not found or access denied');
+    }
+
+    const result = await this.db.query(
+      'SELECT * FROM approval_chain_steps WHERE company_id = $1 ORDER BY step_order ASC',
+      [companyId]
+    );
+
+    return result.rows;
+  }
+
+  // Replace the company's payment approval chain (steps run in array order)
+  async setApprovalChain(companyId, steps, userId) {
+    const company = await this.findById(companyId);
+    if (!company || company.user_id !== userId) {
+      throw new Error('Company not found or access denied');
+    }
+
+    const chain = await this.transaction(async (client) => {
+      await this.auditedQuery(
+        'delete',
+        'DELETE FROM approval_chain_steps WHERE company_id = $1 RETURNING id',
+        [companyId],
+        { client, entity: 'approval_chain_steps' }
+      );
+
+      const createdSteps = [];
+      for (const [index, step] of steps.entries()) {
+        const stepResult = await this.auditedQuery(
+          'create',
+          `INSERT INTO approval_chain_steps (company_id, step_order, approver_role, min_amount)
+           VALUES ($1, $2, $3, $4) RETURNING *`,
+          [companyId, index + 1, step.approverRole, step.minAmount || 0],
+          { client, entity: 'approval_chain_steps' }
+        );
+        createdSteps.push(stepResult.rows[0]);
+      }
+
+      return createdSteps;
+    });
+
+    logger.business('approval_chain_updated', {
+      companyId,
+      userId,
+      stepCount: chain.length
+    });
+
+    return chain;
+  }
+
   // Private helper methods
   async _validateCompanyCreation(userId, registrationNumber) {
     // Check if user exists
@@ -236,7 +299,7 @@ class Company extends BaseModel {
       `SELECT c.*, u.name as owner_name, u.email as owner_email, u.phone as owner_phone
        FROM companies c
        JOIN users u ON c.user_id = u.id
-       WHERE c.id = $1`,
+       WHERE c.id = $1 AND c.deleted_at IS NULL`,
       [companyId]
     );
 
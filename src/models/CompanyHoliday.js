@@ -0,0 +1,130 @@
+const BaseModel = require('./BaseModel');
+const Company = require('./Company');
+const logger = require('../utils/logger');
+const { parseHolidays } = require('../utils/ical');
+
+/**
+ * CompanyHoliday Model
+ * Handles company working-day calendars: rest days, one-off and recurring holidays, iCal import
+ * Extends BaseModel for common CRUD operations
+ */
+class CompanyHoliday extends BaseModel {
+  constructor() {
+    super('company_holidays');
+    this.companies = new Company();
+  }
+
+  // Rest days and holidays of a company
+  async getCalendar(companyId, userId) {
+    const company = await this._findOwnedCompany(companyId, userId);
+    const result = await this.db.query(
+      `SELECT id, uuid, name, date::text AS date, recurring, ical_uid, created_at
+       FROM company_holidays WHERE company_id = $1 ORDER BY date ASC`,
+      [companyId]
+    );
+
+    return { restDays: company.rest_days, holidays: result.rows };
+  }
+
+  // Add a one-off or recurring holiday
+  async createHoliday(companyId, holidayData, userId) {
+    await this._findOwnedCompany(companyId, userId);
+    const { name, date, recurring = false } = holidayData;
+
+    const existingHoliday = await this.findOne({ company_id: companyId, date });
+    if (existingHoliday) {
+      throw new Error(`Holiday "${existingHoliday.name}" already exists on this date`);
+    }
+
+    const holiday = await this.create({ company_id: companyId, name, date, recurring });
+
+    logger.business('company_holiday_created', { holidayId: holiday.id, companyId, userId, date, recurring });
+
+    // Keep the calendar date as given rather than pg's Date at local midnight
+    return { ...holiday, date };
+  }
+
+  // Remove a holiday from the calendar
+  async deleteHoliday(companyId, holidayId, userId) {
+    await this._findOwnedCompany(companyId, userId);
+
+    const holiday = await this.findOne({ id: holidayId, company_id: companyId });
+    if (!holiday) {
+      throw new Error('Holiday not found');
+    }
+
+    await this.deleteById(holidayId);
+
+    logger.business('company_holiday_deleted', { holidayId, companyId, userId });
+
+    return true;
+  }
+
+  // Import holidays from an iCal file; a date already in the calendar takes the imported name
+  async importICal(companyId, ics, userId) {
+    await this._findOwnedCompany(companyId, userId);
+
+    const { holidays, skipped } = parseHolidays(ics);
+    if (holidays.length === 0) {
+      throw new Error('Invalid iCal file: no events with a start date found');
+    }
+
+    // One holiday per date; the first event on a date wins
+    const byDate = new Map();
+    holidays.forEach(holiday => {
+      if (!byDate.has(holiday.date)) {
+        byDate.set(holiday.date, holiday);
+      }
+    });
+    const unique = [...byDate.values()];
+
+    const result = await this.auditedQuery(
+      'import',
+      `INSERT INTO company_holidays (company_id, name, date, recurring, ical_uid)
+       SELECT $1, * FROM unnest($2::varchar[], $3::date[], $4::boolean[], $5::varchar[])
+       ON CONFLICT (company_id, date) DO UPDATE
+         SET name = EXCLUDED.name, recurring = EXCLUDED.recurring, ical_uid = EXCLUDED.ical_uid,
+             updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        companyId,
+        unique.map(holiday => holiday.name),
+        unique.map(holiday => holiday.date),
+        unique.map(holiday => holiday.recurring),
+        unique.map(holiday => holiday.uid)
+      ]
+    );
+
+    logger.business('company_holidays_imported', { companyId, userId, imported: result.rows.length, skipped });
+
+    return {
+      imported: result.rows.length,
+      skipped,
+      holidays: unique.map(({ name, date, recurring }) => ({ name, date, recurring }))
+    };
+  }
+
+  // Holidays on a project's calendar between two dates, one entry per date
+  async getProjectHolidays(projectId, from, to) {
+    const result = await this.db.query(
+      `SELECT date, name FROM (
+         SELECT d::date::text AS date, project_holiday($1, d::date) AS name
+         FROM generate_series($2::date, $3::date, interval '1 day') d
+       ) days
+       WHERE name IS NOT NULL`,
+      [projectId, from, to]
+    );
+    return result.rows;
+  }
+
+  // Company owned by the user
+  async _findOwnedCompany(companyId, userId) {
+    const company = await this.companies.findById(companyId);
+    if (!company || company.user_id !== userId) {
+      throw new Error('Company not found or access denied');
+    }
+    return company;
+  }
+}
+
+module.exports = CompanyHoliday;
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+const logger = require('../utils/logger');
+
+// Keys older than this no longer replay and may be reused
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+/**
+ * IdempotencyKey Model
+ * Records the response of a state-changing request under a client-supplied key
+ * so a retried request replays the original response instead of running again
+ */
+class IdempotencyKey extends BaseModel {
+  constructor() {
+    // Replay records only cache responses to changes that are audited themselves
+    super('idempotency_keys', { audit: false });
+  }
+
+  // Fingerprint of a request body, used to detect a key reused for a different request
+  hashRequest(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+  }
+
+  // Claim a key for a request; returns { claimed: false, record } when it was already used
+  async claim(userId, scope, key, requestHash) {
+    // Expired keys are released so the client can reuse them
+    await this.db.query(
+      `DELETE FROM idempotency_keys
+       WHERE user_id = $1 AND scope = $2 AND idempotency_key = $3
+         AND created_at < CURRENT_TIMESTAMP - INTERVAL '${IDEMPOTENCY_KEY_TTL_HOURS} hours'`,
+      [userId, scope, key]
+    );
+
+    const insertResult = await this.db.query(
+      `INSERT INTO idempotency_keys (user_id, scope, idempotency_key, request_hash)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, scope, idempotency_key) DO NOTHING
+       RETURNING *`,
+      [userId, scope, key, requestHash]
+    );
+
+    if (insertResult.rows.length > 0) {
+      return { claimed: true, record: insertResult.rows[0] };
+    }
+
+    const record = await this.findOne({ user_id: userId, scope, idempotency_key: key });
+    return { claimed: false, record };
+  }
+
+  // Store the response sent for a claimed key
+  async complete(recordId, statusCode, body) {
+    await this.db.query(
+      `UPDATE idempotency_keys
+       SET response_status = $2, response_body = $3, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [recordId, statusCode, JSON.stringify(body)]
+    );
+  }
+
+  // Release a claimed key so the request can be retried (e.g. after a server error)
+  async release(recordId) {
+    await this.db.query('DELETE FROM idempotency_keys WHERE id = $1', [recordId]);
+
+    logger.info('Idempotency key released', { recordId });
+  }
+}
+
+module.exports = IdempotencyKey;
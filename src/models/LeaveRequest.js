@@ -0,0 +1,400 @@
+const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
+const logger = require('../utils/logger');
+const { LEAVE_TYPES } = require('../config/leave');
+const { rolesWithPermission } = require('../config/permissions');
+
+// Longest leave a single request may cover
+const MAX_LEAVE_DAYS = 366;
+
+// Filters and sort fields accepted by GET /attendance/leave
+const LEAVE_LIST = {
+  filters: {
+    workerId: { column: 'lr.worker_id', type: 'integer' },
+    status: { column: 'lr.status', type: 'enum', values: ['Pending', 'Approved', 'Rejected'] },
+    leaveType: { column: 'lr.leave_type', type: 'enum', values: Object.keys(LEAVE_TYPES) },
+    startDate: { column: 'lr.start_date', type: 'date' },
+    endDate: { column: 'lr.end_date', type: 'date' }
+  },
+  sorts: {
+    startDate: 'lr.start_date',
+    createdAt: 'lr.created_at'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'lr.id'
+};
+
+// Columns returned for a request; dates as text so they stay calendar dates
+const LEAVE_COLUMNS = `lr.id, lr.uuid, lr.worker_id, lr.project_id, lr.leave_type,
+  lr.start_date::text AS start_date, lr.end_date::text AS end_date, lr.days, lr.paid, lr.reason, lr.status,
+  lr.requested_by_type, lr.decided_by, lr.decided_at, lr.decision_comment, lr.created_at`;
+
+/**
+ * LeaveRequest Model
+ * Handles leave requests, their approval into attendance, and leave balances
+ * Extends BaseModel for common CRUD operations
+ */
+class LeaveRequest extends BaseModel {
+  constructor() {
+    super('leave_requests');
+    this.projectMembers = new ProjectMember();
+  }
+
+  // Request leave on behalf of a worker (project staff)
+  async requestLeave(leaveData) {
+    const { userId, workerId, projectId } = leaveData;
+    const { project } = await this.projectMembers.assertPermission(projectId, userId, 'attendance:mark');
+    await this._assertWorkerOnProject(workerId, project);
+
+    return this._createRequest(leaveData, { type: 'user', id: userId });
+  }
+
+  // Request leave as the worker (worker self-service)
+  async requestOwnLeave(workerId, leaveData) {
+    const projectResult = await this.db.query(
+      'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL',
+      [leaveData.projectId]
+    );
+    const project = projectResult.rows[0];
+    if (!project) {
+      throw new Error('Project not found');
+    }
+    await this._assertWorkerOnProject(workerId, project);
+
+    return this._createRequest({ ...leaveData, workerId }, { type: 'worker', id: workerId });
+  }
+
+  // Leave requests on a project, or on every project the user may view them on
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getLeaveRequests(filters = {}, options = {}) {
+    const where = [];
+    const params = [];
+    if (filters.viewer) {
+      where.push(this._viewableProjectsCondition('lr.project_id', filters.viewer, params));
+    }
+    if (filters.projectId) {
+      params.push(filters.projectId);
+      where.push(`lr.project_id = $${params.length}`);
+    }
+
+    const { rows, pagination } = await this.findList(
+      {
+        select: `${LEAVE_COLUMNS}, w.fullname AS worker_name, p.name AS project_name`,
+        from: `leave_requests lr
+               JOIN workers w ON lr.worker_id = w.id
+               JOIN projects p ON lr.project_id = p.id`,
+        where,
+        params,
+        filter: { workerId: filters.workerId, status: filters.status }
+      },
+      LEAVE_LIST,
+      options
+    );
+
+    return {
+      leaveRequests: rows,
+      pagination
+    };
+  }
+
+  // A worker's own leave requests, newest first
+  async getWorkerLeaveRequests(workerId) {
+    const result = await this.db.query(
+      `SELECT ${LEAVE_COLUMNS}, p.name AS project_name
+       FROM leave_requests lr
+       JOIN projects p ON lr.project_id = p.id
+       WHERE lr.worker_id = $1
+       ORDER BY lr.start_date DESC`,
+      [workerId]
+    );
+    return result.rows;
+  }
+
+  // Leave balances of a worker the user employs, or who is assigned to or has requested leave
+  // on a project where the user may approve leave
+  async getBalancesForUser(workerId, userId) {
+    const params = [workerId];
+    const approverProjects = this._viewableProjectsCondition(
+      'project_id',
+      { userId, roles: rolesWithPermission('leave:approve') },
+      params
+    );
+    const workerResult = await this.db.query(
+      `SELECT w.id FROM workers w
+       WHERE w.id = $1 AND w.deleted_at IS NULL AND (w.user_id = $2 OR EXISTS (
+         SELECT 1 FROM project_workers WHERE worker_id = w.id AND ${approverProjects}
+         UNION ALL
+         SELECT 1 FROM leave_requests WHERE worker_id = w.id AND ${approverProjects}
+       ))`,
+      params
+    );
+    if (workerResult.rows.length === 0) {
+      throw new Error('Worker not found or access denied');
+    }
+
+    return this.getBalances(workerId);
+  }
+
+  // Accrued, used, pending and available days per leave type
+  async getBalances(workerId, client = this.db) {
+    const [workedResult, usedResult] = await Promise.all([
+      client.query(
+        `SELECT COALESCE(SUM(CASE status WHEN 'Half Day' THEN 0.5 ELSE 1 END), 0) AS days_worked
+         FROM attendance
+         WHERE worker_id = $1 AND status IN ('Present', 'Late', 'Half Day') AND deleted_at IS NULL`,
+        [workerId]
+      ),
+      client.query(
+        `SELECT leave_type, status, SUM(days) AS days
+         FROM leave_requests
+         WHERE worker_id = $1 AND paid AND status IN ('Approved', 'Pending')
+         GROUP BY leave_type, status`,
+        [workerId]
+      )
+    ]);
+
+    const daysWorked = parseFloat(workedResult.rows[0].days_worked);
+    const usage = (leaveType, status) => {
+      const row = usedResult.rows.find(entry => entry.leave_type === leaveType && entry.status === status);
+      return row ? parseFloat(row.days) : 0;
+    };
+
+    return Object.entries(LEAVE_TYPES)
+      .filter(([, settings]) => settings.accrualDaysWorked)
+      .map(([leaveType, settings]) => {
+        const accrued = Math.floor(daysWorked / settings.accrualDaysWorked * 100) / 100;
+        const used = usage(leaveType, 'Approved');
+        return {
+          leaveType,
+          accrued,
+          used,
+          pending: usage(leaveType, 'Pending'),
+          available: Math.round((accrued - used) * 100) / 100
+        };
+      });
+  }
+
+  // Approve a pending request and mark the worker On Leave on each working day it covers
+  async approveLeave(leaveRequestId, decisionData, userId) {
+    const request = await this._findForDecision(leaveRequestId, userId);
+    const { comment } = decisionData;
+    const paid = request.leave_type === 'unpaid'
+      ? false
+      : (decisionData.paid !== undefined ? decisionData.paid : request.paid);
+
+    const approved = await this.transaction(async (client) => {
+      await this._lockPending(client, leaveRequestId);
+
+      // Serialise approvals per worker so two requests cannot spend the same balance
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1), $2)', ['leave_balance', request.worker_id]);
+
+      // The calendar may have changed since the request was made
+      const dates = await this._workingDates(client, request.project_id, request.start_date, request.end_date);
+      if (dates.length === 0) {
+        throw new Error('Leave must cover at least one working day');
+      }
+
+      if (paid && LEAVE_TYPES[request.leave_type].accrualDaysWorked) {
+        const balances = await this.getBalances(request.worker_id, client);
+        const { available } = balances.find(balance => balance.leaveType === request.leave_type);
+        if (dates.length > available) {
+          throw new Error(`Insufficient ${request.leave_type} leave balance: ${available} days available`);
+        }
+      }
+
+      await this._markOnLeave(client, request, dates, userId);
+
+      const result = await this.auditedQuery(
+        'approve',
+        `UPDATE leave_requests
+         SET status = 'Approved', paid = $2, days = $3, decided_by = $4, decided_at = CURRENT_TIMESTAMP,
+             decision_comment = $5, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [leaveRequestId, paid, dates.length, userId, comment || null],
+        { client }
+      );
+      return result.rows[0];
+    });
+
+    logger.business('leave_approved', {
+      leaveRequestId,
+      workerId: request.worker_id,
+      projectId: request.project_id,
+      userId,
+      paid,
+      days: approved.days
+    });
+
+    return { ...approved, start_date: request.start_date, end_date: request.end_date };
+  }
+
+  // Reject a pending request with a reason
+  async rejectLeave(leaveRequestId, reason, userId) {
+    const request = await this._findForDecision(leaveRequestId, userId);
+
+    const rejected = await this.transaction(async (client) => {
+      await this._lockPending(client, leaveRequestId);
+
+      const result = await this.auditedQuery(
+        'reject',
+        `UPDATE leave_requests
+         SET status = 'Rejected', decided_by = $2, decided_at = CURRENT_TIMESTAMP,
+             decision_comment = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [leaveRequestId, userId, reason],
+        { client }
+      );
+      return result.rows[0];
+    });
+
+    logger.business('leave_rejected', { leaveRequestId, userId });
+
+    return { ...rejected, start_date: request.start_date, end_date: request.end_date };
+  }
+
+  // Validate and store a new pending request
+  async _createRequest(leaveData, requester) {
+    const { workerId, projectId, leaveType, startDate, endDate, reason } = leaveData;
+    if (endDate < startDate) {
+      throw new Error('Invalid date range: endDate must not be before startDate');
+    }
+    const span = (new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000 + 1;
+    if (span > MAX_LEAVE_DAYS) {
+      throw new Error(`Leave cannot be longer than ${MAX_LEAVE_DAYS} days`);
+    }
+
+    const dates = await this._workingDates(this.db, projectId, startDate, endDate);
+    if (dates.length === 0) {
+      throw new Error('Leave must cover at least one working day');
+    }
+
+    const overlapResult = await this.db.query(
+      `SELECT start_date::text AS start_date, end_date::text AS end_date FROM leave_requests
+       WHERE worker_id = $1 AND status IN ('Pending', 'Approved') AND start_date <= $3 AND end_date >= $2
+       LIMIT 1`,
+      [workerId, startDate, endDate]
+    );
+    if (overlapResult.rows.length > 0) {
+      const overlap = overlapResult.rows[0];
+      throw new Error(`Worker already has leave from ${overlap.start_date} to ${overlap.end_date}`);
+    }
+
+    const paid = leaveType === 'unpaid'
+      ? false
+      : (leaveData.paid !== undefined ? leaveData.paid : LEAVE_TYPES[leaveType].paid);
+
+    const request = await this.create({
+      worker_id: workerId,
+      project_id: projectId,
+      leave_type: leaveType,
+      start_date: startDate,
+      end_date: endDate,
+      days: dates.length,
+      paid,
+      reason,
+      requested_by_type: requester.type,
+      requested_by: requester.id
+    });
+
+    logger.business('leave_requested', {
+      leaveRequestId: request.id,
+      workerId,
+      projectId,
+      leaveType,
+      days: dates.length,
+      requestedBy: requester
+    });
+
+    return { ...request, start_date: startDate, end_date: endDate };
+  }
+
+  // Workers belong to the project owner's workforce
+  async _assertWorkerOnProject(workerId, project) {
+    const workerResult = await this.db.query(
+      'SELECT id FROM workers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [workerId, project.user_id]
+    );
+    if (workerResult.rows.length === 0) {
+      throw new Error('Worker not found or access denied');
+    }
+  }
+
+  // Working days of the project's company calendar between two dates
+  async _workingDates(client, projectId, from, to) {
+    const result = await client.query(
+      `SELECT d::date::text AS date
+       FROM generate_series($2::date, $3::date, interval '1 day') d
+       WHERE is_working_day($1, d::date)
+       ORDER BY d`,
+      [projectId, from, to]
+    );
+    return result.rows.map(row => row.date);
+  }
+
+  // Request the user may decide on
+  async _findForDecision(leaveRequestId, userId) {
+    const result = await this.db.query(
+      `SELECT ${LEAVE_COLUMNS} FROM leave_requests lr WHERE lr.id = $1`,
+      [leaveRequestId]
+    );
+    const request = result.rows[0];
+    if (!request) {
+      throw new Error('Leave request not found');
+    }
+
+    await this.projectMembers.assertPermission(request.project_id, userId, 'leave:approve', 'Leave request not found');
+    return request;
+  }
+
+  // Lock the request row, refusing requests already decided
+  async _lockPending(client, leaveRequestId) {
+    const result = await client.query(
+      'SELECT status FROM leave_requests WHERE id = $1 FOR UPDATE',
+      [leaveRequestId]
+    );
+    if (result.rows[0].status !== 'Pending') {
+      throw new Error(`Leave request is already ${result.rows[0].status.toLowerCase()}`);
+    }
+  }
+
+  // Turn absences into leave and fill unmarked days; a day already worked blocks approval
+  async _markOnLeave(client, request, dates, userId) {
+    const existingResult = await client.query(
+      `SELECT id, date::text AS date, status FROM attendance
+       WHERE worker_id = $1 AND project_id = $2 AND date = ANY($3::date[]) AND deleted_at IS NULL
+       FOR UPDATE`,
+      [request.worker_id, request.project_id, dates]
+    );
+
+    const worked = existingResult.rows.find(record => record.status !== 'Absent');
+    if (worked) {
+      throw new Error(`Worker already has ${worked.status} attendance on ${worked.date}`);
+    }
+
+    const existingIds = existingResult.rows.map(record => record.id);
+    if (existingIds.length > 0) {
+      await this.auditedQuery(
+        'update',
+        `UPDATE attendance SET status = 'On Leave', leave_request_id = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($1::int[]) RETURNING *`,
+        [existingIds, request.id],
+        { client, entity: 'attendance' }
+      );
+    }
+
+    const existingDates = new Set(existingResult.rows.map(record => record.date));
+    const newDates = dates.filter(date => !existingDates.has(date));
+    if (newDates.length > 0) {
+      await this.auditedQuery(
+        'create',
+        `INSERT INTO attendance (user_id, worker_id, project_id, date, status, leave_request_id)
+         SELECT $1, $2, $3, day, 'On Leave', $5 FROM unnest($4::date[]) day
+         RETURNING *`,
+        [userId, request.worker_id, request.project_id, newDates, request.id],
+        { client, entity: 'attendance' }
+      );
+    }
+  }
+}
+
+module.exports = LeaveRequest;
@@ -0,0 +1,261 @@
+const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
+const logger = require('../utils/logger');
+
+// Filters and sort fields accepted by GET /sellers/quotes
+const SELLER_QUOTE_LIST = {
+  filters: {
+    status: { column: 'mq.status', type: 'enum', values: ['Submitted', 'Accepted', 'Rejected'] },
+    materialName: { column: 'mr.material_name' },
+    price: { column: 'mq.price', type: 'number' },
+    deliveryDate: { column: 'mq.delivery_date', type: 'date' },
+    deliveryStatus: {
+      column: 'mr.delivery_status',
+      type: 'enum',
+      values: ['Awaiting Quotes', 'Ordered', 'Dispatched', 'Delivered'],
+      nullable: true
+    },
+    createdAt: { column: 'mq.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'mq.created_at',
+    price: 'mq.price',
+    deliveryDate: 'mq.delivery_date'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'mq.id'
+};
+
+/**
+ * MaterialQuote Model
+ * Handles seller quotes against published material requests
+ * Extends BaseModel for common CRUD operations
+ */
+class MaterialQuote extends BaseModel {
+  constructor() {
+    super('material_quotes');
+    this.projectMembers = new ProjectMember();
+  }
+
+  // Find quotes submitted by a seller
+  async findBySellerId(sellerId) {
+    return this.findWhere({ seller_id: sellerId });
+  }
+
+  // Submit (or revise) a seller quote for a published material request
+  async submitQuote(quoteData) {
+    const {
+      sellerId,
+      materialRequestId,
+      price,
+      deliveryDate,
+      notes
+    } = quoteData;
+
+    const { quote, revised } = await this.transaction(async (client) => {
+      // Takes the request lock acceptQuote holds, so no quote changes while one is accepted
+      const requestResult = await client.query(
+        'SELECT * FROM material_requests WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [materialRequestId]
+      );
+
+      // Validate the material request is published and still open
+      const materialRequest = requestResult.rows[0];
+      if (!materialRequest || !materialRequest.published_at) {
+        throw new Error('Material request not found');
+      }
+
+      if (materialRequest.status !== 'Approved' || materialRequest.accepted_quote_id) {
+        throw new Error('Material request is no longer open for quotes');
+      }
+
+      // A seller keeps one quote per request and may revise it until a decision
+      const existingResult = await client.query(
+        'SELECT * FROM material_quotes WHERE material_request_id = $1 AND seller_id = $2',
+        [materialRequestId, sellerId]
+      );
+      const existingQuote = existingResult.rows[0];
+
+      if (existingQuote) {
+        if (existingQuote.status !== 'Submitted') {
+          throw new Error('Quote can no longer be revised');
+        }
+
+        const updatedResult = await this.auditedQuery(
+          'update',
+          `UPDATE material_quotes
+           SET price = $2, delivery_date = $3, notes = $4, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 RETURNING *`,
+          [existingQuote.id, price, deliveryDate, notes || null],
+          { client }
+        );
+        return { quote: updatedResult.rows[0], revised: true };
+      }
+
+      const createdResult = await this.auditedQuery(
+        'create',
+        `INSERT INTO material_quotes (material_request_id, seller_id, price, delivery_date, notes, status)
+         VALUES ($1, $2, $3, $4, $5, 'Submitted') RETURNING *`,
+        [materialRequestId, sellerId, price, deliveryDate, notes || null],
+        { client }
+      );
+      return { quote: createdResult.rows[0], revised: false };
+    });
+
+    logger.business(revised ? 'material_quote_revised' : 'material_quote_submitted', {
+      quoteId: quote.id,
+      materialRequestId,
+      sellerId,
+      price
+    });
+
+    return quote;
+  }
+
+  // Get quotes for a material request (project member view)
+  async getQuotesForRequest(materialRequestId, userId) {
+    const requestResult = await this.db.query(
+      'SELECT * FROM material_requests WHERE id = $1 AND deleted_at IS NULL',
+      [materialRequestId]
+    );
+
+    if (requestResult.rows.length === 0) {
+      throw new Error('Material request not found or access denied');
+    }
+
+    await this.projectMembers.assertPermission(
+      requestResult.rows[0].project_id,
+      userId,
+      'materials:view',
+      'Material request not found or access denied'
+    );
+
+    const quotesResult = await this.db.query(
+      `SELECT mq.*, s.name as seller_name, s.email as seller_email, s.phone as seller_phone
+       FROM material_quotes mq
+       JOIN sellers s ON mq.seller_id = s.id
+       WHERE mq.material_request_id = $1
+       ORDER BY mq.price ASC, mq.delivery_date ASC`,
+      [materialRequestId]
+    );
+
+    return {
+      materialRequest: requestResult.rows[0],
+      quotes: quotesResult.rows
+    };
+  }
+
+  // Get a seller's quotes with pagination
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getSellerQuotes(sellerId, options = {}) {
+    const { rows, pagination } = await this.findList(
+      {
+        select: `mq.*, mr.request_id, mr.material_name, mr.quantity, mr.unit,
+                 mr.delivery_status`,
+        from: 'material_quotes mq JOIN material_requests mr ON mq.material_request_id = mr.id',
+        where: ['mq.seller_id = $1'],
+        params: [sellerId]
+      },
+      SELLER_QUOTE_LIST,
+      options
+    );
+
+    return {
+      quotes: rows,
+      pagination
+    };
+  }
+
+  // Accept a quote: record seller, agreed price and delivery status on the request
+  async acceptQuote(quoteId, userId) {
+    const quote = await this.findById(quoteId);
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+
+    const result = await this.transaction(async (client) => {
+      // Lock the request so two quotes cannot be accepted concurrently
+      const requestResult = await client.query(
+        'SELECT * FROM material_requests WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [quote.material_request_id]
+      );
+
+      const materialRequest = requestResult.rows[0];
+      if (!materialRequest) {
+        throw new Error('Material request not found or access denied');
+      }
+
+      await this.projectMembers.assertPermission(
+        materialRequest.project_id,
+        userId,
+        'materials:approve',
+        'Material request not found or access denied'
+      );
+
+      if (materialRequest.accepted_quote_id) {
+        throw new Error('A quote has already been accepted for this material request');
+      }
+
+      if (materialRequest.status !== 'Approved') {
+        throw new Error('Material request is no longer open for quotes');
+      }
+
+      // The seller may have revised the quote since it was read; price and seller come from the locked row
+      const lockedResult = await client.query(
+        'SELECT * FROM material_quotes WHERE id = $1 AND material_request_id = $2 FOR UPDATE',
+        [quoteId, materialRequest.id]
+      );
+
+      const lockedQuote = lockedResult.rows[0];
+      if (!lockedQuote) {
+        throw new Error('Quote not found');
+      }
+
+      if (lockedQuote.status !== 'Submitted') {
+        throw new Error('Quote is no longer open for acceptance');
+      }
+
+      const acceptedResult = await this.auditedQuery(
+        'accept',
+        `UPDATE material_quotes SET status = 'Accepted'
+         WHERE id = $1 RETURNING *`,
+        [quoteId],
+        { client }
+      );
+
+      await this.auditedQuery(
+        'reject',
+        `UPDATE material_quotes SET status = 'Rejected'
+         WHERE material_request_id = $1 AND id <> $2 RETURNING *`,
+        [materialRequest.id, quoteId],
+        { client }
+      );
+
+      const updatedRequestResult = await this.auditedQuery(
+        'accept_quote',
+        `UPDATE material_requests
+         SET seller_id = $2, accepted_quote_id = $3, agreed_price = $4, delivery_status = 'Ordered'
+         WHERE id = $1 RETURNING *`,
+        [materialRequest.id, lockedQuote.seller_id, quoteId, lockedQuote.price],
+        { client, entity: 'material_requests' }
+      );
+
+      return {
+        quote: acceptedResult.rows[0],
+        materialRequest: updatedRequestResult.rows[0]
+      };
+    });
+
+    logger.business('material_quote_accepted', {
+      quoteId,
+      materialRequestId: result.materialRequest.id,
+      sellerId: result.materialRequest.seller_id,
+      agreedPrice: result.materialRequest.agreed_price,
+      userId
+    });
+
+    return result;
+  }
+}
+
+module.exports = MaterialQuote;
@@ -1,6 +1,52 @@
 const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
 const logger = require('../utils/logger');
 
+const URGENCY_LEVELS = ['Low', 'Medium', 'High'];
+
+// Filters and sort fields accepted by GET /projects/materials/requests
+const MATERIAL_REQUEST_LIST = {
+  filters: {
+    status: { column: 'mr.status', type: 'enum', values: ['Pending', 'Approved', 'Rejected', 'Processed'] },
+    urgency: { column: 'mr.urgency', type: 'enum', values: URGENCY_LEVELS },
+    materialName: { column: 'mr.material_name' },
+    estimatedCost: { column: 'mr.estimated_cost', type: 'number' },
+    deliveryStatus: {
+      column: 'mr.delivery_status',
+      type: 'enum',
+      values: ['Awaiting Quotes', 'Ordered', 'Dispatched', 'Delivered'],
+      nullable: true
+    },
+    publishedAt: { column: 'mr.published_at', type: 'date', nullable: true },
+    createdAt: { column: 'mr.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'mr.created_at',
+    estimatedCost: 'mr.estimated_cost',
+    materialName: 'mr.material_name'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'mr.id',
+  deletedColumn: 'mr.deleted_at'
+};
+
+// Filters and sort fields accepted by GET /sellers/material-requests
+// The owner's cost estimate is hidden from sellers, so it is not filterable here
+const OPEN_MATERIAL_REQUEST_LIST = {
+  filters: {
+    urgency: { column: 'mr.urgency', type: 'enum', values: URGENCY_LEVELS },
+    materialName: { column: 'mr.material_name' },
+    projectCategory: { column: 'p.category', type: 'enum', values: ['Construction', 'Farming', 'Education'] }
+  },
+  sorts: {
+    publishedAt: 'mr.published_at',
+    materialName: 'mr.material_name'
+  },
+  defaultSort: '-publishedAt',
+  idColumn: 'mr.id',
+  deletedColumn: 'mr.deleted_at'
+};
+
 /**
  * MaterialRequest Model
  * Handles material request database operations
@@ -8,7 +54,8 @@ const logger = require('../utils/logger');
  */
 class MaterialRequest extends BaseModel {
   constructor() {
-    super('material_requests');
+    super('material_requests', { softDelete: true });
+    this.projectMembers = new ProjectMember();
   }
 
   // Find material requests by user ID
@@ -43,13 +90,8 @@ class MaterialRequest extends BaseModel {
       throw new Error('User not found');
     }
 
-    // Validate project exists and belongs to user
-    const Project = require('./Project');
-    const projectModel = new Project();
-    const project = await projectModel.findById(projectId);
-    if (!project || project.user_id !== userId) {
-      throw new Error('Project not found or access denied');
-    }
+    // Validate the user may request materials on the project
+    await this.projectMembers.assertPermission(projectId, userId, 'materials:request');
 
     // Check if request ID already exists
     const existingRequest = await this.findByRequestId(requestId);
@@ -90,15 +132,26 @@ class MaterialRequest extends BaseModel {
       throw new Error('Material request not found');
     }
 
+    await this.projectMembers.assertPermission(
+      materialRequest.project_id,
+      approvedBy,
+      'materials:approve',
+      'Material request not found'
+    );
+
     if (materialRequest.status !== 'Pending') {
       throw new Error('Only pending requests can be approved');
     }
 
+    // Approval publishes the request to registered sellers for quoting
+    const approvedAt = new Date();
     const updatedRequest = await this.updateById(materialRequest.id, {
       status: 'Approved',
       approved_by: approvedBy,
-      approved_at: new Date()
-    });
+      approved_at: approvedAt,
+      published_at: approvedAt,
+      delivery_status: 'Awaiting Quotes'
+    }, { action: 'approve' });
 
     logger.business('material_request_approved', {
       materialRequestId: materialRequest.id,
@@ -106,6 +159,12 @@ class MaterialRequest extends BaseModel {
       approvedBy
     });
 
+    logger.business('material_request_published', {
+      materialRequestId: materialRequest.id,
+      requestId,
+      publishedAt: approvedAt
+    });
+
     return updatedRequest;
   }
 
@@ -116,6 +175,13 @@ class MaterialRequest extends BaseModel {
       throw new Error('Material request not found');
     }
 
+    await this.projectMembers.assertPermission(
+      materialRequest.project_id,
+      rejectedBy,
+      'materials:approve',
+      'Material request not found'
+    );
+
     if (materialRequest.status !== 'Pending') {
       throw new Error('Only pending requests can be rejected');
     }
@@ -125,7 +191,7 @@ class MaterialRequest extends BaseModel {
       approved_by: rejectedBy,
       approved_at: new Date(),
       rejection_reason: reason
-    });
+    }, { action: 'reject' });
 
     logger.business('material_request_rejected', {
       materialRequestId: materialRequest.id,
@@ -138,92 +204,182 @@ class MaterialRequest extends BaseModel {
   }
 
   // Get material requests with pagination and filters
-  async getMaterialRequests(filters = {}, pagination = {}) {
-    const { page = 1, limit = 10 } = pagination;
-    const offset = (page - 1) * limit;
-
-    // Build conditions from filters
-    const conditions = {};
-    if (filters.userId) conditions.user_id = filters.userId;
-    if (filters.projectId) conditions.project_id = filters.projectId;
-    if (filters.status) conditions.status = filters.status;
-    if (filters.urgency) conditions.urgency = filters.urgency;
-
-    // Get material requests with project and user information
-    let query = `
-      SELECT mr.*, p.name as project_name, u.name as requester_name
-      FROM material_requests mr
-      JOIN projects p ON mr.project_id = p.id
-      JOIN users u ON mr.user_id = u.id
-      WHERE 1=1
-    `;
-
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getMaterialRequests(filters = {}, options = {}) {
+    // Lists are scoped to one project or to every project the caller may view
+    const where = [];
     const params = [];
-    let paramCount = 0;
+    if (filters.viewer) {
+      where.push(this._viewableProjectsCondition('mr.project_id', filters.viewer, params));
+    }
+    if (filters.projectId) {
+      params.push(filters.projectId);
+      where.push(`mr.project_id = $${params.length}`);
+    }
 
-    // Add filters to query
-    if (conditions.user_id) {
-      paramCount++;
-      query += ` AND mr.user_id = $${paramCount}`;
-      params.push(conditions.user_id);
+    const { rows, pagination } = await this.findList(
+      {
+        // Includes project and user information
+        select: 'mr.*, p.name as project_name, u.name as requester_name',
+        from: `material_requests mr
+               JOIN projects p ON mr.project_id = p.id
+               JOIN users u ON mr.user_id = u.id`,
+        where,
+        params,
+        filter: { status: filters.status, urgency: filters.urgency }
+      },
+      MATERIAL_REQUEST_LIST,
+      options
+    );
+
+    return {
+      materialRequests: rows,
+      pagination
+    };
+  }
+
+  // Get published material requests that are still open for seller quotes
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getOpenRequestsForSellers(filters = {}, options = {}) {
+    const { rows, pagination } = await this.findList(
+      {
+        // Sellers see what is needed and where, not the owner's cost estimate
+        select: `mr.id, mr.uuid, mr.request_id, mr.material_name, mr.quantity, mr.unit,
+                 mr.urgency, mr.description, mr.published_at,
+                 p.name as project_name, p.category as project_category`,
+        from: 'material_requests mr JOIN projects p ON mr.project_id = p.id',
+        where: [
+          "mr.status = 'Approved'",
+          'mr.published_at IS NOT NULL',
+          'mr.accepted_quote_id IS NULL'
+        ],
+        filter: { urgency: filters.urgency }
+      },
+      OPEN_MATERIAL_REQUEST_LIST,
+      options
+    );
+
+    return {
+      materialRequests: rows,
+      pagination
+    };
+  }
+
+  // Update delivery status of an ordered material request
+  // Sellers mark their orders dispatched; project members confirm delivery
+  async updateDeliveryStatus(materialRequestId, deliveryStatus, actor) {
+    const materialRequest = await this.findById(materialRequestId);
+    if (!materialRequest) {
+      throw new Error('Material request not found');
     }
 
-    if (conditions.project_id) {
-      paramCount++;
-      query += ` AND mr.project_id = $${paramCount}`;
-      params.push(conditions.project_id);
+    if (actor.type === 'seller') {
+      if (materialRequest.seller_id !== actor.id) {
+        throw new Error('Material request not found or access denied');
+      }
+      if (deliveryStatus !== 'Dispatched' || materialRequest.delivery_status !== 'Ordered') {
+        throw new Error('Sellers can only mark ordered material requests as dispatched');
+      }
+    } else {
+      await this.projectMembers.assertPermission(
+        materialRequest.project_id,
+        actor.id,
+        'materials:receive',
+        'Material request not found or access denied'
+      );
+      if (deliveryStatus !== 'Delivered' ||
+          !['Ordered', 'Dispatched'].includes(materialRequest.delivery_status)) {
+        throw new Error('Only ordered or dispatched material requests can be marked as delivered');
+      }
+    }
+
+    const updatedRequest = await this.updateById(materialRequestId, {
+      delivery_status: deliveryStatus
+    });
+
+    logger.business('material_delivery_status_updated', {
+      materialRequestId,
+      deliveryStatus,
+      actorType: actor.type,
+      actorId: actor.id
+    });
+
+    return updatedRequest;
+  }
+
+  // Delete material request (only if pending)
+  async deleteMaterialRequest(materialRequestId, userId) {
+    const materialRequest = await this.findById(materialRequestId);
+    if (!materialRequest) {
+      throw new Error('Material request not found or access denied');
+    }
+
+    await this.projectMembers.assertPermission(
+      materialRequest.project_id,
+      userId,
+      'materials:request',
+      'Material request not found or access denied'
+    );
+
+    if (materialRequest.status !== 'Pending') {
+      throw new Error('Only pending material requests can be deleted');
     }
 
-    if (conditions.status) {
-      paramCount++;
-      query += ` AND mr.status = $${paramCount}`;
-      params.push(conditions.status);
+    const deleted = await this.deleteById(materialRequestId);
+
+    if (deleted) {
+      logger.business('material_request_deleted', {
+        materialRequestId,
+        userId,
+        requestId: materialRequest.request_id
+      });
     }
 
-    if (conditions.urgency) {
-      paramCount++;
-      query += ` AND mr.urgency = $${paramCount}`;
-      params.push(conditions.urgency);
+    return deleted;
+  }
+
+  // Restore a deleted material request
+  async restoreMaterialRequest(materialRequestId, userId) {
+    const materialRequest = await this.findById(materialRequestId, { withDeleted: true });
+    if (!materialRequest || !materialRequest.deleted_at) {
+      throw new Error('Deleted material request not found or access denied');
     }
 
-    // Add pagination
-    query += ` ORDER BY mr.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
+    await this.projectMembers.assertPermission(
+      materialRequest.project_id,
+      userId,
+      'materials:request',
+      'Deleted material request not found or access denied'
+    );
 
-    const result = await this.db.query(query, params);
+    const restored = await this.restoreById(materialRequestId);
 
-    // Get total count
-    const totalCount = await this.count(conditions);
+    logger.business('material_request_restored', {
+      materialRequestId,
+      userId,
+      requestId: materialRequest.request_id
+    });
 
-    return {
-      materialRequests: result.rows,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalCount / limit),
-        totalCount,
-        hasNext: page * limit < totalCount,
-        hasPrev: page > 1
-      }
-    };
+    return restored;
   }
 
   // Get material request statistics
   async getMaterialRequestStats(userId) {
     const [pendingCount, approvedCount, rejectedCount, totalCost] = await Promise.all([
       this.db.query(
-        'SELECT COUNT(*) FROM material_requests WHERE user_id = $1 AND status = $2',
+        'SELECT COUNT(*) FROM material_requests WHERE user_id = $1 AND status = $2 AND deleted_at IS NULL',
         [userId, 'Pending']
       ),
       this.db.query(
-        'SELECT COUNT(*) FROM material_requests WHERE user_id = $1 AND status = $2',
+        'SELECT COUNT(*) FROM material_requests WHERE user_id = $1 AND status = $2 AND deleted_at IS NULL',
         [userId, 'Approved']
       ),
       this.db.query(
-        'SELECT COUNT(*) FROM material_requests WHERE user_id = $1 AND status = $2',
+        'SELECT COUNT(*) FROM material_requests WHERE user_id = $1 AND status = $2 AND deleted_at IS NULL',
         [userId, 'Rejected']
       ),
       this.db.query(
-        'SELECT SUM(estimated_cost) FROM material_requests WHERE user_id = $1 AND status = $2',
+        'SELECT SUM(estimated_cost) FROM material_requests WHERE user_id = $1 AND status = $2 AND deleted_at IS NULL',
         [userId, 'Approved']
       )
     ]);
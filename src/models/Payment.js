@@ -1,5 +1,62 @@
 const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
+const Payout = require('./Payout');
 const logger = require('../utils/logger');
+const {
+  categorizeMinutes,
+  splitWorkedHours,
+  sumHours,
+  hoursPay,
+  paySettings
+} = require('../utils/hours');
+
+// Days credited per attendance status when generating payment requests from attendance
+const ATTENDANCE_DAY_VALUES = {
+  Present: 1,
+  'Half Day': 0.5,
+  Late: 1,
+  Absent: 0,
+  // Approved leave is credited a full day when paid (see leave_paid below)
+  'On Leave': 0
+};
+
+// Filters and sort fields accepted by GET /payments/requests
+const PAYMENT_REQUEST_LIST = {
+  filters: {
+    status: { column: 'pr.status', type: 'enum', values: ['Pending', 'Approved', 'Rejected', 'Processed'] },
+    requestId: { column: 'pr.request_id' },
+    requestDate: { column: 'pr.request_date', type: 'date' },
+    totalAmount: { column: 'pr.total_amount', type: 'number' },
+    periodStart: { column: 'pr.period_start', type: 'date', nullable: true },
+    periodEnd: { column: 'pr.period_end', type: 'date', nullable: true },
+    approvedAt: { column: 'pr.approved_at', type: 'date', nullable: true },
+    createdAt: { column: 'pr.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'pr.created_at',
+    requestDate: 'pr.request_date',
+    totalAmount: 'pr.total_amount'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'pr.id',
+  deletedColumn: 'pr.deleted_at'
+};
+
+// Filters and sort fields accepted by GET /workers/me/payments
+const WORKER_PAYMENT_LINE_LIST = {
+  filters: {
+    status: { column: 'pr.status', type: 'enum', values: ['Pending', 'Approved', 'Rejected', 'Processed'] },
+    projectId: { column: 'p.id', type: 'integer' },
+    requestDate: { column: 'pr.request_date', type: 'date' }
+  },
+  sorts: {
+    requestDate: 'pr.request_date',
+    totalAmount: 'prw.total_amount'
+  },
+  defaultSort: '-requestDate',
+  idColumn: 'prw.id',
+  deletedColumn: 'pr.deleted_at'
+};
 
 /**
  * Payment Model
@@ -8,7 +65,9 @@ const logger = require('../utils/logger');
  */
 class Payment extends BaseModel {
   constructor() {
-    super('payment_requests');
+    super('payment_requests', { softDelete: true });
+    this.projectMembers = new ProjectMember();
+    this.payouts = new Payout();
   }
 
   // Find payment requests by user ID
@@ -28,6 +87,8 @@ class Payment extends BaseModel {
       requestId,
       projectId,
       requestDate,
+      periodStart,
+      periodEnd,
       workers,
       notes
     } = paymentData;
@@ -40,13 +101,8 @@ class Payment extends BaseModel {
       throw new Error('User not found');
     }
 
-    // Validate project exists and belongs to user
-    const Project = require('./Project');
-    const projectModel = new Project();
-    const project = await projectModel.findById(projectId);
-    if (!project || project.user_id !== userId) {
-      throw new Error('Project not found or access denied');
-    }
+    // Validate the user may request payments on the project
+    const { project } = await this.projectMembers.assertPermission(projectId, userId, 'payments:request');
 
     // Check if request ID already exists
     const existingRequest = await this.findByRequestId(requestId);
@@ -54,40 +110,65 @@ class Payment extends BaseModel {
       throw new Error('Payment request with this ID already exists');
     }
 
-    // Validate workers belong to user
+    // Validate workers belong to the project owner and price each line
+    const lines = [];
     for (const worker of workers) {
       const workerResult = await this.db.query(
-        'SELECT * FROM workers WHERE id = $1 AND user_id = $2',
-        [worker.workerId, userId]
+        `SELECT w.*, pos.hours_per_day, pos.overtime_multiplier, pos.night_multiplier, pos.weekend_multiplier
+         FROM workers w
+         LEFT JOIN positions pos ON w.position_id = pos.id
+         WHERE w.id = $1 AND w.user_id = $2 AND w.deleted_at IS NULL`,
+        [worker.workerId, project.user_id]
       );
       if (workerResult.rows.length === 0) {
         throw new Error(`Worker with ID ${worker.workerId} not found or access denied`);
       }
+      lines.push(this._buildPaymentLine(worker, workerResult.rows[0]));
     }
 
     // Calculate total amount
-    const totalAmount = workers.reduce((sum, worker) => 
-      sum + (worker.daysWorked * worker.allowancePerDay), 0
-    );
+    const totalAmount = lines.reduce((sum, line) => sum + line.totalAmount, 0);
 
     // Use transaction to create payment request and workers
     return await this.transaction(async (client) => {
+      // Refuse to pay the same worker twice for the same days; the per-worker locks, taken in
+      // ID order so requests sharing workers cannot deadlock, keep concurrent requests from
+      // both passing the check
+      const workerIds = [...new Set(workers.map(worker => worker.workerId))].sort((a, b) => a - b);
+      for (const workerId of workerIds) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1), $2)', ['payment_period', workerId]);
+      }
+      await this._assertPeriodNotCovered(workerIds, periodStart, periodEnd, client);
+
       // Create payment request
-      const paymentRequestResult = await client.query(
-        `INSERT INTO payment_requests (request_id, user_id, project_id, request_date, total_amount, notes, status) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-        [requestId, userId, projectId, requestDate, totalAmount, notes, 'Pending']
+      const paymentRequestResult = await this.auditedQuery(
+        'create',
+        `INSERT INTO payment_requests (request_id, user_id, project_id, request_date, total_amount, period_start, period_end, notes, status) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [requestId, userId, projectId, requestDate, totalAmount, periodStart, periodEnd, notes, 'Pending'],
+        { client }
       );
 
       const paymentRequest = paymentRequestResult.rows[0];
 
       // Create payment request workers
-      for (const worker of workers) {
-        const workerTotalAmount = worker.daysWorked * worker.allowancePerDay;
-        await client.query(
-          `INSERT INTO payment_request_workers (payment_request_id, worker_id, days_worked, allowance_per_day, total_amount) 
-           VALUES ($1, $2, $3, $4, $5)`,
-          [paymentRequest.id, worker.workerId, worker.daysWorked, worker.allowancePerDay, workerTotalAmount]
+      for (const line of lines) {
+        const { hours } = line;
+        await this.auditedQuery(
+          'create',
+          `INSERT INTO payment_request_workers (payment_request_id, worker_id, days_worked, allowance_per_day, total_amount,
+                                                hourly_rate, regular_hours, overtime_hours, night_hours, weekend_hours) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING *`,
+          [
+            paymentRequest.id, line.workerId, line.daysWorked, line.allowancePerDay, line.totalAmount,
+            line.hourlyRate,
+            hours ? hours.regular : null,
+            hours ? hours.overtime : null,
+            hours ? hours.night : null,
+            hours ? hours.weekend : null
+          ],
+          { client, entity: 'payment_request_workers' }
         );
       }
 
@@ -104,182 +185,287 @@ class Payment extends BaseModel {
     });
   }
 
-  // Approve payment request
-  async approvePaymentRequest(requestId, approvedBy) {
-    const paymentRequest = await this.findByRequestId(requestId);
-    if (!paymentRequest) {
-      throw new Error('Payment request not found');
+  // Build a draft payment request from a project's attendance over a date range
+  async generatePaymentRequestDraft(draftData) {
+    const { userId, projectId, startDate, endDate, lateDayValue } = draftData;
+
+    await this.projectMembers.assertPermission(projectId, userId, 'payments:request');
+
+    const dayValues = {
+      ...ATTENDANCE_DAY_VALUES,
+      ...(lateDayValue !== undefined && { Late: lateDayValue })
+    };
+
+    // Rate comes from the project's position rate, falling back to the position default;
+    // the break comes from the worker's rostered shift that day, rest days from the company calendar
+    const attendanceResult = await this.db.query(
+      `SELECT a.worker_id, w.fullname as worker_name, a.date::text as date, a.status, a.check_in, a.check_out,
+              NOT is_working_day(a.project_id, a.date) as rest_day,
+              COALESCE(pp.daily_rate, pos.default_daily_rate) as daily_rate,
+              pos.hours_per_day, pos.overtime_multiplier, pos.night_multiplier, pos.weekend_multiplier,
+              shift.break_minutes, lr.paid as leave_paid
+       FROM attendance a
+       JOIN workers w ON a.worker_id = w.id
+       LEFT JOIN leave_requests lr ON a.leave_request_id = lr.id
+       LEFT JOIN positions pos ON w.position_id = pos.id
+       LEFT JOIN project_positions pp ON pp.project_id = a.project_id AND pp.position_id = w.position_id
+       LEFT JOIN LATERAL (
+         SELECT s.break_minutes FROM shift_assignments sa
+         JOIN shifts s ON sa.shift_id = s.id
+         WHERE sa.worker_id = a.worker_id AND s.project_id = a.project_id
+           AND a.date BETWEEN sa.start_date AND sa.end_date
+           AND EXTRACT(ISODOW FROM a.date)::int = ANY(s.days_of_week)
+         ORDER BY s.start_time
+         LIMIT 1
+       ) shift ON true
+       WHERE a.project_id = $1 AND a.date BETWEEN $2 AND $3 AND a.deleted_at IS NULL
+         AND a.review_status IS DISTINCT FROM 'Flagged'
+       ORDER BY w.fullname ASC, a.date ASC`,
+      [projectId, startDate, endDate]
+    );
+
+    if (attendanceResult.rows.length === 0) {
+      throw new Error('No attendance found for this project in the selected period');
     }
 
-    if (paymentRequest.status !== 'Pending') {
-      throw new Error('Only pending payment requests can be approved');
+    const workersById = new Map();
+    for (const row of attendanceResult.rows) {
+      if (!workersById.has(row.worker_id)) {
+        workersById.set(row.worker_id, {
+          workerId: row.worker_id,
+          workerName: row.worker_name,
+          dailyRate: row.daily_rate === null ? null : parseFloat(row.daily_rate),
+          settings: paySettings(row),
+          breakdown: { Present: 0, 'Half Day': 0, Late: 0, Absent: 0, paidLeave: 0, unpaidLeave: 0 },
+          daysWorked: 0,
+          dayHours: []
+        });
+      }
+
+      const worker = workersById.get(row.worker_id);
+      const paidLeave = row.status === 'On Leave' && row.leave_paid === true;
+      const dayValue = paidLeave ? 1 : dayValues[row.status];
+      if (row.status === 'On Leave') {
+        worker.breakdown[paidLeave ? 'paidLeave' : 'unpaidLeave'] += 1;
+      } else {
+        worker.breakdown[row.status] += 1;
+      }
+      worker.daysWorked += dayValue;
+
+      // Timed days are paid by the clock; untimed days by their day value
+      const restDay = row.rest_day === true;
+      if (row.status !== 'Absent' && row.check_in && row.check_out) {
+        worker.dayHours.push(splitWorkedHours({
+          checkIn: row.check_in,
+          checkOut: row.check_out,
+          breakMinutes: row.break_minutes || 0,
+          restDay
+        }, worker.settings.hoursPerDay));
+      } else if (dayValue > 0) {
+        worker.dayHours.push(categorizeMinutes(dayValue * worker.settings.hoursPerDay * 60, 0, {
+          restDay,
+          hoursPerDay: worker.settings.hoursPerDay
+        }));
+      }
     }
 
-    const updatedRequest = await this.updateById(paymentRequest.id, {
-      status: 'Approved',
-      approved_by: approvedBy,
-      approved_at: new Date()
-    });
+    await this._assertPeriodNotCovered([...workersById.keys()], startDate, endDate);
 
-    logger.business('payment_request_approved', {
-      paymentRequestId: paymentRequest.id,
-      requestId,
-      approvedBy,
-      totalAmount: paymentRequest.total_amount
+    const workers = [];
+    const warnings = [];
+    for (const worker of workersById.values()) {
+      if (worker.dayHours.length === 0) {
+        continue;
+      }
+
+      if (worker.dailyRate === null) {
+        warnings.push(`No daily rate configured for ${worker.workerName}`);
+      }
+
+      const { hoursPerDay, ...multipliers } = worker.settings;
+      const hours = sumHours(worker.dayHours);
+      const hourlyRate = Math.round((worker.dailyRate || 0) / hoursPerDay * 100) / 100;
+
+      workers.push({
+        workerId: worker.workerId,
+        workerName: worker.workerName,
+        daysWorked: worker.daysWorked,
+        allowancePerDay: worker.dailyRate,
+        hourlyRate,
+        hours,
+        multipliers,
+        totalAmount: hoursPay(hours, hourlyRate, multipliers),
+        breakdown: {
+          present: worker.breakdown.Present,
+          halfDay: worker.breakdown['Half Day'],
+          late: worker.breakdown.Late,
+          absent: worker.breakdown.Absent,
+          paidLeave: worker.breakdown.paidLeave,
+          unpaidLeave: worker.breakdown.unpaidLeave
+        }
+      });
+    }
+
+    const totalAmount = Math.round(
+      workers.reduce((sum, worker) => sum + worker.totalAmount, 0) * 100
+    ) / 100;
+
+    logger.business('payment_request_draft_generated', {
+      userId,
+      projectId,
+      startDate,
+      endDate,
+      workersCount: workers.length,
+      totalAmount
     });
 
-    return updatedRequest;
+    return {
+      projectId,
+      periodStart: startDate,
+      periodEnd: endDate,
+      dayValues,
+      workers,
+      totalAmount,
+      warnings
+    };
+  }
+
+  // Record an approver's decision on the next step of the payment request's approval chain
+  async approvePaymentRequest(requestId, approvedBy, comment) {
+    return this._recordApprovalDecision(requestId, approvedBy, 'Approved', comment);
   }
 
-  // Reject payment request
+  // Reject payment request (any step approver can reject the whole request)
   async rejectPaymentRequest(requestId, rejectedBy, reason) {
-    const paymentRequest = await this.findByRequestId(requestId);
+    return this._recordApprovalDecision(requestId, rejectedBy, 'Rejected', reason);
+  }
+
+  // Get the approval chain for a payment request with each step's decision
+  async getApprovalHistory(paymentRequestId, userId) {
+    const paymentRequest = await this.findById(paymentRequestId);
     if (!paymentRequest) {
-      throw new Error('Payment request not found');
+      throw new Error('Payment request not found or access denied');
     }
 
-    if (paymentRequest.status !== 'Pending') {
-      throw new Error('Only pending payment requests can be rejected');
-    }
+    const { project } = await this.projectMembers.assertPermission(
+      paymentRequest.project_id,
+      userId,
+      'payments:view',
+      'Payment request not found or access denied'
+    );
 
-    const updatedRequest = await this.updateById(paymentRequest.id, {
-      status: 'Rejected',
-      approved_by: rejectedBy,
-      approved_at: new Date(),
-      rejection_reason: reason
-    });
+    const steps = await this._getApprovalSteps(this.db, project.user_id, paymentRequest.total_amount);
 
-    logger.business('payment_request_rejected', {
-      paymentRequestId: paymentRequest.id,
-      requestId,
-      rejectedBy,
-      reason,
-      totalAmount: paymentRequest.total_amount
-    });
+    const historyResult = await this.db.query(
+      `SELECT pa.*, u.name as approver_name
+       FROM payment_approvals pa
+       LEFT JOIN users u ON pa.approver_id = u.id
+       WHERE pa.payment_request_id = $1
+       ORDER BY pa.created_at ASC`,
+      [paymentRequestId]
+    );
 
-    return updatedRequest;
+    return {
+      paymentRequest,
+      steps,
+      approvals: historyResult.rows
+    };
   }
 
-  // Process approved payments
-  async processPayments(paymentIds, userId) {
-    // Validate all payment requests exist and are approved
-    const paymentRequests = [];
-    for (const paymentId of paymentIds) {
-      const payment = await this.findById(paymentId);
-      if (!payment) {
-        throw new Error(`Payment request with ID ${paymentId} not found`);
-      }
-      if (payment.user_id !== userId) {
-        throw new Error(`Access denied for payment request ${paymentId}`);
-      }
-      if (payment.status !== 'Approved') {
-        throw new Error(`Payment request ${payment.request_id} is not approved`);
+  // Process approved payments and disburse one payout per worker line. Each request is
+  // processed in its own transaction so one bad ID does not fail or half-apply the batch
+  async processPayments(paymentIds, userId, payoutMethod) {
+    const results = [];
+    const processedPayments = [];
+    const queuedPayouts = [];
+
+    for (const paymentId of [...new Set(paymentIds)]) {
+      try {
+        const outcome = await this.transaction(client =>
+          this._processPayment(client, paymentId, userId, payoutMethod)
+        );
+
+        results.push(outcome.result);
+        if (outcome.result.status === 'processed') {
+          processedPayments.push(outcome.paymentRequest);
+          queuedPayouts.push(...outcome.payouts);
+        }
+      } catch (error) {
+        logger.error('Payment processing failed', {
+          paymentId,
+          userId,
+          error: error.message
+        });
+        results.push({ paymentId, status: 'failed', reason: 'Processing failed' });
       }
-      paymentRequests.push(payment);
     }
 
-    // Process payments (update status to Processed)
-    const processedPayments = [];
-    for (const payment of paymentRequests) {
-      const processedPayment = await this.updateById(payment.id, {
-        status: 'Processed'
-      });
-      processedPayments.push(processedPayment);
-    }
+    // Providers are called only after the status changes are committed
+    const payouts = await this.payouts.dispatchAll(queuedPayouts);
 
-    const totalProcessedAmount = paymentRequests.reduce((sum, payment) => 
+    const totalProcessedAmount = processedPayments.reduce((sum, payment) => 
       sum + parseFloat(payment.total_amount), 0
     );
 
+    const counts = results.reduce((acc, result) => {
+      acc[result.status] += 1;
+      return acc;
+    }, { processed: 0, skipped: 0, failed: 0 });
+
     logger.business('payments_processed', {
       userId,
       paymentCount: paymentIds.length,
+      ...counts,
       totalAmount: totalProcessedAmount,
       paymentIds
     });
 
     return {
+      results,
       processedPayments,
+      payouts,
       totalAmount: totalProcessedAmount,
-      count: paymentIds.length
+      counts
     };
   }
 
   // Get payment requests with pagination and filters
-  async getPaymentRequests(filters = {}, pagination = {}) {
-    const { page = 1, limit = 10 } = pagination;
-    const offset = (page - 1) * limit;
-
-    // Build conditions from filters
-    const conditions = {};
-    if (filters.userId) conditions.user_id = filters.userId;
-    if (filters.projectId) conditions.project_id = filters.projectId;
-    if (filters.status) conditions.status = filters.status;
-
-    // Get payment requests with project and user information
-    let query = `
-      SELECT pr.*, p.name as project_name, u.name as requester_name,
-             approver.name as approver_name
-      FROM payment_requests pr
-      JOIN projects p ON pr.project_id = p.id
-      JOIN users u ON pr.user_id = u.id
-      LEFT JOIN users approver ON pr.approved_by = approver.id
-      WHERE 1=1
-    `;
-
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getPaymentRequests(filters = {}, options = {}) {
+    // Lists are scoped to one project or to every project the caller may view
+    const where = [];
     const params = [];
-    let paramCount = 0;
-
-    // Add filters to query
-    if (conditions.user_id) {
-      paramCount++;
-      query += ` AND pr.user_id = $${paramCount}`;
-      params.push(conditions.user_id);
-    }
-
-    if (conditions.project_id) {
-      paramCount++;
-      query += ` AND pr.project_id = $${paramCount}`;
-      params.push(conditions.project_id);
+    if (filters.viewer) {
+      where.push(this._viewableProjectsCondition('pr.project_id', filters.viewer, params));
     }
-
-    if (conditions.status) {
-      paramCount++;
-      query += ` AND pr.status = $${paramCount}`;
-      params.push(conditions.status);
-    }
-
-    // Add date range filters if provided
-    if (filters.startDate) {
-      paramCount++;
-      query += ` AND pr.request_date >= $${paramCount}`;
-      params.push(filters.startDate);
+    if (filters.projectId) {
+      params.push(filters.projectId);
+      where.push(`pr.project_id = $${params.length}`);
     }
 
-    if (filters.endDate) {
-      paramCount++;
-      query += ` AND pr.request_date <= $${paramCount}`;
-      params.push(filters.endDate);
-    }
-
-    // Add pagination
-    query += ` ORDER BY pr.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await this.db.query(query, params);
-
-    // Get total count
-    const totalCount = await this.count(conditions);
+    const { rows, pagination } = await this.findList(
+      {
+        // Includes project and user information
+        select: `pr.*, p.name as project_name, u.name as requester_name,
+                 approver.name as approver_name`,
+        from: `payment_requests pr
+               JOIN projects p ON pr.project_id = p.id
+               JOIN users u ON pr.user_id = u.id
+               LEFT JOIN users approver ON pr.approved_by = approver.id`,
+        where,
+        params,
+        filter: {
+          status: filters.status,
+          requestDate: { gte: filters.startDate, lte: filters.endDate }
+        }
+      },
+      PAYMENT_REQUEST_LIST,
+      options
+    );
 
     return {
-      paymentRequests: result.rows,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalCount / limit),
-        totalCount,
-        hasNext: page * limit < totalCount,
-        hasPrev: page > 1
-      }
+      paymentRequests: rows,
+      pagination
     };
   }
 
@@ -287,10 +473,17 @@ class Payment extends BaseModel {
   async getPaymentRequestWithWorkers(paymentRequestId, userId) {
     // Get payment request
     const paymentRequest = await this.findById(paymentRequestId);
-    if (!paymentRequest || paymentRequest.user_id !== userId) {
+    if (!paymentRequest) {
       throw new Error('Payment request not found or access denied');
     }
 
+    await this.projectMembers.assertPermission(
+      paymentRequest.project_id,
+      userId,
+      'payments:view',
+      'Payment request not found or access denied'
+    );
+
     // Get workers for this payment request
     const workersResult = await this.db.query(
       `SELECT prw.*, w.fullname as worker_name, w.position
@@ -306,20 +499,43 @@ class Payment extends BaseModel {
     };
   }
 
+  // Get every payment request line for a worker (worker self-service view)
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getWorkerPaymentLines(workerId, options = {}) {
+    const { rows, pagination } = await this.findList(
+      {
+        select: `prw.id, prw.days_worked, prw.allowance_per_day, prw.total_amount, prw.hourly_rate,
+                 prw.regular_hours, prw.overtime_hours, prw.night_hours, prw.weekend_hours,
+                 pr.request_id, pr.request_date, pr.status, pr.approved_at, pr.updated_at,
+                 p.id as project_id, p.name as project_name`,
+        from: `payment_request_workers prw
+               JOIN payment_requests pr ON prw.payment_request_id = pr.id
+               JOIN projects p ON pr.project_id = p.id`,
+        where: ['prw.worker_id = $1'],
+        params: [workerId]
+      },
+      WORKER_PAYMENT_LINE_LIST,
+      options
+    );
+
+    return {
+      paymentLines: rows,
+      pagination
+    };
+  }
+
   // Get payment statistics
   async getPaymentStats(filters = {}) {
     const conditions = {};
-    if (filters.userId) conditions.user_id = filters.userId;
     if (filters.projectId) conditions.project_id = filters.projectId;
 
-    let whereClause = 'WHERE 1=1';
+    let whereClause = 'WHERE deleted_at IS NULL';
     const params = [];
     let paramCount = 0;
 
-    if (conditions.user_id) {
-      paramCount++;
-      whereClause += ` AND user_id = $${paramCount}`;
-      params.push(conditions.user_id);
+    if (filters.viewer) {
+      whereClause += ` AND ${this._viewableProjectsCondition('project_id', filters.viewer, params)}`;
+      paramCount = params.length;
     }
 
     if (conditions.project_id) {
@@ -364,10 +580,17 @@ class Payment extends BaseModel {
   // Delete payment request (only if pending)
   async deletePaymentRequest(paymentRequestId, userId) {
     const paymentRequest = await this.findById(paymentRequestId);
-    if (!paymentRequest || paymentRequest.user_id !== userId) {
+    if (!paymentRequest) {
       throw new Error('Payment request not found or access denied');
     }
 
+    await this.projectMembers.assertPermission(
+      paymentRequest.project_id,
+      userId,
+      'payments:request',
+      'Payment request not found or access denied'
+    );
+
     if (paymentRequest.status !== 'Pending') {
       throw new Error('Only pending payment requests can be deleted');
     }
@@ -384,6 +607,277 @@ class Payment extends BaseModel {
 
     return deleted;
   }
+
+  // Restore a deleted payment request
+  async restorePaymentRequest(paymentRequestId, userId) {
+    const paymentRequest = await this.findById(paymentRequestId, { withDeleted: true });
+    if (!paymentRequest || !paymentRequest.deleted_at) {
+      throw new Error('Deleted payment request not found or access denied');
+    }
+
+    await this.projectMembers.assertPermission(
+      paymentRequest.project_id,
+      userId,
+      'payments:request',
+      'Deleted payment request not found or access denied'
+    );
+
+    // Its workers may have been put on another request for the same period since
+    if (paymentRequest.period_start && paymentRequest.period_end) {
+      const workersResult = await this.db.query(
+        'SELECT worker_id FROM payment_request_workers WHERE payment_request_id = $1',
+        [paymentRequestId]
+      );
+      await this._assertPeriodNotCovered(
+        workersResult.rows.map(row => row.worker_id),
+        paymentRequest.period_start,
+        paymentRequest.period_end
+      );
+    }
+
+    const restored = await this.restoreById(paymentRequestId);
+
+    logger.business('payment_request_restored', {
+      paymentRequestId,
+      userId,
+      requestId: paymentRequest.request_id
+    });
+
+    return restored;
+  }
+
+  // Lock and process one payment request, returning its per-item result
+  async _processPayment(client, paymentId, userId, payoutMethod) {
+    const lockResult = await client.query(
+      'SELECT * FROM payment_requests WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [paymentId]
+    );
+
+    const payment = lockResult.rows[0];
+    if (!payment) {
+      return { result: { paymentId, status: 'failed', reason: 'Payment request not found' } };
+    }
+
+    const requestId = payment.request_id;
+
+    try {
+      await this.projectMembers.assertPermission(
+        payment.project_id,
+        userId,
+        'payments:process',
+        'Payment request not found'
+      );
+    } catch (error) {
+      return { result: { paymentId, requestId, status: 'failed', reason: error.message } };
+    }
+
+    // A concurrent or repeated call already processed it
+    if (payment.status === 'Processed') {
+      return { result: { paymentId, requestId, status: 'skipped', reason: 'Payment request is already processed' } };
+    }
+
+    if (payment.status !== 'Approved') {
+      return { result: { paymentId, requestId, status: 'failed', reason: 'Payment request is not approved' } };
+    }
+
+    const updateResult = await this.auditedQuery(
+      'process',
+      `UPDATE payment_requests SET status = 'Processed', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [paymentId],
+      { client }
+    );
+
+    const payouts = await this.payouts.createForPaymentRequest(paymentId, payoutMethod, client);
+
+    return {
+      result: { paymentId, requestId, status: 'processed' },
+      paymentRequest: updateResult.rows[0],
+      payouts
+    };
+  }
+
+  // Price one requested line; lines with hours are paid by the hour at the position's multipliers
+  _buildPaymentLine(worker, workerRow) {
+    const { workerId, daysWorked, allowancePerDay, hours } = worker;
+
+    if (!hours) {
+      return { workerId, daysWorked, allowancePerDay, hourlyRate: null, hours: null, totalAmount: daysWorked * allowancePerDay };
+    }
+
+    const { hoursPerDay, ...multipliers } = paySettings(workerRow);
+    const lineHours = {
+      regular: hours.regular || 0,
+      overtime: hours.overtime || 0,
+      night: hours.night || 0,
+      weekend: hours.weekend || 0
+    };
+    const totalHours = lineHours.regular + lineHours.overtime + lineHours.night + lineHours.weekend;
+    const hourlyRate = Math.round(allowancePerDay / hoursPerDay * 100) / 100;
+
+    return {
+      workerId,
+      daysWorked: daysWorked === undefined ? Math.round(totalHours / hoursPerDay * 100) / 100 : daysWorked,
+      allowancePerDay,
+      hourlyRate,
+      hours: lineHours,
+      totalAmount: hoursPay(lineHours, hourlyRate, multipliers)
+    };
+  }
+
+  // Throw if any worker is already on a live payment request overlapping the period
+  async _assertPeriodNotCovered(workerIds, periodStart, periodEnd, client = this.db) {
+    const result = await client.query(
+      `SELECT prw.worker_id, w.fullname as worker_name, pr.request_id, pr.period_start, pr.period_end
+       FROM payment_request_workers prw
+       JOIN payment_requests pr ON prw.payment_request_id = pr.id
+       JOIN workers w ON prw.worker_id = w.id
+       WHERE prw.worker_id = ANY($1) AND pr.status <> 'Rejected' AND pr.deleted_at IS NULL
+         AND pr.period_start <= $3 AND pr.period_end >= $2`,
+      [workerIds, periodStart, periodEnd]
+    );
+
+    if (result.rows.length > 0) {
+      const covered = result.rows[0];
+      throw new Error(
+        `Worker ${covered.worker_name} is already covered by payment request ${covered.request_id} for part of this period`
+      );
+    }
+  }
+
+  // Approval steps that apply to an amount under the project owner's company chain;
+  // without a configured chain a single approval by any payments:approve holder suffices
+  async _getApprovalSteps(client, ownerId, totalAmount) {
+    const result = await client.query(
+      `SELECT s.step_order, s.approver_role, s.min_amount
+       FROM approval_chain_steps s
+       JOIN companies c ON s.company_id = c.id
+       WHERE c.user_id = $1 AND s.min_amount <= $2
+       ORDER BY s.step_order ASC`,
+      [ownerId, totalAmount]
+    );
+
+    if (result.rows.length === 0) {
+      return [{ step_order: 1, approver_role: null, min_amount: 0 }];
+    }
+
+    return result.rows;
+  }
+
+  async _recordApprovalDecision(requestId, userId, decision, comment) {
+    const paymentRequest = await this.findByRequestId(requestId);
+    if (!paymentRequest) {
+      throw new Error('Payment request not found');
+    }
+
+    const action = decision === 'Approved' ? 'approved' : 'rejected';
+
+    return await this.transaction(async (client) => {
+      // Lock the request so concurrent approvers cannot complete the same step twice
+      const lockedResult = await client.query(
+        'SELECT * FROM payment_requests WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [paymentRequest.id]
+      );
+      const lockedRequest = lockedResult.rows[0];
+
+      const { project, role } = await this.projectMembers.assertPermission(
+        lockedRequest.project_id,
+        userId,
+        'payments:approve',
+        'Payment request not found'
+      );
+
+      if (lockedRequest.status !== 'Pending') {
+        throw new Error(`Only pending payment requests can be ${action}`);
+      }
+
+      if (lockedRequest.user_id === userId) {
+        const error = new Error('Access denied. You cannot approve or reject your own payment request.');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const steps = await this._getApprovalSteps(client, project.user_id, lockedRequest.total_amount);
+
+      const historyResult = await client.query(
+        `SELECT * FROM payment_approvals
+         WHERE payment_request_id = $1 AND decision = 'Approved'
+         ORDER BY step_order ASC`,
+        [lockedRequest.id]
+      );
+      const approvals = historyResult.rows;
+
+      if (approvals.some(approval => approval.approver_id === userId)) {
+        const error = new Error('Access denied. You have already approved a step of this payment request.');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const approvedSteps = approvals.map(approval => approval.step_order);
+      // Fall back to an unrestricted step if the chain shrank after earlier approvals
+      const currentStep = steps.find(step => !approvedSteps.includes(step.step_order)) ||
+        { step_order: approvals.length + 1, approver_role: null };
+
+      if (currentStep.approver_role && currentStep.approver_role !== role) {
+        const error = new Error(`Access denied. Approval step ${currentStep.step_order} requires the ${currentStep.approver_role} role.`);
+        error.statusCode = 403;
+        throw error;
+      }
+
+      // Every decision is audited, including approvals of intermediate steps
+      const approvalResult = await this.auditedQuery(
+        decision === 'Approved' ? 'approve' : 'reject',
+        `INSERT INTO payment_approvals (payment_request_id, step_order, approver_role, approver_id, decision, comment)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [lockedRequest.id, currentStep.step_order, role, userId, decision, comment || null],
+        { client, entity: 'payment_approvals' }
+      );
+
+      const completedSteps = decision === 'Approved' ? approvals.length + 1 : approvals.length;
+      let updatedRequest = lockedRequest;
+
+      if (decision === 'Rejected') {
+        const updateResult = await this.auditedQuery(
+          'reject',
+          `UPDATE payment_requests
+           SET status = 'Rejected', approved_by = $2, approved_at = CURRENT_TIMESTAMP, rejection_reason = $3
+           WHERE id = $1 RETURNING *`,
+          [lockedRequest.id, userId, comment],
+          { client }
+        );
+        updatedRequest = updateResult.rows[0];
+      } else if (completedSteps >= steps.length) {
+        // Only the final step moves the request to Approved
+        const updateResult = await this.auditedQuery(
+          'approve',
+          `UPDATE payment_requests
+           SET status = 'Approved', approved_by = $2, approved_at = CURRENT_TIMESTAMP
+           WHERE id = $1 RETURNING *`,
+          [lockedRequest.id, userId],
+          { client }
+        );
+        updatedRequest = updateResult.rows[0];
+      }
+
+      logger.business(`payment_request_${action}`, {
+        paymentRequestId: lockedRequest.id,
+        requestId,
+        userId,
+        role,
+        step: currentStep.step_order,
+        completedSteps,
+        requiredSteps: steps.length,
+        totalAmount: lockedRequest.total_amount
+      });
+
+      return {
+        paymentRequest: updatedRequest,
+        approval: approvalResult.rows[0],
+        completedSteps,
+        requiredSteps: steps.length
+      };
+    });
+  }
 }
 
 module.exports = Payment;
\ No newline at end of file
@@ -0,0 +1,308 @@
+const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
+const { getProviderForMethod } = require('../services/payouts');
+const logger = require('../utils/logger');
+
+// Statuses a payout can move to from each status; Confirmed is final and a Failed payout
+// is only queued again by a retry
+const PAYOUT_TRANSITIONS = {
+  Queued: ['Sent', 'Confirmed', 'Failed'],
+  Sent: ['Confirmed', 'Failed'],
+  Confirmed: [],
+  Failed: ['Queued']
+};
+
+// Audit action recorded for a move to each status
+const STATUS_ACTIONS = {
+  Queued: 'retry',
+  Sent: 'send',
+  Confirmed: 'confirm',
+  Failed: 'fail'
+};
+
+// Worker column a payout is sent to for each method
+const DESTINATION_COLUMNS = {
+  bank_transfer: 'bank_account',
+  mobile_money: 'phone'
+};
+
+/**
+ * Payout Model
+ * Handles disbursement of processed payment requests through payout providers
+ * Extends BaseModel for common CRUD operations
+ */
+class Payout extends BaseModel {
+  constructor() {
+    super('payouts');
+    this.projectMembers = new ProjectMember();
+  }
+
+  // Queue one payout per worker line of a payment request; without an explicit method
+  // workers with a bank account are paid by bank transfer, everyone else by mobile money
+  async createForPaymentRequest(paymentRequestId, method, client = this.db) {
+    const result = await this.auditedQuery(
+      'create',
+      `INSERT INTO payouts (payment_request_id, payment_request_worker_id, worker_id, amount, method, destination)
+       SELECT prw.payment_request_id, prw.id, prw.worker_id, prw.total_amount, m.method,
+              CASE m.method
+                WHEN 'bank_transfer' THEN w.bank_account
+                WHEN 'mobile_money' THEN w.phone
+                ELSE NULL
+              END
+       FROM payment_request_workers prw
+       JOIN workers w ON prw.worker_id = w.id
+       CROSS JOIN LATERAL (
+         SELECT COALESCE(
+           $2::payout_method,
+           CASE WHEN w.bank_account IS NOT NULL THEN 'bank_transfer' ELSE 'mobile_money' END::payout_method
+         ) as method
+       ) m
+       WHERE prw.payment_request_id = $1
+       RETURNING *`,
+      [paymentRequestId, method || null],
+      { client }
+    );
+
+    return result.rows;
+  }
+
+  // Hand a queued payout to its provider and record the provider reference
+  async dispatch(payout) {
+    if (payout.method !== 'cash' && !payout.destination) {
+      return this._markFailed(payout, `Worker has no ${payout.method === 'bank_transfer' ? 'bank account' : 'phone number'}`);
+    }
+
+    let provider;
+    let outcome;
+    try {
+      provider = getProviderForMethod(payout.method);
+      outcome = await provider.send(payout);
+    } catch (error) {
+      logger.error('Payout provider error', {
+        payoutId: payout.id,
+        method: payout.method,
+        error: error.message
+      });
+      return this._markFailed(payout, error.message, provider && provider.name);
+    }
+
+    const result = await this.auditedQuery(
+      STATUS_ACTIONS.Sent,
+      `UPDATE payouts
+       SET provider = $2, provider_reference = $3, status = $4, failure_reason = $5,
+           sent_at = CURRENT_TIMESTAMP,
+           confirmed_at = CASE WHEN $4 = 'Confirmed' THEN CURRENT_TIMESTAMP ELSE NULL END
+       WHERE id = $1 RETURNING *`,
+      [payout.id, provider.name, outcome.reference, outcome.status, outcome.failureReason || null]
+    );
+
+    logger.business('payout_sent', {
+      payoutId: payout.id,
+      paymentRequestId: payout.payment_request_id,
+      workerId: payout.worker_id,
+      provider: provider.name,
+      reference: outcome.reference,
+      status: outcome.status,
+      amount: payout.amount
+    });
+
+    return result.rows[0];
+  }
+
+  // Dispatch payouts one by one; a failed transfer does not stop the others
+  async dispatchAll(payouts) {
+    const dispatched = [];
+    for (const payout of payouts) {
+      dispatched.push(await this.dispatch(payout));
+    }
+    return dispatched;
+  }
+
+  // Apply a verified provider status callback
+  async applyProviderStatus(providerName, event) {
+    const { reference, status, failureReason } = event;
+
+    const payout = await this.findOne({ provider: providerName, provider_reference: reference });
+    if (!payout) {
+      throw new Error('Payout not found');
+    }
+
+    // Providers retry callbacks, so a repeated status is acknowledged without changes
+    if (payout.status === status) {
+      return payout;
+    }
+
+    if (!PAYOUT_TRANSITIONS[payout.status].includes(status)) {
+      throw new Error(`Payout is already ${payout.status.toLowerCase()}`);
+    }
+
+    return this._updateStatus(payout, status, failureReason);
+  }
+
+  // Confirm a cash payout was handed to the worker
+  async confirmManualPayout(payoutId, userId) {
+    const payout = await this.findById(payoutId);
+    if (!payout) {
+      throw new Error('Payout not found or access denied');
+    }
+
+    const projectId = await this._getPayoutProjectId(payout);
+    await this.projectMembers.assertPermission(
+      projectId,
+      userId,
+      'payments:process',
+      'Payout not found or access denied'
+    );
+
+    if (payout.provider !== 'manual') {
+      throw new Error('Only cash payouts can be confirmed manually');
+    }
+
+    if (!PAYOUT_TRANSITIONS[payout.status].includes('Confirmed')) {
+      throw new Error(`Payout is already ${payout.status.toLowerCase()}`);
+    }
+
+    const confirmed = await this._updateStatus(payout, 'Confirmed');
+
+    logger.business('payout_confirmed_manually', {
+      payoutId,
+      userId,
+      amount: payout.amount
+    });
+
+    return confirmed;
+  }
+
+  // Queue a failed payout again and send it; without a destination it goes to the worker's
+  // current bank account or phone, so fixing the worker's details is enough to retry
+  async retryPayout(payoutId, { method, destination }, userId) {
+    const payout = await this.findById(payoutId);
+    if (!payout) {
+      throw new Error('Payout not found or access denied');
+    }
+
+    const projectId = await this._getPayoutProjectId(payout);
+    await this.projectMembers.assertPermission(
+      projectId,
+      userId,
+      'payments:process',
+      'Payout not found or access denied'
+    );
+
+    if (!PAYOUT_TRANSITIONS[payout.status].includes('Queued')) {
+      throw new Error(`Payout is already ${payout.status.toLowerCase()}`);
+    }
+
+    const retryMethod = method || payout.method;
+    let retryDestination = destination || null;
+    if (!retryDestination && DESTINATION_COLUMNS[retryMethod]) {
+      const workerResult = await this.db.query(
+        `SELECT ${DESTINATION_COLUMNS[retryMethod]} AS destination FROM workers WHERE id = $1`,
+        [payout.worker_id]
+      );
+      retryDestination = workerResult.rows[0] ? workerResult.rows[0].destination : null;
+    }
+
+    // Only a payout still Failed is queued, so two retries cannot both send it
+    const result = await this.auditedQuery(
+      STATUS_ACTIONS.Queued,
+      `UPDATE payouts
+       SET status = 'Queued', method = $2, destination = $3, provider = NULL, provider_reference = NULL,
+           failure_reason = NULL, sent_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'Failed'
+       RETURNING *`,
+      [payoutId, retryMethod, retryDestination]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Payout is already queued');
+    }
+
+    logger.business('payout_retried', {
+      payoutId,
+      userId,
+      method: retryMethod,
+      previousFailureReason: payout.failure_reason
+    });
+
+    return this.dispatch(result.rows[0]);
+  }
+
+  // Get payouts of a payment request with worker names
+  async getPayoutsForPaymentRequest(paymentRequestId, userId) {
+    const requestResult = await this.db.query(
+      'SELECT project_id FROM payment_requests WHERE id = $1',
+      [paymentRequestId]
+    );
+
+    const paymentRequest = requestResult.rows[0];
+    if (!paymentRequest) {
+      throw new Error('Payment request not found or access denied');
+    }
+
+    await this.projectMembers.assertPermission(
+      paymentRequest.project_id,
+      userId,
+      'payments:view',
+      'Payment request not found or access denied'
+    );
+
+    const result = await this.db.query(
+      `SELECT po.*, w.fullname as worker_name
+       FROM payouts po
+       JOIN workers w ON po.worker_id = w.id
+       WHERE po.payment_request_id = $1
+       ORDER BY po.id ASC`,
+      [paymentRequestId]
+    );
+
+    return result.rows;
+  }
+
+  async _getPayoutProjectId(payout) {
+    const result = await this.db.query(
+      'SELECT project_id FROM payment_requests WHERE id = $1',
+      [payout.payment_request_id]
+    );
+    return result.rows[0] ? result.rows[0].project_id : null;
+  }
+
+  async _updateStatus(payout, status, failureReason) {
+    const result = await this.auditedQuery(
+      STATUS_ACTIONS[status],
+      `UPDATE payouts
+       SET status = $2, failure_reason = $3,
+           confirmed_at = CASE WHEN $2 = 'Confirmed' THEN CURRENT_TIMESTAMP ELSE confirmed_at END
+       WHERE id = $1 RETURNING *`,
+      [payout.id, status, failureReason || null]
+    );
+
+    logger.business('payout_status_changed', {
+      payoutId: payout.id,
+      from: payout.status,
+      to: status,
+      failureReason
+    });
+
+    return result.rows[0];
+  }
+
+  async _markFailed(payout, reason, providerName = null) {
+    const result = await this.auditedQuery(
+      STATUS_ACTIONS.Failed,
+      `UPDATE payouts SET status = 'Failed', provider = $2, failure_reason = $3
+       WHERE id = $1 RETURNING *`,
+      [payout.id, providerName, reason]
+    );
+
+    logger.business('payout_failed', {
+      payoutId: payout.id,
+      paymentRequestId: payout.payment_request_id,
+      workerId: payout.worker_id,
+      reason
+    });
+
+    return result.rows[0];
+  }
+}
+
+module.exports = Payout;
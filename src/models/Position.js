@@ -1,6 +1,23 @@
 const BaseModel = require('./BaseModel');
 const logger = require('../utils/logger');
 
+// Filters and sort fields accepted by GET /projects/positions/list
+const POSITION_LIST = {
+  filters: {
+    name: { column: 'pos.name' },
+    defaultDailyRate: { column: 'pos.default_daily_rate', type: 'number' },
+    createdAt: { column: 'pos.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'pos.created_at',
+    name: 'pos.name',
+    defaultDailyRate: 'pos.default_daily_rate'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'pos.id',
+  deletedColumn: 'pos.deleted_at'
+};
+
 /**
  * Position Model
  * Handles position-related database operations
@@ -8,7 +25,7 @@ const logger = require('../utils/logger');
  */
 class Position extends BaseModel {
   constructor() {
-    super('positions');
+    super('positions', { softDelete: true });
   }
 
   // Find positions by user ID
@@ -22,7 +39,11 @@ class Position extends BaseModel {
       userId, 
       name, 
       description, 
-      defaultDailyRate 
+      defaultDailyRate,
+      hoursPerDay,
+      overtimeMultiplier,
+      nightMultiplier,
+      weekendMultiplier
     } = positionData;
 
     // Validate user exists
@@ -48,7 +69,12 @@ class Position extends BaseModel {
       user_id: userId,
       name,
       description,
-      default_daily_rate: defaultDailyRate
+      default_daily_rate: defaultDailyRate,
+      // Pay settings left out fall back to the column defaults
+      ...(hoursPerDay !== undefined && { hours_per_day: hoursPerDay }),
+      ...(overtimeMultiplier !== undefined && { overtime_multiplier: overtimeMultiplier }),
+      ...(nightMultiplier !== undefined && { night_multiplier: nightMultiplier }),
+      ...(weekendMultiplier !== undefined && { weekend_multiplier: weekendMultiplier })
     });
 
     logger.business('position_created', {
@@ -77,7 +103,11 @@ class Position extends BaseModel {
     const fieldMapping = {
       name: 'name',
       description: 'description',
-      defaultDailyRate: 'default_daily_rate'
+      defaultDailyRate: 'default_daily_rate',
+      hoursPerDay: 'hours_per_day',
+      overtimeMultiplier: 'overtime_multiplier',
+      nightMultiplier: 'night_multiplier',
+      weekendMultiplier: 'weekend_multiplier'
     };
 
     const allowedFields = Object.values(fieldMapping);
@@ -104,32 +134,21 @@ class Position extends BaseModel {
   }
 
   // Get positions with pagination and filters
-  async getPositions(filters = {}, pagination = {}) {
-    const { page = 1, limit = 10 } = pagination;
-    const offset = (page - 1) * limit;
-
-    // Build conditions from filters
-    const conditions = {};
-    if (filters.userId) conditions.user_id = filters.userId;
-
-    const positions = await this.findWhere(conditions, {
-      limit,
-      offset,
-      orderBy: 'created_at DESC'
-    });
-
-    // Get total count
-    const totalCount = await this.count(conditions);
+  async getPositions(filters = {}, options = {}) {
+    const { rows, pagination } = await this.findList(
+      {
+        select: 'pos.*',
+        from: 'positions pos',
+        where: filters.userId ? ['pos.user_id = $1'] : [],
+        params: filters.userId ? [filters.userId] : []
+      },
+      POSITION_LIST,
+      options
+    );
 
     return {
-      positions,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalCount / limit),
-        totalCount,
-        hasNext: page * limit < totalCount,
-        hasPrev: page > 1
-      }
+      positions: rows,
+      pagination
     };
   }
 
@@ -158,6 +177,26 @@ class Position extends BaseModel {
 
     return deleted;
   }
+
+  // Restore a deleted position
+  async restorePosition(positionId, userId) {
+    const position = await this.findById(positionId, { withDeleted: true });
+    if (!position || !position.deleted_at || position.user_id !== userId) {
+      throw new Error('Deleted position not found or access denied');
+    }
+
+    // The name may have been reused since the delete
+    const replacement = await this.findOne({ user_id: userId, name: position.name });
+    if (replacement) {
+      throw new Error('Position with this name already exists');
+    }
+
+    const restored = await this.restoreById(positionId);
+
+    logger.business('position_restored', { positionId, userId });
+
+    return restored;
+  }
 }
 
-module.exports = Position;
\ No newline at end of file
+module.exports = Position;
@@ -1,6 +1,34 @@
 const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
 const logger = require('../utils/logger');
 
+// Filters and sort fields accepted by GET /projects
+const PROJECT_LIST = {
+  filters: {
+    category: { column: 'p.category', type: 'enum', values: ['Construction', 'Farming', 'Education'] },
+    status: { column: 'p.status', type: 'enum', values: ['Active', 'Completed', 'On Hold', 'Cancelled'] },
+    name: { column: 'p.name' },
+    client: { column: 'p.client' },
+    startDate: { column: 'p.start_date', type: 'date' },
+    endDate: { column: 'p.end_date', type: 'date' },
+    budget: { column: 'p.budget', type: 'number' },
+    createdAt: { column: 'p.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'p.created_at',
+    name: 'p.name',
+    startDate: 'p.start_date',
+    endDate: 'p.end_date',
+    budget: 'p.budget'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'p.id',
+  deletedColumn: 'p.deleted_at'
+};
+
+// Project records deleted and restored together with their project
+const PROJECT_CHILD_TABLES = ['attendance', 'payment_requests', 'material_requests'];
+
 /**
  * Project Model
  * Handles project-related database operations
@@ -8,7 +36,8 @@ const logger = require('../utils/logger');
  */
 class Project extends BaseModel {
   constructor() {
-    super('projects');
+    super('projects', { softDelete: true });
+    this.projectMembers = new ProjectMember();
   }
 
   // Find projects by user ID
@@ -69,15 +98,8 @@ class Project extends BaseModel {
 
   // Update project information
   async updateProject(projectId, updateData, userId) {
-    // Verify ownership
-    const project = await this.findById(projectId);
-    if (!project) {
-      throw new Error('Project not found');
-    }
-
-    if (project.user_id !== userId) {
-      throw new Error('Access denied. You can only update your own projects.');
-    }
+    // Verify the user may update the project
+    await this.projectMembers.assertPermission(projectId, userId, 'project:update');
 
     // Map frontend field names to database field names
     const fieldMapping = {
@@ -88,7 +110,11 @@ class Project extends BaseModel {
       startDate: 'start_date',
       endDate: 'end_date',
       budget: 'budget',
-      status: 'status'
+      status: 'status',
+      timezone: 'timezone',
+      shiftStart: 'shift_start',
+      lateGraceMinutes: 'late_grace_minutes',
+      requiredDocumentTypes: 'required_document_types'
     };
 
     const allowedFields = Object.values(fieldMapping);
@@ -115,85 +141,83 @@ class Project extends BaseModel {
   }
 
   // Get projects with pagination and filters
-  async getProjects(filters = {}, pagination = {}) {
-    const { page = 1, limit = 10 } = pagination;
-    const offset = (page - 1) * limit;
-
-    // Build conditions from filters
-    const conditions = {};
-    if (filters.category) conditions.category = filters.category;
-    if (filters.status) conditions.status = filters.status;
-    if (filters.userId) conditions.user_id = filters.userId;
-
-    // Get projects with user information
-    let query = `
-      SELECT p.*, u.name as owner_name, u.email as owner_email
-      FROM projects p
-      JOIN users u ON p.user_id = u.id
-      WHERE 1=1
-    `;
-
-    const params = [];
-    let paramCount = 0;
-
-    // Add filters to query
-    if (conditions.category) {
-      paramCount++;
-      query += ` AND p.category = $${paramCount}`;
-      params.push(conditions.category);
-    }
+  // options: { page, limit, filter, sort, cursor } from the request query
+  async getProjects(filters = {}, options = {}) {
+    // Users see the projects they own and the projects they are members of
+    const where = filters.userId ? ['(p.user_id = $1 OR pm.id IS NOT NULL)'] : [];
+
+    const { rows, pagination } = await this.findList(
+      {
+        // Includes the caller's project role
+        select: `p.*, u.name as owner_name, u.email as owner_email,
+                 CASE WHEN p.user_id = $1 THEN 'owner' ELSE pm.role::text END as project_role`,
+        from: `projects p
+               JOIN users u ON p.user_id = u.id
+               LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1`,
+        where,
+        params: [filters.userId || null],
+        filter: { category: filters.category, status: filters.status }
+      },
+      PROJECT_LIST,
+      options
+    );
 
-    if (conditions.status) {
-      paramCount++;
-      query += ` AND p.status = $${paramCount}`;
-      params.push(conditions.status);
-    }
+    return {
+      projects: rows,
+      pagination
+    };
+  }
 
-    if (conditions.user_id) {
-      paramCount++;
-      query += ` AND p.user_id = $${paramCount}`;
-      params.push(conditions.user_id);
+  // Set or clear (null) the geofence that check-ins are validated against
+  async setGeofence(projectId, geofence, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'project:update');
+
+    // Store only the fields the geofence check reads
+    let storedGeofence = null;
+    if (geofence && geofence.type === 'circle') {
+      const { latitude, longitude, radiusMeters } = geofence;
+      storedGeofence = { type: 'circle', latitude, longitude, radiusMeters };
+    } else if (geofence) {
+      storedGeofence = {
+        type: 'polygon',
+        points: geofence.points.map(({ latitude, longitude }) => ({ latitude, longitude }))
+      };
     }
 
-    // Add pagination
-    query += ` ORDER BY p.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await this.db.query(query, params);
+    const updatedProject = await this.updateById(projectId, { geofence: storedGeofence });
 
-    // Get total count
-    const totalCount = await this.count(conditions);
+    logger.business(storedGeofence ? 'project_geofence_set' : 'project_geofence_cleared', {
+      projectId,
+      userId,
+      type: storedGeofence ? storedGeofence.type : null
+    });
 
-    return {
-      projects: result.rows,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalCount / limit),
-        totalCount,
-        hasNext: page * limit < totalCount,
-        hasPrev: page > 1
-      }
-    };
+    return updatedProject;
   }
 
   // Assign supervisor to project
+  // A supervisor with a user account (matched by email) is granted the supervisor
+  // role so they can mark attendance with their own credentials
   async assignSupervisor(projectId, supervisorId, userId) {
-    // Verify project ownership
-    const project = await this.findById(projectId);
-    if (!project || project.user_id !== userId) {
-      throw new Error('Project not found or access denied');
-    }
+    // Verify the user may manage the project team
+    const { project } = await this.projectMembers.assertPermission(
+      projectId,
+      userId,
+      'project:manage_members'
+    );
 
-    // Verify supervisor exists and is a worker
+    // Verify supervisor exists and is one of the project owner's workers
     const workerResult = await this.db.query(
-      'SELECT * FROM workers WHERE id = $1 AND user_id = $2',
-      [supervisorId, userId]
+      'SELECT * FROM workers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [supervisorId, project.user_id]
     );
 
     if (workerResult.rows.length === 0) {
       throw new Error('Supervisor not found or not owned by user');
     }
 
+    const supervisor = workerResult.rows[0];
+
     // Check if supervisor is already assigned
     const existingAssignment = await this.db.query(
       'SELECT * FROM project_supervisors WHERE project_id = $1 AND supervisor_id = $2',
@@ -205,28 +229,43 @@ class Project extends BaseModel {
     }
 
     // Assign supervisor
-    const result = await this.db.query(
+    const result = await this.auditedQuery(
+      'assign',
       `INSERT INTO project_supervisors (project_id, supervisor_id) 
        VALUES ($1, $2) RETURNING *`,
-      [projectId, supervisorId]
+      [projectId, supervisorId],
+      { entity: 'project_supervisors' }
     );
 
+    // Link the supervisor's user account, if they have one
+    let accountUserId = null;
+    if (supervisor.email) {
+      const accountResult = await this.db.query(
+        'SELECT id FROM users WHERE email = $1 AND is_active = true',
+        [supervisor.email]
+      );
+
+      const account = accountResult.rows[0];
+      if (account && account.id !== project.user_id) {
+        await this.projectMembers.grantSupervisorRole(projectId, account.id, userId);
+        accountUserId = account.id;
+      }
+    }
+
     logger.business('supervisor_assigned', {
       projectId,
       supervisorId,
+      accountUserId,
       userId
     });
 
-    return result.rows[0];
+    return { ...result.rows[0], account_user_id: accountUserId };
   }
 
   // Get project statistics
   async getProjectStats(projectId, userId) {
-    // Verify ownership
-    const project = await this.findById(projectId);
-    if (!project || project.user_id !== userId) {
-      throw new Error('Project not found or access denied');
-    }
+    // Verify the user may view the project
+    const { project } = await this.projectMembers.assertPermission(projectId, userId, 'project:view');
 
     // Get statistics in parallel
     const [workerCount, supervisorCount, attendanceCount] = await Promise.all([
@@ -239,7 +278,7 @@ class Project extends BaseModel {
         [projectId]
       ),
       this.db.query(
-        'SELECT COUNT(*) FROM attendance WHERE project_id = $1',
+        'SELECT COUNT(*) FROM attendance WHERE project_id = $1 AND deleted_at IS NULL',
         [projectId]
       )
     ]);
@@ -254,23 +293,95 @@ class Project extends BaseModel {
     };
   }
 
+  // Delete a project together with its attendance, payment and material requests
+  async deleteProject(projectId, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'project:delete');
+
+    // Processed payments are the financial record of the project
+    const processedResult = await this.db.query(
+      `SELECT COUNT(*) FROM payment_requests
+       WHERE project_id = $1 AND status = 'Processed' AND deleted_at IS NULL`,
+      [projectId]
+    );
+
+    if (parseInt(processedResult.rows[0].count) > 0) {
+      throw new Error('Cannot delete a project with processed payments');
+    }
+
+    // CURRENT_TIMESTAMP is fixed for the transaction, so children share the project's
+    // deleted_at and restore can tell them apart from records deleted on their own
+    const deleted = await this.db.transaction(async (client) => {
+      const projectDeleted = await this.deleteById(projectId, client);
+      if (!projectDeleted) {
+        return false;
+      }
+
+      for (const table of PROJECT_CHILD_TABLES) {
+        await this.auditedQuery(
+          'delete',
+          `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP
+           WHERE project_id = $1 AND deleted_at IS NULL RETURNING *`,
+          [projectId],
+          { client, entity: table }
+        );
+      }
+
+      return true;
+    });
+
+    if (deleted) {
+      logger.business('project_deleted', { projectId, userId });
+    }
+
+    return deleted;
+  }
+
+  // Restore a deleted project and the records deleted with it
+  async restoreProject(projectId, userId) {
+    const project = await this.findById(projectId, { withDeleted: true });
+    if (!project || !project.deleted_at || project.user_id !== userId) {
+      throw new Error('Deleted project not found or access denied');
+    }
+
+    const restored = await this.db.transaction(async (client) => {
+      for (const table of PROJECT_CHILD_TABLES) {
+        await this.auditedQuery(
+          'restore',
+          `UPDATE ${table} SET deleted_at = NULL
+           WHERE project_id = $1 AND deleted_at = (SELECT deleted_at FROM projects WHERE id = $1)
+           RETURNING *`,
+          [projectId],
+          { client, entity: table }
+        );
+      }
+
+      return this.restoreById(projectId, client);
+    });
+
+    logger.business('project_restored', { projectId, userId });
+
+    return restored;
+  }
+
   // Private helper methods
   async _createProjectPositions(projectId, positions, userId) {
     // Get or create positions and link them to project
     for (const positionName of positions) {
       // Check if position exists for this user
       let positionResult = await this.db.query(
-        'SELECT * FROM positions WHERE name = $1 AND user_id = $2',
+        'SELECT * FROM positions WHERE name = $1 AND user_id = $2 AND deleted_at IS NULL',
         [positionName, userId]
       );
 
       let positionId;
       if (positionResult.rows.length === 0) {
         // Create new position with default rate
-        const newPosition = await this.db.query(
+        const newPosition = await this.auditedQuery(
+          'create',
           `INSERT INTO positions (user_id, name, default_daily_rate) 
            VALUES ($1, $2, $3) RETURNING *`,
-          [userId, positionName, 100.00] // Default rate
+          [userId, positionName, 100.00], // Default rate
+          { entity: 'positions' }
         );
         positionId = newPosition.rows[0].id;
       } else {
@@ -278,11 +389,14 @@ class Project extends BaseModel {
       }
 
       // Link position to project
-      await this.db.query(
+      await this.auditedQuery(
+        'create',
         `INSERT INTO project_positions (project_id, position_id, daily_rate) 
          VALUES ($1, $2, (SELECT default_daily_rate FROM positions WHERE id = $2))
-         ON CONFLICT (project_id, position_id) DO NOTHING`,
-        [projectId, positionId]
+         ON CONFLICT (project_id, position_id) DO NOTHING
+         RETURNING *`,
+        [projectId, positionId],
+        { entity: 'project_positions' }
       );
     }
   }
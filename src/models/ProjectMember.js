@@ -0,0 +1,182 @@
+const BaseModel = require('./BaseModel');
+const { PROJECT_ROLES, hasPermission, rolesWithPermission } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * ProjectMember Model
+ * Handles per-project role grants and permission checks
+ * Extends BaseModel for common CRUD operations
+ */
+class ProjectMember extends BaseModel {
+  constructor() {
+    super('project_members');
+  }
+
+  // Resolve a user's role on a project (owners hold the implicit owner role)
+  async getProjectAccess(projectId, userId) {
+    const projectResult = await this.db.query(
+      'SELECT * FROM projects WHERE id = $1 AND deleted_at IS NULL',
+      [projectId]
+    );
+
+    const project = projectResult.rows[0];
+    if (!project) {
+      return { project: null, role: null };
+    }
+
+    if (project.user_id === userId) {
+      return { project, role: 'owner' };
+    }
+
+    const member = await this.findOne({ project_id: projectId, user_id: userId });
+
+    return { project, role: member ? member.role : null };
+  }
+
+  // Ensure a user holds a permission on a project, returning the project and role
+  async assertPermission(projectId, userId, permission, notFoundMessage = 'Project not found or access denied') {
+    const { project, role } = await this.getProjectAccess(projectId, userId);
+
+    // Non-members learn nothing about the project
+    if (!project || !role) {
+      throw new Error(notFoundMessage);
+    }
+
+    if (!hasPermission(role, permission)) {
+      logger.security('project_permission_denied', {
+        projectId,
+        userId,
+        role,
+        permission
+      });
+
+      const error = new Error(`Access denied. Missing permission: ${permission}`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return { project, role };
+  }
+
+  // Scope list filters: a project's records for users who may view them there,
+  // otherwise the records of every project the user owns or holds the permission on
+  async scopeListFilters(userId, projectId, permission) {
+    if (!projectId) {
+      return { viewer: { userId, roles: rolesWithPermission(permission) } };
+    }
+
+    await this.assertPermission(projectId, userId, permission);
+    return { projectId };
+  }
+
+  // Get members of a project with their account details
+  async getMembers(projectId, userId) {
+    const { project } = await this.assertPermission(projectId, userId, 'project:view');
+
+    const result = await this.db.query(
+      `SELECT pm.*, u.name, u.email
+       FROM project_members pm
+       JOIN users u ON pm.user_id = u.id
+       WHERE pm.project_id = $1
+       ORDER BY pm.created_at ASC`,
+      [projectId]
+    );
+
+    return {
+      ownerId: project.user_id,
+      members: result.rows
+    };
+  }
+
+  // Grant (or change) a member's role on a project
+  async grantRole(projectId, memberData, grantedBy) {
+    const { email, role } = memberData;
+
+    if (!PROJECT_ROLES.includes(role)) {
+      throw new Error(`Invalid project role: ${role}`);
+    }
+
+    const { project } = await this.assertPermission(projectId, grantedBy, 'project:manage_members');
+
+    const userResult = await this.db.query(
+      'SELECT id, name, email FROM users WHERE email = $1 AND is_active = true',
+      [email]
+    );
+
+    const user = userResult.rows[0];
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.id === project.user_id) {
+      throw new Error('Project owner already has full access');
+    }
+
+    const result = await this.auditedQuery(
+      'grant',
+      `INSERT INTO project_members (project_id, user_id, role, granted_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (project_id, user_id) DO UPDATE SET role = $3, granted_by = $4
+       RETURNING *`,
+      [projectId, user.id, role, grantedBy]
+    );
+
+    logger.business('project_role_granted', {
+      projectId,
+      memberUserId: user.id,
+      role,
+      grantedBy
+    });
+
+    return { ...result.rows[0], name: user.name, email: user.email };
+  }
+
+  // Revoke a member's role on a project
+  async revokeRole(projectId, memberUserId, revokedBy) {
+    await this.assertPermission(projectId, revokedBy, 'project:manage_members');
+
+    const result = await this.auditedQuery(
+      'revoke',
+      'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2 RETURNING *',
+      [projectId, memberUserId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Project member not found');
+    }
+
+    logger.business('project_role_revoked', {
+      projectId,
+      memberUserId,
+      role: result.rows[0].role,
+      revokedBy
+    });
+
+    return result.rows[0];
+  }
+
+  // Grant the supervisor role unless the user already has a role on the project
+  async grantSupervisorRole(projectId, userId, grantedBy) {
+    const result = await this.auditedQuery(
+      'grant',
+      `INSERT INTO project_members (project_id, user_id, role, granted_by)
+       VALUES ($1, $2, 'supervisor', $3)
+       ON CONFLICT (project_id, user_id) DO NOTHING
+       RETURNING *`,
+      [projectId, userId, grantedBy]
+    );
+
+    if (result.rows.length > 0) {
+      logger.business('project_role_granted', {
+        projectId,
+        memberUserId: userId,
+        role: 'supervisor',
+        grantedBy
+      });
+    }
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ProjectMember;
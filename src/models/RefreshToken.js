@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+const AuthUtils = require('../utils/auth');
+const logger = require('../utils/logger');
+
+// Account tables refresh tokens can be issued for, keyed by subject type
+const SUBJECT_TABLES = {
+  user: 'users',
+  seller: 'sellers'
+};
+
+/**
+ * RefreshToken Model
+ * Persists issued refresh tokens so they can be rotated and revoked
+ * Tokens are grouped in families: every rotation stays in the family of the
+ * login that started it, and replaying a rotated token revokes the whole family
+ */
+class RefreshToken extends BaseModel {
+  constructor() {
+    // Token bookkeeping is not a business change; logins are in the auth log
+    super('refresh_tokens', { audit: false });
+  }
+
+  // Find a stored token by its raw value
+  async findByToken(token) {
+    return this.findOne({ token_hash: AuthUtils.hashToken(token) });
+  }
+
+  // Issue a new refresh token for a user or seller
+  async issueToken(subjectType, subject, familyId = null, client = this.db) {
+    if (!SUBJECT_TABLES[subjectType]) {
+      throw new Error(`Unsupported refresh token subject: ${subjectType}`);
+    }
+
+    const family = familyId || crypto.randomUUID();
+
+    const token = AuthUtils.generateRefreshToken({
+      id: subject.id,
+      email: subject.email,
+      role: this._tokenRole(subjectType, subject),
+      type: 'refresh',
+      family,
+      jti: crypto.randomUUID()
+    });
+
+    const { exp } = AuthUtils.verifyToken(token);
+
+    const result = await client.query(
+      `INSERT INTO refresh_tokens (subject_type, subject_id, family_id, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [subjectType, subject.id, family, AuthUtils.hashToken(token), new Date(exp * 1000)]
+    );
+
+    logger.auth('refresh_token_issued', {
+      subjectType,
+      subjectId: subject.id,
+      familyId: family
+    });
+
+    return {
+      token,
+      refreshToken: result.rows[0]
+    };
+  }
+
+  // Exchange a refresh token for a new access token and refresh token
+  async rotateToken(token) {
+    const payload = this._verifyRefreshToken(token);
+
+    const outcome = await this.transaction(async (client) => {
+      const storedResult = await client.query(
+        'SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+        [AuthUtils.hashToken(token)]
+      );
+
+      const stored = storedResult.rows[0];
+      if (!stored) {
+        return { error: 'invalid' };
+      }
+
+      // A revoked token being presented again means it leaked: kill the family
+      if (stored.revoked_at) {
+        await this._revokeFamily(client, stored.family_id);
+        return { error: 'reused', stored };
+      }
+
+      const subjectResult = await client.query(
+        `SELECT id, email, role, is_active FROM ${SUBJECT_TABLES[stored.subject_type]} WHERE id = $1`,
+        [stored.subject_id]
+      );
+
+      const subject = subjectResult.rows[0];
+      if (!subject || !subject.is_active) {
+        await this._revokeFamily(client, stored.family_id);
+        return { error: 'inactive', stored };
+      }
+
+      const issued = await this.issueToken(stored.subject_type, subject, stored.family_id, client);
+
+      await client.query(
+        `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $2
+         WHERE id = $1`,
+        [stored.id, issued.refreshToken.id]
+      );
+
+      return { subject, stored, refreshToken: issued.token };
+    });
+
+    // Errors are raised after the transaction so family revocations are committed
+    if (outcome.error === 'invalid') {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    if (outcome.error === 'reused') {
+      logger.security('refresh_token_reuse_detected', {
+        subjectType: outcome.stored.subject_type,
+        subjectId: outcome.stored.subject_id,
+        familyId: outcome.stored.family_id
+      });
+      throw new Error('Refresh token has already been used. Please log in again.');
+    }
+
+    if (outcome.error === 'inactive') {
+      throw new Error('Account is deactivated. Please contact administrator.');
+    }
+
+    const accessToken = AuthUtils.generateToken({
+      id: outcome.subject.id,
+      email: outcome.subject.email,
+      role: this._tokenRole(outcome.stored.subject_type, outcome.subject)
+    });
+
+    logger.auth('refresh_token_rotated', {
+      subjectType: outcome.stored.subject_type,
+      subjectId: outcome.subject.id,
+      familyId: payload.family
+    });
+
+    return {
+      subjectType: outcome.stored.subject_type,
+      subject: outcome.subject,
+      token: accessToken,
+      refreshToken: outcome.refreshToken
+    };
+  }
+
+  // Revoke the family of a refresh token (logout)
+  async revokeToken(token) {
+    this._verifyRefreshToken(token);
+
+    const stored = await this.findByToken(token);
+    if (!stored) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    const revokedCount = await this._revokeFamily(this.db, stored.family_id);
+
+    logger.auth('refresh_token_revoked', {
+      subjectType: stored.subject_type,
+      subjectId: stored.subject_id,
+      familyId: stored.family_id,
+      revokedCount
+    });
+
+    return revokedCount;
+  }
+
+  // Revoke every active refresh token of a user or seller
+  async revokeSubject(subjectType, subjectId) {
+    const result = await this.db.query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE subject_type = $1 AND subject_id = $2 AND revoked_at IS NULL`,
+      [subjectType, subjectId]
+    );
+
+    logger.auth('refresh_tokens_revoked_for_subject', {
+      subjectType,
+      subjectId,
+      revokedCount: result.rowCount
+    });
+
+    return result.rowCount;
+  }
+
+  // Private helper methods
+  _tokenRole(subjectType, subject) {
+    // Seller tokens are always seller-scoped, whatever the stored role says
+    return subjectType === 'seller' ? 'seller' : subject.role;
+  }
+
+  _verifyRefreshToken(token) {
+    let payload;
+    try {
+      payload = AuthUtils.verifyToken(token);
+    } catch (error) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    if (payload.type !== 'refresh') {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    return payload;
+  }
+
+  async _revokeFamily(client, familyId) {
+    const result = await client.query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE family_id = $1 AND revoked_at IS NULL`,
+      [familyId]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = RefreshToken;
@@ -110,11 +110,11 @@ class Seller extends BaseModel {
         throw new Error('Invalid email or password');
       }
 
-      // Generate token
+      // Generate token (always seller-scoped so it cannot reach user routes)
       const token = AuthUtils.generateToken({
         id: sellerData.id,
         email: sellerData.email,
-        role: sellerData.role
+        role: 'seller'
       });
 
       // Remove password hash from response
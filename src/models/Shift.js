@@ -0,0 +1,327 @@
+const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
+const CompanyHoliday = require('./CompanyHoliday');
+const logger = require('../utils/logger');
+const { shiftsOverlap, expandRoster, compareRoster } = require('../utils/roster');
+
+// Longest range the roster and roster report expand in one request
+const MAX_ROSTER_DAYS = 93;
+
+// Shift fields joined onto assignment rows; dates as text so they compare as YYYY-MM-DD
+const ASSIGNMENT_COLUMNS = `sa.id, sa.worker_id, sa.start_date::text AS start_date, sa.end_date::text AS end_date,
+  s.id AS shift_id, s.name AS shift_name, s.start_time, s.end_time, s.break_minutes, s.days_of_week`;
+
+/**
+ * Shift Model
+ * Handles shift templates, worker rosters and roster comparison for projects
+ * Extends BaseModel for common CRUD operations
+ */
+class Shift extends BaseModel {
+  constructor() {
+    super('shifts');
+    this.projectMembers = new ProjectMember();
+    this.holidays = new CompanyHoliday();
+  }
+
+  // List a project's shift templates
+  async getProjectShifts(projectId, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'project:view');
+    return this.findWhere({ project_id: projectId }, { orderBy: 'start_time ASC' });
+  }
+
+  // Create a shift template on a project
+  async createShift(projectId, shiftData, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'shift:manage');
+
+    const { name, startTime, endTime, breakMinutes = 0, daysOfWeek } = shiftData;
+
+    const existingShift = await this.findOne({ project_id: projectId, name });
+    if (existingShift) {
+      throw new Error('Shift with this name already exists');
+    }
+
+    const shift = await this.create({
+      project_id: projectId,
+      name,
+      start_time: startTime,
+      end_time: endTime,
+      break_minutes: breakMinutes,
+      days_of_week: [...new Set(daysOfWeek)].sort()
+    });
+
+    logger.business('shift_created', { shiftId: shift.id, projectId, userId, name });
+
+    return shift;
+  }
+
+  // Update a shift template; rostered workers must stay free of double-booking
+  async updateShift(projectId, shiftId, shiftData, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'shift:manage');
+    const shift = await this._findProjectShift(projectId, shiftId);
+
+    const fieldMapping = {
+      name: 'name',
+      startTime: 'start_time',
+      endTime: 'end_time',
+      breakMinutes: 'break_minutes',
+      daysOfWeek: 'days_of_week'
+    };
+
+    const updateData = {};
+    Object.keys(shiftData).forEach(key => {
+      if (fieldMapping[key]) {
+        updateData[fieldMapping[key]] = key === 'daysOfWeek'
+          ? [...new Set(shiftData[key])].sort()
+          : shiftData[key];
+      }
+    });
+
+    if (updateData.name && updateData.name !== shift.name) {
+      const existingShift = await this.findOne({ project_id: projectId, name: updateData.name });
+      if (existingShift) {
+        throw new Error('Shift with this name already exists');
+      }
+    }
+
+    const updatedShift = { ...shift, ...updateData };
+    const assignments = await this.db.query(
+      'SELECT worker_id, start_date::text AS start_date, end_date::text AS end_date FROM shift_assignments WHERE shift_id = $1',
+      [shiftId]
+    );
+    for (const assignment of assignments.rows) {
+      await this._assertNoDoubleBooking(this.db, assignment.worker_id, updatedShift,
+        assignment.start_date, assignment.end_date, shiftId);
+    }
+
+    const result = await this.updateById(shiftId, updateData);
+
+    logger.business('shift_updated', { shiftId, projectId, userId, updatedFields: Object.keys(updateData) });
+
+    return result;
+  }
+
+  // Delete a shift template together with its roster
+  async deleteShift(projectId, shiftId, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'shift:manage');
+    await this._findProjectShift(projectId, shiftId);
+
+    await this.deleteById(shiftId);
+
+    logger.business('shift_deleted', { shiftId, projectId, userId });
+
+    return true;
+  }
+
+  // Roster workers onto a shift for a date range, all or none
+  async assignWorkers(projectId, shiftId, assignmentData, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'shift:manage');
+    const shift = await this._findProjectShift(projectId, shiftId);
+    const { workerIds, startDate, endDate } = assignmentData;
+    if (endDate < startDate) {
+      throw new Error('Invalid date range: endDate must not be before startDate');
+    }
+
+    const assignments = await this.transaction(async (client) => {
+      const created = [];
+
+      for (const workerId of workerIds) {
+        const workerResult = await client.query(
+          `SELECT w.id FROM workers w
+           JOIN project_workers pw ON pw.worker_id = w.id
+           WHERE w.id = $1 AND pw.project_id = $2 AND pw.is_active = true AND w.deleted_at IS NULL`,
+          [workerId, projectId]
+        );
+        if (workerResult.rows.length === 0) {
+          throw new Error(`Worker ${workerId} not found on this project`);
+        }
+
+        // Serialise rostering per worker so concurrent requests cannot double-book
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1), $2)', ['shift_assignments', workerId]);
+        await this._assertNoDoubleBooking(client, workerId, shift, startDate, endDate);
+
+        const result = await this.auditedQuery(
+          'create',
+          `INSERT INTO shift_assignments (shift_id, worker_id, start_date, end_date, assigned_by)
+           VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+          [shiftId, workerId, startDate, endDate, userId],
+          { client, entity: 'shift_assignments' }
+        );
+        created.push(result.rows[0]);
+      }
+
+      return created;
+    });
+
+    logger.business('shift_workers_assigned', { shiftId, projectId, userId, workerIds, startDate, endDate });
+
+    return assignments;
+  }
+
+  // Take a worker off a shift
+  async removeAssignment(projectId, assignmentId, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'shift:manage');
+
+    const result = await this.auditedQuery(
+      'delete',
+      `DELETE FROM shift_assignments sa USING shifts s
+       WHERE sa.id = $1 AND sa.shift_id = s.id AND s.project_id = $2
+       RETURNING sa.id`,
+      [assignmentId, projectId],
+      { entity: 'shift_assignments' }
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Shift assignment not found');
+    }
+
+    logger.business('shift_assignment_removed', { assignmentId, projectId, userId });
+
+    return true;
+  }
+
+  // Scheduled shift days on a project between two dates
+  async getRoster(projectId, { from, to }, userId) {
+    await this.projectMembers.assertPermission(projectId, userId, 'project:view');
+    this._assertRange(from, to);
+
+    return this._getScheduledDays(projectId, from, to);
+  }
+
+  // Compare attendance with the roster: lateness, no-shows and unscheduled work
+  async getRosterReport(projectId, { from, to }, userId) {
+    const { project } = await this.projectMembers.assertPermission(projectId, userId, 'attendance:view');
+    this._assertRange(from, to);
+
+    const scheduledDays = await this._getScheduledDays(projectId, from, to);
+    const attendanceResult = await this.db.query(
+      `SELECT a.id, a.worker_id, w.fullname AS worker_name, a.date::text AS date, a.check_in, a.status
+       FROM attendance a
+       JOIN workers w ON a.worker_id = w.id
+       WHERE a.project_id = $1 AND a.date BETWEEN $2 AND $3 AND a.deleted_at IS NULL`,
+      [projectId, from, to]
+    );
+
+    const entries = compareRoster(
+      scheduledDays,
+      attendanceResult.rows,
+      project.late_grace_minutes || 0
+    );
+
+    const summary = { scheduled: 0, onTime: 0, late: 0, noShow: 0, onLeave: 0, unscheduled: 0 };
+    const summaryKeys = {
+      on_time: 'onTime', late: 'late', no_show: 'noShow', on_leave: 'onLeave', unscheduled: 'unscheduled'
+    };
+    entries.forEach(entry => {
+      summary[summaryKeys[entry.outcome]] += 1;
+      if (entry.shiftId) {
+        summary.scheduled += 1;
+      }
+    });
+
+    return { summary, entries };
+  }
+
+  // Compare one attendance record with the worker's roster on that day
+  async compareAttendance(attendance, project) {
+    const date = attendance.date instanceof Date
+      ? attendance.date.toISOString().slice(0, 10)
+      : String(attendance.date).slice(0, 10);
+
+    const [entry] = compareRoster(
+      await this._getScheduledDays(project.id, date, date, attendance.worker_id),
+      [{ ...attendance, date }],
+      project.late_grace_minutes || 0
+    );
+
+    return entry
+      ? { outcome: entry.outcome, shiftId: entry.shiftId, shiftName: entry.shiftName, minutesLate: entry.minutesLate }
+      : null;
+  }
+
+  // Find a shift that belongs to the project
+  async _findProjectShift(projectId, shiftId) {
+    const shift = await this.findOne({ id: shiftId, project_id: projectId });
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+    return shift;
+  }
+
+  // Rostered shift days in a date range, leaving out the company's holidays
+  async _getScheduledDays(projectId, from, to, workerId = null) {
+    const [assignments, holidays] = await Promise.all([
+      this._getProjectAssignments(projectId, from, to, workerId),
+      this.holidays.getProjectHolidays(projectId, from, to)
+    ]);
+
+    const holidayDates = new Set(holidays.map(holiday => holiday.date));
+    return expandRoster(assignments, from, to).filter(day => !holidayDates.has(day.date));
+  }
+
+  // Assignments on a project overlapping a date range, optionally for one worker
+  async _getProjectAssignments(projectId, from, to, workerId = null) {
+    const params = [projectId, from, to];
+    let workerCondition = '';
+    if (workerId) {
+      params.push(workerId);
+      workerCondition = ' AND sa.worker_id = $4';
+    }
+
+    const result = await this.db.query(
+      `SELECT ${ASSIGNMENT_COLUMNS}, w.fullname AS worker_name
+       FROM shift_assignments sa
+       JOIN shifts s ON sa.shift_id = s.id
+       JOIN workers w ON sa.worker_id = w.id
+       WHERE s.project_id = $1 AND sa.start_date <= $3 AND sa.end_date >= $2
+         AND w.deleted_at IS NULL${workerCondition}`,
+      params
+    );
+    return result.rows;
+  }
+
+  // Reject a roster entry that clashes with any of the worker's shifts, on any project
+  async _assertNoDoubleBooking(client, workerId, shift, startDate, endDate, excludeShiftId = null) {
+    const params = [workerId, startDate, endDate];
+    let excludeCondition = '';
+    if (excludeShiftId) {
+      params.push(excludeShiftId);
+      excludeCondition = ' AND s.id <> $4';
+    }
+
+    const result = await client.query(
+      `SELECT ${ASSIGNMENT_COLUMNS}, p.name AS project_name
+       FROM shift_assignments sa
+       JOIN shifts s ON sa.shift_id = s.id
+       JOIN projects p ON s.project_id = p.id
+       WHERE sa.worker_id = $1 AND sa.start_date <= $3 AND sa.end_date >= $2
+         AND p.deleted_at IS NULL${excludeCondition}`,
+      params
+    );
+
+    const clash = result.rows.find(existing => shiftsOverlap(
+      shift,
+      existing,
+      existing.start_date > startDate ? existing.start_date : startDate,
+      existing.end_date < endDate ? existing.end_date : endDate
+    ));
+
+    if (clash) {
+      throw new Error(
+        `Worker ${workerId} is already rostered on "${clash.shift_name}" (${clash.project_name}) ` +
+        `from ${clash.start_date} to ${clash.end_date}`
+      );
+    }
+  }
+
+  // Keep roster expansion bounded
+  _assertRange(from, to) {
+    const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1;
+    if (days < 1) {
+      throw new Error('Invalid date range: to must not be before from');
+    }
+    if (days > MAX_ROSTER_DAYS) {
+      throw new Error(`Date range cannot be longer than ${MAX_ROSTER_DAYS} days`);
+    }
+  }
+}
+
+module.exports = Shift;
@@ -2,6 +2,25 @@ const BaseModel = require('./BaseModel');
 const AuthUtils = require('../utils/auth');
 const logger = require('../utils/logger');
 
+// Filters and sort fields accepted by the admin user list
+const USER_LIST = {
+  filters: {
+    category: { column: 'u.category', type: 'enum', values: ['Individual', 'Company', 'NGO', 'Government Institution'] },
+    role: { column: 'u.role' },
+    isActive: { column: 'u.is_active', type: 'boolean' },
+    name: { column: 'u.name' },
+    email: { column: 'u.email' },
+    createdAt: { column: 'u.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'u.created_at',
+    name: 'u.name',
+    email: 'u.email'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'u.id'
+};
+
 /**
  * User Model
  * Handles all user-related database operations
@@ -247,47 +266,32 @@ class User extends BaseModel {
   /**
    * Get users with pagination and filters
    * @param {Object} filters - Filter conditions
-   * @param {Object} pagination - Pagination options
+   * @param {Object} options - Request options: { page, limit, filter, sort, cursor }
    * @returns {Object} - Users and pagination info
    */
-  async getUsers(filters = {}, pagination = {}) {
+  async getUsers(filters = {}, options = {}) {
     try {
-      const { page = 1, limit = 10 } = pagination;
-      const offset = (page - 1) * limit;
-
-      // Build query conditions
-      const conditions = {};
-      if (filters.category) conditions.category = filters.category;
-      if (filters.role) conditions.role = filters.role;
-      if (filters.is_active !== undefined) conditions.is_active = filters.is_active;
-
-      // Get users
-      const users = await this.findWhere(conditions, {
-        limit,
-        offset,
-        orderBy: 'created_at DESC'
-      });
+      const { rows, pagination } = await this.findList(
+        {
+          select: 'u.*',
+          from: 'users u',
+          filter: { category: filters.category, role: filters.role, isActive: filters.is_active }
+        },
+        USER_LIST,
+        options
+      );
 
       // Remove password hashes
-      users.forEach(user => delete user.password_hash);
-
-      // Get total count
-      const totalCount = await this.count(conditions);
+      rows.forEach(user => delete user.password_hash);
 
       return {
-        users,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalCount / limit),
-          totalCount,
-          hasNext: page * limit < totalCount,
-          hasPrev: page > 1
-        }
+        users: rows,
+        pagination
       };
     } catch (error) {
       logger.error('Error getting users', { 
         filters, 
-        pagination, 
+        options, 
         error: error.message 
       });
       throw error;
@@ -1,5 +1,48 @@
 const BaseModel = require('./BaseModel');
+const ProjectMember = require('./ProjectMember');
+const WorkerDocument = require('./WorkerDocument');
+const AuthUtils = require('../utils/auth');
 const logger = require('../utils/logger');
+const { localDateTime } = require('../utils/timezone');
+
+// Failed PIN attempts allowed before a worker login is locked, and for how long
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+
+const MAX_SEARCH_LENGTH = 100;
+
+// New workers hold no documents yet, so they cannot join a project that requires any
+const assertNoRequiredDocuments = (project) => {
+  const required = project.required_document_types || [];
+  if (required.length > 0) {
+    throw new Error(`Project requires documents new workers do not hold yet: ${required.join(', ')}`);
+  }
+};
+
+// Filters and sort fields accepted by GET /workers
+const WORKER_LIST = {
+  filters: {
+    fullname: { column: 'w.fullname' },
+    phone: { column: 'w.phone' },
+    cardId: { column: 'w.card_id', nullable: true },
+    position: { column: 'w.position', type: 'enum', values: ['Engineer', 'Supervisor', 'Masonry'] },
+    positionId: { column: 'w.position_id', type: 'integer', nullable: true },
+    isActive: { column: 'w.is_active', type: 'boolean' },
+    createdAt: { column: 'w.created_at', type: 'date' }
+  },
+  sorts: {
+    createdAt: 'w.created_at',
+    fullname: 'w.fullname'
+  },
+  defaultSort: '-createdAt',
+  idColumn: 'w.id',
+  deletedColumn: 'w.deleted_at'
+};
+
+// Worker columns returned to employers; PIN state is reduced to whether one is set
+const WORKER_COLUMNS = `w.id, w.uuid, w.user_id, w.card_id, w.fullname, w.phone, w.email, w.position,
+  w.position_id, pos.name AS position_name, w.bank_account, w.id_passport, w.national_id, w.address,
+  w.salary, w.is_active, w.pin_hash IS NOT NULL AS has_pin, w.created_at, w.updated_at`;
 
 /**
  * Worker Model
@@ -8,7 +51,9 @@ const logger = require('../utils/logger');
  */
 class Worker extends BaseModel {
   constructor() {
-    super('workers');
+    super('workers', { softDelete: true });
+    this.projectMembers = new ProjectMember();
+    this.documents = new WorkerDocument();
   }
 
   /**
@@ -32,6 +77,188 @@ class Worker extends BaseModel {
     }
   }
 
+  /**
+   * Set a worker's login PIN (employer action)
+   * @param {number} workerId - Worker ID
+   * @param {string} pin - New PIN
+   * @param {number} userId - Employer user ID
+   * @returns {boolean} - True if the PIN was set
+   */
+  async setPin(workerId, pin, userId) {
+    try {
+      const worker = await this.findById(workerId);
+      if (!worker || worker.user_id !== userId) {
+        throw new Error('Worker not found or access denied');
+      }
+
+      const pinHash = await AuthUtils.hashPassword(pin);
+
+      await this.updateById(workerId, {
+        pin_hash: pinHash,
+        pin_failed_attempts: 0,
+        pin_locked_until: null
+      });
+
+      logger.security('worker_pin_set', { workerId, userId });
+
+      return true;
+    } catch (error) {
+      logger.error('Error setting worker PIN', { 
+        workerId, 
+        userId, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Authenticate worker login by phone or card ID plus PIN
+   * @param {Object} credentials - { phone, cardId, pin }
+   * @returns {Object} - Worker data and worker-scoped token
+   */
+  async authenticateWorker(credentials) {
+    try {
+      const { phone, cardId, pin } = credentials;
+
+      // Phone numbers are not unique across employers, so a phone may match several records
+      const candidatesResult = cardId
+        ? await this.db.query(
+          `SELECT * FROM workers 
+           WHERE card_id = $1 AND is_active = true AND pin_hash IS NOT NULL AND deleted_at IS NULL`,
+          [cardId]
+        )
+        : await this.db.query(
+          `SELECT * FROM workers 
+           WHERE phone = $1 AND is_active = true AND pin_hash IS NOT NULL AND deleted_at IS NULL`,
+          [phone]
+        );
+
+      const candidates = candidatesResult.rows;
+      if (candidates.length === 0) {
+        throw new Error('Invalid credentials');
+      }
+
+      const now = new Date();
+      const unlocked = candidates.filter(candidate => 
+        !candidate.pin_locked_until || new Date(candidate.pin_locked_until) <= now
+      );
+
+      if (unlocked.length === 0) {
+        throw new Error('Too many failed PIN attempts. Please try again later.');
+      }
+
+      let workerData = null;
+      for (const candidate of unlocked) {
+        if (await AuthUtils.comparePassword(pin, candidate.pin_hash)) {
+          workerData = candidate;
+          break;
+        }
+      }
+
+      if (!workerData) {
+        await this._recordFailedPinAttempt(unlocked.map(candidate => candidate.id));
+        logger.security('worker_login_failed', { 
+          phone: phone || null, 
+          cardId: cardId || null 
+        });
+        throw new Error('Invalid credentials');
+      }
+
+      if (workerData.pin_failed_attempts > 0) {
+        await this.db.query(
+          'UPDATE workers SET pin_failed_attempts = 0, pin_locked_until = NULL WHERE id = $1',
+          [workerData.id]
+        );
+      }
+
+      // Generate token (always worker-scoped so it cannot reach user routes)
+      const token = AuthUtils.generateToken({
+        id: workerData.id,
+        email: workerData.email,
+        role: 'worker'
+      });
+
+      logger.auth('worker_login', { workerId: workerData.id });
+
+      return {
+        worker: this._sanitize(workerData),
+        token
+      };
+    } catch (error) {
+      logger.error('Error authenticating worker', { 
+        phone: credentials.phone, 
+        cardId: credentials.cardId, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a worker's own PIN
+   * @param {number} workerId - Worker ID
+   * @param {string} currentPin - Current PIN
+   * @param {string} newPin - New PIN
+   * @returns {boolean} - True if the PIN was changed
+   */
+  async changePin(workerId, currentPin, newPin) {
+    try {
+      const worker = await this.findById(workerId);
+      if (!worker || !worker.pin_hash) {
+        throw new Error('Worker not found');
+      }
+
+      const isValidPin = await AuthUtils.comparePassword(currentPin, worker.pin_hash);
+      if (!isValidPin) {
+        throw new Error('Current PIN is incorrect');
+      }
+
+      const pinHash = await AuthUtils.hashPassword(newPin);
+      await this.updateById(workerId, { pin_hash: pinHash });
+
+      logger.security('worker_pin_changed', { workerId });
+
+      return true;
+    } catch (error) {
+      logger.error('Error changing worker PIN', { 
+        workerId, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the projects a worker is assigned to
+   * @param {number} workerId - Worker ID
+   * @returns {Array} - Project assignments
+   */
+  async getWorkerProjects(workerId) {
+    try {
+      // Latest assignment per project; getAssignmentHistory lists every one
+      const result = await this.db.query(
+        `SELECT * FROM (
+           SELECT DISTINCT ON (p.id) p.id, p.name, p.status, pw.assigned_at, pw.is_active
+           FROM project_workers pw
+           JOIN projects p ON pw.project_id = p.id
+           WHERE pw.worker_id = $1 AND p.deleted_at IS NULL
+           ORDER BY p.id, pw.assigned_at DESC
+         ) latest
+         ORDER BY assigned_at DESC`,
+        [workerId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting worker projects', { 
+        workerId, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
   /**
    * Create a new worker
    * @param {Object} workerData - Worker data
@@ -87,8 +314,11 @@ class Worker extends BaseModel {
 
       // Verify position and project exist
       const [positionExists, projectExists] = await Promise.all([
-        this.db.query('SELECT id, name FROM positions WHERE id = $1', [positionId]),
-        this.db.query('SELECT id, name FROM projects WHERE id = $1', [projectId])
+        this.db.query('SELECT id, name FROM positions WHERE id = $1 AND deleted_at IS NULL', [positionId]),
+        this.db.query(
+          'SELECT id, name, required_document_types FROM projects WHERE id = $1 AND deleted_at IS NULL',
+          [projectId]
+        )
       ]);
 
       if (positionExists.rows.length === 0) {
@@ -99,6 +329,8 @@ class Worker extends BaseModel {
         throw new Error('Project not found');
       }
 
+      assertNoRequiredDocuments(projectExists.rows[0]);
+
       // Check if card ID already exists
       const cardExists = await this.findByCardId(cardId);
       if (cardExists) {
@@ -110,19 +342,23 @@ class Worker extends BaseModel {
       // Create worker with transaction
       const result = await this.transaction(async (client) => {
         // Create worker
-        const workerResult = await client.query(
+        const workerResult = await this.auditedQuery(
+          'create',
           `INSERT INTO workers (card_id, fullname, phone, email, position_id, national_id, address, user_id) 
            VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-           RETURNING id, uuid, card_id, fullname, phone, email, created_at`,
-          [cardId, name, email, phone, positionId, nationalId, address, userId]
+           RETURNING *`,
+          [cardId, name, email, phone, positionId, nationalId, address, userId],
+          { client }
         );
 
-        const worker = workerResult.rows[0];
+        const { pin_hash, pin_failed_attempts, pin_locked_until, ...worker } = workerResult.rows[0];
 
         // Assign worker to project
-        await client.query(
-          'INSERT INTO project_workers (project_id, worker_id) VALUES ($1, $2)',
-          [projectId, worker.id]
+        await this.auditedQuery(
+          'assign',
+          'INSERT INTO project_workers (project_id, worker_id) VALUES ($1, $2) RETURNING *',
+          [projectId, worker.id],
+          { client, entity: 'project_workers' }
         );
 
         return { ...worker, position: position.name };
@@ -145,25 +381,200 @@ class Worker extends BaseModel {
     }
   }
 
+  /**
+   * Create many card workers at once, all or nothing
+   * Rows are checked against existing card IDs, each other and the user's positions first;
+   * nothing is written when any row fails or on a dry run
+   * @param {Array} rows - [{ row, worker }] where worker has createWorkerWithCard fields and
+   *                       positionId or a position name
+   * @param {Object} options - { projectId, dryRun }; projectId assigns every imported worker
+   * @param {number} userId - Employer user ID
+   * @returns {Object} - { errors: [{ row, field, message }], workers }
+   */
+  async importWorkers(rows, { projectId = null, dryRun = false } = {}, userId) {
+    try {
+      if (projectId) {
+        const { project } = await this.projectMembers.assertPermission(projectId, userId, 'project:update');
+        if (project.user_id !== userId) {
+          throw new Error('Project not found or access denied');
+        }
+        assertNoRequiredDocuments(project);
+      }
+
+      const [positionsResult, cardsResult] = await Promise.all([
+        this.db.query('SELECT id, name FROM positions WHERE user_id = $1 AND deleted_at IS NULL', [userId]),
+        // Card IDs are unique across every worker, deleted ones included
+        this.db.query('SELECT card_id FROM workers WHERE card_id = ANY($1)', [rows.map(({ worker }) => worker.cardId)])
+      ]);
+
+      const positionIds = new Set(positionsResult.rows.map(position => position.id));
+      const positionsByName = new Map();
+      positionsResult.rows.forEach(position => {
+        const name = position.name.toLowerCase();
+        if (!positionsByName.has(name)) {
+          positionsByName.set(name, position.id);
+        }
+      });
+      const takenCards = new Set(cardsResult.rows.map(worker => worker.card_id));
+
+      const errors = [];
+      const accepted = [];
+      const cardRows = new Map();
+
+      rows.forEach(({ row, worker }) => {
+        const rowErrors = [];
+
+        const positionId = worker.positionId || positionsByName.get(worker.position.toLowerCase());
+        if (!positionIds.has(positionId)) {
+          rowErrors.push({
+            row,
+            field: worker.positionId ? 'positionId' : 'position',
+            message: `Unknown position: ${worker.positionId || worker.position}`
+          });
+        }
+
+        if (takenCards.has(worker.cardId)) {
+          rowErrors.push({ row, field: 'cardId', message: `Worker with card ID ${worker.cardId} already exists` });
+        } else if (cardRows.has(worker.cardId)) {
+          rowErrors.push({ row, field: 'cardId', message: `Card ID ${worker.cardId} is also on row ${cardRows.get(worker.cardId)}` });
+        } else {
+          cardRows.set(worker.cardId, row);
+        }
+
+        if (rowErrors.length > 0) {
+          errors.push(...rowErrors);
+        } else {
+          accepted.push({ ...worker, positionId });
+        }
+      });
+
+      if (errors.length > 0 || dryRun) {
+        return { errors, workers: [] };
+      }
+
+      const workers = await this.transaction(async (client) => {
+        const workerResult = await this.auditedQuery(
+          'import',
+          `INSERT INTO workers (card_id, fullname, phone, email, position_id, national_id, address, user_id)
+           SELECT card_id, fullname, phone, email, position_id, national_id, address, $8
+           FROM unnest($1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::integer[], $6::varchar[], $7::text[])
+             AS imported(card_id, fullname, phone, email, position_id, national_id, address)
+           RETURNING *`,
+          [
+            accepted.map(worker => worker.cardId),
+            accepted.map(worker => worker.name),
+            accepted.map(worker => worker.phone),
+            accepted.map(worker => worker.email || null),
+            accepted.map(worker => worker.positionId),
+            accepted.map(worker => worker.nationalId),
+            accepted.map(worker => worker.address || null),
+            userId
+          ],
+          { client }
+        );
+
+        if (projectId) {
+          await this.auditedQuery(
+            'assign',
+            `INSERT INTO project_workers (project_id, worker_id)
+             SELECT $1, unnest($2::integer[])
+             RETURNING *`,
+            [projectId, workerResult.rows.map(worker => worker.id)],
+            { client, entity: 'project_workers' }
+          );
+        }
+
+        return workerResult.rows;
+      });
+
+      logger.business('workers_imported', {
+        userId,
+        projectId,
+        count: workers.length
+      });
+
+      return { errors, workers: workers.map(worker => this._sanitize(worker)) };
+    } catch (error) {
+      logger.error('Error importing workers', { 
+        userId, 
+        projectId, 
+        rowCount: rows.length, 
+        error: error.message 
+      });
+
+      // A card ID taken between the check and the insert
+      if (error.code === '23505') {
+        throw new Error('Worker with this card ID already exists');
+      }
+      throw error;
+    }
+  }
+
   /**
    * Get workers by user ID
    * @param {number} userId - User ID
-   * @param {Object} options - Query options
-   * @returns {Array} - Array of workers
+   * @param {Object} filters - { search, projectId, isActive }; search matches name, phone or card ID
+   * @param {Object} options - Request options: { page, limit, filter, sort, cursor }
+   * @returns {Object} - Workers and pagination info
    */
-  async getWorkersByUser(userId, options = {}) {
+  async getWorkersByUser(userId, filters = {}, options = {}) {
     try {
-      const workers = await this.findWhere({ user_id: userId }, options);
-      
+      const { search, projectId, isActive } = filters;
+      const where = ['w.user_id = $1'];
+      const params = [userId];
+
+      if (search) {
+        if (search.length > MAX_SEARCH_LENGTH) {
+          throw new Error(`search cannot exceed ${MAX_SEARCH_LENGTH} characters`);
+        }
+
+        // LIKE wildcards in the search are literal
+        params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+        const matches = [`w.fullname ILIKE $${params.length}`, `w.card_id ILIKE $${params.length}`, `w.phone ILIKE $${params.length}`];
+
+        // Phones are stored as typed, so digits also match with spaces and dashes ignored
+        const digits = search.replace(/\D/g, '');
+        if (digits.length > 0) {
+          params.push(`%${digits}%`);
+          matches.push(`regexp_replace(w.phone, '[^0-9]', '', 'g') LIKE $${params.length}`);
+        }
+
+        where.push(`(${matches.join(' OR ')})`);
+      }
+
+      if (projectId) {
+        params.push(projectId);
+        where.push(`EXISTS (
+          SELECT 1 FROM project_workers pw
+          WHERE pw.worker_id = w.id AND pw.project_id = $${params.length} AND pw.is_active = true
+        )`);
+      }
+
+      const { rows, pagination } = await this.findList(
+        {
+          select: WORKER_COLUMNS,
+          from: 'workers w LEFT JOIN positions pos ON w.position_id = pos.id',
+          where,
+          params,
+          filter: { isActive }
+        },
+        WORKER_LIST,
+        options
+      );
+
       logger.db('get_workers_by_user', {
         userId,
-        count: workers.length
+        count: rows.length
       });
 
-      return workers;
+      return {
+        workers: rows,
+        pagination
+      };
     } catch (error) {
       logger.error('Error getting workers by user', { 
         userId, 
+        filters, 
         options, 
         error: error.message 
       });
@@ -171,6 +582,30 @@ class Worker extends BaseModel {
     }
   }
 
+  /**
+   * Get one of a user's workers with their current projects
+   * @param {number} workerId - Worker ID
+   * @param {number} userId - Employer user ID
+   * @returns {Object} - Worker record with projects
+   */
+  async getWorkerForUser(workerId, userId) {
+    const result = await this.db.query(
+      `SELECT ${WORKER_COLUMNS}
+       FROM workers w LEFT JOIN positions pos ON w.position_id = pos.id
+       WHERE w.id = $1 AND w.user_id = $2 AND w.deleted_at IS NULL`,
+      [workerId, userId]
+    );
+
+    const worker = result.rows[0];
+    if (!worker) {
+      throw new Error('Worker not found or access denied');
+    }
+
+    const projects = await this.getWorkerProjects(workerId);
+
+    return { ...worker, projects: projects.filter(project => project.is_active) };
+  }
+
   /**
    * Get workers by project ID
    * @param {number} projectId - Project ID
@@ -180,6 +615,7 @@ class Worker extends BaseModel {
   async getWorkersByProject(projectId, options = {}) {
     try {
       const { limit, offset, orderBy = 'pw.assigned_at DESC' } = options;
+      this.assertOrderBy(orderBy);
       
       let query = `
         SELECT w.*, pw.assigned_at, pw.is_active as project_active,
@@ -187,7 +623,7 @@ class Worker extends BaseModel {
         FROM workers w
         JOIN project_workers pw ON w.id = pw.worker_id
         LEFT JOIN positions p ON w.position_id = p.id
-        WHERE pw.project_id = $1 AND pw.is_active = true
+        WHERE pw.project_id = $1 AND pw.is_active = true AND w.deleted_at IS NULL
         ORDER BY ${orderBy}
       `;
 
@@ -227,25 +663,101 @@ class Worker extends BaseModel {
   /**
    * Update worker information
    * @param {number} workerId - Worker ID
-   * @param {Object} updateData - Data to update
+   * @param {Object} updateData - Data to update (API field names)
+   * @param {number} userId - Employer user ID
    * @returns {Object|null} - Updated worker
    */
-  async updateWorker(workerId, updateData) {
+  async updateWorker(workerId, updateData, userId) {
     try {
-      const updatedWorker = await this.updateById(workerId, updateData);
+      await this._findOwnedWorker(workerId, userId);
+
+      // Map frontend field names to database field names
+      const fieldMapping = {
+        fullname: 'fullname',
+        phone: 'phone',
+        email: 'email',
+        cardId: 'card_id',
+        position: 'position',
+        positionId: 'position_id',
+        bankAccount: 'bank_account',
+        idPassport: 'id_passport',
+        nationalId: 'national_id',
+        address: 'address',
+        salary: 'salary'
+      };
+
+      const filteredData = {};
+      Object.keys(updateData).forEach(key => {
+        if (fieldMapping[key]) {
+          filteredData[fieldMapping[key]] = updateData[key];
+        }
+      });
+
+      if (filteredData.card_id) {
+        const cardHolder = await this.findByCardId(filteredData.card_id);
+        if (cardHolder && cardHolder.id !== workerId) {
+          throw new Error('Worker with this card ID already exists');
+        }
+      }
+
+      if (filteredData.position_id) {
+        const positionResult = await this.db.query(
+          'SELECT id FROM positions WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+          [filteredData.position_id, userId]
+        );
+        if (positionResult.rows.length === 0) {
+          throw new Error('Position not found');
+        }
+      }
+
+      const updatedWorker = await this.updateById(workerId, filteredData);
       
       if (updatedWorker) {
         logger.business('worker_updated', {
           workerId,
-          updatedFields: Object.keys(updateData)
+          userId,
+          updatedFields: Object.keys(filteredData)
         });
       }
 
-      return updatedWorker;
+      return updatedWorker && this._sanitize(updatedWorker);
     } catch (error) {
       logger.error('Error updating worker', { 
         workerId, 
-        updateData, 
+        userId, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate or reactivate a worker
+   * Inactive workers cannot log in or be assigned to projects; their records and assignments stay
+   * @param {number} workerId - Worker ID
+   * @param {boolean} isActive - New state
+   * @param {number} userId - Employer user ID
+   * @returns {Object} - Updated worker
+   */
+  async setActive(workerId, isActive, userId) {
+    try {
+      const worker = await this._findOwnedWorker(workerId, userId);
+      if (worker.is_active === isActive) {
+        throw new Error(`Worker is already ${isActive ? 'active' : 'inactive'}`);
+      }
+
+      const updatedWorker = await this.updateById(workerId, { is_active: isActive }, {
+        action: isActive ? 'activate' : 'deactivate'
+      });
+
+      logger.business(isActive ? 'worker_activated' : 'worker_deactivated', { workerId, userId });
+
+      return this._sanitize(updatedWorker);
+    } catch (error) {
+      logger.error('Error changing worker state', { 
+        workerId, 
+        isActive, 
+        userId, 
         error: error.message 
       });
       throw error;
@@ -256,10 +768,36 @@ class Worker extends BaseModel {
    * Assign worker to project
    * @param {number} workerId - Worker ID
    * @param {number} projectId - Project ID
+   * @param {number} userId - Employer user ID
    * @returns {Object} - Assignment record
    */
-  async assignToProject(workerId, projectId) {
+  async assignToProject(workerId, projectId, userId) {
     try {
+      const worker = await this._findOwnedWorker(workerId, userId);
+      const { project } = await this.projectMembers.assertPermission(projectId, userId, 'project:update');
+
+      // Workers are employed by the project owner, as for supervisors
+      if (project.user_id !== worker.user_id) {
+        throw new Error('Project not found or access denied');
+      }
+
+      if (!worker.is_active) {
+        throw new Error('Worker is inactive');
+      }
+
+      // Documents the project requires must be verified and valid on the project's today
+      const missing = await this.documents.findMissingDocuments(
+        workerId,
+        project.required_document_types || [],
+        localDateTime(new Date(), project.timezone).date
+      );
+      if (missing.length > 0) {
+        const documents = missing
+          .map(({ documentType, expiredOn }) => (expiredOn ? `${documentType} (expired ${expiredOn})` : documentType))
+          .join(', ');
+        throw new Error(`Worker lacks required documents: ${documents}`);
+      }
+
       // Check if already assigned
       const existingAssignment = await this.db.query(
         'SELECT id FROM project_workers WHERE worker_id = $1 AND project_id = $2 AND is_active = true',
@@ -270,15 +808,18 @@ class Worker extends BaseModel {
         throw new Error('Worker is already assigned to this project');
       }
 
-      // Create assignment
-      const result = await this.db.query(
+      // Create assignment; earlier ones stay as history
+      const result = await this.auditedQuery(
+        'assign',
         'INSERT INTO project_workers (worker_id, project_id) VALUES ($1, $2) RETURNING *',
-        [workerId, projectId]
+        [workerId, projectId],
+        { entity: 'project_workers' }
       );
 
       logger.business('worker_assigned_to_project', {
         workerId,
         projectId,
+        userId,
         assignmentId: result.rows[0].id
       });
 
@@ -297,13 +838,20 @@ class Worker extends BaseModel {
    * Remove worker from project
    * @param {number} workerId - Worker ID
    * @param {number} projectId - Project ID
+   * @param {number} userId - Employer user ID
    * @returns {boolean} - Success status
    */
-  async removeFromProject(workerId, projectId) {
+  async removeFromProject(workerId, projectId, userId) {
     try {
-      const result = await this.db.query(
-        'UPDATE project_workers SET is_active = false WHERE worker_id = $1 AND project_id = $2',
-        [workerId, projectId]
+      await this._findOwnedWorker(workerId, userId);
+
+      const result = await this.auditedQuery(
+        'remove',
+        `UPDATE project_workers SET is_active = false, removed_at = CURRENT_TIMESTAMP
+         WHERE worker_id = $1 AND project_id = $2 AND is_active = true
+         RETURNING *`,
+        [workerId, projectId],
+        { entity: 'project_workers' }
       );
 
       const success = result.rowCount > 0;
@@ -311,7 +859,8 @@ class Worker extends BaseModel {
       if (success) {
         logger.business('worker_removed_from_project', {
           workerId,
-          projectId
+          projectId,
+          userId
         });
       }
 
@@ -325,6 +874,54 @@ class Worker extends BaseModel {
       throw error;
     }
   }
+
+  /**
+   * Get every project assignment of a worker, current and ended
+   * @param {number} workerId - Worker ID
+   * @param {number} userId - Employer user ID
+   * @returns {Array} - Assignments, newest first
+   */
+  async getAssignmentHistory(workerId, userId) {
+    await this._findOwnedWorker(workerId, userId);
+
+    const result = await this.db.query(
+      `SELECT pw.id, pw.project_id, p.name AS project_name, p.status AS project_status,
+              p.deleted_at IS NOT NULL AS project_deleted, pw.assigned_at, pw.removed_at, pw.is_active
+       FROM project_workers pw
+       JOIN projects p ON pw.project_id = p.id
+       WHERE pw.worker_id = $1
+       ORDER BY pw.assigned_at DESC, pw.id DESC`,
+      [workerId]
+    );
+
+    return result.rows;
+  }
+
+  // Private helper methods
+  async _findOwnedWorker(workerId, userId) {
+    const worker = await this.findById(workerId);
+    if (!worker || worker.user_id !== userId) {
+      throw new Error('Worker not found or access denied');
+    }
+    return worker;
+  }
+
+  _sanitize(worker) {
+    const { pin_hash, pin_failed_attempts, pin_locked_until, ...safeWorker } = worker;
+    return safeWorker;
+  }
+
+  async _recordFailedPinAttempt(workerIds) {
+    await this.db.query(
+      `UPDATE workers 
+       SET pin_failed_attempts = CASE WHEN pin_failed_attempts + 1 >= $2 THEN 0 ELSE pin_failed_attempts + 1 END,
+           pin_locked_until = CASE WHEN pin_failed_attempts + 1 >= $2 
+             THEN CURRENT_TIMESTAMP + ($3 || ' minutes')::interval 
+             ELSE pin_locked_until END
+       WHERE id = ANY($1)`,
+      [workerIds, MAX_PIN_ATTEMPTS, PIN_LOCK_MINUTES]
+    );
+  }
 }
 
 module.exports = new Worker();
\ No newline at end of file
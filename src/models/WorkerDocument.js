@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+const logger = require('../utils/logger');
+const storage = require('../services/storage');
+const { DOCUMENT_MIME_TYPES, MAX_DOCUMENT_BYTES } = require('../config/documents');
+
+// Document columns returned by the API; storage details stay internal
+const DOCUMENT_COLUMNS = `d.id, d.uuid, d.worker_id, d.document_type, d.title, d.document_number,
+  d.issued_at::text AS issued_at, d.expires_at::text AS expires_at, d.file_name, d.mime_type, d.size_bytes,
+  d.checksum, d.status, d.rejection_reason, d.verified_by, d.verified_at, d.uploaded_by,
+  d.created_at, d.updated_at`;
+
+/**
+ * WorkerDocument Model
+ * Handles worker documents and certifications, their verification and expiry
+ * Extends BaseModel for common CRUD operations
+ */
+class WorkerDocument extends BaseModel {
+  constructor() {
+    super('worker_documents');
+  }
+
+  // Store an uploaded file and record it as a Pending document of one of the user's workers
+  async uploadDocument(workerId, documentData, userId) {
+    const worker = await this._findOwnedWorker(workerId, userId);
+    const { documentType, title, documentNumber, issuedAt, expiresAt, fileName, mimeType, content } = documentData;
+
+    if (issuedAt && expiresAt && expiresAt < issuedAt) {
+      throw new Error('Invalid document: expiresAt must not be before issuedAt');
+    }
+
+    const buffer = Buffer.from(content, 'base64');
+    if (buffer.length === 0) {
+      throw new Error('Invalid document: file is empty');
+    }
+    if (buffer.length > MAX_DOCUMENT_BYTES) {
+      throw new Error(`Invalid document: file cannot exceed ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`);
+    }
+
+    const driver = storage.getDefaultDriver();
+    const storageKey = `workers/${worker.uuid}/${crypto.randomUUID()}${DOCUMENT_MIME_TYPES[mimeType]}`;
+    await driver.put(storageKey, buffer);
+
+    try {
+      const result = await this.auditedQuery(
+        'create',
+        `INSERT INTO worker_documents
+           (worker_id, document_type, title, document_number, issued_at, expires_at, file_name, mime_type,
+            size_bytes, checksum, storage_driver, storage_key, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING *`,
+        [
+          workerId, documentType, title || null, documentNumber || null, issuedAt || null, expiresAt || null,
+          fileName, mimeType, buffer.length, crypto.createHash('sha256').update(buffer).digest('hex'),
+          driver.name, storageKey, userId
+        ]
+      );
+
+      logger.business('worker_document_uploaded', {
+        documentId: result.rows[0].id,
+        workerId,
+        documentType,
+        userId
+      });
+
+      return this._withoutStorage({ ...result.rows[0], issued_at: issuedAt || null, expires_at: expiresAt || null });
+    } catch (error) {
+      // Nothing refers to the file once the insert failed
+      await driver.remove(storageKey).catch(removeError => logger.error('Error removing orphaned document file', {
+        storageKey,
+        error: removeError.message
+      }));
+      throw error;
+    }
+  }
+
+  // Documents of one of the user's workers, newest first
+  async getDocuments(workerId, userId) {
+    await this._findOwnedWorker(workerId, userId);
+
+    const result = await this.db.query(
+      `SELECT ${DOCUMENT_COLUMNS}
+       FROM worker_documents d
+       WHERE d.worker_id = $1
+       ORDER BY d.created_at DESC, d.id DESC`,
+      [workerId]
+    );
+
+    return result.rows;
+  }
+
+  // A document with its file contents
+  async getDocumentFile(workerId, documentId, userId) {
+    const document = await this._findOwnedDocument(workerId, documentId, userId);
+    const content = await storage.getDriver(document.storage_driver).get(document.storage_key);
+
+    return { document: this._withoutStorage(document), content };
+  }
+
+  // Mark a document Verified or Rejected; verifying again replaces the earlier decision
+  async verifyDocument(workerId, documentId, { status, reason }, userId) {
+    const document = await this._findOwnedDocument(workerId, documentId, userId);
+
+    const result = await this.auditedQuery(
+      'verify',
+      `UPDATE worker_documents
+       SET status = $2, rejection_reason = $3, verified_by = $4, verified_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [documentId, status, status === 'Rejected' ? reason : null, userId]
+    );
+
+    logger.business('worker_document_verified', { documentId, workerId, status, userId });
+
+    return this._withoutStorage({ ...result.rows[0], issued_at: document.issued_at, expires_at: document.expires_at });
+  }
+
+  // Delete a document and then its file; a file that cannot be removed is only logged
+  async deleteDocument(workerId, documentId, userId) {
+    const document = await this._findOwnedDocument(workerId, documentId, userId);
+
+    await this.deleteById(documentId);
+
+    try {
+      await storage.getDriver(document.storage_driver).remove(document.storage_key);
+    } catch (error) {
+      logger.error('Error removing document file', {
+        documentId,
+        storageKey: document.storage_key,
+        error: error.message
+      });
+    }
+
+    logger.business('worker_document_deleted', { documentId, workerId, userId });
+
+    return true;
+  }
+
+  // Unrejected documents of the user's workers expiring within `days` days, soonest first
+  // A document renewed by a later one of the same type and title is left out
+  async getExpiringDocuments(userId, { days, projectId = null, documentType = null, includeExpired = false }) {
+    const result = await this.db.query(
+      `SELECT ${DOCUMENT_COLUMNS}, w.fullname AS worker_name, w.card_id AS worker_card_id,
+              (d.expires_at - CURRENT_DATE) AS days_left
+       FROM worker_documents d
+       JOIN workers w ON d.worker_id = w.id
+       WHERE w.user_id = $1 AND w.deleted_at IS NULL AND w.is_active
+         AND d.status <> 'Rejected'
+         AND d.expires_at <= CURRENT_DATE + $2::integer
+         AND ($3::boolean OR d.expires_at >= CURRENT_DATE)
+         AND ($4::integer IS NULL OR EXISTS (
+           SELECT 1 FROM project_workers pw WHERE pw.worker_id = w.id AND pw.project_id = $4 AND pw.is_active
+         ))
+         AND ($5::worker_document_type IS NULL OR d.document_type = $5)
+         AND NOT EXISTS (
+           SELECT 1 FROM worker_documents renewal
+           WHERE renewal.worker_id = d.worker_id AND renewal.document_type = d.document_type
+             AND COALESCE(renewal.title, '') = COALESCE(d.title, '') AND renewal.status <> 'Rejected'
+             AND (renewal.expires_at IS NULL OR renewal.expires_at > d.expires_at)
+         )
+       ORDER BY d.expires_at, w.fullname, d.id`,
+      [userId, days, includeExpired, projectId, documentType]
+    );
+
+    return result.rows;
+  }
+
+  // Required document types the worker holds no verified document of that is valid on a date
+  // Returns [{ documentType, expiredOn }] where expiredOn is the last expiry of a lapsed type
+  async findMissingDocuments(workerId, documentTypes, onDate) {
+    if (documentTypes.length === 0) {
+      return [];
+    }
+
+    const result = await this.db.query(
+      `SELECT document_type::text AS document_type,
+              bool_or(expires_at IS NULL OR expires_at >= $3) AS valid,
+              max(expires_at)::text AS expires_at
+       FROM worker_documents
+       WHERE worker_id = $1 AND document_type::text = ANY($2) AND status = 'Verified'
+       GROUP BY document_type`,
+      [workerId, documentTypes, onDate]
+    );
+
+    return documentTypes
+      .map(documentType => {
+        const held = result.rows.find(row => row.document_type === documentType);
+        return held && held.valid ? null : { documentType, expiredOn: held ? held.expires_at : null };
+      })
+      .filter(Boolean);
+  }
+
+  async _findOwnedWorker(workerId, userId) {
+    const result = await this.db.query(
+      'SELECT id, uuid FROM workers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [workerId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Worker not found or access denied');
+    }
+    return result.rows[0];
+  }
+
+  async _findOwnedDocument(workerId, documentId, userId) {
+    const result = await this.db.query(
+      `SELECT d.*, d.issued_at::text AS issued_at, d.expires_at::text AS expires_at
+       FROM worker_documents d
+       JOIN workers w ON d.worker_id = w.id
+       WHERE d.id = $1 AND d.worker_id = $2 AND w.user_id = $3 AND w.deleted_at IS NULL`,
+      [documentId, workerId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Document not found or access denied');
+    }
+    return result.rows[0];
+  }
+
+  _withoutStorage(document) {
+    const { storage_driver, storage_key, ...rest } = document;
+    return rest;
+  }
+}
+
+module.exports = WorkerDocument;
@@ -0,0 +1,221 @@
+const BaseModel = require('./BaseModel');
+const logger = require('../utils/logger');
+const { DEFAULT_MIN_SCORE, findDuplicatePairs } = require('../utils/duplicates');
+
+// Records that follow a merged worker to the survivor, with the column naming the worker
+const MOVED_TABLES = [
+  { key: 'attendance', table: 'attendance', column: 'worker_id' },
+  { key: 'projectAssignments', table: 'project_workers', column: 'worker_id' },
+  { key: 'supervisorAssignments', table: 'project_supervisors', column: 'supervisor_id' },
+  { key: 'paymentLines', table: 'payment_request_workers', column: 'worker_id' },
+  { key: 'payouts', table: 'payouts', column: 'worker_id' },
+  { key: 'shiftAssignments', table: 'shift_assignments', column: 'worker_id' },
+  { key: 'leaveRequests', table: 'leave_requests', column: 'worker_id' },
+  { key: 'documents', table: 'worker_documents', column: 'worker_id' }
+];
+
+// Survivor fields that take the merged worker's value when empty
+const FILLED_FIELDS = [
+  'card_id', 'email', 'position_id', 'national_id', 'id_passport', 'bank_account', 'address', 'salary', 'pin_hash'
+];
+
+// Most pairs returned by one detection run
+const MAX_DUPLICATE_PAIRS = 200;
+
+// Worker columns returned with duplicate candidates
+const CANDIDATE_COLUMNS = 'id, card_id, fullname, phone, national_id, is_active, created_at';
+
+/**
+ * WorkerMerge Model
+ * Handles duplicate worker detection and merging duplicates into one record
+ * Extends BaseModel for common CRUD operations
+ */
+class WorkerMerge extends BaseModel {
+  constructor() {
+    super('worker_merges');
+  }
+
+  // Score the user's workers pairwise for likely duplicates, best first
+  async findDuplicates(userId, { minScore = DEFAULT_MIN_SCORE } = {}) {
+    const result = await this.db.query(
+      `SELECT ${CANDIDATE_COLUMNS} FROM workers WHERE user_id = $1 AND deleted_at IS NULL`,
+      [userId]
+    );
+
+    const pairs = findDuplicatePairs(result.rows, minScore);
+
+    logger.business('worker_duplicates_detected', {
+      userId,
+      scanned: result.rows.length,
+      pairs: pairs.length
+    });
+
+    return {
+      scanned: result.rows.length,
+      pairs: pairs.slice(0, MAX_DUPLICATE_PAIRS),
+      truncated: pairs.length > MAX_DUPLICATE_PAIRS
+    };
+  }
+
+  // Move everything recorded against the duplicate to the survivor, then retire the duplicate
+  async mergeWorkers(survivorId, duplicateId, userId) {
+    if (survivorId === duplicateId) {
+      throw new Error('A worker cannot be merged into itself');
+    }
+
+    const merge = await this.transaction(async (client) => {
+      // Locked in ID order so two merges of the same pair cannot deadlock
+      const workersResult = await client.query(
+        `SELECT * FROM workers
+         WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL
+         ORDER BY id FOR UPDATE`,
+        [[survivorId, duplicateId], userId]
+      );
+
+      const survivor = workersResult.rows.find(worker => worker.id === survivorId);
+      const duplicate = workersResult.rows.find(worker => worker.id === duplicateId);
+      if (!survivor || !duplicate) {
+        throw new Error('Worker not found or access denied');
+      }
+
+      // A day can hold one live attendance record per project; someone has to pick which
+      const clashResult = await client.query(
+        `SELECT a.date::text AS date, p.name AS project_name
+         FROM attendance a
+         JOIN attendance b ON b.project_id = a.project_id AND b.date = a.date
+         JOIN projects p ON p.id = a.project_id
+         WHERE a.worker_id = $1 AND b.worker_id = $2 AND a.deleted_at IS NULL AND b.deleted_at IS NULL
+         ORDER BY a.date
+         LIMIT 5`,
+        [survivorId, duplicateId]
+      );
+      if (clashResult.rows.length > 0) {
+        const days = clashResult.rows.map(clash => `${clash.date} (${clash.project_name})`).join(', ');
+        throw new Error(`Both workers already have attendance on ${days}; delete one record of each day before merging`);
+      }
+
+      await this._reconcileProjects(client, survivorId, duplicateId);
+
+      const movedRecords = {};
+      for (const { key, table, column } of MOVED_TABLES) {
+        const result = await this.auditedQuery(
+          'merge',
+          `UPDATE ${table} SET ${column} = $1 WHERE ${column} = $2 RETURNING *`,
+          [survivorId, duplicateId],
+          { client, entity: table }
+        );
+        movedRecords[key] = result.rowCount;
+      }
+
+      // The card is released first so the survivor can take it
+      await this.auditedQuery(
+        'merge',
+        `UPDATE workers
+         SET card_id = NULL, is_active = false, deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [duplicateId],
+        { client, entity: 'workers' }
+      );
+
+      const filledFields = FILLED_FIELDS.filter(field => survivor[field] === null && duplicate[field] !== null);
+      if (filledFields.length > 0) {
+        const setClause = filledFields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+        await this.auditedQuery(
+          'merge',
+          `UPDATE workers SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+          [survivorId, ...filledFields.map(field => duplicate[field])],
+          { client, entity: 'workers' }
+        );
+      }
+
+      const { pin_hash, pin_failed_attempts, pin_locked_until, ...mergedWorker } = duplicate;
+      const mergeResult = await this.auditedQuery(
+        'create',
+        `INSERT INTO worker_merges (survivor_id, merged_worker_id, merged_worker, moved_records, filled_fields, merged_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [survivorId, duplicateId, JSON.stringify(mergedWorker), JSON.stringify(movedRecords), filledFields, userId],
+        { client }
+      );
+
+      return mergeResult.rows[0];
+    });
+
+    logger.business('workers_merged', {
+      mergeId: merge.id,
+      survivorId,
+      duplicateId,
+      userId,
+      movedRecords: merge.moved_records
+    });
+
+    return merge;
+  }
+
+  // Merges into one of the user's workers, newest first
+  async getMerges(workerId, userId) {
+    const workerResult = await this.db.query(
+      'SELECT id FROM workers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [workerId, userId]
+    );
+    if (workerResult.rows.length === 0) {
+      throw new Error('Worker not found or access denied');
+    }
+
+    const result = await this.db.query(
+      `SELECT m.*, u.name AS merged_by_name
+       FROM worker_merges m
+       LEFT JOIN users u ON m.merged_by = u.id
+       WHERE m.survivor_id = $1
+       ORDER BY m.created_at DESC, m.id DESC`,
+      [workerId]
+    );
+
+    return result.rows;
+  }
+
+  // Project assignments and supervisor grants are one per project: the survivor's are kept
+  async _reconcileProjects(client, survivorId, duplicateId) {
+    await this.auditedQuery(
+      'merge',
+      `UPDATE project_workers duplicate
+       SET is_active = false, removed_at = CURRENT_TIMESTAMP
+       WHERE duplicate.worker_id = $2 AND duplicate.is_active AND EXISTS (
+         SELECT 1 FROM project_workers survivor
+         WHERE survivor.worker_id = $1 AND survivor.project_id = duplicate.project_id AND survivor.is_active
+       )
+       RETURNING *`,
+      [survivorId, duplicateId],
+      { client, entity: 'project_workers' }
+    );
+
+    // A supervisor grant active on either record stays active
+    await this.auditedQuery(
+      'merge',
+      `UPDATE project_supervisors survivor
+       SET is_active = true
+       WHERE survivor.supervisor_id = $1 AND NOT survivor.is_active AND EXISTS (
+         SELECT 1 FROM project_supervisors duplicate
+         WHERE duplicate.supervisor_id = $2 AND duplicate.project_id = survivor.project_id AND duplicate.is_active
+       )
+       RETURNING *`,
+      [survivorId, duplicateId],
+      { client, entity: 'project_supervisors' }
+    );
+
+    await this.auditedQuery(
+      'merge',
+      `DELETE FROM project_supervisors duplicate
+       WHERE duplicate.supervisor_id = $2 AND EXISTS (
+         SELECT 1 FROM project_supervisors survivor
+         WHERE survivor.supervisor_id = $1 AND survivor.project_id = duplicate.project_id
+       )
+       RETURNING id`,
+      [survivorId, duplicateId],
+      { client, entity: 'project_supervisors' }
+    );
+  }
+}
+
+module.exports = WorkerMerge;
@@ -0,0 +1,14 @@
+const express = require('express');
+const AdminController = require('../controllers/adminController');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(authenticateToken, authorizeRoles('admin'));
+
+// Data retention
+router.post('/purge', validate(schemas.purgeDeletedRecords), AdminController.purgeDeletedRecords);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const AttendanceController = require('../controllers/attendanceController');
+const LeaveController = require('../controllers/leaveController');
 const { validate, schemas } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
 
@@ -8,14 +9,27 @@ const router = express.Router();
 // All routes require authentication
 router.use(authenticateToken);
 
+// Leave routes (before /:attendanceId so they are not taken for record IDs)
+router.post('/leave', validate(schemas.leaveRequest), LeaveController.requestLeave);
+router.get('/leave', LeaveController.getLeaveRequests);
+router.get('/leave/balance/:workerId', LeaveController.getWorkerBalance);
+router.post('/leave/:leaveRequestId/approve', validate(schemas.approveLeave), LeaveController.approveLeave);
+router.post('/leave/:leaveRequestId/reject', validate(schemas.rejectLeave), LeaveController.rejectLeave);
+
 // Attendance routes
 router.post('/', validate(schemas.createAttendance), AttendanceController.createAttendance);
 router.post('/mark-rating', validate(schemas.markAttendanceWithRating), AttendanceController.markAttendanceWithRating);
+router.post('/check-in', validate(schemas.attendanceCheckIn), AttendanceController.checkIn);
+router.post('/tap', validate(schemas.attendanceTap), AttendanceController.recordTap);
+router.post('/sync', validate(schemas.attendanceSync), AttendanceController.syncAttendance);
 router.get('/', AttendanceController.getAttendanceRecords);
 router.get('/stats', AttendanceController.getAttendanceStats);
 router.get('/:attendanceId', AttendanceController.getAttendanceById);
 router.put('/:attendanceId', validate(schemas.updateAttendance), AttendanceController.updateAttendance);
 router.delete('/:attendanceId', AttendanceController.deleteAttendance);
+router.post('/:attendanceId/restore', AttendanceController.restoreAttendance);
+router.post('/:attendanceId/check-out', validate(schemas.attendanceCheckOut), AttendanceController.checkOut);
+router.post('/:attendanceId/review', validate(schemas.reviewAttendance), AttendanceController.reviewAttendance);
 
 // Worker-specific attendance routes
 router.get('/worker/:workerId/summary', AttendanceController.getWorkerAttendanceSummary);
@@ -0,0 +1,14 @@
+const express = require('express');
+const AuditController = require('../controllers/auditController');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Owners read the trail of their own records; admins read and verify everything
+router.get('/', AuditController.getAuditTrail);
+router.get('/verify', authorizeRoles('admin'), AuditController.verifyAuditChain);
+
+module.exports = router;
@@ -16,9 +16,16 @@ router.post('/register', validate(schemas.companyRegistration), CompanyControlle
 router.get('/profile', CompanyController.getCompanyProfile);
 router.put('/:companyId', validate(schemas.companyUpdate), CompanyController.updateCompany);
 router.get('/:companyId/stats', CompanyController.getCompanyStats);
+router.get('/:companyId/approval-chain', CompanyController.getApprovalChain);
+router.put('/:companyId/approval-chain', validate(schemas.approvalChain), CompanyController.setApprovalChain);
+router.get('/:companyId/calendar', CompanyController.getCalendar);
+router.post('/:companyId/holidays', validate(schemas.companyHoliday), CompanyController.createHoliday);
+router.post('/:companyId/holidays/import', validate(schemas.holidayImport), CompanyController.importHolidays);
+router.delete('/:companyId/holidays/:holidayId', CompanyController.deleteHoliday);
 router.delete('/:companyId', CompanyController.deleteCompany);
 
 // Admin routes
 router.get('/', authorizeRoles('admin'), CompanyController.getCompanies);
+router.post('/:companyId/restore', authorizeRoles('admin'), CompanyController.restoreCompany);
 
 module.exports = router;
\ No newline at end of file
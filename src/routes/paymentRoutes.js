@@ -2,25 +2,35 @@ const express = require('express');
 const PaymentController = require('../controllers/paymentController');
 const { validate, schemas } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
-// All routes require authentication
+// Payout provider callbacks (verified by the provider's signature, not a user token)
+router.post('/payouts/webhooks/:provider', PaymentController.handlePayoutWebhook);
+
+// All other routes require authentication
 router.use(authenticateToken);
 
 // Payment request routes
 router.post('/request', validate(schemas.createPaymentRequest), PaymentController.createPaymentRequest);
+router.post('/requests/generate', validate(schemas.generatePaymentRequest), PaymentController.generatePaymentRequest);
 router.get('/requests', PaymentController.getPaymentRequests);
 router.get('/requests/approved', PaymentController.getApprovedPaymentRequests);
 router.get('/requests/:paymentRequestId', PaymentController.getPaymentRequestById);
+router.get('/requests/:paymentRequestId/approvals', PaymentController.getApprovalHistory);
 router.delete('/requests/:paymentRequestId', PaymentController.deletePaymentRequest);
+router.post('/requests/:paymentRequestId/restore', PaymentController.restorePaymentRequest);
 
 // Payment approval/rejection routes
 router.post('/approve', validate(schemas.approvePaymentRequest), PaymentController.approvePaymentRequest);
 router.post('/reject', validate(schemas.rejectPaymentRequest), PaymentController.rejectPaymentRequest);
 
-// Payment processing routes
-router.post('/process', validate(schemas.processPayments), PaymentController.processPayments);
+// Payment processing and payout routes
+router.post('/process', validate(schemas.processPayments), idempotent('payments:process'), PaymentController.processPayments);
+router.get('/requests/:paymentRequestId/payouts', PaymentController.getPayouts);
+router.patch('/payouts/:payoutId/confirm', PaymentController.confirmPayout);
+router.post('/payouts/:payoutId/retry', validate(schemas.retryPayout), idempotent('payouts:retry'), PaymentController.retryPayout);
 
 // Payment statistics
 router.get('/stats', PaymentController.getPaymentStats);
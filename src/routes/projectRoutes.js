@@ -1,5 +1,6 @@
 const express = require('express');
 const ProjectController = require('../controllers/projectController');
+const ShiftController = require('../controllers/shiftController');
 const { validate, schemas } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
 
@@ -13,7 +14,25 @@ router.post('/', validate(schemas.createProject), ProjectController.createProjec
 router.get('/', ProjectController.getUserProjects);
 router.get('/:projectId', ProjectController.getProjectById);
 router.put('/:projectId', validate(schemas.updateProject), ProjectController.updateProject);
+router.delete('/:projectId', ProjectController.deleteProject);
+router.post('/:projectId/restore', ProjectController.restoreProject);
 router.get('/:projectId/stats', ProjectController.getProjectStats);
+router.put('/:projectId/geofence', validate(schemas.projectGeofence), ProjectController.setProjectGeofence);
+
+// Project member (role grant) routes
+router.get('/:projectId/members', ProjectController.getProjectMembers);
+router.post('/:projectId/members', validate(schemas.grantProjectRole), ProjectController.grantProjectRole);
+router.delete('/:projectId/members/:memberUserId', ProjectController.revokeProjectRole);
+
+// Shift and roster routes
+router.get('/:projectId/shifts', ShiftController.getProjectShifts);
+router.post('/:projectId/shifts', validate(schemas.createShift), ShiftController.createShift);
+router.put('/:projectId/shifts/:shiftId', validate(schemas.updateShift), ShiftController.updateShift);
+router.delete('/:projectId/shifts/:shiftId', ShiftController.deleteShift);
+router.post('/:projectId/shifts/:shiftId/assignments', validate(schemas.assignShiftWorkers), ShiftController.assignWorkers);
+router.delete('/:projectId/shift-assignments/:assignmentId', ShiftController.removeAssignment);
+router.get('/:projectId/roster', validate(schemas.rosterQuery, 'query'), ShiftController.getRoster);
+router.get('/:projectId/roster/report', validate(schemas.rosterQuery, 'query'), ShiftController.getRosterReport);
 
 // Supervisor assignment
 router.post('/assign-supervisor', validate(schemas.assignSupervisor), ProjectController.assignSupervisor);
@@ -21,10 +40,18 @@ router.post('/assign-supervisor', validate(schemas.assignSupervisor), ProjectCon
 // Position routes
 router.post('/positions', validate(schemas.createPosition), ProjectController.createPosition);
 router.get('/positions/list', ProjectController.getUserPositions);
+router.put('/positions/:positionId', validate(schemas.updatePosition), ProjectController.updatePosition);
+router.delete('/positions/:positionId', ProjectController.deletePosition);
+router.post('/positions/:positionId/restore', ProjectController.restorePosition);
 
 // Material request routes
 router.post('/materials/request', validate(schemas.createMaterialRequest), ProjectController.requestMaterial);
 router.post('/materials/approve', validate(schemas.approveMaterialRequest), ProjectController.approveMaterialRequest);
 router.get('/materials/requests', ProjectController.getMaterialRequests);
+router.get('/materials/requests/:materialRequestId/quotes', ProjectController.getMaterialQuotes);
+router.post('/materials/quotes/accept', validate(schemas.acceptMaterialQuote), ProjectController.acceptMaterialQuote);
+router.patch('/materials/requests/:materialRequestId/delivered', ProjectController.confirmMaterialDelivery);
+router.delete('/materials/requests/:materialRequestId', ProjectController.deleteMaterialRequest);
+router.post('/materials/requests/:materialRequestId/restore', ProjectController.restoreMaterialRequest);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const express = require('express');
+const SellerController = require('../controllers/sellerController');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticateToken, authenticateSeller, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.post('/login', validate(schemas.sellerLogin), SellerController.login);
+
+// Seller self-service routes (seller tokens only)
+router.get('/profile', authenticateSeller, SellerController.getProfile);
+router.put('/profile',
+  authenticateSeller,
+  validate(schemas.updateSellerProfile),
+  SellerController.updateProfile
+);
+router.put('/password',
+  authenticateSeller,
+  validate(schemas.changePassword),
+  SellerController.changePassword
+);
+
+// Marketplace routes (seller tokens only)
+router.get('/material-requests', authenticateSeller, SellerController.getOpenMaterialRequests);
+router.post('/material-requests/:materialRequestId/quotes',
+  authenticateSeller,
+  validate(schemas.submitMaterialQuote),
+  SellerController.submitQuote
+);
+router.get('/quotes', authenticateSeller, SellerController.getQuotes);
+router.patch('/orders/:materialRequestId/dispatch', authenticateSeller, SellerController.markOrderDispatched);
+
+// Admin routes
+router.patch('/:sellerId/deactivate',
+  authenticateToken,
+  authorizeRoles('admin'),
+  SellerController.deactivateSeller
+);
+
+module.exports = router;
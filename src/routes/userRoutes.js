@@ -8,6 +8,8 @@ const router = express.Router();
 // Public routes
 router.post('/register', validate(schemas.userRegistration), UserController.register);
 router.post('/login', validate(schemas.userLogin), UserController.login);
+router.post('/token/refresh', validate(schemas.refreshToken), UserController.refreshToken);
+router.post('/logout', validate(schemas.refreshToken), UserController.logout);
 
 // Protected routes
 router.post('/workers', 
@@ -22,8 +24,15 @@ router.post('/workers/card',
   UserController.createWorkerWithCard
 );
 
+router.put('/workers/:workerId/pin', 
+  authenticateToken, 
+  validate(schemas.setWorkerPin), 
+  UserController.setWorkerPin
+);
+
 router.post('/sellers', 
   authenticateToken, 
+  validate(schemas.createSeller), 
   UserController.createSeller
 );
 
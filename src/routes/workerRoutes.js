@@ -0,0 +1,59 @@
+const express = require('express');
+const WorkerController = require('../controllers/workerController');
+const LeaveController = require('../controllers/leaveController');
+const WorkerDocumentController = require('../controllers/workerDocumentController');
+const { validate, schemas } = require('../middleware/validation');
+const { authenticateToken, authenticateWorker } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.post('/login', validate(schemas.workerLogin), WorkerController.login);
+
+// Worker self-service routes (worker tokens only)
+router.get('/me/profile', authenticateWorker, WorkerController.getProfile);
+router.get('/me/attendance', authenticateWorker, WorkerController.getAttendance);
+router.get('/me/payments', authenticateWorker, WorkerController.getPayments);
+router.get('/me/leave', authenticateWorker, LeaveController.getOwnLeave);
+router.post('/me/leave',
+  authenticateWorker,
+  validate(schemas.workerLeaveRequest),
+  LeaveController.requestOwnLeave
+);
+router.put('/me/pin',
+  authenticateWorker,
+  validate(schemas.changeWorkerPin),
+  WorkerController.changePin
+);
+
+// Employer routes (user tokens); workers are created under /users/workers
+router.use(authenticateToken);
+
+router.get('/', WorkerController.getWorkers);
+router.post('/import', validate(schemas.workerImport), WorkerController.importWorkers);
+router.get('/duplicates', validate(schemas.duplicateWorkersQuery, 'query'), WorkerController.findDuplicates);
+router.get('/documents/expiring',
+  validate(schemas.expiringDocumentsQuery, 'query'),
+  WorkerDocumentController.getExpiringDocuments
+);
+router.get('/:workerId', WorkerController.getWorkerById);
+router.put('/:workerId', validate(schemas.updateWorker), WorkerController.updateWorker);
+router.patch('/:workerId/deactivate', WorkerController.deactivateWorker);
+router.patch('/:workerId/activate', WorkerController.activateWorker);
+router.get('/:workerId/projects', WorkerController.getAssignmentHistory);
+router.post('/:workerId/projects', validate(schemas.assignWorkerProject), WorkerController.assignToProject);
+router.delete('/:workerId/projects/:projectId', WorkerController.removeFromProject);
+router.get('/:workerId/merges', WorkerController.getMerges);
+router.post('/:workerId/merge', validate(schemas.mergeWorkers), WorkerController.mergeWorkers);
+
+// Worker documents and certifications
+router.get('/:workerId/documents', WorkerDocumentController.getDocuments);
+router.post('/:workerId/documents', validate(schemas.uploadWorkerDocument), WorkerDocumentController.uploadDocument);
+router.get('/:workerId/documents/:documentId/file', WorkerDocumentController.downloadDocument);
+router.patch('/:workerId/documents/:documentId/verify',
+  validate(schemas.verifyWorkerDocument),
+  WorkerDocumentController.verifyDocument
+);
+router.delete('/:workerId/documents/:documentId', WorkerDocumentController.deleteDocument);
+
+module.exports = router;
@@ -7,12 +7,17 @@ const rateLimit = require('express-rate-limit');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./utils/logger');
+const { requestContext } = require('./utils/requestContext');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const userRoutes = require('./routes/userRoutes');
 const companyRoutes = require('./routes/companyRoutes');
 const projectRoutes = require('./routes/projectRoutes');
 const attendanceRoutes = require('./routes/attendanceRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const sellerRoutes = require('./routes/sellerRoutes');
+const workerRoutes = require('./routes/workerRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 
 const app = express();
 
@@ -48,9 +53,13 @@ app.use(compression());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request ID and context (read by the audit log)
+app.use(requestContext);
+
 // Request logging
 app.use((req, res, next) => {
   logger.info('Incoming request', {
+    requestId: req.id,
     method: req.method,
     url: req.url,
     ip: req.ip,
@@ -76,6 +85,10 @@ app.use(`/api/${apiVersion}/companies`, companyRoutes);
 app.use(`/api/${apiVersion}/projects`, projectRoutes);
 app.use(`/api/${apiVersion}/attendance`, attendanceRoutes);
 app.use(`/api/${apiVersion}/payments`, paymentRoutes);
+app.use(`/api/${apiVersion}/sellers`, sellerRoutes);
+app.use(`/api/${apiVersion}/workers`, workerRoutes);
+app.use(`/api/${apiVersion}/admin`, adminRoutes);
+app.use(`/api/${apiVersion}/audit`, auditRoutes);
 
 // 404 handler
 app.use('*', notFoundHandler);
@@ -0,0 +1,64 @@
+/**
+ * Payout Providers
+ * Registry of disbursement providers and the provider used for each payout method
+ *
+ * A provider is an object with:
+ * - name: unique provider name, stored on each payout
+ * - send(payout): starts the transfer, resolving to { reference, status, failureReason }
+ *   where status is 'Sent', 'Confirmed' or 'Failed'
+ * - parseWebhook(req): verifies a status callback and returns { reference, status, failureReason };
+ *   throws 'Invalid webhook signature' when the callback cannot be trusted
+ */
+
+const simulatedProvider = require('./simulatedProvider');
+const manualProvider = require('./manualProvider');
+
+const PAYOUT_METHODS = ['mobile_money', 'bank_transfer', 'cash'];
+
+const providers = new Map();
+
+/**
+ * Register a payout provider
+ * @param {Object} provider - Provider implementing send and parseWebhook
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null}
+ */
+const getProvider = (name) => providers.get(name) || null;
+
+/**
+ * Get the provider configured for a payout method
+ * Mobile money and bank transfers default to the simulated provider until a real one is configured
+ * @param {string} method - Payout method
+ * @returns {Object}
+ */
+const getProviderForMethod = (method) => {
+  const providerNames = {
+    mobile_money: process.env.PAYOUT_MOBILE_MONEY_PROVIDER || 'simulated',
+    bank_transfer: process.env.PAYOUT_BANK_TRANSFER_PROVIDER || 'simulated',
+    cash: 'manual'
+  };
+
+  const provider = getProvider(providerNames[method]);
+  if (!provider) {
+    throw new Error(`No payout provider configured for ${method}`);
+  }
+
+  return provider;
+};
+
+registerProvider(simulatedProvider);
+registerProvider(manualProvider);
+
+module.exports = {
+  PAYOUT_METHODS,
+  registerProvider,
+  getProvider,
+  getProviderForMethod
+};
@@ -0,0 +1,20 @@
+/**
+ * Manual Payout Provider
+ * Cash handed out on site; the payout stays Sent until someone with
+ * payments:process confirms it through the API
+ */
+
+const send = async (payout) => ({
+  reference: `CASH-${payout.uuid || payout.id}`,
+  status: 'Sent'
+});
+
+const parseWebhook = () => {
+  throw new Error('Invalid webhook signature');
+};
+
+module.exports = {
+  name: 'manual',
+  send,
+  parseWebhook
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+/**
+ * Simulated Payout Provider
+ * Accepts every transfer locally so disbursements can be exercised offline
+ * Status callbacks are signed with HMAC-SHA256 of "reference:status" using PAYOUT_WEBHOOK_SECRET,
+ * which must be set wherever the provider is used; without it nothing is sent or accepted
+ */
+
+const WEBHOOK_STATUSES = ['Sent', 'Confirmed', 'Failed'];
+
+const MISSING_SECRET_MESSAGE = 'PAYOUT_WEBHOOK_SECRET is required by the simulated payout provider';
+
+const getWebhookSecret = () => process.env.PAYOUT_WEBHOOK_SECRET || null;
+
+/**
+ * Sign a simulated status callback
+ * @param {string} reference - Provider reference
+ * @param {string} status - Payout status
+ * @returns {string} Hex signature for the x-payout-signature header
+ */
+const sign = (reference, status) => {
+  const secret = getWebhookSecret();
+  if (!secret) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${reference}:${status}`)
+    .digest('hex');
+};
+
+// A transfer whose callbacks could not be verified is never started
+const send = async (payout) => {
+  if (!getWebhookSecret()) {
+    throw new Error(MISSING_SECRET_MESSAGE);
+  }
+
+  return {
+    reference: `SIM-${payout.uuid || crypto.randomUUID()}`,
+    status: 'Sent'
+  };
+};
+
+const parseWebhook = (req) => {
+  const { reference, status, failureReason } = req.body || {};
+  const signature = req.get('x-payout-signature') || '';
+
+  if (!reference || !WEBHOOK_STATUSES.includes(status)) {
+    throw new Error('Invalid webhook payload');
+  }
+
+  const expected = sign(reference, status);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  return { reference, status, failureReason };
+};
+
+module.exports = {
+  name: 'simulated',
+  send,
+  parseWebhook,
+  sign
+};
@@ -0,0 +1,103 @@
+/**
+ * Soft Delete Retention
+ * Permanently removes records that were soft-deleted longer ago than the retention window
+ *
+ * Children are purged before their parents, and rows that are still referenced are kept:
+ * processed payment requests are the financial record and are never purged, and neither
+ * are the projects and workers they point at. Workers with attendance, leave, shifts or
+ * stored documents are kept too, so their history and files are not lost.
+ */
+
+const db = require('../config/database');
+const Attendance = require('../models/Attendance');
+const Payment = require('../models/Payment');
+const MaterialRequest = require('../models/MaterialRequest');
+const Project = require('../models/Project');
+const Worker = require('../models/Worker');
+const Position = require('../models/Position');
+const Company = require('../models/Company');
+const logger = require('../utils/logger');
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Purge order with the guard each table needs
+const PURGE_STEPS = [
+  { name: 'attendance', model: new Attendance() },
+  { name: 'paymentRequests', model: new Payment(), guard: "status <> 'Processed'" },
+  { name: 'materialRequests', model: new MaterialRequest() },
+  {
+    name: 'projects',
+    model: new Project(),
+    guard: `NOT EXISTS (SELECT 1 FROM payment_requests pr
+                        WHERE pr.project_id = projects.id AND pr.status = 'Processed')`
+  },
+  {
+    name: 'workers',
+    model: Worker,
+    guard: `NOT EXISTS (SELECT 1 FROM payment_request_workers prw WHERE prw.worker_id = workers.id)
+            AND NOT EXISTS (SELECT 1 FROM payouts po WHERE po.worker_id = workers.id)
+            AND NOT EXISTS (SELECT 1 FROM attendance a WHERE a.worker_id = workers.id)
+            AND NOT EXISTS (SELECT 1 FROM leave_requests lr WHERE lr.worker_id = workers.id)
+            AND NOT EXISTS (SELECT 1 FROM shift_assignments sa WHERE sa.worker_id = workers.id)
+            AND NOT EXISTS (SELECT 1 FROM worker_documents d WHERE d.worker_id = workers.id)`
+  },
+  {
+    name: 'positions',
+    model: new Position(),
+    guard: 'NOT EXISTS (SELECT 1 FROM workers w WHERE w.position_id = positions.id)'
+  },
+  { name: 'companies', model: new Company() }
+];
+
+/**
+ * Minimum retention in days (SOFT_DELETE_RETENTION_DAYS, default 90)
+ * @returns {number}
+ */
+const getRetentionDays = () => {
+  const configured = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Purge records soft-deleted more than olderThanDays ago
+ * A shorter window than the configured retention is rejected so deletes stay restorable
+ * @param {Object} options
+ * @param {number} options.olderThanDays - Retention window; defaults to the configured minimum
+ * @param {number} options.adminUserId - Admin running the purge, for the audit log
+ * @returns {Object} - { cutoff, retentionDays, purged: { [table]: count } }
+ */
+const purgeDeletedRecords = async ({ olderThanDays, adminUserId } = {}) => {
+  const minimumDays = getRetentionDays();
+  const retentionDays = olderThanDays === undefined ? minimumDays : olderThanDays;
+
+  if (retentionDays < minimumDays) {
+    const error = new Error(`Retention window cannot be shorter than ${minimumDays} days`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const purged = await db.transaction(async (client) => {
+    const counts = {};
+    for (const step of PURGE_STEPS) {
+      counts[step.name] = await step.model.purgeDeleted(cutoff, client, step.guard);
+    }
+    return counts;
+  });
+
+  logger.business('soft_deleted_records_purged', {
+    adminUserId,
+    retentionDays,
+    cutoff: cutoff.toISOString(),
+    purged
+  });
+
+  return { cutoff, retentionDays, purged };
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  getRetentionDays,
+  purgeDeletedRecords
+};
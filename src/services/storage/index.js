@@ -0,0 +1,49 @@
+/**
+ * File Storage
+ * Registry of storage drivers for uploaded files such as worker documents
+ *
+ * A driver is an object with:
+ * - name: unique driver name, stored with each file so it is read back from the same driver
+ * - put(key, buffer): stores the content under key
+ * - get(key): resolves to the content as a Buffer; throws 'Stored file not found' when missing
+ * - remove(key): deletes the content; removing a missing key is not an error
+ */
+
+const localStorage = require('./localStorage');
+
+const drivers = new Map();
+
+/**
+ * Register a storage driver
+ * @param {Object} driver - Driver implementing put, get and remove
+ */
+const registerDriver = (driver) => {
+  drivers.set(driver.name, driver);
+};
+
+/**
+ * Get a registered driver by name
+ * @param {string} name - Driver name
+ * @returns {Object}
+ */
+const getDriver = (name) => {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`No storage driver named ${name}`);
+  }
+  return driver;
+};
+
+/**
+ * Get the driver new files are written to (DOCUMENT_STORAGE_DRIVER, default 'local')
+ * @returns {Object}
+ */
+const getDefaultDriver = () => getDriver(process.env.DOCUMENT_STORAGE_DRIVER || 'local');
+
+registerDriver(localStorage);
+
+module.exports = {
+  registerDriver,
+  getDriver,
+  getDefaultDriver
+};
@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local Disk Storage
+ * Keeps files under DOCUMENT_STORAGE_PATH (default "uploads" in the working directory)
+ * Keys are relative paths; a key resolving outside the root is refused
+ */
+
+const getRoot = () => path.resolve(process.env.DOCUMENT_STORAGE_PATH || 'uploads');
+
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+const put = async (key, content) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  // wx: a key is written once and never overwritten
+  await fs.writeFile(filePath, content, { flag: 'wx' });
+};
+
+const get = async (key) => {
+  try {
+    return await fs.readFile(resolveKey(key));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('Stored file not found');
+    }
+    throw error;
+  }
+};
+
+const remove = async (key) => {
+  await fs.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  get,
+  remove
+};
@@ -0,0 +1,113 @@
+/**
+ * Worker Import
+ * Creates an employer's workers from a CSV or XLSX file
+ *
+ * The first non-empty row names the columns; headers are matched loosely, so "Card ID",
+ * "card_id" and "cardId" are the same column and unknown columns are ignored. Every row is
+ * checked against the single-worker rules before anything is written, and the import is
+ * committed only when no row has an error.
+ */
+
+const Worker = require('../models/Worker');
+const { schemas } = require('../middleware/validation');
+const { readCsv, readXlsx } = require('../utils/spreadsheet');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Normalised header -> field of the workerImportRow schema
+const COLUMNS = {
+  cardid: 'cardId',
+  card: 'cardId',
+  name: 'name',
+  fullname: 'name',
+  phone: 'phone',
+  phonenumber: 'phone',
+  email: 'email',
+  position: 'position',
+  positionname: 'position',
+  positionid: 'positionId',
+  nationalid: 'nationalId',
+  address: 'address'
+};
+
+const REQUIRED_COLUMNS = ['cardId', 'name', 'phone', 'nationalId'];
+
+const readRows = (format, content) => (format === 'xlsx'
+  ? readXlsx(Buffer.from(content, 'base64'))
+  : readCsv(content));
+
+/**
+ * Validate an import file and, unless it is a dry run or any row fails, create its workers
+ * @param {Object} importData - { format: 'csv'|'xlsx', content, projectId, dryRun }
+ * @param {number} userId - Employer user ID
+ * @returns {Object} - { dryRun, rowCount, errors: [{ row, field, message }], workers }
+ */
+const importWorkers = async (importData, userId) => {
+  const { format, content, projectId = null, dryRun = false } = importData;
+
+  const [header, ...rows] = readRows(format, content)
+    .filter(({ values }) => values.some(value => value.trim() !== ''));
+
+  if (!header) {
+    throw new Error('Import file is empty');
+  }
+
+  const columns = header.values.map(value => COLUMNS[value.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+  const missing = REQUIRED_COLUMNS.filter(field => !columns.includes(field));
+  if (!columns.includes('position') && !columns.includes('positionId')) {
+    missing.push('position');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Import file is missing columns: ${missing.join(', ')}`);
+  }
+
+  if (rows.length === 0) {
+    throw new Error('Import file has no worker rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import file cannot have more than ${MAX_IMPORT_ROWS} worker rows`);
+  }
+
+  const errors = [];
+  const validRows = [];
+
+  rows.forEach(({ number, values }) => {
+    const record = {};
+    columns.forEach((field, index) => {
+      const value = (values[index] || '').trim();
+      if (field && value !== '' && record[field] === undefined) {
+        record[field] = value;
+      }
+    });
+
+    const { error, value } = schemas.workerImportRow.validate(record, { abortEarly: false });
+    if (error) {
+      error.details.forEach(detail => errors.push({
+        row: number,
+        field: detail.path.join('.') || null,
+        message: detail.message
+      }));
+    } else {
+      validRows.push({ row: number, worker: value });
+    }
+  });
+
+  // Rows that pass the rules are still checked against the database when others fail,
+  // so one report lists every problem in the file
+  const result = await Worker.importWorkers(
+    validRows,
+    { projectId, dryRun: dryRun || errors.length > 0 },
+    userId
+  );
+
+  return {
+    dryRun,
+    rowCount: rows.length,
+    errors: [...errors, ...result.errors].sort((a, b) => a.row - b.row),
+    workers: result.workers
+  };
+};
+
+module.exports = {
+  importWorkers
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -23,6 +24,10 @@ class AuthUtils {
     });
   }
 
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
   static verifyToken(token) {
     return jwt.verify(token, process.env.JWT_SECRET);
   }
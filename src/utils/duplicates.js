@@ -0,0 +1,167 @@
+/**
+ * Duplicate Worker Utilities
+ * Scores how likely two worker records are the same person
+ *
+ * A shared national ID is near-certain, a shared phone is a strong hint and a similar
+ * name supports either; a name alone never reaches the default threshold, as common
+ * names repeat on large sites
+ */
+
+const WEIGHTS = {
+  nationalId: 0.6,
+  phone: 0.25,
+  name: 0.4
+};
+
+// Name similarity below this adds nothing to the score
+const MIN_NAME_SIMILARITY = 0.7;
+
+// Phone numbers are compared on their last digits so +250 788... and 0788... match
+const PHONE_DIGITS = 9;
+
+const DEFAULT_MIN_SCORE = 0.5;
+
+const normalizeId = value => (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const normalizePhone = value => (value || '').replace(/\D/g, '').slice(-PHONE_DIGITS);
+
+// Lowercase words without accents, in alphabetical order so "Uwase Marie" matches "Marie Uwase"
+const nameTokens = value => (value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z]+/)
+  .filter(Boolean)
+  .sort();
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two names from 0 (unrelated) to 1 (same words)
+ * @param {string} a - Full name
+ * @param {string} b - Full name
+ * @returns {number}
+ */
+const nameSimilarity = (a, b) => {
+  const left = nameTokens(a).join(' ');
+  const right = nameTokens(b).join(' ');
+  if (!left || !right) {
+    return 0;
+  }
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+/**
+ * Score a pair of worker records
+ * @param {Object} a - Worker row (fullname, phone, national_id)
+ * @param {Object} b - Worker row
+ * @returns {Object} - { score, reasons, nameSimilarity }
+ */
+const scorePair = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  const nationalId = normalizeId(a.national_id);
+  if (nationalId && nationalId === normalizeId(b.national_id)) {
+    score += WEIGHTS.nationalId;
+    reasons.push('nationalId');
+  }
+
+  const phone = normalizePhone(a.phone);
+  if (phone.length === PHONE_DIGITS && phone === normalizePhone(b.phone)) {
+    score += WEIGHTS.phone;
+    reasons.push('phone');
+  }
+
+  const similarity = nameSimilarity(a.fullname, b.fullname);
+  if (similarity >= MIN_NAME_SIMILARITY) {
+    score += WEIGHTS.name * similarity;
+    reasons.push('name');
+  }
+
+  return {
+    score: Math.round(Math.min(score, 1) * 100) / 100,
+    reasons,
+    nameSimilarity: Math.round(similarity * 100) / 100
+  };
+};
+
+// Keys two records must share to be compared at all, so large sites avoid comparing every pair
+const blockingKeys = (worker) => {
+  const keys = nameTokens(worker.fullname)
+    .filter(token => token.length >= 2)
+    .map(token => `name:${token.slice(0, 2)}`);
+
+  const nationalId = normalizeId(worker.national_id);
+  if (nationalId) {
+    keys.push(`id:${nationalId}`);
+  }
+  const phone = normalizePhone(worker.phone);
+  if (phone.length === PHONE_DIGITS) {
+    keys.push(`phone:${phone}`);
+  }
+
+  return keys;
+};
+
+/**
+ * Likely duplicate pairs among one employer's workers
+ * @param {Array} workers - Worker rows (id, fullname, phone, national_id)
+ * @param {number} minScore - Lowest score reported
+ * @returns {Array} - [{ workers: [a, b], score, reasons, nameSimilarity }], best first
+ */
+const findDuplicatePairs = (workers, minScore = DEFAULT_MIN_SCORE) => {
+  const blocks = new Map();
+  workers.forEach(worker => {
+    new Set(blockingKeys(worker)).forEach(key => {
+      if (!blocks.has(key)) {
+        blocks.set(key, []);
+      }
+      blocks.get(key).push(worker);
+    });
+  });
+
+  const compared = new Set();
+  const pairs = [];
+
+  blocks.forEach(members => {
+    for (let i = 0; i < members.length; i += 1) {
+      for (let j = i + 1; j < members.length; j += 1) {
+        const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+        const pairKey = `${a.id}:${b.id}`;
+        if (compared.has(pairKey)) {
+          continue;
+        }
+        compared.add(pairKey);
+
+        const match = scorePair(a, b);
+        if (match.score >= minScore) {
+          pairs.push({ workers: [a, b], ...match });
+        }
+      }
+    }
+  });
+
+  return pairs.sort((x, y) => y.score - x.score || x.workers[0].id - y.workers[0].id);
+};
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  nameSimilarity,
+  scorePair,
+  findDuplicatePairs
+};
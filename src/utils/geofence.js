@@ -0,0 +1,112 @@
+/**
+ * Geofence Utilities
+ * Checks a reported location against a project geofence
+ *
+ * A geofence is either a circle { type: 'circle', latitude, longitude, radiusMeters }
+ * or a polygon { type: 'polygon', points: [{ latitude, longitude }, ...] }
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Fixes less precise than this cannot prove the worker was on site
+const MAX_ACCURACY_METERS = 100;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Distance in meters
+ */
+const distanceBetween = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Project points to meters on a plane centred on origin; accurate at site scale
+const projectFrom = origin => point => ({
+  x: toRadians(point.longitude - origin.longitude) * EARTH_RADIUS_METERS * Math.cos(toRadians(origin.latitude)),
+  y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_METERS
+});
+
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Ray casting; the point is the origin of the projected plane
+const containsOrigin = (vertices) => {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < ((b.x - a.x) * (0 - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * How far a point lies outside a geofence
+ * @param {Object} geofence - Circle or polygon geofence
+ * @param {Object} point - { latitude, longitude }
+ * @returns {number} - Meters outside the fence (0 when inside)
+ */
+const distanceOutside = (geofence, point) => {
+  if (geofence.type === 'circle') {
+    return Math.max(0, distanceBetween(geofence, point) - geofence.radiusMeters);
+  }
+
+  const vertices = geofence.points.map(projectFrom(point));
+  if (containsOrigin(vertices)) {
+    return 0;
+  }
+
+  const origin = { x: 0, y: 0 };
+  return Math.min(...vertices.map((vertex, index) =>
+    distanceToSegment(origin, vertex, vertices[(index + 1) % vertices.length])
+  ));
+};
+
+/**
+ * Check a reported location against a project's geofence
+ * @param {Object|null} geofence - Project geofence; null when the project has none
+ * @param {Object} location - { latitude, longitude, accuracy } with accuracy in meters
+ * @returns {Object} - { distance, flagReason }; flagReason is null when the location is accepted
+ */
+const checkLocation = (geofence, location) => {
+  if (!geofence) {
+    return { distance: null, flagReason: null };
+  }
+
+  const distance = Math.round(distanceOutside(geofence, location) * 100) / 100;
+
+  if (distance > 0) {
+    return { distance, flagReason: `Location is ${Math.round(distance)}m outside the project geofence` };
+  }
+
+  if (location.accuracy > MAX_ACCURACY_METERS) {
+    return { distance, flagReason: `Location accuracy of ${Math.round(location.accuracy)}m is too low to confirm` };
+  }
+
+  return { distance, flagReason: null };
+};
+
+module.exports = {
+  MAX_ACCURACY_METERS,
+  distanceBetween,
+  distanceOutside,
+  checkLocation
+};
@@ -0,0 +1,141 @@
+/**
+ * Hours Utilities
+ * Splits worked time into pay categories and prices it
+ *
+ * Categories: regular, overtime (past the position's hours per day), night
+ * (22:00-06:00, within the standard day) and weekend (every hour on a rest day
+ * or holiday of the company calendar)
+ */
+
+const { minutesOfDay } = require('./timezone');
+
+const MINUTES_PER_DAY = 24 * 60;
+const NIGHT_START = 22 * 60;
+const NIGHT_END = 6 * 60;
+
+// Multipliers used when a worker has no position
+const DEFAULT_PAY_SETTINGS = {
+  hoursPerDay: 8,
+  overtime: 1.5,
+  night: 1.25,
+  weekend: 2
+};
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Minutes between start and end (minutes from midnight, end may pass midnight) inside night windows
+const minutesAtNight = (start, end) => [-MINUTES_PER_DAY, 0, MINUTES_PER_DAY]
+  .reduce((total, dayOffset) => {
+    const windowStart = dayOffset + NIGHT_START;
+    const windowEnd = dayOffset + MINUTES_PER_DAY + NIGHT_END;
+    return total + Math.max(0, Math.min(end, windowEnd) - Math.max(start, windowStart));
+  }, 0);
+
+/**
+ * Split one day's worked minutes into pay categories
+ * @param {number} dayMinutes - Worked minutes outside the night window
+ * @param {number} nightMinutes - Worked minutes inside the night window
+ * @param {Object} options - { restDay, hoursPerDay }
+ * @returns {Object} - { regular, overtime, night, weekend } in hours
+ */
+const categorizeMinutes = (dayMinutes, nightMinutes, { restDay = false, hoursPerDay = DEFAULT_PAY_SETTINGS.hoursPerDay } = {}) => {
+  const worked = dayMinutes + nightMinutes;
+  if (restDay) {
+    return { regular: 0, overtime: 0, night: 0, weekend: round2(worked / 60) };
+  }
+
+  // Night hours fill the standard day first; anything past it is overtime
+  const standard = hoursPerDay * 60;
+  const night = Math.min(nightMinutes, standard);
+  const regular = Math.min(dayMinutes, standard - night);
+
+  return {
+    regular: round2(regular / 60),
+    overtime: round2((worked - night - regular) / 60),
+    night: round2(night / 60),
+    weekend: 0
+  };
+};
+
+/**
+ * Hours worked between a check-in and check-out, less an unpaid break
+ * A check-out before the check-in is taken as the next day; one equal to it is no time worked
+ * @param {Object} day - { checkIn, checkOut, breakMinutes, restDay }
+ * @param {number} hoursPerDay - Standard hours before overtime
+ * @returns {Object} - { regular, overtime, night, weekend } in hours
+ */
+const splitWorkedHours = ({ checkIn, checkOut, breakMinutes = 0, restDay = false }, hoursPerDay) => {
+  const start = minutesOfDay(checkIn);
+  let end = minutesOfDay(checkOut);
+  if (end < start) {
+    end += MINUTES_PER_DAY;
+  }
+
+  // The break comes out of daytime first
+  const night = minutesAtNight(start, end);
+  const day = end - start - night;
+  const breakFromDay = Math.min(breakMinutes, day);
+  const breakFromNight = Math.min(breakMinutes - breakFromDay, night);
+
+  return categorizeMinutes(day - breakFromDay, night - breakFromNight, { restDay, hoursPerDay });
+};
+
+/**
+ * Sum hour breakdowns
+ * @param {Object[]} breakdowns - { regular, overtime, night, weekend } objects
+ * @returns {Object}
+ */
+const sumHours = breakdowns => breakdowns.reduce((total, hours) => ({
+  regular: round2(total.regular + hours.regular),
+  overtime: round2(total.overtime + hours.overtime),
+  night: round2(total.night + hours.night),
+  weekend: round2(total.weekend + hours.weekend)
+}), { regular: 0, overtime: 0, night: 0, weekend: 0 });
+
+/**
+ * Pay for an hours breakdown
+ * @param {Object} hours - { regular, overtime, night, weekend }
+ * @param {number} hourlyRate - Pay for one regular hour
+ * @param {Object} multipliers - { overtime, night, weekend }
+ * @returns {number}
+ */
+const hoursPay = (hours, hourlyRate, multipliers) => round2(hourlyRate * (
+  hours.regular +
+  hours.overtime * multipliers.overtime +
+  hours.night * multipliers.night +
+  hours.weekend * multipliers.weekend
+));
+
+/**
+ * Pay settings from a row carrying position columns, with defaults for missing ones
+ * @param {Object} row - { hours_per_day, overtime_multiplier, night_multiplier, weekend_multiplier }
+ * @returns {Object} - { hoursPerDay, overtime, night, weekend }
+ */
+const paySettings = row => ({
+  hoursPerDay: row.hours_per_day == null ? DEFAULT_PAY_SETTINGS.hoursPerDay : parseFloat(row.hours_per_day),
+  overtime: row.overtime_multiplier == null ? DEFAULT_PAY_SETTINGS.overtime : parseFloat(row.overtime_multiplier),
+  night: row.night_multiplier == null ? DEFAULT_PAY_SETTINGS.night : parseFloat(row.night_multiplier),
+  weekend: row.weekend_multiplier == null ? DEFAULT_PAY_SETTINGS.weekend : parseFloat(row.weekend_multiplier)
+});
+
+/**
+ * Hours breakdown stored on a payment line row
+ * @param {Object} row - { regular_hours, overtime_hours, night_hours, weekend_hours }
+ * @returns {Object|null} - { regular, overtime, night, weekend }, or null for a day-based line
+ */
+const lineHours = row => (row.regular_hours == null ? null : {
+  regular: parseFloat(row.regular_hours),
+  overtime: parseFloat(row.overtime_hours),
+  night: parseFloat(row.night_hours),
+  weekend: parseFloat(row.weekend_hours)
+});
+
+module.exports = {
+  DEFAULT_PAY_SETTINGS,
+  categorizeMinutes,
+  splitWorkedHours,
+  sumHours,
+  hoursPay,
+  paySettings,
+  lineHours
+};
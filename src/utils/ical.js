@@ -0,0 +1,107 @@
+/**
+ * iCal Utilities
+ * Reads holidays from an iCalendar (.ics) file
+ *
+ * Each VEVENT becomes one holiday per day it covers (DTEND is exclusive, as in RFC 5545).
+ * An event repeating yearly without COUNT or UNTIL becomes a recurring holiday; any
+ * other repeat rule imports the first occurrence only
+ */
+
+const { eachDate } = require('./roster');
+
+// Longest event expanded into holidays, so a bad DTEND cannot flood the calendar
+const MAX_EVENT_DAYS = 31;
+
+// Most events read from one file; a year of public holidays is a few dozen
+const MAX_EVENTS = 500;
+
+// Lines starting with a space or tab continue the line before them
+const unfoldLines = text => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+const unescapeText = value => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([\\;,])/g, '$1')
+  .trim();
+
+// 'YYYYMMDD' or 'YYYYMMDDTHHMMSS[Z]' to 'YYYY-MM-DD'; null when malformed
+const parseDate = value => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return new Date(`${date}T00:00:00Z`).toISOString().startsWith(date) ? date : null;
+};
+
+const addDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Holidays described by an iCalendar file
+ * @param {string} text - Contents of the .ics file
+ * @returns {Object} - { holidays: [{ name, date, recurring, uid }], skipped } where
+ *                     skipped counts events without a usable start date
+ */
+const parseHolidays = (text) => {
+  const holidays = [];
+  let skipped = 0;
+  let events = 0;
+  let event = null;
+
+  for (const line of unfoldLines(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      events += 1;
+      if (events > MAX_EVENTS) {
+        throw new Error(`Invalid iCal file: more than ${MAX_EVENTS} events`);
+      }
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT' && event) {
+      const start = parseDate(event.DTSTART);
+      if (!start) {
+        skipped += 1;
+        event = null;
+        continue;
+      }
+
+      // Clamped before expanding, so an end date centuries away is never walked
+      const end = parseDate(event.DTEND);
+      const longest = addDays(start, MAX_EVENT_DAYS - 1);
+      const last = end && end > start ? [addDays(end, -1), longest].sort()[0] : start;
+      const rule = event.RRULE || '';
+      const recurring = /(^|;)FREQ=YEARLY(;|$)/.test(rule) && !/(^|;)(COUNT|UNTIL)=/.test(rule);
+
+      eachDate(start, last).forEach(date => holidays.push({
+        name: unescapeText(event.SUMMARY || 'Holiday').slice(0, 255) || 'Holiday',
+        date,
+        recurring,
+        uid: event.UID ? event.UID.slice(0, 255) : null
+      }));
+
+      event = null;
+      continue;
+    }
+
+    if (event) {
+      // NAME;PARAM=...:VALUE - parameters such as VALUE=DATE or TZID are not needed
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        if (!(name in event)) {
+          event[name] = line.slice(separator + 1).trim();
+        }
+      }
+    }
+  }
+
+  return { holidays, skipped };
+};
+
+module.exports = {
+  parseHolidays
+};
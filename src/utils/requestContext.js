@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request Context
+ * Carries the current request through async calls so models can tell who made a change
+ * without every method taking the request as a parameter
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Accept a caller's request ID only if it is short and plain
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Middleware that assigns a request ID (or keeps a valid X-Request-Id) and
+ * runs the rest of the request inside its context
+ */
+const requestContext = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  storage.run({ req }, next);
+};
+
+/**
+ * Describe who is acting in the current context
+ * Outside a request (CLI scripts, background work) the actor is the system
+ * @returns {Object} - { actorType, actorId, ip, requestId }
+ */
+const getActor = () => {
+  const store = storage.getStore();
+  if (!store) {
+    return { actorType: 'system', actorId: null, ip: null, requestId: null };
+  }
+
+  const { req } = store;
+  const user = req.user;
+  let actorType = 'anonymous';
+  if (user) {
+    actorType = ['seller', 'worker'].includes(user.role) ? user.role : 'user';
+  }
+
+  return {
+    actorType,
+    actorId: user ? user.id : null,
+    ip: req.ip || null,
+    requestId: req.id
+  };
+};
+
+module.exports = {
+  requestContext,
+  getActor
+};
@@ -0,0 +1,171 @@
+/**
+ * Roster Utilities
+ * Expands shift assignments into scheduled days and compares them with attendance
+ *
+ * Shifts carry start_time/end_time ('HH:MM:SS') and days_of_week as ISO weekdays
+ * (1 = Monday ... 7 = Sunday); a shift that ends at or before its start runs past midnight
+ */
+
+const { minutesOfDay } = require('./timezone');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * ISO weekday of a calendar date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number} - 1 (Monday) to 7 (Sunday)
+ */
+const isoWeekday = (date) => {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+};
+
+/**
+ * Every calendar date from one date to another, inclusive
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {string[]}
+ */
+const eachDate = (from, to) => {
+  const dates = [];
+  const end = new Date(`${to}T00:00:00Z`);
+  for (const day = new Date(`${from}T00:00:00Z`); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    dates.push(day.toISOString().slice(0, 10));
+  }
+  return dates;
+};
+
+// Start and end in minutes from the start of the shift's day
+const shiftSpan = (shift) => {
+  const start = minutesOfDay(shift.start_time);
+  const end = minutesOfDay(shift.end_time);
+  return { start, end: end <= start ? end + MINUTES_PER_DAY : end };
+};
+
+/**
+ * Whether two shifts overlap in time on any date between from and to
+ * @param {Object} first - Shift with start_time, end_time, days_of_week
+ * @param {Object} second - Shift with start_time, end_time, days_of_week
+ * @param {string} from - First date both shifts are assigned
+ * @param {string} to - Last date both shifts are assigned
+ * @returns {boolean}
+ */
+const shiftsOverlap = (first, second, from, to) => {
+  // Only weekdays that occur in the shared date range can clash
+  const weekdays = new Set(eachDate(from, to).slice(0, 7).map(isoWeekday));
+
+  const weekIntervals = (shift) => {
+    const { start, end } = shiftSpan(shift);
+    return shift.days_of_week
+      .filter(day => weekdays.has(Number(day)))
+      .map(day => [(day - 1) * MINUTES_PER_DAY + start, (day - 1) * MINUTES_PER_DAY + end]);
+  };
+
+  const secondIntervals = weekIntervals(second);
+  return weekIntervals(first).some(([firstStart, firstEnd]) =>
+    secondIntervals.some(([secondStart, secondEnd]) =>
+      // A Sunday night shift runs into Monday of the next week
+      [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some(offset =>
+        firstStart < secondEnd + offset && secondStart + offset < firstEnd
+      )
+    )
+  );
+};
+
+/**
+ * Scheduled shift days for assignments, limited to a date range
+ * @param {Object[]} assignments - Rows with worker_id, start_date, end_date and shift fields
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {Object[]} - { date, workerId, workerName, shiftId, shiftName, startTime, endTime, breakMinutes }
+ */
+const expandRoster = (assignments, from, to) => {
+  const days = [];
+
+  assignments.forEach(assignment => {
+    const first = assignment.start_date > from ? assignment.start_date : from;
+    const last = assignment.end_date < to ? assignment.end_date : to;
+    if (first > last) {
+      return;
+    }
+
+    const weekdays = assignment.days_of_week.map(Number);
+    eachDate(first, last)
+      .filter(date => weekdays.includes(isoWeekday(date)))
+      .forEach(date => days.push({
+        date,
+        workerId: assignment.worker_id,
+        workerName: assignment.worker_name,
+        shiftId: assignment.shift_id,
+        shiftName: assignment.shift_name,
+        startTime: assignment.start_time,
+        endTime: assignment.end_time,
+        breakMinutes: assignment.break_minutes
+      }));
+  });
+
+  return days.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+};
+
+/**
+ * Compare attendance with scheduled days
+ * Outcomes: 'on_time', 'late', 'no_show' (scheduled, absent or unmarked),
+ * 'on_leave' (scheduled, on approved leave) and 'unscheduled' (worked without a shift)
+ * @param {Object[]} rosterDays - Output of expandRoster
+ * @param {Object[]} attendance - Rows with worker_id, date ('YYYY-MM-DD'), check_in, status
+ * @param {number} graceMinutes - Minutes after the shift start that still count as on time
+ * @returns {Object[]}
+ */
+const compareRoster = (rosterDays, attendance, graceMinutes = 0) => {
+  const key = (workerId, date) => `${workerId}|${date}`;
+  const attendanceByDay = new Map(attendance.map(record => [key(record.worker_id, record.date), record]));
+  const scheduled = new Set();
+
+  const entries = rosterDays.map(day => {
+    const dayKey = key(day.workerId, day.date);
+    const record = attendanceByDay.get(dayKey);
+    scheduled.add(dayKey);
+
+    if (!record || record.status === 'Absent') {
+      return { ...day, attendanceId: record ? record.id : null, outcome: 'no_show', minutesLate: null };
+    }
+    if (record.status === 'On Leave') {
+      return { ...day, attendanceId: record.id, outcome: 'on_leave', minutesLate: null };
+    }
+
+    const minutesLate = record.check_in
+      ? Math.max(0, Math.round(minutesOfDay(record.check_in) - minutesOfDay(day.startTime)))
+      : null;
+
+    return {
+      ...day,
+      attendanceId: record.id,
+      outcome: minutesLate > graceMinutes ? 'late' : 'on_time',
+      minutesLate
+    };
+  });
+
+  attendance
+    .filter(record => !['Absent', 'On Leave'].includes(record.status) && !scheduled.has(key(record.worker_id, record.date)))
+    .forEach(record => entries.push({
+      date: record.date,
+      workerId: record.worker_id,
+      workerName: record.worker_name,
+      shiftId: null,
+      shiftName: null,
+      attendanceId: record.id,
+      outcome: 'unscheduled',
+      minutesLate: null
+    }));
+
+  return entries;
+};
+
+module.exports = {
+  isoWeekday,
+  eachDate,
+  shiftsOverlap,
+  expandRoster,
+  compareRoster
+};
@@ -0,0 +1,263 @@
+/**
+ * Spreadsheet Utilities
+ * Reads the rows of a CSV file or of the first worksheet of an XLSX workbook
+ *
+ * Both readers return [{ number, values }] where number is the row number a user sees
+ * in their spreadsheet (1 is the header) and values are the cell texts of that row.
+ * XLSX files are zip archives of XML parts; only the parts holding cell text are read
+ */
+
+const zlib = require('zlib');
+
+// Largest XML part inflated from an XLSX archive, so a zip bomb cannot exhaust memory
+const MAX_PART_BYTES = 20 * 1024 * 1024;
+
+// Cells beyond this column are ignored
+const MAX_COLUMNS = 100;
+
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Rows of a CSV file (RFC 4180 quoting; comma or semicolon separated)
+ * @param {string} text - File contents
+ * @returns {Array} - [{ number, values }]
+ */
+const readCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+
+  // Spreadsheets in many locales export with semicolons; the header line tells which
+  const headerLine = input.slice(0, input.search(/\r|\n|$/));
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let started = false;
+
+  const endRow = () => {
+    values.push(field);
+    rows.push({ number: rows.length + 1, values });
+    values = [];
+    field = '';
+    started = false;
+  };
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+      started = true;
+    } else if (char === delimiter) {
+      values.push(field);
+      field = '';
+      started = true;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+      started = true;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV file: a quoted field is not closed');
+  }
+  if (started || field !== '' || values.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Entries of a zip archive by name, read from its central directory
+const readZipEntries = (buffer) => {
+  // The end record is the last 22 bytes, followed by a comment of up to 64 KiB
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset -= 1) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_SIGNATURE) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('not a zip archive');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let index = 0; index < count; index += 1) {
+    if (buffer.readUInt32LE(offset) !== ZIP_ENTRY_SIGNATURE) {
+      throw new Error('corrupt zip directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+};
+
+const readZipText = (buffer, entries, name) => {
+  const entry = entries.get(name);
+  if (!entry) {
+    return null;
+  }
+
+  const { localOffset } = entry;
+  if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) {
+    throw new Error(`corrupt zip entry ${name}`);
+  }
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data.toString('utf8');
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES }).toString('utf8');
+  }
+  throw new Error(`unsupported compression in ${name}`);
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = text => text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' || entity[1] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[entity.toLowerCase()];
+});
+
+// Text of every <t> element, which holds plain and rich-text runs alike
+const textRuns = xml => [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+  .map(match => decodeXml(match[1]))
+  .join('');
+
+const attribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+  return match ? match[1] : null;
+};
+
+// 'C' -> 2, 'AA' -> 26
+const columnIndex = letters => [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Path of the workbook's first worksheet
+const firstSheetPath = (buffer, entries) => {
+  const workbook = readZipText(buffer, entries, 'xl/workbook.xml');
+  const rels = readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels');
+  const sheet = workbook && /<sheet\b([^>]*)>/.exec(workbook);
+  const relationId = sheet && attribute(sheet[1], 'r:id');
+
+  if (relationId && rels) {
+    for (const match of rels.matchAll(/<Relationship\b([^>]*)>/g)) {
+      if (attribute(match[1], 'Id') === relationId) {
+        const target = attribute(match[1], 'Target');
+        return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      }
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+};
+
+const cellText = (type, body, sharedStrings) => {
+  if (type === 'inlineStr') {
+    return textRuns(body);
+  }
+
+  const valueMatch = /<v>([\s\S]*?)<\/v>/.exec(body);
+  if (!valueMatch) {
+    return '';
+  }
+  const value = decodeXml(valueMatch[1]);
+
+  switch (type) {
+    case 's':
+      return sharedStrings[parseInt(value, 10)] || '';
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    case 'str':
+    case 'e':
+      return value;
+    default:
+      // Long numbers such as phone numbers may be stored in exponent form
+      return /e/i.test(value) && Number.isFinite(Number(value)) ? String(Number(value)) : value;
+  }
+};
+
+/**
+ * Rows of the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} - [{ number, values }]
+ */
+const readXlsx = (buffer) => {
+  try {
+    const entries = readZipEntries(buffer);
+    const sheet = readZipText(buffer, entries, firstSheetPath(buffer, entries));
+    if (!sheet) {
+      throw new Error('workbook has no worksheet');
+    }
+
+    const sharedXml = readZipText(buffer, entries, 'xl/sharedStrings.xml') || '';
+    const sharedStrings = [...sharedXml.matchAll(/<si(?:\s[^>]*)?>([\s\S]*?)<\/si>/g)].map(match => textRuns(match[1]));
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const number = parseInt(attribute(rowMatch[1], 'r'), 10) || (rows.length > 0 ? rows[rows.length - 1].number + 1 : 1);
+      const values = [];
+
+      for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const reference = attribute(cellMatch[1], 'r');
+        const index = reference ? columnIndex(reference.replace(/\d+$/, '')) : values.length;
+        if (index < MAX_COLUMNS) {
+          while (values.length < index) {
+            values.push('');
+          }
+          values[index] = cellText(attribute(cellMatch[1], 't'), cellMatch[2] || '', sharedStrings);
+        }
+      }
+
+      rows.push({ number, values });
+    }
+
+    return rows;
+  } catch (error) {
+    throw new Error(`Invalid XLSX file: ${error.message}`);
+  }
+};
+
+module.exports = {
+  readCsv,
+  readXlsx
+};
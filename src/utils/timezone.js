@@ -0,0 +1,61 @@
+/**
+ * Time Zone Utilities
+ * Resolves instants to a project's local calendar date and wall-clock time
+ */
+
+/**
+ * Check that a name is an IANA time zone this runtime understands
+ * @param {string} timeZone - e.g. 'Africa/Kigali'
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Local date and time of an instant in a time zone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA time zone (default 'UTC')
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM:SS' }
+ */
+const localDateTime = (instant, timeZone = 'UTC') => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+};
+
+/**
+ * Minutes since midnight for a 'HH:MM' or 'HH:MM:SS' time
+ * @param {string} time
+ * @returns {number}
+ */
+const minutesOfDay = (time) => {
+  const [hours, minutes, seconds = '0'] = time.split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10) + parseInt(seconds, 10) / 60;
+};
+
+module.exports = {
+  isValidTimeZone,
+  localDateTime,
+  minutesOfDay
+};
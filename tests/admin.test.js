@@ -0,0 +1,70 @@
+const request = require('supertest');
+
+// Mock the database for tests
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Admin', () => {
+  const jwt = require('jsonwebtoken');
+  const secret = process.env.JWT_SECRET || 'test_jwt_secret_key';
+  const adminToken = jwt.sign({ id: 1, email: 'admin@example.com', role: 'admin' }, secret);
+  const userToken = jwt.sign({ id: 2, email: 'user@example.com', role: 'user' }, secret);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    db.transaction.mockReset();
+  });
+
+  describe('POST /api/v1/admin/purge', () => {
+    it('should purge children before parents and report counts', async () => {
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 2 }) };
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/admin/purge')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ olderThanDays: 120 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.retentionDays).toBe(120);
+      expect(response.body.data.purged.projects).toBe(2);
+
+      const tables = mockClient.query.mock.calls.map(call => call[0].match(/DELETE FROM (\w+)/)[1]);
+      expect(tables).toEqual([
+        'attendance', 'payment_requests', 'material_requests',
+        'projects', 'workers', 'positions', 'companies'
+      ]);
+      expect(mockClient.query.mock.calls[1][0]).toContain("status <> 'Processed'");
+      ['payment_request_workers', 'payouts', 'attendance', 'leave_requests', 'shift_assignments', 'worker_documents']
+        .forEach(table => expect(mockClient.query.mock.calls[4][0]).toContain(`NOT EXISTS (SELECT 1 FROM ${table} `));
+    });
+
+    it('should reject a window shorter than the configured retention', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/purge')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ olderThanDays: 7 })
+        .expect(400);
+
+      expect(response.body.message).toBe('Retention window cannot be shorter than 90 days');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should be limited to admins', async () => {
+      await request(app)
+        .post('/api/v1/admin/purge')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(403);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const request = require('supertest');
+
+// Mock the database for tests
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Audit Trail', () => {
+  const jwt = require('jsonwebtoken');
+  const secret = process.env.JWT_SECRET || 'test_jwt_secret_key';
+  const ownerToken = jwt.sign({ id: 1, email: 'owner@example.com', role: 'user' }, secret);
+  const adminToken = jwt.sign({ id: 9, email: 'admin@example.com', role: 'admin' }, secret);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    db.transaction.mockReset();
+  });
+
+  describe('Recording changes', () => {
+    it('should write the change and its audit entry in one statement', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // User exists
+        .mockResolvedValueOnce({ rows: [] }) // No existing position
+        .mockResolvedValueOnce({ rows: [{ id: 5, name: 'Welder', default_daily_rate: 120 }] }); // Create position
+
+      const response = await request(app)
+        .post('/api/v1/projects/positions')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Request-Id', 'req-123')
+        .send({ name: 'Welder', defaultDailyRate: 120 })
+        .expect(201);
+
+      expect(response.headers['x-request-id']).toBe('req-123');
+
+      const [sql, params] = db.query.mock.calls[2];
+      expect(sql).toContain('WITH changed AS (');
+      expect(sql).toContain('INSERT INTO audit_log');
+      expect(params.slice(-6)).toEqual(['user', 1, 'create', 'positions', expect.any(String), 'req-123']);
+    });
+
+    it('should audit each pay line of a payment request', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{}] }) // Lock worker 3
+          .mockResolvedValueOnce({ rows: [] }) // Period not covered
+          .mockResolvedValueOnce({ rows: [{ id: 8, request_id: 'PAY-2024-010', total_amount: 1500 }] }) // Create request
+          .mockResolvedValueOnce({ rows: [{ id: 21 }] }) // Create line
+      };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // User exists
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [] }) // No existing request
+        .mockResolvedValueOnce({ rows: [{ id: 3, user_id: 1 }] }); // Worker
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      await request(app)
+        .post('/api/v1/payments/request')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          requestId: 'PAY-2024-010', projectId: 2, requestDate: '2024-01-31',
+          periodStart: '2024-01-01', periodEnd: '2024-01-31',
+          workers: [{ workerId: 3, daysWorked: 10, allowancePerDay: 150 }]
+        })
+        .expect(201);
+
+      const [sql, params] = mockClient.query.mock.calls[3];
+      expect(sql).toContain('WITH changed AS (');
+      expect(sql).toContain('INSERT INTO payment_request_workers');
+      expect(params.slice(0, 5)).toEqual([8, 3, 10, 150, 1500]);
+      expect(params.slice(-6, -2)).toEqual(['user', 1, 'create', 'payment_request_workers']);
+    });
+
+    it('should audit supervisor assignments', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ id: 3, user_id: 1, email: null }] }) // Worker
+        .mockResolvedValueOnce({ rows: [] }) // Not yet assigned
+        .mockResolvedValueOnce({ rows: [{ id: 6, project_id: 2, supervisor_id: 3 }] }); // Assign
+
+      await request(app)
+        .post('/api/v1/projects/assign-supervisor')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ projectId: 2, supervisorId: 3 })
+        .expect(201);
+
+      const [sql, params] = db.query.mock.calls[3];
+      expect(sql).toContain('WITH changed AS (');
+      expect(sql).toContain('INSERT INTO project_supervisors');
+      expect(params.slice(-6, -2)).toEqual(['user', 1, 'assign', 'project_supervisors']);
+    });
+
+    it('should audit positions created with a project and their project rates', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // User exists
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1, name: 'Bridge', status: 'Active' }] }) // Create project
+        .mockResolvedValueOnce({ rows: [] }) // No existing position
+        .mockResolvedValueOnce({ rows: [{ id: 5, default_daily_rate: 100 }] }) // Create position
+        .mockResolvedValueOnce({ rows: [{ id: 9, project_id: 2, position_id: 5 }] }); // Link position
+
+      await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          name: 'Bridge', client: 'City Council', category: 'Construction', startDate: '2024-02-01', endDate: '2024-12-31',
+          budget: 90000, positions: ['Engineer']
+        })
+        .expect(201);
+
+      expect(db.query.mock.calls[3][0]).toContain('WITH changed AS (');
+      expect(db.query.mock.calls[3][1].slice(-6, -2)).toEqual(['user', 1, 'create', 'positions']);
+      expect(db.query.mock.calls[4][0]).toContain('INSERT INTO project_positions');
+      expect(db.query.mock.calls[4][0]).toContain('WITH changed AS (');
+      expect(db.query.mock.calls[4][1].slice(-6, -2)).toEqual(['user', 1, 'create', 'project_positions']);
+    });
+  });
+
+  describe('GET /api/v1/audit', () => {
+    it('should return the trail of a record the caller owns', async () => {
+      const entry = {
+        id: 7, action: 'approve', entity: 'payment_requests', entity_id: 3,
+        before_data: { status: 'Pending' }, after_data: { status: 'Approved' }
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 1 }] }) // Owner lookup
+        .mockResolvedValueOnce({ rows: [entry] }) // Entries
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] }); // Count
+
+      const response = await request(app)
+        .get('/api/v1/audit?entity=payment_requests&entityId=3')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.entries[0].after_data).toEqual({ status: 'Approved' });
+      expect(db.query.mock.calls[1][1]).toEqual(expect.arrayContaining(['payment_requests', 3]));
+    });
+
+    it('should hide records owned by someone else', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ user_id: 2 }] }); // Owner lookup
+
+      const response = await request(app)
+        .get('/api/v1/audit?entity=projects&entityId=4')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Audited record not found or access denied');
+    });
+
+    it('should require an entity and ID from non-admins', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should let admins read the whole trail', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] }) // Entries
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] }); // Count
+
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.entries).toEqual([]);
+    });
+  });
+
+  describe('GET /api/v1/audit/verify', () => {
+    it('should report the first entry that breaks the chain', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ checked: '12', first_broken_id: '8', latest_hash: 'abc' }] });
+
+      const response = await request(app)
+        .get('/api/v1/audit/verify')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Audit chain is broken');
+      expect(response.body.data).toEqual({ valid: false, checkedEntries: 12, firstBrokenId: 8, latestHash: 'abc' });
+    });
+
+    it('should be limited to admins', async () => {
+      await request(app)
+        .get('/api/v1/audit/verify')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(403);
+    });
+  });
+});
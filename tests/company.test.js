@@ -247,6 +247,162 @@ describe('Company Management', () => {
     });
   });
 
+  describe('PUT /api/v1/companies/:companyId/approval-chain', () => {
+    it('should replace the approval chain in step order', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rowCount: 1 }) // Delete previous chain
+          .mockResolvedValueOnce({ rows: [{ step_order: 1, approver_role: 'project_manager', min_amount: '0.00' }] })
+          .mockResolvedValueOnce({ rows: [{ step_order: 2, approver_role: 'accountant', min_amount: '1000000.00' }] })
+      };
+
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Company exists
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .put('/api/v1/companies/1/approval-chain')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({
+          steps: [
+            { approverRole: 'project_manager' },
+            { approverRole: 'accountant', minAmount: 1000000 }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Approval chain updated successfully');
+      expect(response.body.data.steps).toHaveLength(2);
+      expect(mockClient.query.mock.calls[2][1].slice(0, 4)).toEqual([1, 2, 'accountant', 1000000]);
+      expect(mockClient.query.mock.calls[2][1]).toContain('approval_chain_steps');
+    });
+
+    it('should reject roles that cannot approve payments', async () => {
+      const response = await request(app)
+        .put('/api/v1/companies/1/approval-chain')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ steps: [{ approverRole: 'supervisor' }] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('should not let other users change the chain', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, user_id: 9 }] });
+
+      const response = await request(app)
+        .put('/api/v1/companies/1/approval-chain')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ steps: [{ approverRole: 'owner' }] })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Company not found or access denied');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Company calendar', () => {
+    it('should add a recurring holiday', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Company exists
+        .mockResolvedValueOnce({ rows: [] }) // Date is free
+        .mockResolvedValueOnce({
+          rows: [{ id: 3, name: 'New Year', date: new Date('2024-01-01T00:00:00'), recurring: true }]
+        }); // Create holiday
+
+      const response = await request(app)
+        .post('/api/v1/companies/1/holidays')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ name: 'New Year', date: '2024-01-01', recurring: true })
+        .expect(201);
+
+      expect(response.body.data.holiday).toEqual({ id: 3, name: 'New Year', date: '2024-01-01', recurring: true });
+    });
+
+    it('should import holidays from an iCal file', async () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:new-year@example.com',
+        'DTSTART;VALUE=DATE:20240101',
+        'RRULE:FREQ=YEARLY',
+        'SUMMARY:New Year\\, Day',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:easter-2024@example.com',
+        'DTSTART;VALUE=DATE:20240329',
+        'DTEND;VALUE=DATE:20240402',
+        'SUMMARY:Easter',
+        '  Weekend',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:No date',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Company exists
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }] }); // Upsert holidays
+
+      const response = await request(app)
+        .post('/api/v1/companies/1/holidays/import')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ ics })
+        .expect(200);
+
+      expect(response.body.data.imported).toBe(5);
+      expect(response.body.data.skipped).toBe(1);
+      const params = db.query.mock.calls[1][1];
+      expect(params[1]).toEqual(['New Year, Day', 'Easter Weekend', 'Easter Weekend', 'Easter Weekend', 'Easter Weekend']);
+      expect(params[2]).toEqual(['2024-01-01', '2024-03-29', '2024-03-30', '2024-03-31', '2024-04-01']);
+      expect(params[3]).toEqual([true, false, false, false, false]);
+    });
+
+    it('should reject a file without events', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Company exists
+
+      const response = await request(app)
+        .post('/api/v1/companies/1/holidays/import')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ ics: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid iCal file: no events with a start date found');
+    });
+
+    it('should expand an event no further than its first 31 days', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Company exists
+        .mockResolvedValueOnce({ rows: [] }); // Upsert holidays
+
+      await request(app)
+        .post('/api/v1/companies/1/holidays/import')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ ics: 'BEGIN:VEVENT\r\nDTSTART:20240101\r\nDTEND:99991231\r\nSUMMARY:Forever\r\nEND:VEVENT' })
+        .expect(200);
+
+      const dates = db.query.mock.calls[1][1][2];
+      expect(dates).toHaveLength(31);
+      expect(dates[30]).toBe('2024-01-31');
+    });
+
+    it('should reject files with too many events', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Company exists
+      const event = 'BEGIN:VEVENT\r\nDTSTART:20240101\r\nEND:VEVENT\r\n';
+
+      const response = await request(app)
+        .post('/api/v1/companies/1/holidays/import')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ ics: event.repeat(501) })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid iCal file: more than 500 events');
+    });
+  });
+
   describe('GET /api/v1/companies/:companyId/public', () => {
     it('should get public company information', async () => {
       const mockCompany = {
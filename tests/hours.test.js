@@ -0,0 +1,23 @@
+const { splitWorkedHours } = require('../src/utils/hours');
+
+describe('Hours Utilities', () => {
+  describe('splitWorkedHours', () => {
+    it('should split a day shift into regular hours and overtime', () => {
+      expect(splitWorkedHours({ checkIn: '07:00', checkOut: '17:00', breakMinutes: 60 }, 8)).toEqual({
+        regular: 8, overtime: 1, night: 0, weekend: 0
+      });
+    });
+
+    it('should carry a check-out before the check-in into the next day', () => {
+      expect(splitWorkedHours({ checkIn: '20:00', checkOut: '04:00' }, 8)).toEqual({
+        regular: 2, overtime: 0, night: 6, weekend: 0
+      });
+    });
+
+    it('should count no time when the check-out equals the check-in', () => {
+      expect(splitWorkedHours({ checkIn: '08:15', checkOut: '08:15:00' }, 8)).toEqual({
+        regular: 0, overtime: 0, night: 0, weekend: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const request = require('supertest');
+
+// Mock the database for tests
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Leave Requests', () => {
+  const jwt = require('jsonwebtoken');
+  const mockToken = jwt.sign(
+    { id: 1, email: 'test@example.com', role: 'user' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+  const workerToken = jwt.sign(
+    { id: 3, email: 'worker@example.com', role: 'worker' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+
+  const project = { id: 1, user_id: 1, name: 'Site A' };
+  const pendingRequest = {
+    id: 7, worker_id: 3, project_id: 1, leave_type: 'annual', start_date: '2024-03-04',
+    end_date: '2024-03-06', days: '3.00', paid: true, status: 'Pending'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    db.transaction.mockReset();
+  });
+
+  describe('POST /api/v1/workers/me/leave', () => {
+    it('should file a request for the working days it covers', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ is_active: true }] }) // Worker active
+        .mockResolvedValueOnce({ rows: [project] }) // Project
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // Worker belongs to the owner
+        .mockResolvedValueOnce({
+          rows: [{ date: '2024-03-08' }, { date: '2024-03-11' }]
+        }) // Working days (weekend in between)
+        .mockResolvedValueOnce({ rows: [] }) // No overlapping leave
+        .mockResolvedValueOnce({
+          rows: [{ id: 7, worker_id: 3, project_id: 1, leave_type: 'sick', days: '2.00', paid: true, status: 'Pending' }]
+        }); // Create request
+
+      const response = await request(app)
+        .post('/api/v1/workers/me/leave')
+        .set('Authorization', `Bearer ${workerToken}`)
+        .send({ projectId: 1, leaveType: 'sick', startDate: '2024-03-08', endDate: '2024-03-11', reason: 'Flu' })
+        .expect(201);
+
+      expect(response.body.data.leaveRequest).toMatchObject({
+        leaveType: 'sick', startDate: '2024-03-08', endDate: '2024-03-11', paid: true, status: 'Pending'
+      });
+      // days, paid, requested_by_type and requested_by
+      expect(db.query.mock.calls[5][1].slice(5, 10)).toEqual([2, true, 'Flu', 'worker', 3]);
+    });
+
+    it('should refuse leave that overlaps another request', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ is_active: true }] }) // Worker active
+        .mockResolvedValueOnce({ rows: [project] }) // Project
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // Worker belongs to the owner
+        .mockResolvedValueOnce({ rows: [{ date: '2024-03-05' }] }) // Working days
+        .mockResolvedValueOnce({ rows: [{ start_date: '2024-03-04', end_date: '2024-03-06' }] }); // Overlap
+
+      const response = await request(app)
+        .post('/api/v1/workers/me/leave')
+        .set('Authorization', `Bearer ${workerToken}`)
+        .send({ projectId: 1, leaveType: 'unpaid', startDate: '2024-03-05', endDate: '2024-03-05', paid: true })
+        .expect(409);
+
+      expect(response.body.message).toBe('Worker already has leave from 2024-03-04 to 2024-03-06');
+    });
+  });
+
+  describe('POST /api/v1/attendance/leave/:leaveRequestId/approve', () => {
+    const lockedClient = (...queries) => {
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ status: 'Pending' }] }) // Lock request
+        .mockResolvedValueOnce({ rows: [] }); // Balance lock
+      queries.forEach(result => client.query.mockResolvedValueOnce(result));
+      return client;
+    };
+
+    it('should mark the worker on leave for each working day', async () => {
+      const mockClient = lockedClient(
+        { rows: [{ date: '2024-03-04' }, { date: '2024-03-05' }, { date: '2024-03-06' }] }, // Working days
+        { rows: [{ days_worked: '100' }] }, // Days worked: 5 annual days accrued
+        { rows: [{ leave_type: 'annual', status: 'Approved', days: '1.00' }] }, // Leave already taken
+        { rows: [{ id: 40, date: '2024-03-04', status: 'Absent' }] }, // Existing attendance
+        { rows: [{ id: 40 }] }, // Absence becomes leave
+        { rows: [{ id: 41 }, { id: 42 }] }, // Leave days inserted
+        { rows: [{ ...pendingRequest, status: 'Approved', decided_by: 1 }] } // Approve request
+      );
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+      db.query
+        .mockResolvedValueOnce({ rows: [pendingRequest] }) // Leave request
+        .mockResolvedValueOnce({ rows: [project] }); // Project (owner)
+
+      const response = await request(app)
+        .post('/api/v1/attendance/leave/7/approve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ comment: 'Enjoy' })
+        .expect(200);
+
+      expect(response.body.data.leaveRequest.status).toBe('Approved');
+      expect(mockClient.query.mock.calls[6][0]).toMatch(/UPDATE attendance SET status = 'On Leave'/);
+      expect(mockClient.query.mock.calls[7][1].slice(0, 4)).toEqual([1, 3, 1, ['2024-03-05', '2024-03-06']]);
+    });
+
+    it('should refuse paid leave beyond the balance', async () => {
+      const mockClient = lockedClient(
+        { rows: [{ date: '2024-03-04' }, { date: '2024-03-05' }, { date: '2024-03-06' }] }, // Working days
+        { rows: [{ days_worked: '50' }] }, // Days worked: 2.5 annual days accrued
+        { rows: [] } // No leave taken
+      );
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+      db.query
+        .mockResolvedValueOnce({ rows: [pendingRequest] }) // Leave request
+        .mockResolvedValueOnce({ rows: [project] }); // Project (owner)
+
+      const response = await request(app)
+        .post('/api/v1/attendance/leave/7/approve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({})
+        .expect(409);
+
+      expect(response.body.message).toBe('Insufficient annual leave balance: 2.5 days available');
+      expect(mockClient.query).toHaveBeenCalledTimes(5);
+    });
+
+    it('should refuse leave over a day already worked', async () => {
+      const mockClient = lockedClient(
+        { rows: [{ date: '2024-03-04' }, { date: '2024-03-05' }, { date: '2024-03-06' }] }, // Working days
+        { rows: [{ id: 40, date: '2024-03-05', status: 'Present' }] } // Existing attendance
+      );
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+      db.query
+        .mockResolvedValueOnce({ rows: [pendingRequest] }) // Leave request
+        .mockResolvedValueOnce({ rows: [project] }); // Project (owner)
+
+      const response = await request(app)
+        .post('/api/v1/attendance/leave/7/approve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ paid: false })
+        .expect(409);
+
+      expect(response.body.message).toBe('Worker already has Present attendance on 2024-03-05');
+    });
+  });
+
+  describe('GET /api/v1/attendance/leave/balance/:workerId', () => {
+    const managerToken = jwt.sign(
+      { id: 2, email: 'manager@example.com', role: 'user' },
+      process.env.JWT_SECRET || 'test_jwt_secret_key'
+    );
+
+    it('should show the balance to members who may approve the worker\'s leave', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // Worker visible
+        .mockResolvedValueOnce({ rows: [{ days_worked: '34' }] }) // Days worked
+        .mockResolvedValueOnce({ rows: [{ leave_type: 'annual', status: 'Pending', days: '1.00' }] }); // Leave used
+
+      const response = await request(app)
+        .get('/api/v1/attendance/leave/balance/3')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.data.balances.find(balance => balance.leaveType === 'annual')).toMatchObject({ pending: 1 });
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('w.user_id = $2 OR EXISTS');
+      expect(sql).toContain('SELECT project_id FROM project_members WHERE user_id = $2 AND role::text = ANY($3)');
+      expect(params.slice(0, 2)).toEqual([3, 2]);
+      expect(params[2]).toContain('project_manager');
+      expect(params[2]).not.toContain('viewer');
+    });
+
+    it('should hide workers the user neither employs nor approves leave for', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] }); // Worker not visible
+
+      const response = await request(app)
+        .get('/api/v1/attendance/leave/balance/3')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Worker not found or access denied');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../src/database/migrator');
+
+describe('Database Migrator', () => {
+  let migrationsDir;
+  let client;
+  let db;
+  let appliedRows;
+
+  const writeMigration = (file, sql) => {
+    fs.writeFileSync(path.join(migrationsDir, file), sql);
+  };
+
+  // Fake connection that keeps schema_migrations rows in memory
+  const createClient = () => ({
+    query: jest.fn(async (text, params) => {
+      if (text.startsWith('SELECT version, name, checksum')) {
+        return { rows: [...appliedRows] };
+      }
+      if (text.startsWith('INSERT INTO schema_migrations')) {
+        appliedRows.push({ version: params[0], name: params[1], checksum: params[2], applied_at: new Date() });
+      }
+      if (text.startsWith('DELETE FROM schema_migrations')) {
+        appliedRows = appliedRows.filter(row => row.version !== params[0]);
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  });
+
+  const executedSql = () => client.query.mock.calls.map(call => call[0]);
+
+  beforeEach(() => {
+    migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    appliedRows = [];
+    client = createClient();
+    db = { getClient: jest.fn().mockResolvedValue(client) };
+
+    writeMigration('001_create_users.up.sql', 'CREATE TABLE users (id SERIAL PRIMARY KEY);');
+    writeMigration('001_create_users.down.sql', 'DROP TABLE users;');
+    writeMigration('002_add_phone.up.sql', 'ALTER TABLE users ADD COLUMN phone VARCHAR(20);');
+    writeMigration('002_add_phone.down.sql', 'ALTER TABLE users DROP COLUMN phone;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(migrationsDir, { recursive: true, force: true });
+  });
+
+  describe('up', () => {
+    it('should apply pending migrations in order under the advisory lock', async () => {
+      const migrator = new Migrator(db, migrationsDir);
+
+      const applied = await migrator.up();
+
+      expect(applied).toEqual(['001_create_users', '002_add_phone']);
+      expect(appliedRows.map(row => row.version)).toEqual([1, 2]);
+
+      const sql = executedSql();
+      expect(sql[0]).toBe('SELECT pg_advisory_lock($1)');
+      expect(sql.indexOf('CREATE TABLE users (id SERIAL PRIMARY KEY);'))
+        .toBeLessThan(sql.indexOf('ALTER TABLE users ADD COLUMN phone VARCHAR(20);'));
+      expect(sql[sql.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should skip migrations that are already applied', async () => {
+      const migrator = new Migrator(db, migrationsDir);
+      await migrator.up();
+      client.query.mockClear();
+
+      const applied = await migrator.up();
+
+      expect(applied).toEqual([]);
+      expect(executedSql()).not.toContain('CREATE TABLE users (id SERIAL PRIMARY KEY);');
+    });
+
+    it('should roll back a failing migration and keep it pending', async () => {
+      writeMigration('003_broken.up.sql', 'ALTER TABLE missing ADD COLUMN x INTEGER;');
+      const migrator = new Migrator(db, migrationsDir);
+      const originalQuery = client.query.getMockImplementation();
+      client.query.mockImplementation(async (text, params) => {
+        if (text.startsWith('ALTER TABLE missing')) {
+          throw new Error('relation "missing" does not exist');
+        }
+        return originalQuery(text, params);
+      });
+
+      await expect(migrator.up()).rejects.toThrow('relation "missing" does not exist');
+
+      expect(appliedRows.map(row => row.version)).toEqual([1, 2]);
+      expect(executedSql()).toContain('ROLLBACK');
+      expect(executedSql()[executedSql().length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+    });
+
+    it('should adopt a database created from schema.sql by baselining the initial migration', async () => {
+      const migrator = new Migrator(db, migrationsDir);
+      const originalQuery = client.query.getMockImplementation();
+      client.query.mockImplementation(async (text, params) => {
+        if (text.includes("to_regclass('public.users')")) {
+          return { rows: [{ has_users: true }] };
+        }
+        return originalQuery(text, params);
+      });
+
+      const applied = await migrator.up();
+
+      expect(applied).toEqual(['002_add_phone']);
+      expect(appliedRows.map(row => row.version)).toEqual([1, 2]);
+      expect(executedSql()).not.toContain('CREATE TABLE users (id SERIAL PRIMARY KEY);');
+      expect(executedSql()).toContain('ALTER TABLE users ADD COLUMN phone VARCHAR(20);');
+    });
+
+    it('should not look for schema.sql tables once migrations are recorded', async () => {
+      const migrator = new Migrator(db, migrationsDir);
+      await migrator.baseline(1);
+      client.query.mockClear();
+
+      await migrator.up();
+
+      expect(executedSql().some(sql => sql.includes('to_regclass'))).toBe(false);
+    });
+
+    it('should refuse to run when an applied file was edited', async () => {
+      const migrator = new Migrator(db, migrationsDir);
+      await migrator.up();
+      writeMigration('001_create_users.up.sql', 'CREATE TABLE users (id BIGSERIAL PRIMARY KEY);');
+
+      await expect(migrator.up()).rejects.toThrow('Checksum mismatch for applied migration 001_create_users');
+    });
+  });
+
+  describe('down', () => {
+    it('should revert the most recent migrations', async () => {
+      const migrator = new Migrator(db, migrationsDir);
+      await migrator.up();
+
+      const reverted = await migrator.down(1);
+
+      expect(reverted).toEqual(['002_add_phone']);
+      expect(appliedRows.map(row => row.version)).toEqual([1]);
+      expect(executedSql()).toContain('ALTER TABLE users DROP COLUMN phone;');
+    });
+  });
+
+  describe('status', () => {
+    it('should report applied, pending and edited migrations', async () => {
+      const migrator = new Migrator(db, migrationsDir);
+      await migrator.baseline(1);
+      writeMigration('001_create_users.up.sql', 'CREATE TABLE users (id BIGSERIAL PRIMARY KEY);');
+
+      const rows = await migrator.status();
+
+      expect(rows).toEqual([
+        expect.objectContaining({ version: 1, state: 'applied', checksumMatches: false }),
+        expect.objectContaining({ version: 2, state: 'pending', checksumMatches: null })
+      ]);
+      expect(executedSql()).not.toContain('CREATE TABLE users (id SERIAL PRIMARY KEY);');
+    });
+  });
+});
@@ -16,6 +16,10 @@ describe('Payment Management', () => {
     { id: 1, email: 'test@example.com', role: 'user' },
     process.env.JWT_SECRET || 'test_jwt_secret_key'
   );
+  const managerToken = jwt.sign(
+    { id: 3, email: 'manager@example.com', role: 'user' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
   
   beforeEach(() => {
     jest.clearAllMocks();
@@ -29,6 +33,8 @@ describe('Payment Management', () => {
         requestId: 'PAY-2024-001',
         projectId: 1,
         requestDate: '2024-01-15',
+        periodStart: '2023-12-16',
+        periodEnd: '2024-01-15',
         workers: [
           {
             workerId: 1,
@@ -49,6 +55,9 @@ describe('Payment Management', () => {
       // Mock transaction
       const mockClient = {
         query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{}] }) // Lock worker 1
+          .mockResolvedValueOnce({ rows: [{}] }) // Lock worker 2
+          .mockResolvedValueOnce({ rows: [] }) // Period not covered
           .mockResolvedValueOnce({ 
             rows: [{ 
               id: 1,
@@ -88,6 +97,100 @@ describe('Payment Management', () => {
       expect(response.body.message).toBe('Payment request created successfully');
       expect(response.body.data.paymentRequest.requestId).toBe(paymentData.requestId);
       expect(response.body.data.paymentRequest.totalAmount).toBe(5160);
+      expect(mockClient.query.mock.calls[2][1]).toEqual([[1, 2], '2023-12-16', '2024-01-15']);
+    });
+
+    it('should lock the workers in ID order before checking the period', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{}] }) // Lock worker 1
+          .mockResolvedValueOnce({ rows: [{}] }) // Lock worker 2
+          .mockResolvedValueOnce({
+            rows: [{ worker_id: 2, worker_name: 'Bob Builder', request_id: 'PAY-2023-012' }]
+          }) // Period covered
+      };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // User exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project exists
+        .mockResolvedValueOnce({ rows: [] }) // No existing request
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1 }] }) // Worker 2 exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Worker 1 exists
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/request')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({
+          requestId: 'PAY-2024-004',
+          projectId: 1,
+          requestDate: '2024-01-15',
+          periodStart: '2024-01-01',
+          periodEnd: '2024-01-15',
+          workers: [
+            { workerId: 2, daysWorked: 10, allowancePerDay: 150 },
+            { workerId: 1, daysWorked: 10, allowancePerDay: 150 }
+          ]
+        })
+        .expect(409);
+
+      expect(response.body.message).toBe(
+        'Worker Bob Builder is already covered by payment request PAY-2023-012 for part of this period'
+      );
+      expect(mockClient.query.mock.calls[0]).toEqual(['SELECT pg_advisory_xact_lock(hashtext($1), $2)', ['payment_period', 1]]);
+      expect(mockClient.query.mock.calls[1]).toEqual(['SELECT pg_advisory_xact_lock(hashtext($1), $2)', ['payment_period', 2]]);
+      expect(mockClient.query.mock.calls[2][0]).toContain('pr.period_start <= $3 AND pr.period_end >= $2');
+      expect(mockClient.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should require the period the request pays for', async () => {
+      const response = await request(app)
+        .post('/api/v1/payments/request')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({
+          requestId: 'PAY-2024-003',
+          projectId: 1,
+          requestDate: '2024-01-15',
+          workers: [{ workerId: 1, daysWorked: 20, allowancePerDay: 150.00 }]
+        })
+        .expect(400);
+
+      expect(response.body.errors.map(error => error.field)).toEqual(['periodStart', 'periodEnd']);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should price a line with an hours breakdown by the hour', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{}] }) // Lock worker 1
+          .mockResolvedValueOnce({ rows: [] }) // Period not covered
+          .mockResolvedValueOnce({ rows: [{ id: 1, request_id: 'PAY-2024-002', total_amount: 285 }] }) // Create payment request
+          .mockResolvedValueOnce({ rows: [] }) // Create worker 1
+      };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // User exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project exists
+        .mockResolvedValueOnce({ rows: [] }) // No existing request
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, user_id: 1, hours_per_day: '8.00', overtime_multiplier: '1.50', night_multiplier: '1.25', weekend_multiplier: '2.00' }]
+        }); // Worker 1 exists, with position pay settings
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      await request(app)
+        .post('/api/v1/payments/request')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({
+          requestId: 'PAY-2024-002',
+          projectId: 1,
+          requestDate: '2024-01-15',
+          periodStart: '2024-01-13',
+          periodEnd: '2024-01-14',
+          workers: [{ workerId: 1, daysWorked: 2, allowancePerDay: 120, hours: { regular: 16, overtime: 2 } }]
+        })
+        .expect(201);
+
+      // 16h x 15 + 2h x 15 x 1.5
+      expect(mockClient.query.mock.calls[2][1][4]).toBe(285);
+      expect(mockClient.query.mock.calls[3][1].slice(4, 10)).toEqual([285, 15, 16, 2, 0, 0]);
     });
 
     it('should return error for duplicate request ID', async () => {
@@ -95,6 +198,8 @@ describe('Payment Management', () => {
         requestId: 'PAY-2024-001',
         projectId: 1,
         requestDate: '2024-01-15',
+        periodStart: '2023-12-16',
+        periodEnd: '2024-01-15',
         workers: [{ workerId: 1, daysWorked: 20, allowancePerDay: 150.00 }]
       };
 
@@ -114,6 +219,43 @@ describe('Payment Management', () => {
       expect(response.body.message).toBe('Payment request with this ID already exists');
     });
 
+    it('should refuse periods already covered for a worker', async () => {
+      const paymentData = {
+        requestId: 'PAY-2024-002',
+        projectId: 1,
+        requestDate: '2024-01-31',
+        periodStart: '2024-01-01',
+        periodEnd: '2024-01-31',
+        workers: [{ workerId: 1, daysWorked: 20.5, allowancePerDay: 150.00 }]
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // User exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project exists
+        .mockResolvedValueOnce({ rows: [] }) // No existing request
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Worker 1 exists
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{}] }) // Lock worker 1
+          .mockResolvedValueOnce({
+            rows: [{ worker_id: 1, worker_name: 'John Worker', request_id: 'PAY-2024-001' }]
+          }) // Overlapping request
+      };
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/request')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send(paymentData)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe(
+        'Worker John Worker is already covered by payment request PAY-2024-001 for part of this period'
+      );
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+    });
+
     it('should require authentication', async () => {
       const paymentData = {
         requestId: 'PAY-2024-001',
@@ -149,6 +291,9 @@ describe('Payment Management', () => {
   });
 
   describe('GET /api/v1/payments/requests', () => {
+    // Roles that may view payments on a project
+    const paymentViewerRoles = ['owner', 'project_manager', 'accountant', 'viewer'];
+
     it('should get payment requests successfully', async () => {
       const mockPaymentRequests = [
         {
@@ -178,6 +323,124 @@ describe('Payment Management', () => {
       expect(response.body.data.paymentRequests).toHaveLength(1);
       expect(response.body.data.pagination.totalCount).toBe(1);
     });
+
+    it('should list the requests of every project the caller may view, not only their own', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] }) // Get payment requests
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] }); // Count requests
+
+      await request(app)
+        .get('/api/v1/payments/requests')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      const [rowsQuery, rowsParams] = db.query.mock.calls[0];
+      expect(rowsQuery).toContain('pr.project_id IN (');
+      expect(rowsQuery).toMatch(/project_members WHERE user_id = \$1 AND role::text = ANY\(\$2\)/);
+      expect(rowsQuery).not.toMatch(/pr\.user_id = \$/);
+      expect(rowsParams.slice(0, 2)).toEqual([1, paymentViewerRoles]);
+    });
+
+    it('should apply whitelisted filters and sort fields as parameters', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] }) // Get payment requests
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] }); // Count requests
+
+      await request(app)
+        .get('/api/v1/payments/requests')
+        .query('filter[status][in]=Pending,Approved&filter[totalAmount][gte]=1000&sort=-totalAmount,requestDate')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      const [rowsQuery, rowsParams] = db.query.mock.calls[0];
+      expect(rowsQuery).toContain('pr.status = ANY($3)');
+      expect(rowsQuery).toContain('pr.total_amount >= $4');
+      expect(rowsQuery).toContain('ORDER BY pr.total_amount DESC, pr.request_date ASC, pr.id ASC');
+      expect(rowsParams).toEqual([1, paymentViewerRoles, ['Pending', 'Approved'], 1000, 11, 0]);
+
+      const [countQuery, countParams] = db.query.mock.calls[1];
+      expect(countQuery).toContain('pr.total_amount >= $4');
+      expect(countParams).toEqual([1, paymentViewerRoles, ['Pending', 'Approved'], 1000]);
+    });
+
+    it('should page by cursor after the last returned row', async () => {
+      const rows = [1, 2, 3].map(id => ({
+        id,
+        request_id: `PAY-${id}`,
+        _cursor_0: `2024-01-0${id} 10:00:00+00`,
+        _cursor_1: String(id)
+      }));
+      db.query
+        .mockResolvedValueOnce({ rows }) // Get payment requests (one extra row)
+        .mockResolvedValueOnce({ rows: [{ count: '5' }] }); // Count requests
+
+      const firstPage = await request(app)
+        .get('/api/v1/payments/requests?limit=2')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      const { pagination, paymentRequests } = firstPage.body.data;
+      expect(paymentRequests).toHaveLength(2);
+      expect(paymentRequests[0]._cursor_0).toBeUndefined();
+      expect(pagination.hasNext).toBe(true);
+      expect(pagination.nextCursor).toEqual(expect.any(String));
+
+      db.query
+        .mockResolvedValueOnce({ rows: [] }) // Get payment requests
+        .mockResolvedValueOnce({ rows: [{ count: '5' }] }); // Count requests
+
+      const secondPage = await request(app)
+        .get('/api/v1/payments/requests')
+        .query({ limit: 2, cursor: pagination.nextCursor })
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      const [rowsQuery, rowsParams] = db.query.mock.calls[2];
+      expect(rowsQuery).toContain('((pr.created_at < $3) OR (pr.created_at = $3 AND pr.id < $4))');
+      expect(rowsParams).toEqual([1, paymentViewerRoles, '2024-01-02 10:00:00+00', '2', 3, 0]);
+      expect(secondPage.body.data.pagination).toEqual({
+        limit: 2,
+        totalCount: 5,
+        hasNext: false,
+        nextCursor: null
+      });
+    });
+
+    it('should reject a cursor issued for a different sort', async () => {
+      const cursor = Buffer.from(JSON.stringify({ sort: '-createdAt', values: ['2024-01-01', '1'] })).toString('base64url');
+
+      const response = await request(app)
+        .get('/api/v1/payments/requests')
+        .query({ sort: 'requestDate', cursor })
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Cursor was issued for a different sort order');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject filters and sort fields that are not whitelisted', async () => {
+      const unknownFilter = await request(app)
+        .get('/api/v1/payments/requests?filter[notes][eq]=x')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(400);
+      expect(unknownFilter.body.message).toContain('Cannot filter by "notes"');
+
+      const badOperator = await request(app)
+        .get('/api/v1/payments/requests?filter[status][ilike]=Pend')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(400);
+      expect(badOperator.body.message).toContain('Operator "ilike" is not allowed for filter "status"');
+
+      const injectedSort = await request(app)
+        .get('/api/v1/payments/requests')
+        .query({ sort: 'created_at; DROP TABLE users' })
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(400);
+      expect(injectedSort.body.message).toContain('Cannot sort by');
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /api/v1/payments/requests/:paymentRequestId', () => {
@@ -210,6 +473,7 @@ describe('Payment Management', () => {
 
       db.query
         .mockResolvedValueOnce({ rows: [mockPaymentRequest] }) // Payment request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
         .mockResolvedValueOnce({ rows: mockWorkers }); // Workers for payment request
 
       const response = await request(app)
@@ -237,64 +501,213 @@ describe('Payment Management', () => {
   });
 
   describe('POST /api/v1/payments/approve', () => {
-    it('should approve payment request successfully', async () => {
-      const approvalData = {
-        requestId: 'PAY-2024-001'
-      };
-
-      const mockPaymentRequest = {
-        id: 1,
-        request_id: approvalData.requestId,
-        status: 'Pending',
-        total_amount: '5000.00'
-      };
+    const mockPaymentRequest = {
+      id: 1,
+      request_id: 'PAY-2024-001',
+      user_id: 2,
+      project_id: 1,
+      status: 'Pending',
+      total_amount: '5000.00'
+    };
+
+    const largeChain = [
+      { step_order: 1, approver_role: 'project_manager', min_amount: '0.00' },
+      { step_order: 2, approver_role: 'owner', min_amount: '1000000.00' }
+    ];
 
+    it('should approve payment request successfully', async () => {
       const mockUpdatedRequest = {
-        id: 1,
-        request_id: approvalData.requestId,
+        ...mockPaymentRequest,
         status: 'Approved',
         approved_by: 1,
-        approved_at: new Date(),
-        total_amount: '5000.00'
+        approved_at: new Date()
+      };
+
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [mockPaymentRequest] }) // Lock request
+          .mockResolvedValueOnce({ rows: [] }) // No company chain
+          .mockResolvedValueOnce({ rows: [] }) // No approvals yet
+          .mockResolvedValueOnce({ rows: [{ id: 1, step_order: 1, approver_role: 'owner', comment: 'Looks good' }] }) // Record approval
+          .mockResolvedValueOnce({ rows: [mockUpdatedRequest] }) // Update request
       };
 
       db.query
         .mockResolvedValueOnce({ rows: [mockPaymentRequest] }) // Request exists
-        .mockResolvedValueOnce({ rows: [mockUpdatedRequest] }); // Update request
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
 
       const response = await request(app)
         .post('/api/v1/payments/approve')
         .set('Authorization', `Bearer ${mockToken}`)
-        .send(approvalData)
+        .send({ requestId: 'PAY-2024-001', comment: 'Looks good' })
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Payment request approved successfully');
       expect(response.body.data.paymentRequest.status).toBe('Approved');
+      expect(response.body.data.approval.comment).toBe('Looks good');
+      expect(mockClient.query.mock.calls[3][1]).toEqual([
+        1, 1, 'owner', 1, 'Approved', 'Looks good',
+        'user', 1, 'approve', 'payment_approvals', expect.any(String), expect.any(String)
+      ]);
     });
 
     it('should return error for non-pending request', async () => {
-      const approvalData = {
-        requestId: 'PAY-2024-001'
-      };
+      const approvedRequest = { ...mockPaymentRequest, status: 'Approved' };
 
-      const mockPaymentRequest = {
-        id: 1,
-        request_id: approvalData.requestId,
-        status: 'Approved' // Already approved
+      const mockClient = {
+        query: jest.fn().mockResolvedValueOnce({ rows: [approvedRequest] }) // Lock request
       };
 
-      db.query.mockResolvedValueOnce({ rows: [mockPaymentRequest] });
+      db.query
+        .mockResolvedValueOnce({ rows: [approvedRequest] }) // Request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
 
       const response = await request(app)
         .post('/api/v1/payments/approve')
         .set('Authorization', `Bearer ${mockToken}`)
-        .send(approvalData)
+        .send({ requestId: 'PAY-2024-001' })
         .expect(400);
 
       expect(response.body.success).toBe(false);
       expect(response.body.message).toBe('Only pending payment requests can be approved');
     });
+
+    it('should forbid approving your own payment request', async () => {
+      const ownRequest = { ...mockPaymentRequest, user_id: 1 };
+
+      const mockClient = {
+        query: jest.fn().mockResolvedValueOnce({ rows: [ownRequest] }) // Lock request
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [ownRequest] }) // Request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/approve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ requestId: 'PAY-2024-001' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Access denied. You cannot approve or reject your own payment request.');
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep large requests pending until every step approves', async () => {
+      const largeRequest = { ...mockPaymentRequest, total_amount: '1500000.00' };
+
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [largeRequest] }) // Lock request
+          .mockResolvedValueOnce({ rows: largeChain }) // Company chain
+          .mockResolvedValueOnce({ rows: [] }) // No approvals yet
+          .mockResolvedValueOnce({ rows: [{ id: 1, step_order: 1, approver_role: 'project_manager' }] }) // Record approval
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [largeRequest] }) // Request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owned by user 1)
+        .mockResolvedValueOnce({ rows: [{ id: 5, project_id: 1, user_id: 3, role: 'project_manager' }] }); // Membership
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/approve')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ requestId: 'PAY-2024-001' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Approval recorded. Further approval required');
+      expect(response.body.data.paymentRequest.status).toBe('Pending');
+      expect(response.body.data.approval.completedSteps).toBe(1);
+      expect(response.body.data.approval.requiredSteps).toBe(2);
+      expect(mockClient.query).toHaveBeenCalledTimes(4);
+    });
+
+    it('should approve once the final step of the chain is approved', async () => {
+      const largeRequest = { ...mockPaymentRequest, total_amount: '1500000.00' };
+
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [largeRequest] }) // Lock request
+          .mockResolvedValueOnce({ rows: largeChain }) // Company chain
+          .mockResolvedValueOnce({ rows: [{ step_order: 1, approver_id: 3, decision: 'Approved' }] }) // Step 1 approved
+          .mockResolvedValueOnce({ rows: [{ id: 2, step_order: 2, approver_role: 'owner' }] }) // Record approval
+          .mockResolvedValueOnce({ rows: [{ ...largeRequest, status: 'Approved', approved_by: 1 }] }) // Update request
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [largeRequest] }) // Request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/approve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ requestId: 'PAY-2024-001' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Payment request approved successfully');
+      expect(response.body.data.paymentRequest.status).toBe('Approved');
+      expect(response.body.data.approval.step).toBe(2);
+    });
+
+    it('should require the approver role of the current step', async () => {
+      const largeRequest = { ...mockPaymentRequest, total_amount: '1500000.00' };
+
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [largeRequest] }) // Lock request
+          .mockResolvedValueOnce({ rows: largeChain }) // Company chain
+          .mockResolvedValueOnce({ rows: [] }) // No approvals yet
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [largeRequest] }) // Request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/approve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ requestId: 'PAY-2024-001' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Access denied. Approval step 1 requires the project_manager role.');
+    });
+
+    it('should not let one user approve two steps', async () => {
+      const largeRequest = { ...mockPaymentRequest, total_amount: '1500000.00' };
+
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [largeRequest] }) // Lock request
+          .mockResolvedValueOnce({ rows: largeChain }) // Company chain
+          .mockResolvedValueOnce({ rows: [{ step_order: 1, approver_id: 3, decision: 'Approved' }] }) // Step 1 approved
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [largeRequest] }) // Request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owned by user 1)
+        .mockResolvedValueOnce({ rows: [{ id: 5, project_id: 1, user_id: 3, role: 'project_manager' }] }); // Membership
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/approve')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ requestId: 'PAY-2024-001' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Access denied. You have already approved a step of this payment request.');
+    });
   });
 
   describe('POST /api/v1/payments/reject', () => {
@@ -307,6 +720,8 @@ describe('Payment Management', () => {
       const mockPaymentRequest = {
         id: 1,
         request_id: rejectionData.requestId,
+        user_id: 2,
+        project_id: 1,
         status: 'Pending',
         total_amount: '5000.00'
       };
@@ -321,9 +736,19 @@ describe('Payment Management', () => {
         total_amount: '5000.00'
       };
 
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [mockPaymentRequest] }) // Lock request
+          .mockResolvedValueOnce({ rows: [] }) // No company chain
+          .mockResolvedValueOnce({ rows: [] }) // No approvals yet
+          .mockResolvedValueOnce({ rows: [{ id: 1, step_order: 1, decision: 'Rejected' }] }) // Record rejection
+          .mockResolvedValueOnce({ rows: [mockUpdatedRequest] }) // Update request
+      };
+
       db.query
         .mockResolvedValueOnce({ rows: [mockPaymentRequest] }) // Request exists
-        .mockResolvedValueOnce({ rows: [mockUpdatedRequest] }); // Update request
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
 
       const response = await request(app)
         .post('/api/v1/payments/reject')
@@ -335,18 +760,188 @@ describe('Payment Management', () => {
       expect(response.body.message).toBe('Payment request rejected successfully');
       expect(response.body.data.paymentRequest.status).toBe('Rejected');
       expect(response.body.data.paymentRequest.rejectionReason).toBe(rejectionData.reason);
+      expect(mockClient.query.mock.calls[3][1][4]).toBe('Rejected');
+    });
+  });
+
+  describe('POST /api/v1/payments/requests/generate', () => {
+    const generateData = {
+      projectId: 1,
+      startDate: '2024-01-01',
+      endDate: '2024-01-15'
+    };
+
+    const attendanceDay = (workerId, workerName, date, status, extra = {}) => ({
+      worker_id: workerId, worker_name: workerName, date, status, check_in: null, check_out: null,
+      daily_rate: '150.00', hours_per_day: '8.00', overtime_multiplier: '1.50', night_multiplier: '1.25',
+      weekend_multiplier: '2.00', break_minutes: null, rest_day: false, ...extra
+    });
+
+    it('should build a draft from attendance and position rates', async () => {
+      const john = (date, status) => attendanceDay(1, 'John Worker', date, status);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({
+          rows: [
+            ...['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-08']
+              .map(date => john(date, 'Present')),
+            john('2024-01-09', 'Half Day'),
+            john('2024-01-10', 'Half Day'),
+            john('2024-01-11', 'Late'),
+            john('2024-01-12', 'Late'),
+            john('2024-01-15', 'Absent'),
+            ...['2024-01-01', '2024-01-02', '2024-01-03']
+              .map(date => attendanceDay(2, 'Mary Mason', date, 'Present', { daily_rate: null })),
+            attendanceDay(3, 'Sam Absent', '2024-01-01', 'Absent', { daily_rate: '100.00' })
+          ]
+        }) // Attendance days
+        .mockResolvedValueOnce({ rows: [] }); // No overlapping requests
+
+      const response = await request(app)
+        .post('/api/v1/payments/requests/generate')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ ...generateData, lateDayValue: 0.5 })
+        .expect(200);
+
+      const { draft } = response.body.data;
+      expect(response.body.success).toBe(true);
+      expect(draft.workers).toHaveLength(2);
+      expect(draft.workers[0]).toMatchObject({
+        workerId: 1,
+        daysWorked: 8,
+        allowancePerDay: 150,
+        hourlyRate: 18.75,
+        hours: { regular: 64, overtime: 0, night: 0, weekend: 0 },
+        totalAmount: 1200,
+        breakdown: { present: 6, halfDay: 2, late: 2, absent: 1 }
+      });
+      expect(draft.totalAmount).toBe(1200);
+      expect(draft.warnings).toEqual(['No daily rate configured for Mary Mason']);
+      expect(db.query.mock.calls[2][1]).toEqual([[1, 2, 3], '2024-01-01', '2024-01-15']);
+    });
+
+    it('should split clocked hours into overtime, night and weekend pay', async () => {
+      const john = (date, checkIn, checkOut, restDay = false) => attendanceDay(1, 'John Worker', date, 'Present', {
+        check_in: checkIn, check_out: checkOut, break_minutes: 60, rest_day: restDay
+      });
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({
+          rows: [
+            john('2024-01-08', '07:00:00', '18:00:00'), // Monday: 8 regular + 2 overtime
+            john('2024-01-09', '20:00:00', '05:00:00'), // Tuesday night: 7 night + 1 regular
+            john('2024-01-13', '08:00:00', '13:00:00', true) // Saturday rest day: 4 weekend
+          ]
+        }) // Attendance days
+        .mockResolvedValueOnce({ rows: [] }); // No overlapping requests
+
+      const response = await request(app)
+        .post('/api/v1/payments/requests/generate')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send(generateData)
+        .expect(200);
+
+      const [line] = response.body.data.draft.workers;
+      expect(line.hours).toEqual({ regular: 9, overtime: 2, night: 7, weekend: 4 });
+      // 18.75 * (9 + 2 * 1.5 + 7 * 1.25 + 4 * 2)
+      expect(line.totalAmount).toBe(539.06);
+    });
+
+    it('should pay paid leave as a full day and unpaid leave as nothing', async () => {
+      const john = (date, status, extra) => attendanceDay(1, 'John Worker', date, status, extra);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({
+          rows: [
+            john('2024-01-02', 'Present'),
+            john('2024-01-03', 'On Leave', { leave_paid: true }),
+            john('2024-01-04', 'On Leave', { leave_paid: false })
+          ]
+        }) // Attendance days
+        .mockResolvedValueOnce({ rows: [] }); // No overlapping requests
+
+      const response = await request(app)
+        .post('/api/v1/payments/requests/generate')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send(generateData)
+        .expect(200);
+
+      const [line] = response.body.data.draft.workers;
+      expect(line.daysWorked).toBe(2);
+      expect(line.totalAmount).toBe(300);
+      expect(line.breakdown).toMatchObject({ present: 1, paidLeave: 1, unpaidLeave: 1 });
+    });
+
+    it('should refuse days already covered by another request', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({
+          rows: [attendanceDay(1, 'John Worker', '2024-01-02', 'Present')]
+        }) // Attendance days
+        .mockResolvedValueOnce({
+          rows: [{ worker_id: 1, worker_name: 'John Worker', request_id: 'PAY-2024-001' }]
+        }); // Overlapping request
+
+      const response = await request(app)
+        .post('/api/v1/payments/requests/generate')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send(generateData)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('already covered by payment request PAY-2024-001');
+    });
+
+    it('should reject an end date before the start date', async () => {
+      const response = await request(app)
+        .post('/api/v1/payments/requests/generate')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ ...generateData, endDate: '2023-12-31' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('GET /api/v1/payments/requests/:paymentRequestId/approvals', () => {
+    it('should return required steps and recorded decisions', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, request_id: 'PAY-2024-001', project_id: 1, status: 'Pending', total_amount: '1500000.00' }] }) // Request
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({
+          rows: [
+            { step_order: 1, approver_role: 'project_manager', min_amount: '0.00' },
+            { step_order: 2, approver_role: 'accountant', min_amount: '1000000.00' }
+          ]
+        }) // Company chain
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, step_order: 1, approver_id: 3, approver_name: 'Pat Manager', approver_role: 'project_manager', decision: 'Approved', comment: 'Checked timesheets' }]
+        }); // Approval history
+
+      const response = await request(app)
+        .get('/api/v1/payments/requests/1/approvals')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.steps).toHaveLength(2);
+      expect(response.body.data.approvals[0].comment).toBe('Checked timesheets');
     });
   });
 
   describe('POST /api/v1/payments/process', () => {
+    const crypto = require('crypto');
+    const hashBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
     it('should process payments successfully', async () => {
       const processData = {
         paymentIds: [1, 2]
       };
 
       const mockPaymentRequests = [
-        { id: 1, user_id: 1, status: 'Approved', total_amount: '3000.00', request_id: 'PAY-001' },
-        { id: 2, user_id: 1, status: 'Approved', total_amount: '2000.00', request_id: 'PAY-002' }
+        { id: 1, user_id: 1, project_id: 1, status: 'Approved', total_amount: '3000.00', request_id: 'PAY-001' },
+        { id: 2, user_id: 1, project_id: 1, status: 'Approved', total_amount: '2000.00', request_id: 'PAY-002' }
       ];
 
       const mockProcessedRequests = [
@@ -354,11 +949,30 @@ describe('Payment Management', () => {
         { id: 2, request_id: 'PAY-002', status: 'Processed', total_amount: '2000.00' }
       ];
 
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [mockPaymentRequests[0]] }) // Lock payment 1
+          .mockResolvedValueOnce({ rows: [mockProcessedRequests[0]] }) // Process payment 1
+          .mockResolvedValueOnce({
+            rows: [{ id: 11, uuid: 'payout-1', payment_request_id: 1, worker_id: 1, amount: '3000.00', method: 'mobile_money', destination: '+1234567890', status: 'Queued' }]
+          }) // Queue payouts for payment 1
+          .mockResolvedValueOnce({ rows: [mockPaymentRequests[1]] }) // Lock payment 2
+          .mockResolvedValueOnce({ rows: [mockProcessedRequests[1]] }) // Process payment 2
+          .mockResolvedValueOnce({
+            rows: [{ id: 12, uuid: 'payout-2', payment_request_id: 2, worker_id: 2, amount: '2000.00', method: 'bank_transfer', destination: null, status: 'Queued' }]
+          }) // Queue payouts for payment 2
+      };
+
       db.query
-        .mockResolvedValueOnce({ rows: [mockPaymentRequests[0]] }) // Payment 1 exists
-        .mockResolvedValueOnce({ rows: [mockPaymentRequests[1]] }) // Payment 2 exists
-        .mockResolvedValueOnce({ rows: [mockProcessedRequests[0]] }) // Process payment 1
-        .mockResolvedValueOnce({ rows: [mockProcessedRequests[1]] }); // Process payment 2
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner) for payment 1
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner) for payment 2
+        .mockResolvedValueOnce({
+          rows: [{ id: 11, payment_request_id: 1, worker_id: 1, amount: '3000.00', method: 'mobile_money', provider: 'simulated', provider_reference: 'SIM-payout-1', status: 'Sent' }]
+        }) // Payout 1 sent
+        .mockResolvedValueOnce({
+          rows: [{ id: 12, payment_request_id: 2, worker_id: 2, amount: '2000.00', method: 'bank_transfer', status: 'Failed', failure_reason: 'Worker has no bank account' }]
+        }); // Payout 2 failed
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
 
       const response = await request(app)
         .post('/api/v1/payments/process')
@@ -370,6 +984,125 @@ describe('Payment Management', () => {
       expect(response.body.message).toBe('Payments processed successfully');
       expect(response.body.data.processedCount).toBe(2);
       expect(response.body.data.totalAmount).toBe(5000);
+      expect(response.body.data.payouts.map(payout => payout.status)).toEqual(['Sent', 'Failed']);
+      expect(db.transaction).toHaveBeenCalledTimes(2);
+      expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(db.query.mock.calls[2][1].slice(0, 5)).toEqual([11, 'simulated', 'SIM-payout-1', 'Sent', null]);
+      expect(db.query.mock.calls[2][1]).toContain('send');
+      expect(db.query.mock.calls[3][1].slice(0, 3)).toEqual([12, null, 'Worker has no bank account']);
+      expect(db.query.mock.calls[3][1]).toContain('fail');
+    });
+
+    it('should report a result per payment instead of failing the batch', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, project_id: 1, status: 'Approved', total_amount: '3000.00', request_id: 'PAY-001' }] }) // Lock payment 1
+          .mockResolvedValueOnce({ rows: [{ id: 1, request_id: 'PAY-001', status: 'Processed', total_amount: '3000.00' }] }) // Process payment 1
+          .mockResolvedValueOnce({ rows: [] }) // No payout lines
+          .mockResolvedValueOnce({ rows: [{ id: 2, project_id: 1, status: 'Processed', total_amount: '2000.00', request_id: 'PAY-002' }] }) // Lock payment 2
+          .mockResolvedValueOnce({ rows: [] }) // Payment 3 missing
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner) for payment 1
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner) for payment 2
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/process')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ paymentIds: [1, 2, 3, 1] })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Payments processed with errors');
+      expect(response.body.data.results).toEqual([
+        { paymentId: 1, requestId: 'PAY-001', status: 'processed' },
+        { paymentId: 2, requestId: 'PAY-002', status: 'skipped', reason: 'Payment request is already processed' },
+        { paymentId: 3, status: 'failed', reason: 'Payment request not found' }
+      ]);
+      expect(response.body.data.totalAmount).toBe(3000);
+    });
+
+    it('should replay the stored response for a repeated Idempotency-Key', async () => {
+      const processData = { paymentIds: [1] };
+      const storedResponse = {
+        success: true,
+        message: 'Payments processed successfully',
+        data: { processedCount: 1, skippedCount: 0, failedCount: 0 }
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rowCount: 0 }) // Release expired key
+        .mockResolvedValueOnce({ rows: [] }) // Key already claimed
+        .mockResolvedValueOnce({
+          rows: [{ id: 7, request_hash: hashBody(processData), response_status: 200, response_body: storedResponse }]
+        }); // Stored response
+
+      const response = await request(app)
+        .post('/api/v1/payments/process')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', 'batch-2024-01')
+        .send(processData)
+        .expect(200);
+
+      expect(response.body).toEqual(storedResponse);
+      expect(response.headers['idempotent-replayed']).toBe('true');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject an Idempotency-Key reused for a different batch', async () => {
+      db.query
+        .mockResolvedValueOnce({ rowCount: 0 }) // Release expired key
+        .mockResolvedValueOnce({ rows: [] }) // Key already claimed
+        .mockResolvedValueOnce({
+          rows: [{ id: 7, request_hash: hashBody({ paymentIds: [1] }), response_status: 200, response_body: {} }]
+        }); // Stored response
+
+      const response = await request(app)
+        .post('/api/v1/payments/process')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', 'batch-2024-01')
+        .send({ paymentIds: [2] })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Idempotency-Key was already used for a different request');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should store the response under a new Idempotency-Key', async () => {
+      const mockClient = {
+        query: jest.fn().mockResolvedValueOnce({ rows: [] }) // Payment missing
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rowCount: 0 }) // Release expired key
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // Claim key
+        .mockResolvedValueOnce({ rowCount: 1 }); // Store response
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/payments/process')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', 'batch-2024-02')
+        .send({ paymentIds: [9] })
+        .expect(200);
+
+      expect(response.body.data.failedCount).toBe(1);
+      expect(db.query.mock.calls[2][1].slice(0, 2)).toEqual([7, 200]);
+      expect(JSON.parse(db.query.mock.calls[2][1][2])).toEqual(response.body);
+    });
+
+    it('should reject unknown payout methods', async () => {
+      const response = await request(app)
+        .post('/api/v1/payments/process')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ paymentIds: [1], payoutMethod: 'cheque' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Validation failed');
     });
 
     it('should return error for empty payment IDs', async () => {
@@ -388,17 +1121,236 @@ describe('Payment Management', () => {
     });
   });
 
+  describe('Payouts', () => {
+    const simulatedProvider = require('../src/services/payouts/simulatedProvider');
+    const sentPayout = {
+      id: 11,
+      payment_request_id: 1,
+      worker_id: 1,
+      amount: '3000.00',
+      method: 'mobile_money',
+      provider: 'simulated',
+      provider_reference: 'SIM-payout-1',
+      status: 'Sent'
+    };
+
+    it('should confirm a payout from a signed provider webhook', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [sentPayout] }) // Payout by provider reference
+        .mockResolvedValueOnce({ rows: [{ ...sentPayout, status: 'Confirmed', confirmed_at: new Date() }] }); // Update status
+
+      const response = await request(app)
+        .post('/api/v1/payments/payouts/webhooks/simulated')
+        .set('x-payout-signature', simulatedProvider.sign('SIM-payout-1', 'Confirmed'))
+        .send({ reference: 'SIM-payout-1', status: 'Confirmed' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.payout.status).toBe('Confirmed');
+      expect(db.query.mock.calls[0][1]).toEqual(['simulated', 'SIM-payout-1']);
+    });
+
+    it('should reject webhooks with an invalid signature', async () => {
+      const response = await request(app)
+        .post('/api/v1/payments/payouts/webhooks/simulated')
+        .set('x-payout-signature', simulatedProvider.sign('SIM-payout-1', 'Failed'))
+        .send({ reference: 'SIM-payout-1', status: 'Confirmed' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid webhook signature');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject every webhook when no secret is configured', async () => {
+      const signature = simulatedProvider.sign('SIM-payout-1', 'Confirmed');
+      const secret = process.env.PAYOUT_WEBHOOK_SECRET;
+      delete process.env.PAYOUT_WEBHOOK_SECRET;
+
+      try {
+        const response = await request(app)
+          .post('/api/v1/payments/payouts/webhooks/simulated')
+          .set('x-payout-signature', signature)
+          .send({ reference: 'SIM-payout-1', status: 'Confirmed' })
+          .expect(401);
+
+        expect(response.body.message).toBe('Invalid webhook signature');
+        expect(db.query).not.toHaveBeenCalled();
+      } finally {
+        process.env.PAYOUT_WEBHOOK_SECRET = secret;
+      }
+    });
+
+    it('should fail transfers through the simulated provider when no secret is configured', async () => {
+      const secret = process.env.PAYOUT_WEBHOOK_SECRET;
+      delete process.env.PAYOUT_WEBHOOK_SECRET;
+
+      try {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ ...sentPayout, status: 'Failed' }] }) // Payout
+          .mockResolvedValueOnce({ rows: [{ project_id: 1 }] }) // Payment request project
+          .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+          .mockResolvedValueOnce({ rows: [{ ...sentPayout, status: 'Queued', destination: '+250788000001' }] }) // Queue again
+          .mockImplementationOnce(async (sql, params) => ({
+            rows: [{ ...sentPayout, status: 'Failed', failure_reason: params[2] }]
+          })); // Mark failed
+
+        const response = await request(app)
+          .post('/api/v1/payments/payouts/11/retry')
+          .set('Authorization', `Bearer ${mockToken}`)
+          .send({ destination: '+250788000001' })
+          .expect(200);
+
+        expect(response.body.data.payout).toMatchObject({
+          status: 'Failed', failureReason: 'PAYOUT_WEBHOOK_SECRET is required by the simulated payout provider'
+        });
+      } finally {
+        process.env.PAYOUT_WEBHOOK_SECRET = secret;
+      }
+    });
+
+    it('should acknowledge repeated callbacks without changes', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...sentPayout, status: 'Confirmed' }] });
+
+      const response = await request(app)
+        .post('/api/v1/payments/payouts/webhooks/simulated')
+        .set('x-payout-signature', simulatedProvider.sign('SIM-payout-1', 'Confirmed'))
+        .send({ reference: 'SIM-payout-1', status: 'Confirmed' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not reopen a confirmed payout', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...sentPayout, status: 'Confirmed' }] });
+
+      const response = await request(app)
+        .post('/api/v1/payments/payouts/webhooks/simulated')
+        .set('x-payout-signature', simulatedProvider.sign('SIM-payout-1', 'Failed'))
+        .send({ reference: 'SIM-payout-1', status: 'Failed' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Payout is already confirmed');
+    });
+
+    it('should confirm a cash payout manually', async () => {
+      const cashPayout = { ...sentPayout, method: 'cash', provider: 'manual', provider_reference: 'CASH-payout-1' };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [cashPayout] }) // Payout
+        .mockResolvedValueOnce({ rows: [{ project_id: 1 }] }) // Payment request project
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ ...cashPayout, status: 'Confirmed' }] }); // Update status
+
+      const response = await request(app)
+        .patch('/api/v1/payments/payouts/11/confirm')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.payout.status).toBe('Confirmed');
+    });
+
+    it('should not manually confirm provider payouts', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [sentPayout] }) // Payout
+        .mockResolvedValueOnce({ rows: [{ project_id: 1 }] }) // Payment request project
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+
+      const response = await request(app)
+        .patch('/api/v1/payments/payouts/11/confirm')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Only cash payouts can be confirmed manually');
+    });
+
+    it('should queue a failed payout again and send it to the worker\'s current phone', async () => {
+      const failedPayout = {
+        ...sentPayout, status: 'Failed', provider: null, provider_reference: null, destination: null,
+        failure_reason: 'Worker has no phone number'
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [failedPayout] }) // Payout
+        .mockResolvedValueOnce({ rows: [{ project_id: 1 }] }) // Payment request project
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ destination: '+250788000001' }] }) // Worker phone
+        .mockResolvedValueOnce({
+          rows: [{ ...failedPayout, status: 'Queued', destination: '+250788000001', failure_reason: null }]
+        }) // Queue again
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ ...failedPayout, destination: '+250788000001', provider: params[1], provider_reference: params[2], status: params[3] }]
+        })); // Send
+
+      const response = await request(app)
+        .post('/api/v1/payments/payouts/11/retry')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.payout).toMatchObject({ status: 'Sent', provider: 'simulated', destination: '+250788000001' });
+      expect(db.query.mock.calls[3][1]).toEqual([1]);
+      expect(db.query.mock.calls[4][0]).toContain("WHERE id = $1 AND status = 'Failed'");
+      expect(db.query.mock.calls[4][1].slice(0, 3)).toEqual([11, 'mobile_money', '+250788000001']);
+      expect(db.query.mock.calls[4][1]).toContain('retry');
+    });
+
+    it('should retry with the given method and destination', async () => {
+      const failedPayout = { ...sentPayout, status: 'Failed', destination: null };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [failedPayout] }) // Payout
+        .mockResolvedValueOnce({ rows: [{ project_id: 1 }] }) // Payment request project
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ ...failedPayout, status: 'Queued', method: 'bank_transfer', destination: '000123456' }] }) // Queue again
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ ...failedPayout, method: 'bank_transfer', provider: params[1], status: params[3] }]
+        })); // Send
+
+      await request(app)
+        .post('/api/v1/payments/payouts/11/retry')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ method: 'bank_transfer', destination: '000123456' })
+        .expect(200);
+
+      expect(db.query).toHaveBeenCalledTimes(5);
+      expect(db.query.mock.calls[3][1].slice(0, 3)).toEqual([11, 'bank_transfer', '000123456']);
+    });
+
+    it('should only retry failed payouts', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [sentPayout] }) // Payout
+        .mockResolvedValueOnce({ rows: [{ project_id: 1 }] }) // Payment request project
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+
+      const response = await request(app)
+        .post('/api/v1/payments/payouts/11/retry')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({})
+        .expect(409);
+
+      expect(response.body.message).toBe('Payout is already sent');
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+  });
+
   describe('DELETE /api/v1/payments/requests/:paymentRequestId', () => {
     it('should delete payment request successfully', async () => {
       const mockPaymentRequest = { 
         id: 1, 
         user_id: 1, 
+        project_id: 1,
         status: 'Pending',
         request_id: 'PAY-2024-001'
       };
 
       db.query
         .mockResolvedValueOnce({ rows: [mockPaymentRequest] }) // Payment request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
         .mockResolvedValueOnce({ rowCount: 1 }); // Delete payment request
 
       const response = await request(app)
@@ -414,10 +1366,13 @@ describe('Payment Management', () => {
       const mockPaymentRequest = { 
         id: 1, 
         user_id: 1, 
+        project_id: 1,
         status: 'Approved' // Cannot delete approved request
       };
 
-      db.query.mockResolvedValueOnce({ rows: [mockPaymentRequest] });
+      db.query
+        .mockResolvedValueOnce({ rows: [mockPaymentRequest] }) // Payment request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
 
       const response = await request(app)
         .delete('/api/v1/payments/requests/1')
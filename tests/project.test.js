@@ -214,6 +214,127 @@ describe('Project Management', () => {
     });
   });
 
+  describe('PUT /api/v1/projects/:projectId/geofence', () => {
+    it('should store only the geofence fields', async () => {
+      const geofence = { type: 'circle', latitude: -1.9441, longitude: 30.0619, radiusMeters: 200 };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Test Project', geofence }] }); // Update project
+
+      const response = await request(app)
+        .put('/api/v1/projects/1/geofence')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ geofence })
+        .expect(200);
+
+      expect(response.body.message).toBe('Project geofence set successfully');
+      expect(db.query.mock.calls[1][1][1]).toEqual(geofence);
+    });
+
+    it('should reject a polygon with fewer than three points', async () => {
+      const response = await request(app)
+        .put('/api/v1/projects/1/geofence')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ geofence: { type: 'polygon', points: [{ latitude: 0, longitude: 0 }] } })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/v1/projects/:projectId', () => {
+    it('should refuse to delete a project with processed payments', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] }); // Processed payment requests
+
+      const response = await request(app)
+        .delete('/api/v1/projects/1')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Cannot delete a project with processed payments');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should soft delete the project and its records together', async () => {
+      const mockClient = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 1 }) };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] }); // No processed payment requests
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .delete('/api/v1/projects/1')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Project deleted successfully');
+
+      const statements = mockClient.query.mock.calls.map(call => call[0]);
+      expect(statements[0]).toContain('UPDATE projects SET deleted_at = CURRENT_TIMESTAMP');
+      expect(statements.slice(1).map(sql => sql.match(/UPDATE (\w+)/)[1]))
+        .toEqual(['attendance', 'payment_requests', 'material_requests']);
+    });
+
+    it('should forbid members without the delete permission', async () => {
+      const managerToken = jwt.sign(
+        { id: 2, email: 'manager@example.com', role: 'user' },
+        process.env.JWT_SECRET || 'test_jwt_secret_key'
+      );
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owned by user 1)
+        .mockResolvedValueOnce({ rows: [{ id: 4, project_id: 1, user_id: 2, role: 'project_manager' }] }); // Membership
+
+      const response = await request(app)
+        .delete('/api/v1/projects/1')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Access denied. Missing permission: project:delete');
+    });
+  });
+
+  describe('POST /api/v1/projects/:projectId/restore', () => {
+    it('should restore a deleted project', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [], rowCount: 3 }) // Attendance
+          .mockResolvedValueOnce({ rows: [], rowCount: 1 }) // Payment requests
+          .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // Material requests
+          .mockResolvedValueOnce({ rows: [{ id: 1, uuid: 'project-uuid', name: 'Test Project', status: 'Active' }] }) // Restore project
+      };
+
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1, deleted_at: new Date() }] }); // Deleted project
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/projects/1/restore')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.project.name).toBe('Test Project');
+      expect(mockClient.query.mock.calls[0][0]).toContain('deleted_at = (SELECT deleted_at FROM projects WHERE id = $1)');
+    });
+
+    it('should return 404 for a project that is not deleted', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1, deleted_at: null }] });
+
+      const response = await request(app)
+        .post('/api/v1/projects/1/restore')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Deleted project not found or access denied');
+    });
+  });
+
   describe('POST /api/v1/projects/positions', () => {
     it('should create position successfully', async () => {
       const positionData = {
@@ -249,6 +370,36 @@ describe('Project Management', () => {
     });
   });
 
+  describe('PUT /api/v1/projects/positions/:positionId', () => {
+    it('should update hours pay settings', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4, user_id: 1, name: 'Mason' }] }) // Position
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 4, name: 'Mason', default_daily_rate: '120.00', hours_per_day: '9.00',
+            overtime_multiplier: '1.75', night_multiplier: '1.25', weekend_multiplier: '2.00'
+          }]
+        }); // Update position
+
+      const response = await request(app)
+        .put('/api/v1/projects/positions/4')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ hoursPerDay: 9, overtimeMultiplier: 1.75 })
+        .expect(200);
+
+      expect(response.body.data.position.overtimeMultiplier).toBe('1.75');
+      expect(db.query.mock.calls[1][0]).toMatch(/hours_per_day = \$2, overtime_multiplier = \$3/);
+    });
+
+    it('should reject a working day longer than 24 hours', async () => {
+      await request(app)
+        .put('/api/v1/projects/positions/4')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ hoursPerDay: 25 })
+        .expect(400);
+    });
+  });
+
   describe('POST /api/v1/projects/materials/request', () => {
     it('should create material request successfully', async () => {
       const materialData = {
@@ -305,6 +456,7 @@ describe('Project Management', () => {
       const mockRequest = {
         id: 1,
         request_id: approvalData.requestId,
+        project_id: 1,
         status: 'Pending'
       };
 
@@ -318,6 +470,7 @@ describe('Project Management', () => {
 
       db.query
         .mockResolvedValueOnce({ rows: [mockRequest] }) // Request exists
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
         .mockResolvedValueOnce({ rows: [mockUpdatedRequest] }); // Update request
 
       const response = await request(app)
@@ -329,6 +482,180 @@ describe('Project Management', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Material request approved successfully');
       expect(response.body.data.materialRequest.status).toBe('Approved');
+      expect(db.query.mock.calls[2][0]).toContain('published_at');
+    });
+  });
+
+  describe('POST /api/v1/projects/materials/quotes/accept', () => {
+    it('should accept quote and record seller, price and delivery status', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, project_id: 1, status: 'Approved', accepted_quote_id: null }] }) // Lock request
+          .mockResolvedValueOnce({ rows: [{ id: 5, seller_id: 3, price: '4750.00', status: 'Submitted' }] }) // Lock quote
+          .mockResolvedValueOnce({ rows: [{ id: 5, status: 'Accepted', price: '4750.00', delivery_date: '2024-02-01' }] }) // Accept quote
+          .mockResolvedValueOnce({ rowCount: 2 }) // Reject other quotes
+          .mockResolvedValueOnce({ 
+            rows: [{ 
+              id: 1, 
+              request_id: 'MAT-2024-001', 
+              seller_id: 3, 
+              accepted_quote_id: 5, 
+              agreed_price: '4750.00', 
+              delivery_status: 'Ordered' 
+            }] 
+          }) // Update request
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, material_request_id: 1, seller_id: 3, price: '4800.00' }] }) // Quote
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/projects/materials/quotes/accept')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ quoteId: 5 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Quote accepted successfully');
+      expect(response.body.data.materialRequest.sellerId).toBe(3);
+      expect(response.body.data.materialRequest.agreedPrice).toBe('4750.00');
+      expect(response.body.data.materialRequest.deliveryStatus).toBe('Ordered');
+      // The price revised after the first read is the one agreed
+      expect(mockClient.query.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(mockClient.query.mock.calls[4][1].slice(0, 4)).toEqual([1, 3, 5, '4750.00']);
+    });
+
+    it('should refuse a quote that is no longer submitted', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, project_id: 1, status: 'Approved', accepted_quote_id: null }] }) // Lock request
+          .mockResolvedValueOnce({ rows: [{ id: 5, seller_id: 3, price: '4800.00', status: 'Rejected' }] }) // Lock quote
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, material_request_id: 1, seller_id: 3, price: '4800.00' }] }) // Quote
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/projects/materials/quotes/accept')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ quoteId: 5 })
+        .expect(409);
+
+      expect(response.body.message).toBe('Quote is no longer open for acceptance');
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse a second acceptance', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, project_id: 1, status: 'Approved', accepted_quote_id: 4 }] }) // Lock request
+      };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, material_request_id: 1, seller_id: 3, price: '4800.00' }] }) // Quote
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }); // Project (owner)
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/projects/materials/quotes/accept')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ quoteId: 5 })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('A quote has already been accepted for this material request');
+    });
+  });
+
+  describe('Project members', () => {
+    const managerToken = jwt.sign(
+      { id: 2, email: 'manager@example.com', role: 'user' },
+      process.env.JWT_SECRET || 'test_jwt_secret_key'
+    );
+
+    it('should grant a project role to a user', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ id: 3, name: 'Sam Accountant', email: 'sam@example.com' }] }) // User lookup
+        .mockResolvedValueOnce({ 
+          rows: [{ id: 1, project_id: 1, user_id: 3, role: 'accountant', granted_by: 1 }] 
+        }); // Upsert membership
+
+      const response = await request(app)
+        .post('/api/v1/projects/1/members')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ email: 'sam@example.com', role: 'accountant' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Project role granted successfully');
+      expect(response.body.data.member.role).toBe('accountant');
+      expect(response.body.data.member.email).toBe('sam@example.com');
+    });
+
+    it('should reject unknown roles', async () => {
+      const response = await request(app)
+        .post('/api/v1/projects/1/members')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ email: 'sam@example.com', role: 'owner' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('should forbid members without manage permission from granting roles', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owned by user 1)
+        .mockResolvedValueOnce({ rows: [{ id: 4, project_id: 1, user_id: 2, role: 'project_manager' }] }); // Membership
+
+      const response = await request(app)
+        .post('/api/v1/projects/1/members')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ email: 'sam@example.com', role: 'viewer' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Access denied. Missing permission: project:manage_members');
+    });
+
+    it('should return the member role with the project', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1, name: 'Test Project' }] }) // Project (owned by user 1)
+        .mockResolvedValueOnce({ rows: [{ id: 4, project_id: 1, user_id: 2, role: 'project_manager' }] }); // Membership
+
+      const response = await request(app)
+        .get('/api/v1/projects/1')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.project.role).toBe('project_manager');
+    });
+
+    it('should grant the supervisor role when assigning a supervisor with an account', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1 }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [{ id: 9, user_id: 1, email: 'sup@example.com' }] }) // Supervisor worker
+        .mockResolvedValueOnce({ rows: [] }) // Not yet assigned
+        .mockResolvedValueOnce({ rows: [{ id: 1, project_id: 1, supervisor_id: 9, assigned_at: new Date() }] }) // Assign
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] }) // Supervisor's user account
+        .mockResolvedValueOnce({ rows: [{ id: 2, project_id: 1, user_id: 5, role: 'supervisor' }] }); // Grant role
+
+      const response = await request(app)
+        .post('/api/v1/projects/assign-supervisor')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ projectId: 1, supervisorId: 9 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.assignment.accountUserId).toBe(5);
+      expect(db.query.mock.calls[5][1].slice(0, 3)).toEqual([1, 5, 1]);
+      expect(db.query.mock.calls[5][1]).toContain('grant');
     });
   });
 });
\ No newline at end of file
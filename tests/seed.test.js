@@ -0,0 +1,63 @@
+const { SEED_SIZES, generateDemoTenant } = require('../src/database/seeds/demoTenant');
+
+describe('Demo Tenant Generator', () => {
+  it('should produce the same tenant for the same seed', () => {
+    const first = generateDemoTenant({ seed: 42, size: 'small' });
+    const second = generateDemoTenant({ seed: 42, size: 'small' });
+
+    expect(second).toEqual(first);
+  });
+
+  it('should produce different tenants with distinct unique values for different seeds', () => {
+    const first = generateDemoTenant({ seed: 1, size: 'small' });
+    const second = generateDemoTenant({ seed: 2, size: 'small' });
+
+    expect(second.user.email).not.toBe(first.user.email);
+    const firstCards = new Set(first.workers.map(worker => worker.cardId));
+    expect(second.workers.some(worker => firstCards.has(worker.cardId))).toBe(false);
+    expect(second.paymentRequests[0].requestId).not.toBe(first.paymentRequests[0].requestId);
+  });
+
+  it('should cover every project category and request status', () => {
+    const tenant = generateDemoTenant({ seed: 7, size: 'small' });
+
+    expect(new Set(tenant.projects.map(project => project.category)))
+      .toEqual(new Set(['Construction', 'Farming', 'Education']));
+    expect(new Set(tenant.paymentRequests.map(request => request.status)))
+      .toEqual(new Set(['Pending', 'Approved', 'Rejected', 'Processed']));
+    expect(new Set(tenant.materialRequests.map(request => request.status)))
+      .toEqual(new Set(['Pending', 'Approved', 'Rejected', 'Processed']));
+  });
+
+  it('should pay each worker line from the attendance in its period', () => {
+    const tenant = generateDemoTenant({ seed: 7, size: 'small' });
+    const dayValues = { Present: 1, Late: 1, 'Half Day': 0.5, Absent: 0 };
+    const request = tenant.paymentRequests[0];
+    const line = request.workers[0];
+
+    const expectedDays = tenant.attendance
+      .filter(record => record.workerIndex === line.workerIndex &&
+        record.projectIndex === request.projectIndex &&
+        record.date >= request.periodStart && record.date <= request.periodEnd)
+      .reduce((sum, record) => sum + dayValues[record.status], 0);
+
+    expect(line.daysWorked).toBe(expectedDays);
+    expect(line.totalAmount).toBe(line.daysWorked * line.allowancePerDay);
+    expect(request.totalAmount).toBe(request.workers.reduce((sum, worker) => sum + worker.totalAmount, 0));
+  });
+
+  it('should scale with the size flag', () => {
+    const small = generateDemoTenant({ seed: 3, size: 'small' });
+    const medium = generateDemoTenant({ seed: 3, size: 'medium' });
+
+    expect(small.workers).toHaveLength(SEED_SIZES.small.workers);
+    expect(medium.workers).toHaveLength(SEED_SIZES.medium.workers);
+    expect(medium.projects).toHaveLength(SEED_SIZES.medium.projects);
+    expect(medium.attendance.length).toBeGreaterThan(small.attendance.length);
+  });
+
+  it('should reject unknown sizes and invalid start dates', () => {
+    expect(() => generateDemoTenant({ seed: 1, size: 'huge' })).toThrow('Unknown seed size "huge"');
+    expect(() => generateDemoTenant({ seed: 1, startDate: '2024-01-03' })).toThrow('Start date must be a Monday');
+  });
+});
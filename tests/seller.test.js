@@ -0,0 +1,433 @@
+const request = require('supertest');
+
+// Mock the database for tests
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Seller Management', () => {
+  // Generate valid JWT tokens for tests
+  const jwt = require('jsonwebtoken');
+  const bcrypt = require('bcryptjs');
+  const sellerToken = jwt.sign(
+    { id: 1, email: 'seller@example.com', role: 'seller' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+  const userToken = jwt.sign(
+    { id: 1, email: 'test@example.com', role: 'user' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+  const adminToken = jwt.sign(
+    { id: 2, email: 'admin@example.com', role: 'admin' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+
+  const mockSeller = {
+    id: 1,
+    uuid: 'seller-uuid',
+    name: 'Alice Seller',
+    email: 'seller@example.com',
+    phone: '+1444555666',
+    password_hash: '$2a$12$hashedpassword',
+    role: 'seller',
+    is_active: true,
+    created_at: new Date(),
+    updated_at: new Date()
+  };
+  const activeSeller = { rows: [{ is_active: true }] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    db.query.mockReset();
+    db.transaction.mockReset();
+  });
+
+  describe('POST /api/v1/sellers/login', () => {
+    it('should login seller with seller-scoped token', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockSeller }] }) // Seller lookup
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Store refresh token
+
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+      const response = await request(app)
+        .post('/api/v1/sellers/login')
+        .send({ email: 'seller@example.com', password: 'SellerPass123' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Login successful');
+      expect(response.body.data.seller.email).toBe('seller@example.com');
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(jwt.decode(response.body.data.token).role).toBe('seller');
+    });
+
+    it('should return error for invalid credentials', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/v1/sellers/login')
+        .send({ email: 'unknown@example.com', password: 'wrong' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid email or password');
+    });
+
+    it('should return validation error for missing credentials', async () => {
+      const response = await request(app)
+        .post('/api/v1/sellers/login')
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('GET /api/v1/sellers/profile', () => {
+    it('should get seller profile successfully', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({ rows: [{ ...mockSeller }] });
+
+      const response = await request(app)
+        .get('/api/v1/sellers/profile')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.seller.name).toBe(mockSeller.name);
+      expect(response.body.data.seller.password_hash).toBeUndefined();
+    });
+
+    it('should refuse access tokens of a deactivated seller', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ is_active: false }] }); // Seller deactivated
+
+      const response = await request(app)
+        .get('/api/v1/sellers/profile')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Account is deactivated. Please contact administrator.');
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0]).toEqual(['SELECT is_active FROM sellers WHERE id = $1', [1]]);
+    });
+
+    it('should reject user tokens', async () => {
+      const response = await request(app)
+        .get('/api/v1/sellers/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Insufficient permissions');
+    });
+  });
+
+  describe('Seller token scope', () => {
+    it('should not reach user routes with a seller token', async () => {
+      const response = await request(app)
+        .get('/api/v1/projects')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Insufficient permissions');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/v1/sellers/profile', () => {
+    it('should update seller profile successfully', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({ rows: [] }) // Email not taken
+        .mockResolvedValueOnce({ rows: [{ ...mockSeller, name: 'Alice Supplies', email: 'new@example.com' }] }); // Update
+
+      const response = await request(app)
+        .put('/api/v1/sellers/profile')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ name: 'Alice Supplies', email: 'new@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Profile updated successfully');
+      expect(response.body.data.seller.name).toBe('Alice Supplies');
+    });
+
+    it('should return error for email used by another seller', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      const response = await request(app)
+        .put('/api/v1/sellers/profile')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ email: 'taken@example.com' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Seller with this email already exists');
+    });
+  });
+
+  describe('PUT /api/v1/sellers/password', () => {
+    it('should change password and revoke refresh tokens', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({ rows: [{ password_hash: mockSeller.password_hash }] }) // Current hash
+        .mockResolvedValueOnce({ rows: [{ ...mockSeller }] }) // Update password
+        .mockResolvedValueOnce({ rowCount: 2 }); // Revoke refresh tokens
+
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+      jest.spyOn(bcrypt, 'hash').mockResolvedValue('$2a$12$newhash');
+
+      const response = await request(app)
+        .put('/api/v1/sellers/password')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ currentPassword: 'SellerPass123', newPassword: 'NewSellerPass456' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Password changed successfully');
+      expect(db.query.mock.calls[3][1]).toEqual(['seller', 1]);
+    });
+
+    it('should return error for incorrect current password', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({ rows: [{ password_hash: mockSeller.password_hash }] });
+
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+      const response = await request(app)
+        .put('/api/v1/sellers/password')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ currentPassword: 'WrongPass123', newPassword: 'NewSellerPass456' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Current password is incorrect');
+    });
+  });
+
+  describe('GET /api/v1/sellers/material-requests', () => {
+    it('should list published material requests without cost estimates', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({ 
+          rows: [{ id: 1, request_id: 'MAT-2024-001', material_name: 'Cement Bags', quantity: '100.00', unit: 'bags' }] 
+        }) // Open requests
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] }); // Count
+
+      const response = await request(app)
+        .get('/api/v1/sellers/material-requests')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.materialRequests).toHaveLength(1);
+      expect(db.query.mock.calls[1][0]).not.toContain('estimated_cost');
+      expect(db.query.mock.calls[1][0]).toContain('published_at IS NOT NULL');
+    });
+  });
+
+  describe('POST /api/v1/sellers/material-requests/:materialRequestId/quotes', () => {
+    const quoteData = {
+      price: 4800.00,
+      deliveryDate: '2024-02-01',
+      notes: 'Delivered to site gate'
+    };
+
+    it('should submit quote successfully', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ 
+            rows: [{ id: 1, status: 'Approved', published_at: new Date(), accepted_quote_id: null }] 
+          }) // Lock material request
+          .mockResolvedValueOnce({ rows: [] }) // No existing quote
+          .mockResolvedValueOnce({ 
+            rows: [{ 
+              id: 1, 
+              uuid: 'quote-uuid', 
+              material_request_id: 1, 
+              seller_id: 1, 
+              price: '4800.00', 
+              delivery_date: '2024-02-01', 
+              status: 'Submitted',
+              created_at: new Date()
+            }] 
+          }) // Create quote
+      };
+      db.query.mockResolvedValueOnce(activeSeller); // Seller active
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/sellers/material-requests/1/quotes')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send(quoteData)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Quote submitted successfully');
+      expect(response.body.data.quote.status).toBe('Submitted');
+      expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+    });
+
+    it('should revise a submitted quote under the request lock', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ 
+            rows: [{ id: 1, status: 'Approved', published_at: new Date(), accepted_quote_id: null }] 
+          }) // Lock material request
+          .mockResolvedValueOnce({ rows: [{ id: 4, status: 'Submitted' }] }) // Existing quote
+          .mockResolvedValueOnce({ rows: [{ id: 4, price: '4800.00', status: 'Submitted' }] }) // Revise quote
+      };
+      db.query.mockResolvedValueOnce(activeSeller); // Seller active
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      await request(app)
+        .post('/api/v1/sellers/material-requests/1/quotes')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send(quoteData)
+        .expect(201);
+
+      expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(mockClient.query.mock.calls[2][1].slice(0, 4)).toEqual([4, 4800, '2024-02-01', 'Delivered to site gate']);
+    });
+
+    it('should reject quotes once a quote has been accepted', async () => {
+      const mockClient = {
+        query: jest.fn().mockResolvedValueOnce({ 
+          rows: [{ id: 1, status: 'Approved', published_at: new Date(), accepted_quote_id: 3 }] 
+        })
+      };
+      db.query.mockResolvedValueOnce(activeSeller); // Seller active
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/sellers/material-requests/1/quotes')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send(quoteData)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Material request is no longer open for quotes');
+    });
+
+    it('should return error for unpublished material request', async () => {
+      const mockClient = {
+        query: jest.fn().mockResolvedValueOnce({ rows: [{ id: 1, status: 'Pending', published_at: null }] })
+      };
+      db.query.mockResolvedValueOnce(activeSeller); // Seller active
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/sellers/material-requests/1/quotes')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send(quoteData)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Material request not found');
+    });
+  });
+
+  describe('GET /api/v1/sellers/quotes', () => {
+    it('should list the seller\'s quotes with filters and sorting', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({
+          rows: [{ id: 3, seller_id: 1, status: 'Submitted', material_name: 'Cement Bags', _cursor_0: '950.00', _cursor_1: '3' }]
+        }) // Quotes
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] }); // Count
+
+      const response = await request(app)
+        .get('/api/v1/sellers/quotes?filter[status]=Submitted&sort=price')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      expect(response.body.data.quotes).toEqual([{ id: 3, seller_id: 1, status: 'Submitted', material_name: 'Cement Bags' }]);
+      expect(response.body.data.pagination).toMatchObject({ currentPage: 1, totalCount: 1, hasNext: false });
+      expect(db.query.mock.calls[1][0]).toContain('mq.seller_id = $1 AND mq.status = $2');
+      expect(db.query.mock.calls[1][0]).toContain('ORDER BY mq.price ASC, mq.id ASC');
+      expect(db.query.mock.calls[1][1]).toEqual([1, 'Submitted', 11, 0]);
+    });
+
+    it('should reject filters the list does not define', async () => {
+      db.query.mockResolvedValueOnce(activeSeller); // Seller active
+
+      const response = await request(app)
+        .get('/api/v1/sellers/quotes?filter[sellerId]=2')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('PATCH /api/v1/sellers/orders/:materialRequestId/dispatch', () => {
+    it('should mark awarded order as dispatched', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({ rows: [{ id: 1, seller_id: 1, delivery_status: 'Ordered' }] }) // Request
+        .mockResolvedValueOnce({ rows: [{ id: 1, request_id: 'MAT-2024-001', delivery_status: 'Dispatched' }] }); // Update
+
+      const response = await request(app)
+        .patch('/api/v1/sellers/orders/1/dispatch')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.materialRequest.deliveryStatus).toBe('Dispatched');
+    });
+
+    it('should not let other sellers update the order', async () => {
+      db.query
+        .mockResolvedValueOnce(activeSeller) // Seller active
+        .mockResolvedValueOnce({ rows: [{ id: 1, seller_id: 9, delivery_status: 'Ordered' }] });
+
+      const response = await request(app)
+        .patch('/api/v1/sellers/orders/1/dispatch')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Material request not found or access denied');
+    });
+  });
+
+  describe('PATCH /api/v1/sellers/:sellerId/deactivate', () => {
+    it('should deactivate seller as admin', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockSeller, is_active: false }] }) // Deactivate
+        .mockResolvedValueOnce({ rowCount: 1 }); // Revoke refresh tokens
+
+      const response = await request(app)
+        .patch('/api/v1/sellers/1/deactivate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Seller deactivated successfully');
+    });
+
+    it('should reject non-admin users', async () => {
+      const response = await request(app)
+        .patch('/api/v1/sellers/1/deactivate')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Insufficient permissions');
+    });
+  });
+});
@@ -1,6 +1,7 @@
 // Test setup file
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.PAYOUT_WEBHOOK_SECRET = 'test_payout_webhook_secret';
 process.env.DB_NAME = 'transpipe_test_db';
 process.env.LOG_LEVEL = 'error';
 process.env.PORT = '0'; // Use random port for tests
@@ -0,0 +1,156 @@
+const request = require('supertest');
+
+// Mock the database for tests
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Shifts and Rosters', () => {
+  const jwt = require('jsonwebtoken');
+  const mockToken = jwt.sign(
+    { id: 1, email: 'test@example.com', role: 'user' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+
+  const project = { id: 1, user_id: 1, name: 'Site A', late_grace_minutes: 5 };
+  const dayShift = {
+    id: 2, project_id: 1, name: 'Day', start_time: '07:00:00', end_time: '16:00:00',
+    break_minutes: 60, days_of_week: [1, 2, 3, 4, 5]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    db.transaction.mockReset();
+  });
+
+  describe('POST /api/v1/projects/:projectId/shifts', () => {
+    it('should create a shift template', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [project] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [] }) // Name not taken
+        .mockResolvedValueOnce({ rows: [dayShift] }); // Create shift
+
+      const response = await request(app)
+        .post('/api/v1/projects/1/shifts')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ name: 'Day', startTime: '07:00', endTime: '16:00', breakMinutes: 60, daysOfWeek: [5, 1, 2, 3, 4, 1] })
+        .expect(201);
+
+      expect(response.body.data.shift.daysOfWeek).toEqual([1, 2, 3, 4, 5]);
+      expect(db.query.mock.calls[2][1]).toEqual(expect.arrayContaining([[1, 2, 3, 4, 5]]));
+    });
+
+    it('should reject an unknown weekday', async () => {
+      const response = await request(app)
+        .post('/api/v1/projects/1/shifts')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ name: 'Day', startTime: '07:00', endTime: '16:00', daysOfWeek: [0] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/v1/projects/:projectId/shifts/:shiftId/assignments', () => {
+    const assignment = { workerIds: [3], startDate: '2024-01-01', endDate: '2024-01-31' };
+
+    it('should roster workers onto the shift', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // Worker on the project
+          .mockResolvedValueOnce({ rows: [] }) // Advisory lock
+          .mockResolvedValueOnce({ rows: [] }) // No other shifts
+          .mockResolvedValueOnce({
+            rows: [{ id: 5, shift_id: 2, worker_id: 3, start_date: '2024-01-01', end_date: '2024-01-31' }]
+          }) // Insert assignment
+      };
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+      db.query
+        .mockResolvedValueOnce({ rows: [project] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [dayShift] }); // Shift on the project
+
+      const response = await request(app)
+        .post('/api/v1/projects/1/shifts/2/assignments')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send(assignment)
+        .expect(201);
+
+      expect(response.body.data.assignments).toHaveLength(1);
+      expect(mockClient.query.mock.calls[3][0]).toMatch(/INSERT INTO shift_assignments/);
+    });
+
+    it('should refuse to double-book a worker on another project', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // Worker on the project
+          .mockResolvedValueOnce({ rows: [] }) // Advisory lock
+          .mockResolvedValueOnce({
+            rows: [{
+              id: 9, worker_id: 3, start_date: '2024-01-15', end_date: '2024-02-15', shift_id: 7,
+              shift_name: 'Early', start_time: '05:00:00', end_time: '08:00:00', days_of_week: [3], project_name: 'Site B'
+            }]
+          }) // Wednesday early shift elsewhere
+      };
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+      db.query
+        .mockResolvedValueOnce({ rows: [project] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [dayShift] }); // Shift on the project
+
+      const response = await request(app)
+        .post('/api/v1/projects/1/shifts/2/assignments')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send(assignment)
+        .expect(409);
+
+      expect(response.body.message).toBe('Worker 3 is already rostered on "Early" (Site B) from 2024-01-15 to 2024-02-15');
+      expect(mockClient.query).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('GET /api/v1/projects/:projectId/roster/report', () => {
+    it('should report lateness, no-shows and unscheduled work, skipping holidays', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [project] }) // Project (owner)
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 5, worker_id: 3, worker_name: 'Jane Doe', start_date: '2024-01-01', end_date: '2024-01-31',
+            shift_id: 2, shift_name: 'Day', start_time: '07:00:00', end_time: '16:00:00', break_minutes: 60,
+            days_of_week: [1, 2, 3, 4, 5]
+          }]
+        }) // Assignments
+        .mockResolvedValueOnce({ rows: [{ date: '2024-01-17', name: 'Founders Day' }] }) // Holidays
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 11, worker_id: 3, worker_name: 'Jane Doe', date: '2024-01-15', check_in: '07:04:00', status: 'Present' },
+            { id: 12, worker_id: 3, worker_name: 'Jane Doe', date: '2024-01-16', check_in: '07:40:00', status: 'Late' },
+            { id: 13, worker_id: 3, worker_name: 'Jane Doe', date: '2024-01-20', check_in: '08:00:00', status: 'Present' }
+          ]
+        }); // Attendance
+
+      const response = await request(app)
+        .get('/api/v1/projects/1/roster/report?from=2024-01-15&to=2024-01-20')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(response.body.data.summary).toEqual({ scheduled: 4, onTime: 1, late: 1, noShow: 2, onLeave: 0, unscheduled: 1 });
+      expect(response.body.data.entries.find(entry => entry.date === '2024-01-17')).toBeUndefined();
+      expect(response.body.data.entries.find(entry => entry.date === '2024-01-16').minutesLate).toBe(40);
+    });
+
+    it('should reject a range longer than the limit', async () => {
+      db.query.mockResolvedValueOnce({ rows: [project] }); // Project (owner)
+
+      const response = await request(app)
+        .get('/api/v1/projects/1/roster/report?from=2024-01-01&to=2024-06-30')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Date range cannot be longer than 93 days');
+    });
+  });
+});
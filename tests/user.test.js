@@ -121,7 +121,8 @@ describe('User Management', () => {
           role: 'user',
           is_active: true
         }] 
-      });
+      })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Store refresh token
 
       // Mock bcrypt compare to return true
       const bcrypt = require('bcryptjs');
@@ -136,6 +137,7 @@ describe('User Management', () => {
       expect(response.body.message).toBe('Login successful');
       expect(response.body.data.user.email).toBe(loginData.email);
       expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
     });
 
     it('should return validation error for missing credentials', async () => {
@@ -167,6 +169,125 @@ describe('User Management', () => {
     });
   });
 
+  describe('POST /api/v1/users/token/refresh', () => {
+    const AuthUtils = require('../src/utils/auth');
+    const refreshToken = AuthUtils.generateRefreshToken({
+      id: 1,
+      email: 'test@example.com',
+      role: 'user',
+      type: 'refresh',
+      family: 'family-uuid',
+      jti: 'token-uuid'
+    });
+
+    it('should rotate refresh token successfully', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ 
+            rows: [{ id: 1, subject_type: 'user', subject_id: 1, family_id: 'family-uuid', revoked_at: null }] 
+          }) // Stored token
+          .mockResolvedValueOnce({ 
+            rows: [{ id: 1, email: 'test@example.com', role: 'user', is_active: true }] 
+          }) // Subject lookup
+          .mockResolvedValueOnce({ rows: [{ id: 2 }] }) // Store new token
+          .mockResolvedValueOnce({ rowCount: 1 }) // Mark old token replaced
+      };
+
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Token refreshed successfully');
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should revoke the token family when a rotated token is reused', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ 
+            rows: [{ id: 1, subject_type: 'user', subject_id: 1, family_id: 'family-uuid', revoked_at: new Date() }] 
+          }) // Stored token already rotated
+          .mockResolvedValueOnce({ rowCount: 3 }) // Revoke family
+      };
+
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Refresh token has already been used. Please log in again.');
+      expect(mockClient.query.mock.calls[1][0]).toContain('WHERE family_id = $1');
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['family-uuid']);
+    });
+
+    it('should reject an access token', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken: mockToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid or expired refresh token');
+    });
+
+    it('should not accept a refresh token as an access token', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/workers')
+        .set('Authorization', `Bearer ${refreshToken}`)
+        .send({})
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid or expired token');
+    });
+  });
+
+  describe('POST /api/v1/users/logout', () => {
+    const AuthUtils = require('../src/utils/auth');
+    const refreshToken = AuthUtils.generateRefreshToken({
+      id: 1,
+      role: 'user',
+      type: 'refresh',
+      family: 'family-uuid',
+      jti: 'logout-token-uuid'
+    });
+
+    it('should revoke refresh token family', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, subject_type: 'user', subject_id: 1, family_id: 'family-uuid' }] }) // Stored token
+        .mockResolvedValueOnce({ rowCount: 1 }); // Revoke family
+
+      const response = await request(app)
+        .post('/api/v1/users/logout')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Logged out successfully');
+    });
+
+    it('should return error for unknown refresh token', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/v1/users/logout')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid or expired refresh token');
+    });
+  });
+
   describe('POST /api/v1/users/workers', () => {
     it('should create worker successfully', async () => {
       const workerData = {
@@ -0,0 +1,710 @@
+const request = require('supertest');
+
+// Mock the database for tests
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Worker Self-Service', () => {
+  // Generate valid JWT tokens for tests
+  const jwt = require('jsonwebtoken');
+  const bcrypt = require('bcryptjs');
+  const workerToken = jwt.sign(
+    { id: 1, email: 'worker@example.com', role: 'worker' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+  const userToken = jwt.sign(
+    { id: 1, email: 'test@example.com', role: 'user' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+
+  const mockWorker = {
+    id: 1,
+    uuid: 'worker-uuid',
+    user_id: 1,
+    card_id: 'CARD001',
+    fullname: 'John Worker',
+    phone: '+1234567890',
+    email: 'worker@example.com',
+    position: 'Masonry',
+    pin_hash: '$2a$12$hashedpin',
+    pin_failed_attempts: 0,
+    pin_locked_until: null,
+    is_active: true
+  };
+  const activeWorker = { rows: [{ is_active: true }] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    db.query.mockReset();
+    db.transaction.mockReset();
+  });
+
+  describe('POST /api/v1/workers/login', () => {
+    it('should login worker by phone with worker-scoped token', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...mockWorker }] }); // Candidates by phone
+
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+      const response = await request(app)
+        .post('/api/v1/workers/login')
+        .send({ phone: '+1234567890', pin: '1234' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.worker.fullname).toBe('John Worker');
+      expect(response.body.data.worker.pin_hash).toBeUndefined();
+      expect(jwt.decode(response.body.data.token).role).toBe('worker');
+    });
+
+    it('should login worker by card ID', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...mockWorker }] }); // Candidate by card
+
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+      const response = await request(app)
+        .post('/api/v1/workers/login')
+        .send({ cardId: 'CARD001', pin: '1234' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(db.query.mock.calls[0][1]).toEqual(['CARD001']);
+    });
+
+    it('should record failed attempts for a wrong PIN', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Candidates by phone
+        .mockResolvedValueOnce({ rowCount: 1 }); // Record failed attempt
+
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+      const response = await request(app)
+        .post('/api/v1/workers/login')
+        .send({ phone: '+1234567890', pin: '9999' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid credentials');
+      expect(db.query.mock.calls[1][1][0]).toEqual([1]);
+    });
+
+    it('should refuse locked logins', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ ...mockWorker, pin_locked_until: new Date(Date.now() + 60000) }]
+      });
+
+      const compareSpy = jest.spyOn(bcrypt, 'compare');
+
+      const response = await request(app)
+        .post('/api/v1/workers/login')
+        .send({ phone: '+1234567890', pin: '1234' })
+        .expect(429);
+
+      expect(response.body.success).toBe(false);
+      expect(compareSpy).not.toHaveBeenCalled();
+    });
+
+    it('should require exactly one of phone and card ID', async () => {
+      const response = await request(app)
+        .post('/api/v1/workers/login')
+        .send({ phone: '+1234567890', cardId: 'CARD001', pin: '1234' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('GET /api/v1/workers/me/attendance', () => {
+    it('should return own attendance with ratings and comments', async () => {
+      db.query
+        .mockResolvedValueOnce(activeWorker) // Worker active
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 1,
+            worker_id: 1,
+            project_id: 2,
+            date: '2024-01-15',
+            status: 'Present',
+            rating: 4,
+            comments: 'Good work'
+          }]
+        });
+
+      const response = await request(app)
+        .get('/api/v1/workers/me/attendance?projectId=2')
+        .set('Authorization', `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.attendanceRecords[0].comments).toBe('Good work');
+      expect(db.query.mock.calls[1][1]).toEqual([1, 2]);
+    });
+
+    it('should refuse access tokens of a deactivated worker', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] }); // Worker deleted or inactive
+
+      const response = await request(app)
+        .get('/api/v1/workers/me/attendance')
+        .set('Authorization', `Bearer ${workerToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Account is deactivated. Please contact administrator.');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject user tokens', async () => {
+      const response = await request(app)
+        .get('/api/v1/workers/me/attendance')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Insufficient permissions');
+    });
+  });
+
+  describe('GET /api/v1/workers/me/payments', () => {
+    it('should return every payment line for the worker', async () => {
+      db.query
+        .mockResolvedValueOnce(activeWorker) // Worker active
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 3,
+            request_id: 'PAY-2024-001',
+            project_id: 2,
+            project_name: 'Site A',
+            days_worked: 5,
+            allowance_per_day: '100.00',
+            total_amount: '500.00',
+            status: 'Processed'
+          }]
+        }) // Payment lines
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] }); // Count
+
+      const response = await request(app)
+        .get('/api/v1/workers/me/payments')
+        .set('Authorization', `Bearer ${workerToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.payments[0].status).toBe('Processed');
+      expect(response.body.data.pagination.totalCount).toBe(1);
+    });
+  });
+
+  describe('PUT /api/v1/users/workers/:workerId/pin', () => {
+    it('should let the employer set a worker PIN', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Worker
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }); // Update PIN
+
+      jest.spyOn(bcrypt, 'hash').mockResolvedValue('$2a$12$newpin');
+
+      const response = await request(app)
+        .put('/api/v1/users/workers/1/pin')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ pin: '4321' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Worker PIN set successfully');
+    });
+
+    it('should reject other employers', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...mockWorker, user_id: 9 }] });
+
+      const response = await request(app)
+        .put('/api/v1/users/workers/1/pin')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ pin: '4321' })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Worker not found or access denied');
+    });
+
+    it('should validate PIN format', async () => {
+      const response = await request(app)
+        .put('/api/v1/users/workers/1/pin')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ pin: '12ab' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('PUT /api/v1/workers/me/pin', () => {
+    it('should change own PIN', async () => {
+      db.query
+        .mockResolvedValueOnce(activeWorker) // Worker active
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Worker
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }); // Update PIN
+
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+      jest.spyOn(bcrypt, 'hash').mockResolvedValue('$2a$12$newpin');
+
+      const response = await request(app)
+        .put('/api/v1/workers/me/pin')
+        .set('Authorization', `Bearer ${workerToken}`)
+        .send({ currentPin: '1234', newPin: '5678' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('PIN changed successfully');
+    });
+  });
+
+  describe('GET /api/v1/workers', () => {
+    it('should search the employer\'s workers by name, phone or card', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, fullname: 'John Worker', phone: '+250 788 123 456', card_id: 'CARD001', has_pin: true, is_active: true }]
+        }) // Page
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] }); // Count
+
+      const response = await request(app)
+        .get('/api/v1/workers?search=788 123')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.workers[0]).toMatchObject({ fullname: 'John Worker', cardId: 'CARD001', hasPin: true });
+      expect(response.body.data.workers[0].pin_hash).toBeUndefined();
+      expect(db.query.mock.calls[0][1].slice(0, 3)).toEqual([1, '%788 123%', '%788123%']);
+      expect(db.query.mock.calls[0][0]).toMatch(/regexp_replace\(w\.phone/);
+    });
+
+    it('should reject worker tokens', async () => {
+      await request(app)
+        .get('/api/v1/workers')
+        .set('Authorization', `Bearer ${workerToken}`)
+        .expect(403);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/v1/workers/:workerId', () => {
+    it('should refuse a card ID held by another worker', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Worker
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker, id: 2 }] }); // Card holder
+
+      const response = await request(app)
+        .put('/api/v1/workers/1')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ cardId: 'CARD002', phone: '+250788000111' })
+        .expect(409);
+
+      expect(response.body.message).toBe('Worker with this card ID already exists');
+    });
+
+    it('should hide other employers\' workers', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...mockWorker, user_id: 2 }] }); // Worker
+
+      await request(app)
+        .put('/api/v1/workers/1')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ fullname: 'Jane Worker' })
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/v1/workers/:workerId/deactivate', () => {
+    it('should deactivate the worker', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Worker
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker, is_active: false }] }); // Update
+
+      const response = await request(app)
+        .patch('/api/v1/workers/1/deactivate')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.worker.isActive).toBe(false);
+      expect(db.query.mock.calls[1][1]).toContain('deactivate');
+    });
+  });
+
+  describe('POST /api/v1/workers/:workerId/projects', () => {
+    it('should start a new assignment', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Worker
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1, name: 'Site B' }] }) // Project (owner)
+        .mockResolvedValueOnce({ rows: [] }) // No active assignment
+        .mockResolvedValueOnce({
+          rows: [{ id: 9, worker_id: 1, project_id: 2, assigned_at: '2024-03-01T08:00:00Z', is_active: true }]
+        }); // Assignment
+
+      const response = await request(app)
+        .post('/api/v1/workers/1/projects')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ projectId: 2 })
+        .expect(201);
+
+      expect(response.body.data.assignment).toMatchObject({ id: 9, projectId: 2, isActive: true });
+      expect(db.query.mock.calls[3][1].slice(0, 2)).toEqual([1, 2]);
+    });
+
+    it('should refuse inactive workers', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker, is_active: false }] }) // Worker
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1, name: 'Site B' }] }); // Project (owner)
+
+      const response = await request(app)
+        .post('/api/v1/workers/1/projects')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ projectId: 2 })
+        .expect(409);
+
+      expect(response.body.message).toBe('Worker is inactive');
+    });
+  });
+
+  describe('DELETE /api/v1/workers/:workerId/projects/:projectId', () => {
+    it('should end the current assignment', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Worker
+        .mockResolvedValueOnce({ rows: [{ id: 9, is_active: false }], rowCount: 1 }); // Assignment ended
+
+      await request(app)
+        .delete('/api/v1/workers/1/projects/2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(db.query.mock.calls[1][0]).toMatch(/removed_at = CURRENT_TIMESTAMP/);
+    });
+
+    it('should return 404 when the worker is not on the project', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Worker
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }); // No active assignment
+
+      const response = await request(app)
+        .delete('/api/v1/workers/1/projects/2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Worker is not assigned to this project');
+    });
+  });
+
+  describe('GET /api/v1/workers/:workerId/projects', () => {
+    it('should list current and ended assignments', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...mockWorker }] }) // Worker
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 10, project_id: 2, project_name: 'Site B', assigned_at: '2024-03-10T08:00:00Z', removed_at: null, is_active: true },
+            { id: 9, project_id: 2, project_name: 'Site B', assigned_at: '2024-03-01T08:00:00Z', removed_at: '2024-03-05T17:00:00Z', is_active: false }
+          ]
+        }); // Assignments
+
+      const response = await request(app)
+        .get('/api/v1/workers/1/projects')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.assignments.map(assignment => assignment.removedAt))
+        .toEqual([null, '2024-03-05T17:00:00Z']);
+    });
+  });
+
+  describe('POST /api/v1/workers/import', () => {
+    const zlib = require('zlib');
+
+    // Minimal XLSX: a zip of the workbook parts the importer reads
+    const buildXlsx = (parts) => {
+      const records = [];
+      const directory = [];
+      let offset = 0;
+
+      Object.entries(parts).forEach(([name, xml]) => {
+        const fileName = Buffer.from(name);
+        const data = zlib.deflateRawSync(Buffer.from(xml));
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt16LE(fileName.length, 26);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt16LE(fileName.length, 28);
+        entry.writeUInt32LE(offset, 42);
+
+        records.push(local, fileName, data);
+        directory.push(entry, fileName);
+        offset += local.length + fileName.length + data.length;
+      });
+
+      const directoryBuffer = Buffer.concat(directory);
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(directory.length / 2, 8);
+      end.writeUInt16LE(directory.length / 2, 10);
+      end.writeUInt32LE(directoryBuffer.length, 12);
+      end.writeUInt32LE(offset, 16);
+
+      return Buffer.concat([...records, directoryBuffer, end]);
+    };
+
+    const positions = { rows: [{ id: 4, name: 'Masonry' }, { id: 5, name: 'Carpenter' }] };
+
+    it('should report every row error on a dry run', async () => {
+      db.query
+        .mockResolvedValueOnce(positions) // Employer's positions
+        .mockResolvedValueOnce({ rows: [{ card_id: 'CARD050' }] }); // Card IDs already taken
+
+      const csv = [
+        'Card ID,Name,Phone,Position,National ID',
+        'CARD001,Alice Mason,+250 788 100 001,masonry,1198870012345',
+        'CARD050,Bob Builder,+250 788 100 002,Masonry,1198870012346',
+        'CARD001,Carl Stone,+250 788 100 003,Masonry,1198870012347',
+        'CARD004,Dina Wood,12-ab,Plumber,1198870012348'
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/v1/workers/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ format: 'csv', content: csv, dryRun: true })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ dryRun: true, rowCount: 4, valid: false });
+      expect(response.body.data.errors.map(({ row, field }) => [row, field])).toEqual([
+        [3, 'cardId'],
+        [4, 'cardId'],
+        [5, 'phone'],
+        [5, 'phone']
+      ]);
+      expect(response.body.data.errors[1].message).toBe('Card ID CARD001 is also on row 2');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should import every row and assign the workers to the project', async () => {
+      const mockClient = { query: jest.fn() };
+      mockClient.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 21, card_id: 'CARD001', fullname: 'Alice Mason', pin_hash: null },
+            { id: 22, card_id: 'CARD002', fullname: 'Bob Builder', pin_hash: null }
+          ]
+        }) // Workers
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] }); // Assignments
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, user_id: 1, name: 'Site B' }] }) // Project (owner)
+        .mockResolvedValueOnce(positions) // Employer's positions
+        .mockResolvedValueOnce({ rows: [] }); // No card IDs taken
+
+      const csv = 'card_id;full name;phone;position_id;national id\r\n' +
+        'CARD001;Alice Mason;+250788100001;4;1198870012345\r\n' +
+        'CARD002;Bob Builder;+250788100002;5;1198870012346\r\n';
+
+      const response = await request(app)
+        .post('/api/v1/workers/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ format: 'csv', content: csv, projectId: 2 })
+        .expect(201);
+
+      expect(response.body.data.imported).toBe(2);
+      expect(response.body.data.workers[0].pin_hash).toBeUndefined();
+      expect(mockClient.query.mock.calls[0][1].slice(0, 8)).toEqual([
+        ['CARD001', 'CARD002'],
+        ['Alice Mason', 'Bob Builder'],
+        ['+250788100001', '+250788100002'],
+        [null, null],
+        [4, 5],
+        ['1198870012345', '1198870012346'],
+        [null, null],
+        1
+      ]);
+      expect(mockClient.query.mock.calls[1][1].slice(0, 2)).toEqual([2, [21, 22]]);
+    });
+
+    it('should read the first worksheet of an XLSX file', async () => {
+      const mockClient = { query: jest.fn() };
+      mockClient.query.mockResolvedValueOnce({ rows: [{ id: 21, card_id: 'CARD001', fullname: 'Alice Mason' }] });
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+      db.query
+        .mockResolvedValueOnce(positions) // Employer's positions
+        .mockResolvedValueOnce({ rows: [] }); // No card IDs taken
+
+      const xlsx = buildXlsx({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="Staff" sheetId="1" r:id="rId2"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId2" Target="worksheets/sheet2.xml"/></Relationships>',
+        'xl/sharedStrings.xml': '<sst><si><t>Card ID</t></si><si><t>Name</t></si><si><t>Alice Mason</t></si></sst>',
+        'xl/worksheets/sheet2.xml': '<worksheet><sheetData>' +
+          '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c>' +
+          '<c r="C1" t="inlineStr"><is><t>Phone</t></is></c><c r="D1" t="inlineStr"><is><t>Position</t></is></c>' +
+          '<c r="E1" t="inlineStr"><is><t>National ID</t></is></c></row>' +
+          '<row r="2"><c r="A2" t="inlineStr"><is><t>CARD001</t></is></c><c r="B2" t="s"><v>2</v></c>' +
+          '<c r="C2"><v>2.50788100001E+11</v></c><c r="D2" t="inlineStr"><is><t>Masonry</t></is></c>' +
+          '<c r="E2"><v>1198870012345</v></c></row>' +
+          '</sheetData></worksheet>'
+      });
+
+      await request(app)
+        .post('/api/v1/workers/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ format: 'xlsx', content: xlsx.toString('base64') })
+        .expect(201);
+
+      expect(mockClient.query.mock.calls[0][1].slice(0, 6)).toEqual([
+        ['CARD001'], ['Alice Mason'], ['250788100001'], [null], [4], ['1198870012345']
+      ]);
+    });
+
+    it('should refuse files without the required columns', async () => {
+      const response = await request(app)
+        .post('/api/v1/workers/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ format: 'csv', content: 'Name,Phone\nAlice Mason,+250788100001' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Import file is missing columns: cardId, nationalId, position');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/workers/duplicates', () => {
+    it('should pair workers sharing a national ID or phone with a similar name', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { id: 4, fullname: 'Marie Uwase', phone: '+250788100001', national_id: '1 1988 7 0012345 1 23' },
+          { id: 9, fullname: 'Uwase Marié', phone: '0788100001', national_id: '1198870012345123' },
+          { id: 12, fullname: 'Marie Uwera', phone: '+250788999999', national_id: null }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/api/v1/workers/duplicates')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.scanned).toBe(3);
+      expect(response.body.data.duplicates).toHaveLength(1);
+      expect(response.body.data.duplicates[0]).toMatchObject({
+        score: 1,
+        reasons: ['nationalId', 'phone', 'name'],
+        nameSimilarity: 1
+      });
+      expect(response.body.data.duplicates[0].workers.map(worker => worker.id)).toEqual([4, 9]);
+    });
+
+    it('should validate the minimum score', async () => {
+      await request(app)
+        .get('/api/v1/workers/duplicates?minScore=2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/v1/workers/:workerId/merge', () => {
+    const survivor = { id: 4, user_id: 1, card_id: null, fullname: 'Marie Uwase', email: null, national_id: null };
+    const duplicate = {
+      id: 9, user_id: 1, card_id: 'CARD009', fullname: 'Uwase Marie', email: 'marie@example.com',
+      national_id: '1198870012345123', pin_hash: '$2a$12$hashedpin'
+    };
+
+    it('should move the duplicate\'s records to the survivor and record the merge', async () => {
+      const mockClient = { query: jest.fn() };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [survivor, duplicate] }) // Lock both workers
+        .mockResolvedValueOnce({ rows: [] }) // No attendance on the same day
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 }) // End overlapping assignments
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // Reactivate supervisor grants
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // Drop overlapping supervisor grants
+        .mockResolvedValueOnce({ rows: [], rowCount: 12 }) // Attendance
+        .mockResolvedValueOnce({ rows: [], rowCount: 2 }) // Project assignments
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // Supervisor grants
+        .mockResolvedValueOnce({ rows: [], rowCount: 3 }) // Payment lines
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 }) // Payouts
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // Shift assignments
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // Leave requests
+        .mockResolvedValueOnce({ rows: [], rowCount: 2 }) // Documents
+        .mockResolvedValueOnce({ rows: [{ id: 9 }] }) // Retire duplicate
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] }) // Fill survivor fields
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{
+            id: 1, survivor_id: 4, merged_worker_id: 9, merged_worker: JSON.parse(params[2]),
+            moved_records: JSON.parse(params[3]), filled_fields: params[4], merged_by: 1
+          }]
+        })); // Record merge
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/workers/4/merge')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ duplicateId: 9 })
+        .expect(200);
+
+      const { merge } = response.body.data;
+      expect(merge.movedRecords).toEqual({
+        attendance: 12,
+        projectAssignments: 2,
+        supervisorAssignments: 0,
+        paymentLines: 3,
+        payouts: 1,
+        shiftAssignments: 0,
+        leaveRequests: 0,
+        documents: 2
+      });
+      expect(merge.filledFields).toEqual(['card_id', 'email', 'national_id']);
+      expect(merge.mergedWorker.pin_hash).toBeUndefined();
+      expect(mockClient.query.mock.calls[5][0]).toMatch(/UPDATE attendance SET worker_id = \$1 WHERE worker_id = \$2/);
+      expect(mockClient.query.mock.calls[13][0]).toMatch(/SET card_id = NULL, is_active = false, deleted_at/);
+      expect(mockClient.query.mock.calls[14][1].slice(0, 4)).toEqual([4, 'CARD009', 'marie@example.com', '1198870012345123']);
+    });
+
+    it('should refuse workers with attendance on the same day', async () => {
+      const mockClient = { query: jest.fn() };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [survivor, duplicate] }) // Lock both workers
+        .mockResolvedValueOnce({ rows: [{ date: '2024-03-04', project_name: 'Site A' }] }); // Same day
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/v1/workers/4/merge')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ duplicateId: 9 })
+        .expect(409);
+
+      expect(response.body.message).toMatch(/^Both workers already have attendance on 2024-03-04 \(Site A\)/);
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should hide other employers\' workers', async () => {
+      const mockClient = { query: jest.fn() };
+      mockClient.query.mockResolvedValueOnce({ rows: [survivor] }); // Duplicate not owned
+      db.transaction.mockImplementation(async (callback) => callback(mockClient));
+
+      await request(app)
+        .post('/api/v1/workers/4/merge')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ duplicateId: 9 })
+        .expect(404);
+    });
+
+    it('should refuse merging a worker into itself', async () => {
+      await request(app)
+        .post('/api/v1/workers/4/merge')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ duplicateId: 4 })
+        .expect(400);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
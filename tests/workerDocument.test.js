@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Mock the database for tests
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const app = require('../src/server');
+const db = require('../src/config/database');
+
+describe('Worker Documents', () => {
+  const jwt = require('jsonwebtoken');
+  const mockToken = jwt.sign(
+    { id: 1, email: 'test@example.com', role: 'user' },
+    process.env.JWT_SECRET || 'test_jwt_secret_key'
+  );
+
+  const pdf = Buffer.from('%PDF-1.4 safety induction');
+  const storedDocument = {
+    id: 5, uuid: 'document-uuid', worker_id: 3, document_type: 'safety_induction', title: 'Site induction',
+    issued_at: '2024-01-10', expires_at: '2025-01-10', file_name: 'induction.pdf', mime_type: 'application/pdf',
+    size_bytes: pdf.length, status: 'Pending', storage_driver: 'local', storage_key: 'workers/worker-uuid/induction.pdf'
+  };
+
+  let storagePath;
+
+  beforeAll(() => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'transpipe-documents-'));
+    process.env.DOCUMENT_STORAGE_PATH = storagePath;
+  });
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+    delete process.env.DOCUMENT_STORAGE_PATH;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    db.transaction.mockReset();
+  });
+
+  describe('POST /api/v1/workers/:workerId/documents', () => {
+    it('should store the file and record the document as pending', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, uuid: 'worker-uuid' }] }) // Worker
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ id: 5, worker_id: 3, document_type: params[1], issued_at: new Date(), status: 'Pending' }]
+        })); // Insert document
+
+      const response = await request(app)
+        .post('/api/v1/workers/3/documents')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({
+          documentType: 'safety_induction',
+          title: 'Site induction',
+          issuedAt: '2024-01-10',
+          expiresAt: '2025-01-10',
+          fileName: 'induction.pdf',
+          mimeType: 'application/pdf',
+          content: pdf.toString('base64')
+        })
+        .expect(201);
+
+      expect(response.body.data.document).toMatchObject({
+        id: 5, documentType: 'safety_induction', issuedAt: '2024-01-10', expiresAt: '2025-01-10', status: 'Pending'
+      });
+
+      const params = db.query.mock.calls[1][1];
+      expect(params[8]).toBe(pdf.length);
+      expect(params[9]).toBe(require('crypto').createHash('sha256').update(pdf).digest('hex'));
+      expect(params[10]).toBe('local');
+      expect(params[11]).toMatch(/^workers\/worker-uuid\/[0-9a-f-]{36}\.pdf$/);
+      expect(fs.readFileSync(path.join(storagePath, params[11]))).toEqual(pdf);
+    });
+
+    it('should require an expiry date for documents that lapse', async () => {
+      const response = await request(app)
+        .post('/api/v1/workers/3/documents')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({
+          documentType: 'trade_certificate',
+          fileName: 'welding.pdf',
+          mimeType: 'application/pdf',
+          content: pdf.toString('base64')
+        })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('expiresAt');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/workers/:workerId/documents/:documentId/file', () => {
+    it('should send the stored file', async () => {
+      fs.mkdirSync(path.join(storagePath, 'workers/worker-uuid'), { recursive: true });
+      fs.writeFileSync(path.join(storagePath, storedDocument.storage_key), pdf);
+      db.query.mockResolvedValueOnce({ rows: [storedDocument] }); // Document
+
+      const response = await request(app)
+        .get('/api/v1/workers/3/documents/5/file')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe("attachment; filename*=UTF-8''induction.pdf");
+      expect(response.body).toEqual(pdf);
+    });
+  });
+
+  describe('PATCH /api/v1/workers/:workerId/documents/:documentId/verify', () => {
+    it('should verify the document', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [storedDocument] }) // Document
+        .mockResolvedValueOnce({ rows: [{ ...storedDocument, status: 'Verified', verified_by: 1 }] }); // Verify
+
+      const response = await request(app)
+        .patch('/api/v1/workers/3/documents/5/verify')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'Verified' })
+        .expect(200);
+
+      expect(response.body.data.document).toMatchObject({ status: 'Verified', verifiedBy: 1 });
+      expect(response.body.data.document.storageKey).toBeUndefined();
+      expect(db.query.mock.calls[1][1].slice(0, 4)).toEqual([5, 'Verified', null, 1]);
+    });
+
+    it('should require a reason to reject', async () => {
+      await request(app)
+        .patch('/api/v1/workers/3/documents/5/verify')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'Rejected' })
+        .expect(400);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/workers/documents/expiring', () => {
+    it('should list documents expiring within the given days', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ ...storedDocument, status: 'Verified', worker_name: 'Alice Mason', days_left: 12 }]
+      });
+
+      const response = await request(app)
+        .get('/api/v1/workers/documents/expiring?days=14&documentType=safety_induction')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(response.body.data.documents[0]).toMatchObject({ workerName: 'Alice Mason', daysLeft: 12 });
+      expect(db.query.mock.calls[0][1]).toEqual([1, 14, false, null, 'safety_induction']);
+    });
+
+    it('should default to 30 days', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/v1/workers/documents/expiring')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(db.query.mock.calls[0][1][1]).toBe(30);
+    });
+  });
+
+  describe('POST /api/v1/workers/:workerId/projects', () => {
+    it('should refuse workers without the project\'s required documents', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, user_id: 1, is_active: true }] }) // Worker
+        .mockResolvedValueOnce({
+          rows: [{ id: 2, user_id: 1, timezone: 'Africa/Kigali', required_document_types: ['safety_induction', 'trade_certificate'] }]
+        }) // Project (owner)
+        .mockResolvedValueOnce({
+          rows: [{ document_type: 'safety_induction', valid: false, expires_at: '2024-01-31' }]
+        }); // Verified documents
+
+      const response = await request(app)
+        .post('/api/v1/workers/3/projects')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ projectId: 2 })
+        .expect(409);
+
+      expect(response.body.message).toBe(
+        'Worker lacks required documents: safety_induction (expired 2024-01-31), trade_certificate'
+      );
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('Creating workers on a project that requires documents', () => {
+    const project = { id: 2, user_id: 1, name: 'Site B', required_document_types: ['safety_induction'] };
+
+    it('should refuse to import workers onto the project', async () => {
+      db.query.mockResolvedValueOnce({ rows: [project] }); // Project (owner)
+
+      const response = await request(app)
+        .post('/api/v1/workers/import')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({
+          format: 'csv',
+          content: 'card_id,name,phone,position_id,national_id\nCARD001,Alice Mason,+250788100001,4,1198870012345\n',
+          projectId: 2
+        })
+        .expect(409);
+
+      expect(response.body.message).toBe('Project requires documents new workers do not hold yet: safety_induction');
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to create a card worker on the project', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 4, name: 'Masonry' }] }) // Position
+        .mockResolvedValueOnce({ rows: [project] }); // Project
+
+      const response = await request(app)
+        .post('/api/v1/users/workers/card')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({
+          cardId: 'CARD001', name: 'Alice Mason', phone: '+250788100001', positionId: 4, projectId: 2,
+          nationalId: '1198870012345'
+        })
+        .expect(409);
+
+      expect(response.body.message).toBe('Project requires documents new workers do not hold yet: safety_induction');
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+});